@@ -14,6 +14,7 @@ header("Content-Type: application/json; charset=UTF-8"); // Définit le format d
 header("Access-Control-Allow-Methods: OPTIONS,GET,POST,PUT,DELETE"); // Méthodes HTTP autorisées
 header("Access-Control-Max-Age: 3600"); // Durée de mise en cache des headers CORS (1 heure)
 header("Access-Control-Allow-Headers: Content-Type, Access-Control-Allow-Headers, Authorization, X-Requested-With"); // Headers autorisés
+header("Access-Control-Expose-Headers: Content-Disposition, X-Export-Count"); // Headers lisibles par le navigateur (export)
 
 // ============================================================================
 // INCLUSION DES DÉPENDANCES
@@ -23,7 +24,12 @@ include_once '../config/database.php';     // Gestion de la connexion à la base
 include_once '../config/auth.php';         // Système d'authentification
 include_once '../config/encryption.php';   // Chiffrement des données sensibles
 include_once '../models/IsoMessage.php';   // Modèle de données pour les messages ISO 8583
+include_once '../models/User.php';         // Comptes utilisateurs (connexion)
+include_once '../models/AuditLog.php';     // Journal d'audit des accès aux données sensibles
+include_once '../utils/EmvTlv.php';        // Données puce EMV (champ 55, BER-TLV)
 include_once '../utils/XmlParser.php';     // Analyseur XML pour parser les fichiers ISO 8583
+include_once '../utils/MessageImporter.php'; // Import de lots de messages (XML, JSON, NDJSON)
+include_once '../utils/MessageExporter.php'; // Export CSV / JSON / XML des messages
 
 // ============================================================================
 // GESTION DES REQUÊTES PREFLIGHT (OPTIONS)
@@ -36,33 +42,67 @@ if ($_SERVER["REQUEST_METHOD"] == 'OPTIONS') {
 }
 
 // ============================================================================
-// AUTHENTIFICATION OBLIGATOIRE
+// ANALYSE DE LA REQUÊTE HTTP
 // ============================================================================
-// Vérifie que l'utilisateur est authentifié avant d'accéder aux ressources
-// Si l'authentification échoue, une erreur 401 est renvoyée automatiquement
-$user = AuthManager::requireAuth();
+// Récupération de la méthode HTTP utilisée (GET, POST, DELETE, etc.)
+$request_method = $_SERVER["REQUEST_METHOD"];
+
+// Extraction et analyse du chemin de l'URL
+$path = parse_url($_SERVER['REQUEST_URI'], PHP_URL_PATH);
+// Division du chemin en segments pour identifier les ressources demandées
+$path_parts = explode('/', trim($path, '/'));
+// Exemple: /api/messages/123 → ['api', 'messages', '123']
 
 // ============================================================================
-// INITIALISATION DE LA BASE DE DONNÉES ET DU MODÈLE
+// INITIALISATION DE LA BASE DE DONNÉES
 // ============================================================================
 // Création de l'instance de connexion à la base de données
 $database = new Database();
 $db = $database->getConnection();
 
-// Création de l'instance du modèle IsoMessage pour les opérations CRUD
-$isoMessage = new IsoMessage($db);
+// ============================================================================
+// CONNEXION (ROUTE PUBLIQUE)
+// ============================================================================
+// POST /api/login {username, password} → JWT signé et expirant
+if ($request_method === 'POST' && isset($path_parts[2]) && $path_parts[2] === 'login') {
+    $credentials = json_decode(file_get_contents('php://input'), true);
+    if (!is_array($credentials)) {
+        $credentials = $_POST;
+    }
+    $username = isset($credentials['username']) && is_string($credentials['username']) ? trim($credentials['username']) : '';
+    $password = isset($credentials['password']) && is_string($credentials['password']) ? $credentials['password'] : '';
+    
+    if ($username === '' || $password === '') {
+        http_response_code(400);
+        echo json_encode(array("message" => "Username and password are required."));
+        exit();
+    }
+    
+    $account = new User($db);
+    if (!$account->verifyCredentials($username, $password)) {
+        // Tentative échouée journalisée sans le mot de passe ni le nom saisi en clair
+        // (empreinte: pas de lignes forgées, pas de mot de passe collé par erreur dans le nom)
+        error_log("Failed login for user hash " . substr(hash('sha256', (string)$username), 0, 16)
+            . " from " . ($_SERVER['REMOTE_ADDR'] ?? 'unknown'));
+        http_response_code(401);
+        echo json_encode(array("error" => "Unauthorized", "message" => "Invalid credentials"));
+        exit();
+    }
+    
+    http_response_code(200);
+    echo json_encode(AuthManager::issueToken($account->toAuthUser()));
+    exit();
+}
 
 // ============================================================================
-// ANALYSE DE LA REQUÊTE HTTP
+// AUTHENTIFICATION OBLIGATOIRE
 // ============================================================================
-// Récupération de la méthode HTTP utilisée (GET, POST, DELETE, etc.)
-$request_method = $_SERVER["REQUEST_METHOD"];
+// Vérifie que l'utilisateur est authentifié avant d'accéder aux ressources
+// Si l'authentification échoue, une erreur 401 est renvoyée automatiquement
+$user = AuthManager::requireAuth();
 
-// Extraction et analyse du chemin de l'URL
-$path = parse_url($_SERVER['REQUEST_URI'], PHP_URL_PATH);
-// Division du chemin en segments pour identifier les ressources demandées
-$path_parts = explode('/', trim($path, '/'));
-// Exemple: /api/messages/123 → ['api', 'messages', '123']
+// Création de l'instance du modèle IsoMessage pour les opérations CRUD
+$isoMessage = new IsoMessage($db);
 
 // ============================================================================
 // ROUTAGE DES REQUÊTES SELON LA MÉTHODE HTTP
@@ -74,7 +114,127 @@ switch($request_method) {
     // ========================================================================
     case 'GET':
         // Vérification si un ID spécifique est demandé dans l'URL
-        if (isset($path_parts[2]) && is_numeric($path_parts[2])) {
+        if (isset($path_parts[2]) && $path_parts[2] === 'me') {
+            
+            // === UTILISATEUR COURANT (VÉRIFICATION LÉGÈRE DU TOKEN) ===
+            http_response_code(200);
+            echo json_encode(array(
+                "user_id" => (int)$user['user_id'],
+                "username" => $user['username'],
+                "role" => $user['role'],
+                "permissions" => AuthManager::getPermissions($user),
+                "token_type" => $user['token_type'],
+                "expires_at" => $user['expires_at']
+            ));
+        } elseif (isset($path_parts[2]) && $path_parts[2] === 'audit') {
+            
+            // === JOURNAL D'AUDIT (CONSULTATION RÉSERVÉE) ===
+            AuthManager::requirePermission($user, 'view_audit_log');
+            
+            $page = isset($_GET['page']) ? max(1, (int)$_GET['page']) : 1;
+            $limit = isset($_GET['limit']) ? min(100, max(1, (int)$_GET['limit'])) : 20;
+            $filters = AuditLog::sanitizeFilters($_GET);
+            
+            $auditLog = new AuditLog($db);
+            $stmt = $auditLog->read($page, $limit, $filters);
+            $total = $auditLog->count($filters);
+            
+            $entries_arr = array();
+            while($row = $stmt->fetch(PDO::FETCH_ASSOC)) {
+                $entries_arr[] = array(
+                    "id" => (int)$row['id'],
+                    "user_id" => (int)$row['user_id'],
+                    "username" => $row['username'],
+                    "role" => $row['role'],
+                    "action" => $row['action'],
+                    "message_id" => (int)$row['message_id'],
+                    "reason" => $row['reason'],
+                    "ip_address" => $row['ip_address'],
+                    "user_agent" => $row['user_agent'],
+                    "created_at" => $row['created_at']
+                );
+            }
+            
+            http_response_code(200);
+            echo json_encode(array(
+                "data" => $entries_arr,
+                "pagination" => array(
+                    "page" => $page,
+                    "limit" => $limit,
+                    "total" => $total,
+                    "total_pages" => ceil($total / $limit)
+                ),
+                "filters" => (object)$filters
+            ));
+        } elseif (isset($path_parts[2]) && is_numeric($path_parts[2]) && isset($path_parts[3]) && $path_parts[3] === 'history') {
+            
+            // === HISTORIQUE DES ANNOTATIONS (NOTES, DOSSIER, ÉTIQUETTES) ===
+            $isoMessage->id = $path_parts[2];
+            
+            if (!$isoMessage->readOne()) {
+                http_response_code(404);
+                echo json_encode(array("message" => "Message not found."));
+                break;
+            }
+            
+            $stmt = $isoMessage->readHistory();
+            $history_arr = array();
+            while($row = $stmt->fetch(PDO::FETCH_ASSOC)) {
+                $history_arr[] = array(
+                    "id" => (int)$row['id'],
+                    "field" => $row['field'],
+                    "old_value" => $row['old_value'],
+                    "new_value" => $row['new_value'],
+                    "changed_by" => $row['changed_by'],
+                    "changed_at" => $row['changed_at']
+                );
+            }
+            
+            http_response_code(200);
+            echo json_encode(array("data" => $history_arr));
+        } elseif (isset($path_parts[2]) && is_numeric($path_parts[2]) && isset($path_parts[3]) && $path_parts[3] === 'lifecycle') {
+            
+            // === CYCLE DE VIE D'UNE TRANSACTION (MESSAGES LIÉS) ===
+            $isoMessage->id = $path_parts[2];
+            
+            if (!$isoMessage->readOne()) {
+                http_response_code(404);
+                echo json_encode(array("message" => "Message not found."));
+                break;
+            }
+            
+            // Messages de même RRN, terminal, date et montant (PAN masqué)
+            $stmt = $isoMessage->readLifecycle();
+            $messages_arr = array();
+            while($row = $stmt->fetch(PDO::FETCH_ASSOC)) {
+                $messages_arr[] = array(
+                    "id" => $row['id'],
+                    "mti" => $row['mti'],
+                    "pan" => IsoMessage::maskPan($row['pan']),
+                    "processing_code" => $row['processing_code'],
+                    "amount" => (int)$row['amount'],
+                    "transaction_time" => $row['transaction_time'],
+                    "transaction_date" => $row['transaction_date'],
+                    "rrn" => $row['rrn'],
+                    "response_code" => $row['response_code'],
+                    "terminal_id" => $row['terminal_id'],
+                    "currency" => $row['currency'],
+                    "additional_fields" => json_decode($row['additional_fields'] ?? '') ?: new stdClass(),
+                    "created_at" => $row['created_at']
+                );
+            }
+            
+            http_response_code(200);
+            echo json_encode(array(
+                "key" => array(
+                    "rrn" => $isoMessage->rrn,
+                    "terminal_id" => $isoMessage->terminal_id,
+                    "transaction_date" => $isoMessage->transaction_date,
+                    "amount" => (int)$isoMessage->amount
+                ),
+                "data" => $messages_arr
+            ));
+        } elseif (isset($path_parts[2]) && is_numeric($path_parts[2])) {
             
             // === RÉCUPÉRATION D'UN MESSAGE SPÉCIFIQUE PAR ID ===
             $isoMessage->id = $path_parts[2]; // Attribution de l'ID au modèle
@@ -85,8 +245,7 @@ switch($request_method) {
                 $message_item = array(
                     "id" => $isoMessage->id,
                     "mti" => $isoMessage->mti,
-                    "pan" => IsoMessage::maskPan($isoMessage->pan), // PAN masqué pour la sécurité
-                    "pan_full" => $isoMessage->getDecryptedPan(), // PAN complet déchiffré (accès autorisé uniquement)
+                    "pan" => IsoMessage::maskPan($isoMessage->pan), // PAN masqué (PAN en clair: POST api/{id}/reveal)
                     "processing_code" => $isoMessage->processing_code,
                     "amount" => $isoMessage->amount,
                     "transaction_time" => $isoMessage->transaction_time,
@@ -95,7 +254,16 @@ switch($request_method) {
                     "response_code" => $isoMessage->response_code,
                     "terminal_id" => $isoMessage->terminal_id,
                     "currency" => $isoMessage->currency,
-                    "created_at" => $isoMessage->created_at
+                    "additional_fields" => json_decode($isoMessage->additional_fields ?? '') ?: new stdClass(), // Autres champs du message original
+                    "created_at" => $isoMessage->created_at,
+                    "deleted_at" => $isoMessage->deleted_at, // Non null si le message est à la corbeille
+                    "deleted_by" => $isoMessage->deleted_by,
+                    // Annotations du support (modifiables via PUT api/{id})
+                    "case_reference" => $isoMessage->case_reference,
+                    "notes" => $isoMessage->notes,
+                    "tags" => $isoMessage->readTags(),
+                    "annotated_at" => $isoMessage->annotated_at,
+                    "annotated_by" => $isoMessage->annotated_by
                 );
                 
                 // Envoi de la réponse avec le code 200 (OK)
@@ -106,6 +274,149 @@ switch($request_method) {
                 http_response_code(404);
                 echo json_encode(array("message" => "Message not found."));
             }
+        } elseif (isset($path_parts[2]) && $path_parts[2] === 'trash') {
+            
+            // === CORBEILLE (MESSAGES SUPPRIMÉS, RESTAURABLES) ===
+            $page = isset($_GET['page']) ? max(1, (int)$_GET['page']) : 1;
+            $limit = isset($_GET['limit']) ? min(100, max(1, (int)$_GET['limit'])) : 20;
+            
+            $stmt = $isoMessage->read($page, $limit, array(), 'deleted_at', 'desc', true);
+            $total = (int)$isoMessage->count(array(), true);
+            
+            $messages_arr = array();
+            while($row = $stmt->fetch(PDO::FETCH_ASSOC)) {
+                $messages_arr[] = array(
+                    "id" => $row['id'],
+                    "mti" => $row['mti'],
+                    "pan" => IsoMessage::maskPan($row['pan']),
+                    "amount" => (int)$row['amount'],
+                    "rrn" => $row['rrn'],
+                    "response_code" => $row['response_code'],
+                    "terminal_id" => $row['terminal_id'],
+                    "currency" => $row['currency'],
+                    "created_at" => $row['created_at'],
+                    "deleted_at" => $row['deleted_at'],
+                    "deleted_by" => $row['deleted_by']
+                );
+            }
+            
+            http_response_code(200);
+            echo json_encode(array(
+                "data" => $messages_arr,
+                "pagination" => array(
+                    "page" => $page,
+                    "limit" => $limit,
+                    "total" => $total,
+                    "total_pages" => ceil($total / $limit)
+                )
+            ));
+        } elseif (isset($path_parts[2]) && $path_parts[2] === 'stats') {
+            
+            // === STATISTIQUES DU TABLEAU DE BORD ===
+            // Mêmes critères de recherche que la liste
+            $filters = IsoMessage::sanitizeFilters($_GET);
+            
+            $stats = $isoMessage->aggregate($filters);
+            $stats['filters'] = (object)$filters;
+            
+            http_response_code(200);
+            echo json_encode($stats);
+        } elseif (isset($path_parts[2]) && $path_parts[2] === 'updates') {
+            
+            // === NOUVEAUX MESSAGES DEPUIS UN IDENTIFIANT (MISE À JOUR EN DIRECT) ===
+            // Interrogé périodiquement par l'interface; mêmes critères de recherche que la liste
+            $sinceId = isset($_GET['since_id']) && is_string($_GET['since_id']) && ctype_digit($_GET['since_id']) ? (int)$_GET['since_id'] : 0;
+            $filters = IsoMessage::sanitizeFilters($_GET);
+            
+            $updates = $isoMessage->readUpdates($sinceId, $filters);
+            $updates['since_id'] = $sinceId;
+            
+            header("Cache-Control: no-store");
+            http_response_code(200);
+            echo json_encode($updates);
+        } elseif (isset($path_parts[2]) && $path_parts[2] === 'export') {
+            
+            // === EXPORT DES MESSAGES (CSV / JSON / XML ISO 8583) ===
+            
+            // Format demandé (csv par défaut)
+            $format = isset($_GET['format']) && is_string($_GET['format']) ? strtolower($_GET['format']) : 'csv';
+            if (!isset(MessageExporter::FORMATS[$format])) {
+                http_response_code(400);
+                echo json_encode(array("message" => "Unsupported export format."));
+                break;
+            }
+            
+            // Le PAN en clair nécessite une demande explicite, la permission dédiée
+            // et un motif: chaque message exporté est tracé dans le journal d'audit
+            $fullPan = isset($_GET['full_pan']) && $_GET['full_pan'] === '1';
+            $reason = '';
+            if ($fullPan) {
+                AuthManager::requirePermission($user, 'export_full_pan');
+                $reason = isset($_GET['reason']) && is_string($_GET['reason']) ? trim($_GET['reason']) : '';
+                if (mb_strlen($reason) < AuditLog::MIN_REASON_LENGTH || mb_strlen($reason) > 255) {
+                    http_response_code(400);
+                    echo json_encode(array("message" => "A reason of " . AuditLog::MIN_REASON_LENGTH . " to 255 characters is required to export full PANs."));
+                    break;
+                }
+            }
+            
+            // Périmètre: sélection d'identifiants (ids=1,2,3) et/ou critères de recherche
+            $ids = array();
+            if (isset($_GET['ids']) && is_string($_GET['ids']) && $_GET['ids'] !== '') {
+                $ids = array_filter(explode(',', $_GET['ids']), 'ctype_digit');
+                if (empty($ids)) {
+                    http_response_code(400);
+                    echo json_encode(array("message" => "Invalid message IDs."));
+                    break;
+                }
+            }
+            $filters = IsoMessage::sanitizeFilters($_GET);
+            $sort = isset($_GET['sort']) && is_string($_GET['sort']) && isset(IsoMessage::SORT_COLUMNS[$_GET['sort']]) ? $_GET['sort'] : 'created_at';
+            $order = isset($_GET['order']) && is_string($_GET['order']) && strtolower($_GET['order']) === 'asc' ? 'asc' : 'desc';
+            
+            // Lecture et préparation des messages (PAN masqué sauf autorisation)
+            // Une ligne de plus que la limite est lue: un export tronqué est refusé
+            // plutôt que livré incomplet sans le signaler
+            $stmt = $isoMessage->readAll($filters, $ids, $sort, $order, IsoMessage::MAX_EXPORT_ROWS + 1);
+            $messages_arr = array();
+            while($row = $stmt->fetch(PDO::FETCH_ASSOC)) {
+                $messages_arr[] = MessageExporter::prepareRow($row, $fullPan);
+            }
+            if (count($messages_arr) > IsoMessage::MAX_EXPORT_ROWS) {
+                http_response_code(413);
+                echo json_encode(array("message" => "Too many messages to export (more than " . IsoMessage::MAX_EXPORT_ROWS . "). Narrow the search criteria or export a selection."));
+                break;
+            }
+            
+            // Aucun PAN n'est exporté si l'accès ne peut pas être journalisé
+            // (échec signalé par false ou par une PDOException selon ERRMODE)
+            if ($fullPan && !empty($messages_arr)) {
+                $auditLog = new AuditLog($db);
+                try {
+                    $db->beginTransaction();
+                    $recorded = $auditLog->recordAll($user, 'pan_export', array_column($messages_arr, 'id'), $reason)
+                        && $db->commit();
+                } catch (PDOException $e) {
+                    error_log("Full PAN export audit failed: " . $e->getMessage());
+                    $recorded = false;
+                }
+                if (!$recorded) {
+                    if ($db->inTransaction()) {
+                        $db->rollBack();
+                    }
+                    http_response_code(503);
+                    echo json_encode(array("message" => "Unable to record the export in the audit log."));
+                    break;
+                }
+            }
+            
+            // Envoi du fichier en téléchargement
+            list($contentType, $extension) = MessageExporter::FORMATS[$format];
+            header("Content-Type: " . $contentType);
+            header('Content-Disposition: attachment; filename="iso8583_export_' . date('Ymd_His') . '.' . $extension . '"');
+            header("X-Export-Count: " . count($messages_arr));
+            http_response_code(200);
+            echo MessageExporter::export($messages_arr, $format);
         } else {
             
             // === RÉCUPÉRATION DE LA LISTE PAGINÉE DES MESSAGES ===
@@ -113,11 +424,20 @@ switch($request_method) {
             // Récupération des paramètres de pagination depuis l'URL
             $page = isset($_GET['page']) ? (int)$_GET['page'] : 1;       // Page demandée (défaut: 1)
             $limit = isset($_GET['limit']) ? (int)$_GET['limit'] : 10;   // Nombre d'éléments par page (défaut: 10)
+            $page = max(1, $page);
+            $limit = min(100, max(1, $limit));                          // Borné à 100 éléments par page
+            
+            // Tri demandé (liste blanche dans le modèle)
+            $sort = isset($_GET['sort']) && is_string($_GET['sort']) && isset(IsoMessage::SORT_COLUMNS[$_GET['sort']]) ? $_GET['sort'] : 'created_at';
+            $order = isset($_GET['order']) && is_string($_GET['order']) && strtolower($_GET['order']) === 'asc' ? 'asc' : 'desc';
+            
+            // Critères de recherche (RRN, terminal, MTI, devise, dates, montants...)
+            $filters = IsoMessage::sanitizeFilters($_GET);
             
             // Exécution de la requête de lecture paginée
-            $stmt = $isoMessage->read($page, $limit);
+            $stmt = $isoMessage->read($page, $limit, $filters, $sort, $order);
             // Récupération du nombre total de messages pour la pagination
-            $total = $isoMessage->count();
+            $total = $isoMessage->count($filters);
             
             // Construction du tableau des messages
             $messages_arr = array();
@@ -135,11 +455,19 @@ switch($request_method) {
                     "response_code" => $row['response_code'],
                     "terminal_id" => $row['terminal_id'],
                     "currency" => $row['currency'],
-                    "created_at" => $row['created_at']
+                    "created_at" => $row['created_at'],
+                    "case_reference" => $row['case_reference']
                 );
                 array_push($messages_arr, $message_item); // Ajout au tableau des résultats
             }
             
+            // Étiquettes des messages de la page (une seule requête)
+            $tags = $isoMessage->readTagsFor(array_column($messages_arr, 'id'));
+            foreach ($messages_arr as &$message_item) {
+                $message_item['tags'] = $tags[(int)$message_item['id']] ?? array();
+            }
+            unset($message_item);
+            
             // Construction de la réponse avec les données et les informations de pagination
             $response = array(
                 "data" => $messages_arr, // Les messages
@@ -147,8 +475,11 @@ switch($request_method) {
                     "page" => $page,
                     "limit" => $limit,
                     "total" => (int)$total,
-                    "total_pages" => ceil($total / $limit) // Calcul du nombre total de pages
-                )
+                    "total_pages" => ceil($total / $limit), // Calcul du nombre total de pages
+                    "sort" => $sort,
+                    "order" => $order
+                ),
+                "filters" => (object)$filters // Critères effectivement appliqués
             );
             
             // Envoi de la réponse
@@ -161,43 +492,197 @@ switch($request_method) {
     // MÉTHODE POST - CRÉATION DE NOUVELLES DONNÉES
     // ========================================================================
     case 'POST':
-        // Vérification de la présence d'un fichier XML dans la requête
-        if (isset($_FILES['xml_file'])) {
-            $uploadedFile = $_FILES['xml_file']; // Récupération du fichier uploadé
+        if (isset($path_parts[2]) && $path_parts[2] === 'refresh') {
             
-            // Vérification que l'upload s'est bien déroulé
-            if ($uploadedFile['error'] !== UPLOAD_ERR_OK) {
-                http_response_code(400); // Bad Request
-                echo json_encode(array("message" => "File upload error."));
+            // === RENOUVELLEMENT DU JWT DE SESSION ===
+            // Seuls les JWT encore valides sont renouvelés (pas les clés d'API)
+            if ($user['token_type'] !== 'jwt') {
+                http_response_code(400);
+                echo json_encode(array("message" => "Only session tokens can be refreshed."));
                 break;
             }
             
-            // Lecture du contenu du fichier XML
-            $xmlContent = file_get_contents($uploadedFile['tmp_name']);
+            // Le compte doit toujours exister et être actif (rôle relu en base)
+            $account = new User($db);
+            if (!$account->readById($user['user_id']) || !$account->is_active) {
+                http_response_code(401);
+                echo json_encode(array("error" => "Unauthorized", "message" => "Account disabled"));
+                break;
+            }
             
-            try {
-                // === PARSING DU FICHIER XML ISO 8583 ===
-                $parsedData = XmlParser::parseIso8583Xml($xmlContent);
+            http_response_code(200);
+            echo json_encode(AuthManager::issueToken($account->toAuthUser()));
+        } elseif (isset($path_parts[2]) && is_numeric($path_parts[2]) && isset($path_parts[3]) && $path_parts[3] === 'reveal') {
+            
+            // === AFFICHAGE DU PAN EN CLAIR (PERMISSION + MOTIF + AUDIT) ===
+            AuthManager::requirePermission($user, 'reveal_pan');
+            
+            $body = json_decode(file_get_contents('php://input'), true);
+            $reason = is_array($body) && isset($body['reason']) && is_string($body['reason']) ? trim($body['reason']) : '';
+            if (mb_strlen($reason) < AuditLog::MIN_REASON_LENGTH || mb_strlen($reason) > 255) {
+                http_response_code(400);
+                echo json_encode(array("message" => "A reason of " . AuditLog::MIN_REASON_LENGTH . " to 255 characters is required."));
+                break;
+            }
+            
+            $isoMessage->id = $path_parts[2];
+            if (!$isoMessage->readOne()) {
+                http_response_code(404);
+                echo json_encode(array("message" => "Message not found."));
+                break;
+            }
+            
+            // Aucun PAN n'est retourné si l'accès ne peut pas être journalisé
+            $auditLog = new AuditLog($db);
+            $auditId = $auditLog->record($user, 'pan_reveal', $isoMessage->id, $reason);
+            if ($auditId === false) {
+                http_response_code(503);
+                echo json_encode(array("message" => "Unable to record the access in the audit log."));
+                break;
+            }
+            
+            header("Cache-Control: no-store");
+            http_response_code(200);
+            echo json_encode(array(
+                "id" => (int)$isoMessage->id,
+                "pan" => $isoMessage->getDecryptedPan(),
+                "audit_id" => $auditId
+            ));
+        } elseif (isset($path_parts[2]) && $path_parts[2] === 'bulk') {
+            
+            // === ACTIONS GROUPÉES (CORBEILLE, RESTAURATION, PURGE, ÉTIQUETTE) ===
+            // {action: delete | restore | purge | tag, ids: [1, 2, 3], tag?: "dispute"}
+            $body = json_decode(file_get_contents('php://input'), true);
+            $action = is_array($body) && isset($body['action']) && is_string($body['action']) ? $body['action'] : '';
+            $ids = is_array($body) && isset($body['ids']) ? IsoMessage::sanitizeIds($body['ids']) : false;
+            
+            if ($ids === false) {
+                http_response_code(400);
+                echo json_encode(array("message" => "Between 1 and " . IsoMessage::MAX_BULK_IDS . " valid message IDs are required."));
+                break;
+            }
+            
+            $result = array("action" => $action, "requested" => count($ids));
+            switch ($action) {
+                case 'delete':
+                    // Identifiants retournés: l'annulation ne restaure que ceux-là
+                    $deleted = $isoMessage->softDelete($ids, $user['username']);
+                    $result["affected"] = count($deleted);
+                    $result["ids"] = $deleted;
+                    break;
+                case 'restore':
+                    $result["affected"] = $isoMessage->restore($ids);
+                    break;
+                case 'purge':
+                    // Suppression définitive: permission dédiée et trace dans le journal d'audit,
+                    // dans une même transaction (aucune purge sans trace)
+                    AuthManager::requirePermission($user, 'purge_messages');
+                    $auditLog = new AuditLog($db);
+                    try {
+                        $db->beginTransaction();
+                        $purged = $isoMessage->purge($ids);
+                        $recorded = $purged !== false
+                            && $auditLog->recordAll($user, 'message_purge', $purged, 'Suppression définitive depuis la corbeille')
+                            && $db->commit();
+                    } catch (PDOException $e) {
+                        error_log("Purge aborted: " . $e->getMessage());
+                        $recorded = false;
+                    }
+                    if (!$recorded) {
+                        if ($db->inTransaction()) {
+                            $db->rollBack();
+                        }
+                        http_response_code(503);
+                        echo json_encode(array("message" => "Unable to record the purge in the audit log; no message was purged."));
+                        break 2;
+                    }
+                    $result["affected"] = count($purged);
+                    $result["ids"] = $purged;
+                    break;
+                case 'tag':
+                    $tag = isset($body['tag']) && is_string($body['tag']) ? strtolower(trim($body['tag'])) : '';
+                    if (!preg_match(IsoMessage::TAG_PATTERN, $tag)) {
+                        http_response_code(400);
+                        echo json_encode(array("message" => "Invalid tag (lowercase letters, digits, '-' or '_', 30 characters max)."));
+                        break 2;
+                    }
+                    $result["tag"] = $tag;
+                    $result["affected"] = $isoMessage->addTag($ids, $tag, $user['username']);
+                    break;
+                default:
+                    http_response_code(400);
+                    echo json_encode(array("message" => "Unsupported bulk action."));
+                    break 2;
+            }
+            
+            http_response_code(200);
+            echo json_encode($result);
+        } elseif (isset($_FILES['xml_file']) || MessageImporter::isJsonContentType($_SERVER['CONTENT_TYPE'] ?? '')) {
+            
+            // === IMPORT: FICHIER (XML, JSON, NDJSON) OU CORPS JSON / NDJSON ===
+            if (isset($_FILES['xml_file'])) {
+                $uploadedFile = $_FILES['xml_file']; // Récupération du fichier uploadé
                 
-                // Log de débogage pour voir les données parsées
-                error_log("Parsed data: " . json_encode($parsedData));
+                // Vérification que l'upload s'est bien déroulé
+                if ($uploadedFile['error'] !== UPLOAD_ERR_OK) {
+                    http_response_code(400); // Bad Request
+                    echo json_encode(array("message" => "File upload error."));
+                    break;
+                }
                 
-                // === ATTRIBUTION DES DONNÉES PARSÉES AU MODÈLE ===
-                $isoMessage->mti = $parsedData['mti'];
-                $isoMessage->pan = $parsedData['pan']; // Sera chiffré automatiquement dans create()
-                $isoMessage->processing_code = $parsedData['processing_code'];
-                $isoMessage->amount = $parsedData['amount'];
-                $isoMessage->transaction_time = $parsedData['transaction_time'];
-                $isoMessage->transaction_date = $parsedData['transaction_date'];
-                $isoMessage->rrn = $parsedData['rrn'];
-                $isoMessage->response_code = $parsedData['response_code'];
-                $isoMessage->terminal_id = $parsedData['terminal_id'];
-                $isoMessage->currency = $parsedData['currency'];
+                // Lecture du contenu du fichier
+                $content = file_get_contents($uploadedFile['tmp_name']);
+                $fileName = $uploadedFile['name'];
+            } else {
+                // Services internes: messages envoyés directement dans le corps de la requête
+                $content = file_get_contents('php://input');
+                $fileName = '';
+            }
+            
+            // Doublons probables (même MTI + RRN + terminal + date/heure + montant qu'un
+            // message existant): refusés sauf confirmation explicite on_duplicate=keep
+            $onDuplicate = ($_POST['on_duplicate'] ?? $_GET['on_duplicate'] ?? '') === 'keep' ? 'keep' : 'reject';
+            
+            // === DÉCOUPAGE EN MESSAGES ===
+            $format = null;
+            try {
+                $format = MessageImporter::detectFormat($content, $fileName, $_SERVER['CONTENT_TYPE'] ?? '');
+                $entries = MessageImporter::readMessages($content, $format);
+            } catch (Exception $e) {
+                error_log("Exception: " . $e->getMessage());
+                http_response_code(400); // Bad Request
+                $prefix = $format === null ? "Import error" : ($format === 'xml' ? "XML parsing error" : "JSON parsing error");
+                echo json_encode(array("message" => $prefix . ": " . $e->getMessage()));
+                break;
+            }
+            
+            if ($format === 'xml' && count($entries) === 1) {
                 
-                // Logs de débogage pour vérifier les valeurs avant création
-                error_log("MTI: " . $isoMessage->mti);
-                error_log("PAN: " . $isoMessage->pan);
-                error_log("Amount: " . $isoMessage->amount);
+                // === FICHIER XML À UN SEUL MESSAGE (RÉPONSE HISTORIQUE) ===
+                try {
+                    $parsedData = XmlParser::buildMessageData($entries[0]['fields'], $entries[0]['header']);
+                } catch (Exception $e) {
+                    // Gestion des erreurs de parsing XML
+                    error_log("Exception: " . $e->getMessage());
+                    http_response_code(400); // Bad Request
+                    echo json_encode(array("message" => "XML parsing error: " . $e->getMessage()));
+                    break;
+                }
+                $isoMessage->assignParsedData($parsedData);
+                
+                // === DÉTECTION DES DOUBLONS PROBABLES ===
+                if ($onDuplicate === 'reject') {
+                    $duplicates = $isoMessage->findDuplicates();
+                    if (!empty($duplicates)) {
+                        http_response_code(409); // Conflict
+                        echo json_encode(array(
+                            "error" => "Conflict",
+                            "message" => "Probable duplicate of an existing message.",
+                            "duplicates" => $duplicates
+                        ));
+                        break;
+                    }
+                }
                 
                 // === SAUVEGARDE EN BASE DE DONNÉES ===
                 if($isoMessage->create()) {
@@ -218,36 +703,129 @@ switch($request_method) {
                         "debug" => $errorInfo // Information de débogage (à retirer en production)
                     ));
                 }
-            } catch (Exception $e) {
-                // Gestion des erreurs de parsing XML
-                error_log("Exception: " . $e->getMessage());
-                http_response_code(400); // Bad Request
-                echo json_encode(array("message" => "XML parsing error: " . $e->getMessage()));
+                break;
             }
+            
+            // === LOT DE MESSAGES: RAPPORT PAR MESSAGE ===
+            // Chaque message est validé et enregistré indépendamment des autres;
+            // status: created (id) | duplicate (duplicates, non enregistré) | error (error)
+            $results = [];
+            $summary = array("total" => count($entries), "created" => 0, "duplicates" => 0, "errors" => 0);
+            $summaryKeys = array("created" => "created", "duplicate" => "duplicates", "error" => "errors");
+            foreach ($entries as $entry) {
+                $result = array("index" => $entry['index']);
+                if (isset($entry['line'])) {
+                    $result["line"] = $entry['line'];
+                }
+                // Repères pour l'affichage du rapport (MTI, RRN)
+                foreach (array('mti' => '0', 'rrn' => '37') as $key => $fieldId) {
+                    if (isset($entry['fields'][$fieldId])) {
+                        $result[$key] = $entry['fields'][$fieldId];
+                    }
+                }
+                
+                try {
+                    if ($entry['error'] !== null) {
+                        throw new Exception($entry['error']);
+                    }
+                    $isoMessage->assignParsedData(XmlParser::buildMessageData($entry['fields'], $entry['header']));
+                    $result["mti"] = $isoMessage->mti;
+                    
+                    $duplicates = $onDuplicate === 'reject' ? $isoMessage->findDuplicates() : [];
+                    if (!empty($duplicates)) {
+                        $result["status"] = "duplicate";
+                        $result["duplicates"] = $duplicates;
+                    } elseif ($isoMessage->create()) {
+                        $result["status"] = "created";
+                        $result["id"] = (int)$isoMessage->id;
+                    } else {
+                        error_log("Database error: " . json_encode($db->errorInfo()));
+                        throw new Exception("Unable to create message.");
+                    }
+                } catch (Exception $e) {
+                    $result["status"] = "error";
+                    $result["error"] = $e->getMessage();
+                }
+                $summary[$summaryKeys[$result["status"]]]++;
+                $results[] = $result;
+            }
+            
+            http_response_code(200);
+            echo json_encode(array(
+                "message" => "{$summary['created']} of {$summary['total']} message(s) created.",
+                "format" => $format,
+                "summary" => $summary,
+                "results" => $results
+            ));
         } else {
-            // Aucun fichier XML fourni
+            // Aucun fichier ni corps JSON fourni
+            http_response_code(400);
+            echo json_encode(array("message" => "No file provided."));
+        }
+        break;
+
+    // ========================================================================
+    // MÉTHODE PUT - ANNOTATIONS (NOTES, RÉFÉRENCE DE DOSSIER, ÉTIQUETTES)
+    // ========================================================================
+    case 'PUT':
+        // Les données ISO 8583 du message restent en lecture seule
+        if (!isset($path_parts[2]) || !ctype_digit($path_parts[2])) {
             http_response_code(400);
-            echo json_encode(array("message" => "No XML file provided."));
+            echo json_encode(array("message" => "Invalid message ID."));
+            break;
         }
+        
+        // {notes?: "...", case_reference?: "...", tags?: ["dispute"]} (clés absentes inchangées)
+        $body = json_decode(file_get_contents('php://input'), true);
+        try {
+            $changes = IsoMessage::sanitizeAnnotations(is_array($body) ? $body : array());
+        } catch (InvalidArgumentException $e) {
+            http_response_code(400);
+            echo json_encode(array("message" => $e->getMessage()));
+            break;
+        }
+        if (empty($changes)) {
+            http_response_code(400);
+            echo json_encode(array("message" => "Nothing to update (notes, case_reference or tags expected)."));
+            break;
+        }
+        
+        $isoMessage->id = (int)$path_parts[2];
+        if (!$isoMessage->readOne() || $isoMessage->deleted_at !== null) {
+            // Message inexistant ou à la corbeille (restaurer avant de modifier)
+            http_response_code(404);
+            echo json_encode(array("message" => "Message not found."));
+            break;
+        }
+        
+        $changed = $isoMessage->updateAnnotations($changes, $user['username']);
+        
+        http_response_code(200);
+        echo json_encode(array(
+            "id" => (int)$isoMessage->id,
+            "changed" => $changed,
+            "case_reference" => $isoMessage->case_reference,
+            "notes" => $isoMessage->notes,
+            "tags" => $isoMessage->readTags(),
+            "annotated_at" => $isoMessage->annotated_at,
+            "annotated_by" => $isoMessage->annotated_by
+        ));
         break;
 
     // ========================================================================
-    // MÉTHODE DELETE - SUPPRESSION DE DONNÉES
+    // MÉTHODE DELETE - MISE À LA CORBEILLE
     // ========================================================================
     case 'DELETE':
         // Vérification qu'un ID numérique est fourni dans l'URL
-        if (isset($path_parts[2]) && is_numeric($path_parts[2])) {
-            $isoMessage->id = $path_parts[2]; // Attribution de l'ID à supprimer
-            
-            // Tentative de suppression
-            if($isoMessage->delete()) {
-                // Succès
+        if (isset($path_parts[2]) && ctype_digit($path_parts[2])) {
+            // Suppression réversible: restauration via POST api/bulk {action: restore}
+            if(count($isoMessage->softDelete(array((int)$path_parts[2]), $user['username'])) > 0) {
                 http_response_code(200);
-                echo json_encode(array("message" => "Message deleted successfully."));
+                echo json_encode(array("message" => "Message moved to trash.", "id" => (int)$path_parts[2]));
             } else {
-                // Échec de suppression
-                http_response_code(503);
-                echo json_encode(array("message" => "Unable to delete message."));
+                // Message inexistant ou déjà à la corbeille
+                http_response_code(404);
+                echo json_encode(array("message" => "Message not found."));
             }
         } else {
             // ID manquant ou invalide
@@ -1,24 +1,187 @@
-// Configuration de l'API
-const API_BASE = 'api';
-
 // Variables globales
 let currentPage = 1;
 let totalPages = 1;
 let bearerToken = null;
 let isAuthenticated = false;
-const limit = 10;
+
+// Session: JWT (connexion) ou clé d'API, conservée dans l'onglet (sessionStorage)
+const SESSION_STORAGE_KEY = 'iso8583.session';
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;      // Renouvellement 1 min avant expiration
+const INACTIVITY_TIMEOUT_MS = 15 * 60 * 1000;   // Déconnexion après 15 min d'inactivité
+let currentUser = null;
+let tokenExpiresAt = null;
+let tokenRefreshTimer = null;
+let inactivityTimer = null;
+let lastActivityAt = Date.now();
+
+// Préférences d'affichage mémorisées entre les visites (localStorage)
+const PREFERENCES_PREFIX = 'iso8583.';
+const PAGE_SIZES = [10, 25, 50, 100];
+let pageSize = loadPreference('pageSize', 10);
+let viewMode = loadPreference('viewMode', 'grid');
+let sortState = loadPreference('sort', { sort: 'created_at', order: 'desc' });
+
+// Critères de recherche actifs (synchronisés avec la query string de l'URL)
+const FILTER_KEYS = [
+    'rrn', 'terminal_id', 'mti', 'response', 'currency',
+    'date_from', 'date_to', 'amount_min', 'amount_max', 'pan_last4', 'tag'
+];
+let currentFilters = {};
+
+// Message affiché dans la fenêtre de détail
+let detailMessage = null;
+
+// PAN en clair obtenu sur demande (POST api/{id}/reveal), masqué automatiquement
+const PAN_REVEAL_DURATION_MS = 30 * 1000;
+let revealedPan = null;          // { messageId, pan, expiresAt }
+let panRevealTimer = null;
+
+// Journal d'audit (réservé à la permission view_audit_log)
+let auditPage = 1;
+let auditFilters = {};
+
+// Chargement de liste en cours (annulé si une autre page est demandée entre-temps)
+let messagesLoadController = null;
+
+// Messages de la page affichée et sélection manuelle (conservée entre les pages)
+let lastLoadedMessages = [];
+const selectedMessageIds = new Set();
+
+// Corbeille: page affichée et sélection; délai pour annuler une suppression
+const UNDO_DELAY_MS = 10 * 1000;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,29}$/;
+let trashPage = 1;
+let lastLoadedTrash = [];
+const selectedTrashIds = new Set();
+
+// Annotations du support (PUT api/{id})
+const MAX_TAGS = 20;
+
+// Nombre maximal de messages par export (IsoMessage::MAX_EXPORT_ROWS)
+const MAX_EXPORT_ROWS = 10000;
+
+// Lire une préférence mémorisée (valeur par défaut si absente ou illisible)
+function loadPreference(key, fallback) {
+    try {
+        const stored = localStorage.getItem(PREFERENCES_PREFIX + key);
+        return stored === null ? fallback : JSON.parse(stored);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+// Mémoriser une préférence
+function savePreference(key, value) {
+    try {
+        localStorage.setItem(PREFERENCES_PREFIX + key, JSON.stringify(value));
+    } catch (error) {
+        // Stockage indisponible (navigation privée): préférence non conservée
+    }
+}
+
+// ============================================================================
+// LANGUE DE L'INTERFACE
+// ============================================================================
+
+// Remplir le sélecteur de langue et appliquer la langue initiale aux textes statiques
+function setupLanguageSelect() {
+    const select = document.getElementById('languageSelect');
+    select.innerHTML = Object.entries(I18N_LANGUAGES)
+        .map(([code, language]) => `<option value="${code}">${escapeHtml(language.label)}</option>`)
+        .join('');
+    select.value = currentLanguage;
+    setLanguage(currentLanguage);
+}
+
+// Changer de langue et redessiner les contenus générés (listes, graphiques, fenêtres ouvertes)
+function changeLanguage(language) {
+    setLanguage(language);
+
+    updateAuthUI();
+    setupListToolbar();
+    fillComposerLabels();
+    renderComposer();
+    updateSelectionUI();
+    updateTrashSelectionUI();
+    updateFilterSummary();
+    renderUploadQueue();
+    updateLiveToggle();
+    updateLiveBanner();
+    if (pendingPreview.length > 0) {
+        renderUploadPreview();
+    }
+    if (lastRawMessage) {
+        decodeRawMessage();
+    }
+    if (lastComparison) {
+        renderComparison();
+    }
+
+    if (!isAuthenticated) return;
+    dashboardKey = null;
+    loadMessages(currentPage);
+    loadTrash(trashPage);
+    if (hasPermission('view_audit_log')) {
+        loadAuditLog(auditPage);
+    }
+    if (detailMessage && document.getElementById('messageModal').style.display === 'block') {
+        displayMessageDetails(detailMessage);
+    }
+}
 
 // Initialiser l'application
 document.addEventListener('DOMContentLoaded', function() {
+    configureApiClient({
+        getToken: () => bearerToken,
+        // Point unique de gestion des 401: token expiré, révoqué ou invalide
+        onUnauthorized: () => endSession(t('auth.sessionExpired'))
+    });
+    setupLanguageSelect();
     setupDragDrop();
-    updateAuthUI();
+    setupListToolbar();
+    setupLiveUpdates();
+    setupComposer();
+    setupGenerator();
+    setupRawPackager();
+    populateCurrencyFilter();
+    applyRoute(readRouteFromUrl(), { initial: true });
+    window.addEventListener('popstate', () => applyRoute(readRouteFromUrl()));
+    setupActivityTracking();
+    if (!restoreSession()) {
+        updateAuthUI();
+    }
 });
 
-// Fonctions d'authentification
+// ============================================================================
+// AUTHENTIFICATION ET SESSION
+// ============================================================================
+
+// Connexion par nom d'utilisateur et mot de passe (JWT émis par l'API)
+async function login() {
+    const username = document.getElementById('loginUsername').value.trim();
+    const passwordInput = document.getElementById('loginPassword');
+    if (!username || !passwordInput.value) {
+        showAlert(t('auth.missingCredentials'), 'error');
+        return;
+    }
+
+    try {
+        const { data: result } = await apiLogin(username, passwordInput.value);
+
+        passwordInput.value = '';
+        startSession(result);
+        showAlert(t('auth.welcome', { username: result.user.username }), 'success');
+    } catch (error) {
+        console.error('Login error:', error.message);
+        showAlert(t('auth.error', { error: error.message }), 'error');
+    }
+}
+
+// Connexion avec une clé d'API (intégrations et services)
 function authenticate() {
     const token = document.getElementById('bearerToken').value.trim();
     if (!token) {
-        showAlert('Veuillez saisir un token d\'authentification', 'error');
+        showAlert(t('auth.missingToken'), 'error');
         return;
     }
 
@@ -26,40 +189,198 @@ function authenticate() {
     testAuthentication();
 }
 
+// Vérifier le token courant sans charger la liste (GET api/me)
 async function testAuthentication() {
     try {
-        const response = await fetch(`${API_BASE}/`, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${bearerToken}`,
-                'Content-Type': 'application/json'
+        const { data: result } = await apiGetCurrentUser();
+        startSession({
+            token: bearerToken,
+            expires_at: result.expires_at,
+            user: {
+                user_id: result.user_id,
+                username: result.username,
+                role: result.role,
+                permissions: result.permissions || []
             }
         });
+        showAlert(t('auth.success'), 'success');
+    } catch (error) {
+        console.error('Auth error:', error.message);
+        showAlert(t('auth.error', { error: error.message }), 'error');
+        endSession();
+    }
+}
 
-        if (response.ok) {
-            isAuthenticated = true;
-            showAlert('Authentification réussie !', 'success');
-            updateAuthUI();
-            loadMessages();
-        } else {
-            const error = await response.json();
-            throw new Error(error.message || 'Authentification échouée');
-        }
+// Ouvrir une session: mémoriser le token, planifier son renouvellement, charger les données
+// restored: rechargement de la page, l'inactivité se compte depuis la dernière
+// activité mémorisée (session.last_activity_at) et non depuis le rechargement
+function startSession(session, { restored = false } = {}) {
+    lastActivityAt = restored ? session.last_activity_at : Date.now();
+    applySession(session);
+    scheduleInactivityTimeout();
+    updateAuthUI();
+    loadMessages(currentPage);
+    // Lien direct vers un message (?message=42): détail ouvert une fois connecté
+    if (openMessageId !== null) {
+        viewMessage(openMessageId, { fromHistory: true });
+    }
+    startLiveUpdates();
+    loadTrash(1);
+    if (hasPermission('view_audit_log')) {
+        loadAuditLog(1);
+    }
+}
+
+// Mémoriser un token (connexion, renouvellement ou rechargement de la page)
+// session: { token, expires_at (secondes epoch, null pour une clé d'API), user }
+function applySession(session) {
+    bearerToken = session.token;
+    currentUser = session.user || null;
+    tokenExpiresAt = session.expires_at ? session.expires_at * 1000 : null;
+    isAuthenticated = true;
+
+    saveSession();
+    scheduleTokenRefresh();
+}
+
+// Enregistrer la session de l'onglet, avec l'heure de la dernière activité
+function saveSession() {
+    try {
+        sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
+            token: bearerToken,
+            expires_at: tokenExpiresAt ? tokenExpiresAt / 1000 : null,
+            user: currentUser,
+            last_activity_at: lastActivityAt
+        }));
     } catch (error) {
-        console.error('Auth error:', error);
-        showAlert(`Erreur d'authentification: ${error.message}`, 'error');
-        isAuthenticated = false;
-        bearerToken = null;
-        updateAuthUI();
+        // Stockage indisponible: la session ne survivra pas au rechargement
     }
 }
 
-function disconnect() {
+// Restaurer la session de l'onglet après un rechargement (sauf si le token a
+// expiré ou si l'utilisateur est resté inactif trop longtemps, onglet fermé compris)
+function restoreSession() {
+    let session = null;
+    try {
+        session = JSON.parse(sessionStorage.getItem(SESSION_STORAGE_KEY));
+    } catch (error) {
+        session = null;
+    }
+    if (!session || !session.token) return false;
+
+    if (session.expires_at && session.expires_at * 1000 <= Date.now()) {
+        sessionStorage.removeItem(SESSION_STORAGE_KEY);
+        return false;
+    }
+    const lastActivity = Number(session.last_activity_at);
+    if (!Number.isFinite(lastActivity) || Date.now() - lastActivity >= INACTIVITY_TIMEOUT_MS) {
+        sessionStorage.removeItem(SESSION_STORAGE_KEY);
+        showAlert(t('auth.inactive'), 'warning');
+        return false;
+    }
+    startSession({ ...session, last_activity_at: Math.min(lastActivity, Date.now()) }, { restored: true });
+    return true;
+}
+
+// Fermer la session (déconnexion, expiration, inactivité)
+function endSession(reason) {
+    clearTimeout(tokenRefreshTimer);
+    clearTimeout(inactivityTimer);
+    stopLiveUpdates();
+    hidePan();
+    try {
+        sessionStorage.removeItem(SESSION_STORAGE_KEY);
+    } catch (error) {
+        // Stockage indisponible: rien à effacer
+    }
+
+    const wasAuthenticated = isAuthenticated;
     isAuthenticated = false;
     bearerToken = null;
-    document.getElementById('bearerToken').value = '';
+    currentUser = null;
+    tokenExpiresAt = null;
+    dashboardKey = null;
     updateAuthUI();
-    showAlert('Déconnexion effectuée', 'warning');
+
+    if (reason && wasAuthenticated) {
+        showAlert(reason, 'warning');
+    }
+}
+
+// Permission accordée au rôle de l'utilisateur connecté (affichage uniquement:
+// l'API vérifie elle-même chaque opération sensible)
+function hasPermission(permission) {
+    return Boolean(currentUser && Array.isArray(currentUser.permissions)
+        && currentUser.permissions.includes(permission));
+}
+
+function disconnect() {
+    document.getElementById('bearerToken').value = '';
+    endSession(t('auth.loggedOut'));
+}
+
+// Renouveler le JWT peu avant son expiration (pas de renouvellement pour une clé d'API)
+function scheduleTokenRefresh() {
+    clearTimeout(tokenRefreshTimer);
+    if (!tokenExpiresAt) return;
+    const delay = Math.max(0, tokenExpiresAt - Date.now() - TOKEN_REFRESH_MARGIN_MS);
+    tokenRefreshTimer = setTimeout(refreshToken, delay);
+}
+
+// Demander un nouveau JWT (POST api/refresh) si l'utilisateur est toujours actif
+// Seul un refus du serveur (401, 403) ferme la session: une panne passagère
+// (réseau, 5xx) est retentée avec un délai croissant tant que le token est valide
+async function refreshToken(attempt = 0) {
+    if (Date.now() - lastActivityAt >= INACTIVITY_TIMEOUT_MS) {
+        endSession(t('auth.inactive'));
+        return;
+    }
+
+    try {
+        const { data: result } = await apiRefreshToken();
+        applySession(result);
+        updateAuthUI();
+    } catch (error) {
+        console.error('Token refresh error:', error.message);
+        if (!isAuthenticated) return;
+
+        const rejected = error instanceof ApiError && (error.status === 401 || error.status === 403);
+        const retryDelay = apiRetryDelay(error, attempt);
+        if (rejected || !tokenExpiresAt || Date.now() + retryDelay >= tokenExpiresAt) {
+            endSession(t('auth.sessionExpired'));
+            return;
+        }
+        clearTimeout(tokenRefreshTimer);
+        tokenRefreshTimer = setTimeout(() => refreshToken(attempt + 1), retryDelay);
+    }
+}
+
+// Suivre l'activité de l'utilisateur (clavier, souris, défilement)
+function setupActivityTracking() {
+    ['click', 'keydown', 'mousemove', 'scroll', 'touchstart'].forEach(eventName => {
+        document.addEventListener(eventName, () => recordActivity(), { passive: true });
+    });
+}
+
+// Enregistrer une activité et repousser la déconnexion pour inactivité
+// (au plus une fois toutes les 5 secondes)
+function recordActivity() {
+    if (!isAuthenticated) return;
+    const now = Date.now();
+    if (now - lastActivityAt < 5000) return;
+
+    lastActivityAt = now;
+    saveSession();
+    scheduleInactivityTimeout();
+}
+
+// Planifier la déconnexion pour inactivité à partir de la dernière activité
+function scheduleInactivityTimeout() {
+    clearTimeout(inactivityTimer);
+    const delay = Math.max(0, lastActivityAt + INACTIVITY_TIMEOUT_MS - Date.now());
+    inactivityTimer = setTimeout(() => {
+        endSession(t('auth.inactive'));
+    }, delay);
 }
 
 function updateAuthUI() {
@@ -67,57 +388,59 @@ function updateAuthUI() {
     const authStatus = document.getElementById('authStatus');
     const authSection = document.getElementById('authSection');
     const uploadSection = document.getElementById('uploadSection');
+    const composerSection = document.getElementById('composerSection');
+    const generatorSection = document.getElementById('generatorSection');
+    const rawSection = document.getElementById('rawSection');
+    const dashboardSection = document.getElementById('dashboardSection');
     const messagesSection = document.getElementById('messagesSection');
+    const trashSection = document.getElementById('trashSection');
+    const auditSection = document.getElementById('auditSection');
     const disconnectBtn = document.getElementById('disconnectBtn');
 
     if (isAuthenticated) {
         authIndicator.classList.add('connected');
-        authStatus.textContent = 'Authentifié';
+        const expiry = tokenExpiresAt
+            ? t('auth.sessionUntil', { time: formatTime(new Date(tokenExpiresAt)) })
+            : '';
+        authStatus.textContent = currentUser
+            ? t('auth.status.user', { username: currentUser.username, role: currentUser.role, expiry })
+            : t('auth.status.authenticated');
         authSection.style.display = 'none';
         uploadSection.classList.remove('disabled');
+        composerSection.classList.remove('disabled');
+        generatorSection.classList.remove('disabled');
+        rawSection.classList.remove('disabled');
+        dashboardSection.classList.remove('disabled');
         messagesSection.classList.remove('disabled');
+        trashSection.classList.remove('disabled');
+        document.getElementById('trashPurgeBtn').style.display = hasPermission('purge_messages') ? '' : 'none';
+        auditSection.style.display = hasPermission('view_audit_log') ? 'block' : 'none';
         disconnectBtn.style.display = 'inline-block';
     } else {
         authIndicator.classList.remove('connected');
-        authStatus.textContent = 'Non authentifié';
+        authStatus.textContent = t('auth.status.none');
         authSection.style.display = 'block';
         uploadSection.classList.add('disabled');
+        composerSection.classList.add('disabled');
+        generatorSection.classList.add('disabled');
+        rawSection.classList.add('disabled');
+        dashboardSection.classList.add('disabled');
         messagesSection.classList.add('disabled');
+        trashSection.classList.add('disabled');
+        document.getElementById('trashContainer').innerHTML = '';
+        auditSection.style.display = 'none';
+        document.getElementById('auditContainer').innerHTML = '';
         disconnectBtn.style.display = 'none';
         
         // Effacer le conteneur de messages
         document.getElementById('messagesContainer').innerHTML = `
             <div class="loading">
-                <p>🔒 Authentification requise pour accéder aux messages</p>
+                <p>${t('messages.authRequiredLocked')}</p>
             </div>
         `;
     }
 }
 
-// Requête API avec authentification
-async function authenticatedFetch(url, options = {}) {
-    if (!isAuthenticated || !bearerToken) {
-        throw new Error('Authentification requise');
-    }
-
-    const headers = {
-        'Authorization': `Bearer ${bearerToken}`,
-        'Content-Type': 'application/json',
-        ...options.headers
-    };
-
-    console.log('Making request to:', url);
-    console.log('With headers:', headers);
-
-    try {
-        const response = await fetch(url, { ...options, headers });
-        return response;
-    } catch (networkError) {
-        console.error('Network error:', networkError);
-        throw new Error(`Network error: ${networkError.message}`);
-    }
-}
-
 // Configurer la fonctionnalité glisser-déposer
 function setupDragDrop() {
     const uploadArea = document.querySelector('.upload-area');
@@ -131,452 +454,2810 @@ function setupDragDrop() {
         uploadArea.classList.remove('dragover');
     });
     
-    uploadArea.addEventListener('drop', (e) => {
+    uploadArea.addEventListener('drop', async (e) => {
         e.preventDefault();
         uploadArea.classList.remove('dragover');
-        if (isAuthenticated && e.dataTransfer.files.length > 0) {
-            uploadFile(e.dataTransfer.files[0]);
+        if (isAuthenticated && e.dataTransfer.items.length > 0) {
+            selectFiles(await collectDroppedFiles(e.dataTransfer));
         }
     });
 }
 
+// Récupérer tous les fichiers déposés, y compris le contenu des dossiers
+async function collectDroppedFiles(dataTransfer) {
+    const entries = Array.from(dataTransfer.items)
+        .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+        .filter(Boolean);
+
+    // Navigateur sans support des entrées: utiliser la liste de fichiers simple
+    if (entries.length === 0) {
+        return Array.from(dataTransfer.files);
+    }
+
+    const files = [];
+    const walk = async (entry, path) => {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            file.relativePath = path + file.name;
+            files.push(file);
+        } else if (entry.isDirectory) {
+            const reader = entry.createReader();
+            let batch;
+            // readEntries retourne les entrées par lots jusqu'à un lot vide
+            do {
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of batch) {
+                    await walk(child, `${path}${entry.name}/`);
+                }
+            } while (batch.length > 0);
+        }
+    };
+
+    for (const entry of entries) {
+        await walk(entry, '');
+    }
+    return files;
+}
+
 // Afficher le message d'alerte
-function showAlert(message, type = 'info') {
+// action (optionnelle): { label, handler } - bouton dans l'alerte (ex: Annuler), affichée plus longtemps
+function showAlert(message, type = 'info', action = null) {
     const alertsContainer = document.getElementById('alerts');
     const alert = document.createElement('div');
     alert.className = `alert ${type}`;
     alert.textContent = message;
+    if (action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'alert-action';
+        button.textContent = action.label;
+        button.onclick = () => {
+            alert.remove();
+            action.handler();
+        };
+        alert.appendChild(button);
+    }
     alertsContainer.appendChild(alert);
     
     setTimeout(() => {
         alert.remove();
-    }, 5000);
+    }, action ? UNDO_DELAY_MS : 5000);
 }
 
-// Télécharger le fichier XML
-async function uploadFile(file) {
+// ============================================================================
+// PRÉ-VALIDATION ET APERÇU AVANT TÉLÉVERSEMENT
+// ============================================================================
+
+// Résultats de la dernière analyse: { file, parsed, messages, errors, warnings }
+// messages: fichier multi-messages ou JSON (voir parseImportFile), null sinon; les
+// erreurs et avertissements du fichier résument alors ceux de ses messages
+let pendingPreview = [];
+
+// Point d'entrée des fichiers sélectionnés ou déposés: analyse locale puis aperçu
+async function selectFiles(files) {
     if (!isAuthenticated) {
-        showAlert('Authentification requise pour télécharger des fichiers', 'error');
+        showAlert(t('upload.authRequired'), 'error');
         return;
     }
 
-    if (!file) return;
-    
-    if (!file.name.toLowerCase().endsWith('.xml')) {
-        showAlert('Veuillez sélectionner un fichier XML valide.', 'error');
+    const list = Array.from(files || []);
+    const importFiles = list.filter(file => isImportFile(file.name));
+    const ignored = list.length - importFiles.length;
+
+    if (ignored > 0) {
+        showAlert(t('upload.ignored', { count: ignored }), 'warning');
+    }
+    if (importFiles.length === 0) {
+        if (list.length > 0) showAlert(t('upload.noXml'), 'error');
         return;
     }
 
-    const formData = new FormData();
-    formData.append('xml_file', file);
+    importFiles.sort((a, b) => fileDisplayName(a).localeCompare(fileDisplayName(b), undefined, { numeric: true }));
 
-    try {
-        const response = await fetch(`${API_BASE}/`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${bearerToken}`
-            },
-            body: formData
-        });
+    pendingPreview = await Promise.all(importFiles.map(async file => {
+        try {
+            const { format, messages } = parseImportFile(await file.text(), file.name);
+            if (format === 'xml' && messages.length === 1) {
+                // Fichier XML à un seul message: aperçu détaillé des champs
+                const parsed = messages[0].parsed;
+                return { file, parsed, messages: null, ...validateIsoMessage(parsed) };
+            }
+            const checked = messages.map(message => ({
+                ...message,
+                ...(message.parsed ? validateIsoMessage(message.parsed) : { errors: [message.error], warnings: [] })
+            }));
+            return { file, parsed: null, messages: checked, ...summarizeBatchPreview(checked) };
+        } catch (error) {
+            return { file, parsed: null, messages: null, errors: [error.message], warnings: [] };
+        }
+    }));
 
-        const result = await response.json();
+    renderUploadPreview();
+}
 
-        if (response.ok) {
-            showAlert(`Message ISO 8583 ajouté avec succès (ID: ${result.id}) - PAN chiffré automatiquement`, 'success');
-            loadMessages();
-        } else {
-            throw new Error(result.message || 'Erreur lors du téléchargement');
-        }
-    } catch (error) {
-        console.error('Upload error:', error);
-        showAlert(`Erreur: ${error.message}`, 'error');
+// Résumer la validation des messages d'un lot: { errors, warnings } du fichier
+// Le fichier n'est bloqué que si aucun message n'est envoyable
+function summarizeBatchPreview(messages) {
+    const blocked = messages.filter(message => message.errors.length > 0).length;
+    const withWarnings = messages.filter(message => message.errors.length === 0 && message.warnings.length > 0).length;
+    const errors = blocked === messages.length ? [t('preview.batchAllBlocked')] : [];
+    const warnings = [];
+    if (errors.length === 0 && blocked > 0) {
+        warnings.push(t('preview.batchBlocked', { count: blocked }));
+    }
+    if (withWarnings > 0) {
+        warnings.push(t('preview.batchWarnings', { count: withWarnings }));
     }
+    return { errors, warnings };
 }
 
-// Charger les messages avec pagination
-async function loadMessages(page = 1) {
-    if (!isAuthenticated) return;
+// Tableau des messages d'un lot: position, MTI, RRN, état et anomalies
+function renderBatchPreview(messages) {
+    const rows = messages.map(message => {
+        const state = message.errors.length > 0 ? 'invalid' : (message.warnings.length > 0 ? 'warning' : 'valid');
+        const issues = [
+            ...message.errors.map(text => `<div class="issue-error">${escapeHtml(text)}</div>`),
+            ...message.warnings.map(text => `<div class="issue-warning">${escapeHtml(text)}</div>`)
+        ].join('');
+        return `
+            <tr>
+                <td>${batchPosition(message)}</td>
+                <td>${escapeHtml(message.parsed ? message.parsed.mti : '')}</td>
+                <td>${escapeHtml(message.parsed ? message.parsed.fields['37'] || '' : '')}</td>
+                <td>${t({ invalid: 'preview.blocked', warning: 'preview.warning', valid: 'preview.valid' }[state])}</td>
+                <td>${issues}</td>
+            </tr>
+        `;
+    }).join('');
 
-    currentPage = page;
-    const container = document.getElementById('messagesContainer');
-    
-    container.innerHTML = `
-        <div class="loading">
-            <div class="spinner"></div>
-            <p>Chargement des messages sécurisés...</p>
-        </div>
+    return `
+        <table class="preview-fields">
+            <thead><tr><th>#</th><th>MTI</th><th>RRN</th><th>${t('preview.state')}</th><th>${t('preview.issues')}</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
     `;
+}
 
-    try {
-        console.log('Fetching from URL:', `${API_BASE}/?page=${page}&limit=${limit}`);
-        console.log('Using token:', bearerToken ? 'Token present' : 'No token');
-        
-        const response = await authenticatedFetch(`${API_BASE}/?page=${page}&limit=${limit}`);
-        
-        // Enregistrer les détails de la réponse pour le débogage
-        console.log('Response status:', response.status);
-        console.log('Response headers:', [...response.headers.entries()]);
-        console.log('Response ok:', response.ok);
-        
-        // Obtenir d'abord le texte de réponse pour voir ce que nous avons réellement reçu
-        const responseText = await response.text();
-        console.log('Raw response:', responseText);
-        
-        // Vérifier si la réponse est vide
-        if (!responseText) {
-            throw new Error('Empty response from server');
-        }
-        
-        // Essayer d'analyser en JSON
-        let data;
-        try {
-            data = JSON.parse(responseText);
-        } catch (jsonError) {
-            console.error('JSON parse error:', jsonError);
-            console.error('Response that failed to parse:', responseText);
-            
-            // Vérifier si la reponse ressemble à du HTML (cause courante due au mode error enable du serveur Apache)
-            if (responseText.trim().startsWith('<')) {
-                throw new Error('Server returned HTML instead of JSON. This usually means an authentication error or server issue.');
-            } else {
-                throw new Error(`Invalid JSON response: ${jsonError.message}. Response: ${responseText.substring(0, 100)}...`);
-            }
-        }
-
-        if (response.ok) {
-            displayMessages(data.data);
-            updatePagination(data.pagination);
-            updateStats(data.pagination);
-        } else {
-            throw new Error(data.message || `HTTP ${response.status}: ${data.error || 'Unknown error'}`);
-        }
-    } catch (error) {
-        console.error('Load messages error:', error);
-        
-        // Gérer des types d'erreurs spécifiques
-        if (error.message.includes('Unauthorized') || error.message.includes('401')) {
-            isAuthenticated = false;
-            bearerToken = null;
-            updateAuthUI();
-            showAlert('Session expirée. Veuillez vous reconnecter.', 'error');
-        } else if (error.message.includes('NetworkError') || error.message.includes('fetch')) {
-            showAlert('Erreur de connexion au serveur. Vérifiez votre connexion internet.', 'error');
-        } else {
-            showAlert(`Erreur: ${error.message}`, 'error');
-        }
-        
-        container.innerHTML = `
-            <div class="loading">
-                <p>⚠️ Erreur: ${error.message}</p>
-                <button onclick="loadMessages(${page})" style="margin-top: 10px;">Réessayer</button>
-            </div>
-        `;
-    }
+// Position d'un message dans son fichier (numéro de ligne en NDJSON)
+function batchPosition(message) {
+    return message.line ? `${message.index} (${t('preview.line', { line: message.line })})` : String(message.index);
 }
 
-// Afficher les messages dans la grille
-function displayMessages(messages) {
-    const container = document.getElementById('messagesContainer');
-    
-    if (messages.length === 0) {
-        container.innerHTML = `
-            <div class="loading">
-                <p>🔭 Aucun message trouvé</p>
-            </div>
-        `;
-        return;
-    }
+// Afficher l'aperçu des champs et le résultat de la validation de chaque fichier
+function renderUploadPreview() {
+    const modal = document.getElementById('previewModal');
+    const content = document.getElementById('previewContent');
 
-    const messagesGrid = document.createElement('div');
-    messagesGrid.className = 'messages-grid';
+    const invalid = pendingPreview.filter(entry => entry.errors.length > 0).length;
+    const withWarnings = pendingPreview.filter(entry => entry.errors.length === 0 && entry.warnings.length > 0).length;
+    const valid = pendingPreview.length - invalid;
 
-    messages.forEach(message => {
-        const messageCard = document.createElement('div');
-        messageCard.className = 'message-card';
-        messageCard.onclick = () => viewMessage(message.id);
-        
-        // Formater le montant avec la devise
-        const formatAmount = (amount, currency) => {
-            const amt = (amount / 100).toFixed(2);
-            const currencySymbols = { '978': '€', '840': '$', '756': 'CHF' };
-            return `${amt} ${currencySymbols[currency] || currency}`;
-        };
+    const items = pendingPreview.map((entry, index) => {
+        const state = entry.errors.length > 0 ? 'invalid' : (entry.warnings.length > 0 ? 'warning' : 'valid');
+        const badge = t({ invalid: 'preview.blocked', warning: 'preview.warning', valid: 'preview.valid' }[state]);
+        const issues = [
+            ...entry.errors.map(text => `<li class="issue-error">${escapeHtml(text)}</li>`),
+            ...entry.warnings.map(text => `<li class="issue-warning">${escapeHtml(text)}</li>`)
+        ].join('');
+        const fieldRows = entry.parsed
+            ? Object.keys(entry.parsed.fields)
+                .sort((a, b) => Number(a) - Number(b))
+                .map(id => `
+                    <tr>
+                        <td>${escapeHtml(id)}</td>
+                        <td>${escapeHtml(getDataElement(id).name)}</td>
+                        <td class="detail-value">${escapeHtml(entry.parsed.fields[id])}</td>
+                    </tr>
+                `).join('')
+            : '';
 
-        // Formater la date et l'heure
-        const formatDateTime = (date, time) => {
-            if (!date || !time) return 'N/A';
-            const month = date.substring(0, 2);
-            const day = date.substring(2, 4);
-            const hour = time.substring(0, 2);
-            const minute = time.substring(2, 4);
-            const second = time.substring(4, 6);
-            return `${day}/${month} ${hour}:${minute}:${second}`;
-        };
-        
-        messageCard.innerHTML = `
-            <div class="message-header">
-                <span class="message-id">ID: ${message.id}</span>
-                <span class="message-mti">MTI: ${message.mti}</span>
-                <span class="message-amount">${formatAmount(message.amount, message.currency)}</span>
-            </div>
-            <div class="message-details">
-                <div class="detail-item encrypted-field">
-                    <div class="detail-label">PAN (Chiffré)</div>
-                    <div class="detail-value pan-masked">${message.pan}</div>
-                </div>
-                <div class="detail-item">
-                    <div class="detail-label">Code Traitement</div>
-                    <div class="detail-value">${message.processing_code}</div>
-                </div>
-                <div class="detail-item">
-                    <div class="detail-label">Date/Heure Transaction</div>
-                    <div class="detail-value">${formatDateTime(message.transaction_date, message.transaction_time)}</div>
-                </div>
-                <div class="detail-item">
-                    <div class="detail-label">RRN</div>
-                    <div class="detail-value">${message.rrn}</div>
-                </div>
-                <div class="detail-item">
-                    <div class="detail-label">Terminal ID</div>
-                    <div class="detail-value">${message.terminal_id}</div>
-                </div>
-                <div class="detail-item">
-                    <div class="detail-label">Code Réponse</div>
-                    <div class="detail-value">${message.response_code || 'N/A'}</div>
-                </div>
-            </div>
-            <div style="display: flex; justify-content: space-between; align-items: center; margin-top: 15px;">
-                <button class="btn" onclick="event.stopPropagation(); viewMessage(${message.id})" style="padding: 8px 16px; font-size: 0.9rem;">
-                    👁️ Voir Détails
-                </button>
-                <button class="btn danger" onclick="event.stopPropagation(); deleteMessage(${message.id})" style="padding: 8px 16px; font-size: 0.9rem;">
-                    🗑️ Supprimer
-                </button>
-            </div>
+        return `
+            <details class="preview-item ${state}" ${state !== 'valid' || index === 0 ? 'open' : ''}>
+                <summary>
+                    <span class="queue-name">${escapeHtml(fileDisplayName(entry.file))}</span>
+                    <span>${entry.messages ? `${t('preview.messageCount', { count: entry.messages.length })} - ` : ''}${badge}</span>
+                </summary>
+                ${issues ? `<ul class="preview-issues">${issues}</ul>` : ''}
+                ${entry.messages ? renderBatchPreview(entry.messages) : ''}
+                ${fieldRows ? `<table class="preview-fields"><thead><tr><th>${t('common.field')}</th><th>${t('common.name')}</th><th>${t('common.value')}</th></tr></thead><tbody>${fieldRows}</tbody></table>` : ''}
+            </details>
         `;
-        messagesGrid.appendChild(messageCard);
-    });
+    }).join('');
 
-    container.innerHTML = '';
-    container.appendChild(messagesGrid);
+    content.innerHTML = `
+        <h2 style="color: #2c3e50; margin-bottom: 20px;">${t('preview.title')}</h2>
+        <p style="margin-bottom: 20px; color: #34495e;">
+            ${t('preview.summary', {
+                total: pendingPreview.length,
+                valid,
+                warnings: withWarnings > 0 ? t('preview.summaryWarnings', { count: withWarnings }) : '',
+                invalid
+            })}
+        </p>
+        ${items}
+        <div style="display: flex; justify-content: flex-end; gap: 15px; margin-top: 30px;">
+            <button class="btn danger" onclick="cancelUploadPreview()">${t('common.cancel')}</button>
+            <button class="btn success" onclick="confirmUploadPreview()" ${valid === 0 ? 'disabled' : ''}>
+                ${t(withWarnings > 0 ? 'preview.sendAnyway' : 'preview.send')} (${valid})
+            </button>
+        </div>
+    `;
+    modal.style.display = 'block';
 }
 
-// Mettre à jour les contrôles de pagination
-function updatePagination(pagination) {
-    const paginationContainer = document.getElementById('pagination');
-    totalPages = pagination.total_pages;
-    
-    if (totalPages <= 1) {
-        paginationContainer.innerHTML = '';
-        return;
+// Envoyer uniquement les fichiers sans erreur bloquante
+// (et, pour un lot, uniquement ses messages sans erreur bloquante)
+function confirmUploadPreview() {
+    const accepted = pendingPreview.filter(entry => entry.errors.length === 0);
+    const blocked = pendingPreview.length - accepted.length;
+    const blockedMessages = accepted
+        .filter(entry => entry.messages)
+        .reduce((total, entry) => total + entry.messages.filter(message => message.errors.length > 0).length, 0);
+    closePreviewModal();
+
+    if (blocked > 0) {
+        showAlert(t('preview.notSent', { count: blocked }), 'warning');
+    }
+    if (blockedMessages > 0) {
+        showAlert(t('preview.messagesNotSent', { count: blockedMessages }), 'warning');
     }
+    enqueueUploads(accepted.map(entry => {
+        if (!entry.messages) return { file: entry.file };
+        const sendable = entry.messages.filter(message => message.errors.length === 0);
+        return {
+            file: sendable.length === entry.messages.length ? entry.file : batchFile(entry.file, sendable),
+            batch: sendable
+        };
+    }));
+}
 
-    let paginationHTML = '';
+// Fichier NDJSON reprenant une partie des messages d'un lot (nom affiché inchangé)
+function batchFile(original, messages) {
+    const content = messages.map(message => JSON.stringify(importFieldsOf(message.parsed))).join('\n') + '\n';
+    const file = new File([content], `${original.name.replace(/\.[^.]*$/, '')}.ndjson`, { type: 'application/x-ndjson' });
+    file.relativePath = fileDisplayName(original);
+    return file;
+}
 
-    // Bouton précédent
-    paginationHTML += `
-        <button onclick="loadMessages(${pagination.page - 1})" ${pagination.page <= 1 ? 'disabled' : ''}>
-            ⬅️ Précédent
-        </button>
-    `;
+// Abandonner l'envoi
+function cancelUploadPreview() {
+    closePreviewModal();
+    showAlert(t('preview.cancelled'), 'warning');
+}
 
-    // Numéros de page
+// Fermer la fenêtre d'aperçu
+function closePreviewModal() {
+    pendingPreview = [];
+    document.getElementById('previewModal').style.display = 'none';
+}
+
+// ============================================================================
+// FILE D'ATTENTE DE TÉLÉVERSEMENT
+// ============================================================================
+
+// Nombre maximal de fichiers envoyés simultanément à l'API
+const UPLOAD_CONCURRENCY = 3;
+
+// Éléments de la file: { key, file, status, messageId, error, duplicates, keepDuplicate, batch, report }
+// status: 'pending' | 'uploading' | 'created' | 'rejected' | 'duplicate' (décision attendue) | 'skipped'
+//       | 'imported' (lot traité: rapport par message dans report)
+// batch: messages envoyés dans l'ordre du fichier (voir parseImportFile), null pour un message unique
+let uploadQueue = [];
+let uploadQueueRunning = false;
+let uploadQueueSeq = 0;
+
+// Ajouter des fichiers déjà validés (FileList ou tableau) à la file d'attente
+function enqueueFiles(files) {
+    enqueueUploads(Array.from(files || []).map(file => ({ file })));
+}
+
+// Ajouter des envois à la file d'attente: { file, batch?, keepDuplicate? }
+function enqueueUploads(uploads) {
+    if (uploads.length === 0) return;
+
+    uploads.forEach(upload => {
+        uploadQueue.push({
+            key: ++uploadQueueSeq, file: upload.file, status: 'pending', messageId: null, error: null,
+            duplicates: null, keepDuplicate: Boolean(upload.keepDuplicate), batch: upload.batch || null, report: null
+        });
+    });
+
+    renderUploadQueue();
+    processUploadQueue();
+}
+
+// Compatibilité: téléverser un fichier unique (avec pré-validation)
+function uploadFile(file) {
+    if (file) selectFiles([file]);
+}
+
+// Nom affiché d'un fichier (chemin relatif si sélectionné depuis un dossier)
+function fileDisplayName(file) {
+    return file.webkitRelativePath || file.relativePath || file.name;
+}
+
+// Traiter la file avec une concurrence limitée, puis rafraîchir la liste une seule fois
+async function processUploadQueue() {
+    if (uploadQueueRunning) return;
+    uploadQueueRunning = true;
+
+    const worker = async () => {
+        let item;
+        while ((item = uploadQueue.find(entry => entry.status === 'pending'))) {
+            item.status = 'uploading';
+            renderUploadQueue();
+            try {
+                const result = await postXmlFile(item.file, { keepDuplicate: item.keepDuplicate });
+                if (Array.isArray(result.results)) {
+                    // Lot: rapport par message (créé, doublon ou erreur)
+                    item.status = 'imported';
+                    item.report = result;
+                } else {
+                    item.status = 'created';
+                    item.messageId = result.id;
+                }
+                item.error = null;
+            } catch (error) {
+                if (error.code === 'conflict' && error.details && Array.isArray(error.details.duplicates)) {
+                    // Doublon probable: non enregistré, l'utilisateur choisit (ignorer, conserver, comparer)
+                    item.status = 'duplicate';
+                    item.duplicates = error.details.duplicates;
+                    item.error = null;
+                } else {
+                    item.status = 'rejected';
+                    item.error = error.message;
+                }
+            }
+            renderUploadQueue();
+        }
+    };
+
+    try {
+        await Promise.all(Array.from({ length: UPLOAD_CONCURRENCY }, worker));
+    } finally {
+        uploadQueueRunning = false;
+    }
+    renderUploadQueue();
+
+    // Messages des lots comptés individuellement
+    const reports = uploadQueue.filter(item => item.status === 'imported').map(item => item.report);
+    const sum = counter => reports.reduce((total, report) => total + counter(report), 0);
+    const created = uploadQueue.filter(item => item.status === 'created').length + sum(report => report.summary.created);
+    const rejected = uploadQueue.filter(item => item.status === 'rejected').length + sum(report => report.summary.errors);
+    const duplicates = uploadQueue.filter(item => item.status === 'duplicate').length
+        + sum(report => pendingBatchDuplicates(report).length);
+    showAlert(
+        t('queue.finished', { created, rejected })
+            + (duplicates > 0 ? t('queue.finishedDuplicates', { count: duplicates }) : ''),
+        rejected > 0 || duplicates > 0 ? 'warning' : 'success'
+    );
+    loadMessages(currentPage);
+}
+
+// Envoyer un fichier XML à l'API et retourner la réponse JSON
+// options.keepDuplicate: enregistrer malgré un doublon probable
+async function postXmlFile(file, options = {}) {
+    const { data } = await apiUploadXml(file, options);
+    return data;
+}
+
+// Remettre un élément rejeté en attente
+function retryUpload(key) {
+    const item = uploadQueue.find(entry => entry.key === key);
+    if (!item || item.status !== 'rejected') return;
+    item.status = 'pending';
+    item.error = null;
+    renderUploadQueue();
+    processUploadQueue();
+}
+
+// Remettre tous les éléments rejetés en attente
+function retryFailedUploads() {
+    uploadQueue
+        .filter(item => item.status === 'rejected')
+        .forEach(item => {
+            item.status = 'pending';
+            item.error = null;
+        });
+    renderUploadQueue();
+    processUploadQueue();
+}
+
+// Retirer de la file les éléments terminés (créés, rejetés ou ignorés)
+// Les doublons en attente de décision sont conservés
+function clearUploadQueue() {
+    uploadQueue = uploadQueue.filter(item => ['pending', 'uploading', 'duplicate'].includes(item.status));
+    renderUploadQueue();
+}
+
+// Doublon probable: ne pas enregistrer le fichier
+function skipDuplicate(key) {
+    const item = uploadQueue.find(entry => entry.key === key);
+    if (!item || item.status !== 'duplicate') return;
+    item.status = 'skipped';
+    closeCompareModalFor(key);
+    renderUploadQueue();
+}
+
+// Doublon probable: enregistrer quand même (les deux messages sont conservés)
+function keepDuplicate(key) {
+    const item = uploadQueue.find(entry => entry.key === key);
+    if (!item || item.status !== 'duplicate') return;
+    item.status = 'pending';
+    item.keepDuplicate = true;
+    closeCompareModalFor(key);
+    renderUploadQueue();
+    processUploadQueue();
+}
+
+// Appliquer la même décision à tous les doublons en attente
+function resolveAllDuplicates(keep) {
+    uploadQueue
+        .filter(item => item.status === 'duplicate')
+        .forEach(item => (keep ? keepDuplicate(item.key) : skipDuplicate(item.key)));
+}
+
+// ============================================================================
+// RAPPORT D'IMPORT DES LOTS
+// ============================================================================
+
+// Doublons d'un lot encore en attente de décision
+function pendingBatchDuplicates(report) {
+    return report.results.filter(result => result.status === 'duplicate' && !result.resolved);
+}
+
+// Message du lot envoyé correspondant à un résultat de l'API (même position)
+function batchMessageOf(item, result) {
+    return item.batch ? item.batch[result.index - 1] || null : null;
+}
+
+// Afficher le rapport d'un lot: identifiant créé, doublon ou erreur pour chaque message
+function showImportReport(key) {
+    const item = uploadQueue.find(entry => entry.key === key);
+    if (!item || !item.report) return;
+
+    const { summary, results } = item.report;
+    const statusLabels = { created: t('queue.created'), duplicate: t('queue.duplicate'), error: t('queue.rejected') };
+    const rows = results.map(result => {
+        const message = batchMessageOf(item, result);
+        let detail = '';
+        if (result.status === 'created') {
+            detail = `<a href="#" onclick="event.preventDefault(); closeImportReport(); viewMessage(${Number(result.id)})">ID: ${Number(result.id)}</a>`;
+        } else if (result.status === 'duplicate') {
+            detail = `${t('queue.duplicateOf')} ${result.duplicates
+                .map(duplicate => `<a href="#" onclick="event.preventDefault(); closeImportReport(); viewMessage(${Number(duplicate.id)})">ID: ${Number(duplicate.id)}</a>`)
+                .join(', ')}${result.resolved ? ` - ${t(result.resolved === 'keep' ? 'report.resubmitted' : 'queue.skipped')}` : ''}`;
+        } else {
+            detail = `<span class="queue-error">${escapeHtml(result.error)}</span>`;
+        }
+        return `
+            <tr class="report-${result.status}">
+                <td>${batchPosition(message ? { ...message, index: result.index } : result)}</td>
+                <td>${escapeHtml(result.mti || '')}</td>
+                <td>${escapeHtml(result.rrn || '')}</td>
+                <td>${statusLabels[result.status] || escapeHtml(result.status)}</td>
+                <td>${detail}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const pending = pendingBatchDuplicates(item.report).length;
+    const canResolve = pending > 0 && item.batch;
+    document.getElementById('reportContent').innerHTML = `
+        <h2 style="color: #2c3e50; margin-bottom: 10px;">${t('report.title')}</h2>
+        <p class="queue-name" style="margin-bottom: 10px;">${escapeHtml(fileDisplayName(item.file))}</p>
+        <p style="margin-bottom: 20px; color: #34495e;">${t('report.summary', summary)}</p>
+        <table class="preview-fields">
+            <thead><tr><th>#</th><th>MTI</th><th>RRN</th><th>${t('preview.state')}</th><th>${t('report.detail')}</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        ${canResolve ? `
+            <div style="display: flex; justify-content: flex-end; gap: 15px; margin-top: 30px;">
+                <button class="btn danger" onclick="resolveBatchDuplicates(${item.key}, false)">${t('duplicates.skipAll')}</button>
+                <button class="btn success" onclick="resolveBatchDuplicates(${item.key}, true)">${t('report.keepDuplicates', { count: pending })}</button>
+            </div>
+        ` : ''}
+    `;
+    document.getElementById('reportModal').style.display = 'block';
+}
+
+// Fermer le rapport
+function closeImportReport() {
+    document.getElementById('reportModal').style.display = 'none';
+}
+
+// Doublons d'un lot: les ignorer, ou renvoyer les messages concernés en les conservant
+function resolveBatchDuplicates(key, keep) {
+    const item = uploadQueue.find(entry => entry.key === key);
+    if (!item || !item.report || !item.batch) return;
+
+    const pending = pendingBatchDuplicates(item.report);
+    const messages = pending.map(result => batchMessageOf(item, result)).filter(Boolean);
+    pending.forEach(result => {
+        result.resolved = keep ? 'keep' : 'skip';
+    });
+    closeImportReport();
+    if (keep && messages.length > 0) {
+        enqueueUploads([{ file: batchFile(item.file, messages), batch: messages, keepDuplicate: true }]);
+    } else {
+        renderUploadQueue();
+    }
+}
+
+// Afficher l'état de chaque fichier de la file
+function renderUploadQueue() {
+    const container = document.getElementById('uploadQueue');
+    if (!container) return;
+
+    if (uploadQueue.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const statusLabels = {
+        pending: t('queue.pending'),
+        uploading: t('queue.uploading'),
+        created: t('queue.created'),
+        rejected: t('queue.rejected'),
+        duplicate: t('queue.duplicate'),
+        skipped: t('queue.skipped'),
+        imported: t('queue.imported')
+    };
+    const count = status => uploadQueue.filter(item => item.status === status).length;
+    const done = count('created') + count('rejected') + count('duplicate') + count('skipped') + count('imported');
+
+    const rows = uploadQueue.map(item => {
+        let detail = '';
+        if (item.status === 'created') {
+            detail = `<a href="#" onclick="event.preventDefault(); viewMessage(${item.messageId})">ID: ${item.messageId}</a>`;
+        } else if (item.status === 'imported') {
+            const pending = pendingBatchDuplicates(item.report).length;
+            detail = `<span${item.report.summary.errors > 0 ? ' class="queue-error"' : ''}>${t('queue.batchSummary', { ...item.report.summary, duplicates: pending })}</span>
+                <button class="queue-retry" onclick="showImportReport(${item.key})">${t('queue.report')}</button>`;
+        } else if (item.status === 'rejected') {
+            detail = `<span class="queue-error">${escapeHtml(item.error)}</span>
+                <button class="queue-retry" onclick="retryUpload(${item.key})">${t('common.retry')}</button>`;
+        } else if (item.status === 'duplicate') {
+            const links = item.duplicates
+                .map(duplicate => `<a href="#" onclick="event.preventDefault(); viewMessage(${Number(duplicate.id)})">ID: ${Number(duplicate.id)}</a>`)
+                .join(', ');
+            detail = `<span class="queue-error">${t('queue.duplicateOf')} ${links}</span>
+                <button class="queue-retry" onclick="compareUploadWithDuplicate(${item.key})">${t('duplicates.compare')}</button>
+                <button class="queue-retry" onclick="skipDuplicate(${item.key})">${t('duplicates.skip')}</button>
+                <button class="queue-retry" onclick="keepDuplicate(${item.key})">${t('duplicates.keep')}</button>`;
+        }
+        return `
+            <li class="queue-item ${item.status}${item.status === 'imported' && (item.report.summary.errors > 0 || pendingBatchDuplicates(item.report).length > 0) ? ' partial' : ''}">
+                <span class="queue-name">${escapeHtml(fileDisplayName(item.file))}</span>
+                <span class="queue-status">${statusLabels[item.status]}</span>
+                <span class="queue-detail">${detail}</span>
+            </li>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <div class="queue-header">
+            <span>
+                ${t('queue.summary', { done, total: uploadQueue.length, created: count('created') + count('imported'), rejected: count('rejected') })}
+                ${count('duplicate') + count('skipped') > 0 ? t('queue.summaryDuplicates', { duplicates: count('duplicate'), skipped: count('skipped') }) : ''}
+            </span>
+            <span>
+                ${count('duplicate') > 1 ? `<button class="queue-retry" onclick="resolveAllDuplicates(false)">${t('duplicates.skipAll')}</button>
+                    <button class="queue-retry" onclick="resolveAllDuplicates(true)">${t('duplicates.keepAll')}</button>` : ''}
+                ${count('rejected') > 0 && !uploadQueueRunning ? `<button class="queue-retry" onclick="retryFailedUploads()">${t('queue.retryFailed')}</button>` : ''}
+                ${!uploadQueueRunning ? `<button class="queue-retry" onclick="clearUploadQueue()">${t('queue.clear')}</button>` : ''}
+            </span>
+        </div>
+        <div class="queue-progress"><div style="width: ${Math.round(done * 100 / uploadQueue.length)}%"></div></div>
+        <ul class="queue-list">${rows}</ul>
+    `;
+}
+
+// Échapper le texte inséré dans le HTML
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Charger les messages avec pagination
+// options.silent: rafraîchissement discret (mise à jour en direct): ni indicateur de
+// chargement, ni alerte, position de défilement conservée
+// options.pushHistory: nouvelle entrée d'historique (navigation), sinon URL remplacée
+async function loadMessages(page = 1, options = {}) {
+    if (!isAuthenticated) return;
+
+    currentPage = page;
+    const container = document.getElementById('messagesContainer');
+    
+    if (!options.silent) {
+        container.innerHTML = `
+            <div class="loading">
+                <div class="spinner"></div>
+                <p>${t('messages.loading')}</p>
+            </div>
+        `;
+    }
+
+    if (messagesLoadController) {
+        messagesLoadController.abort();
+    }
+    const controller = new AbortController();
+    messagesLoadController = controller;
+
+    try {
+        const { data } = await apiListMessages(
+            { page, limit: pageSize, ...sortState, ...currentFilters },
+            controller.signal
+        );
+
+        updateRouteUrl(options.pushHistory);
+        lastLoadedMessages = data.data;
+        const scrollY = window.scrollY;
+        displayMessages(data.data);
+        if (options.silent) {
+            window.scrollTo(0, scrollY);
+        }
+        updatePagination(data.pagination);
+        updateStats(data.pagination);
+        refreshDashboard(data.pagination.total);
+        noteListLoaded(data.pagination.total);
+    } catch (error) {
+        // Chargement remplacé par un plus récent, ou session fermée (401): rien à afficher
+        if (isAbortError(error) || !isAuthenticated) {
+            return;
+        }
+        console.error('Load messages error:', error.message);
+        // Rafraîchissement discret: la page affichée reste en place, nouvel essai au prochain cycle
+        if (options.silent) {
+            return;
+        }
+        
+        if (error.code === 'network' || error.code === 'timeout') {
+            showAlert(t('messages.connectionError', { error: error.message }), 'error');
+        } else {
+            showAlert(t('common.error', { error: error.message }), 'error');
+        }
+        
+        container.innerHTML = `
+            <div class="loading">
+                <p>${escapeHtml(t('messages.loadError', { error: error.message }))}</p>
+                <button onclick="loadMessages(${page})" style="margin-top: 10px;">${t('common.retryPlain')}</button>
+            </div>
+        `;
+    } finally {
+        if (messagesLoadController === controller) {
+            messagesLoadController = null;
+        }
+    }
+}
+
+// ============================================================================
+// NAVIGATION (URL PARTAGEABLE, PRÉCÉDENT / SUIVANT)
+// ============================================================================
+// L'URL reflète la liste affichée et le message ouvert, ex:
+//   ?tag=dispute&page=3&limit=25&sort=amount&order=asc&message=42
+// - taille de page et tri omis lorsqu'ils valent les valeurs par défaut sur la
+//   première page, toujours écrits au-delà (le lien montre exactement la même page)
+// - changement de page, de recherche, de taille ou de tri, ouverture et fermeture
+//   du détail: nouvelle entrée d'historique; rafraîchissements: URL remplacée
+// - précédent / suivant: liste rechargée, détail fermé ou rouvert
+
+// Tri par défaut (non écrit dans l'URL de la première page)
+const DEFAULT_SORT = { sort: 'created_at', order: 'desc' };
+
+// Message dont le détail est ouvert (paramètre message de l'URL), null sinon
+let openMessageId = null;
+
+// Lire l'état demandé par l'URL: { filters, page, limit, sort, messageId }
+// limit et sort valent null lorsqu'ils sont absents ou invalides
+function readRouteFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const positive = key => {
+        const value = params.get(key) || '';
+        return /^\d+$/.test(value) && Number(value) > 0 ? Number(value) : null;
+    };
+    const limit = positive('limit');
+    const sort = params.get('sort');
+    return {
+        filters: readFiltersFromUrl(params),
+        page: positive('page') || 1,
+        limit: PAGE_SIZES.includes(limit) ? limit : null,
+        sort: TABLE_COLUMNS.some(column => column.sort && column.sort === sort)
+            ? { sort, order: params.get('order') === 'asc' ? 'asc' : 'desc' }
+            : null,
+        messageId: positive('message')
+    };
+}
+
+// Paramètres de l'URL correspondant à l'état courant
+function buildRouteParams() {
+    const params = new URLSearchParams(currentFilters);
+    const explicit = currentPage > 1;
+    if (explicit) {
+        params.set('page', currentPage);
+    }
+    if (explicit || pageSize !== PAGE_SIZES[0]) {
+        params.set('limit', pageSize);
+    }
+    if (explicit || sortState.sort !== DEFAULT_SORT.sort || sortState.order !== DEFAULT_SORT.order) {
+        params.set('sort', sortState.sort);
+        params.set('order', sortState.order);
+    }
+    if (openMessageId !== null) {
+        params.set('message', openMessageId);
+    }
+    return params;
+}
+
+// Écrire l'état courant dans l'URL: nouvelle entrée d'historique (push) ou remplacement
+function updateRouteUrl(push = false) {
+    const query = buildRouteParams().toString();
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    const current = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+    if (push && url !== current) {
+        window.history.pushState(null, '', url);
+    } else {
+        window.history.replaceState(null, '', url);
+    }
+    updateFilterSummary();
+}
+
+// Aller à une page de la liste (nouvelle entrée d'historique)
+function goToPage(page) {
+    return loadMessages(page, { pushHistory: true });
+}
+
+// Appliquer l'état de l'URL
+// options.initial: chargement de la page (taille et tri absents: préférences
+// mémorisées conservées; la liste et le détail sont chargés à l'ouverture de session)
+// sinon précédent / suivant (absents: valeurs par défaut, comme à l'écriture de l'URL)
+function applyRoute(route, options = {}) {
+    const limit = route.limit || (options.initial ? pageSize : PAGE_SIZES[0]);
+    const sort = route.sort || (options.initial ? sortState : DEFAULT_SORT);
+    const listChanged = route.page !== currentPage
+        || limit !== pageSize
+        || sort.sort !== sortState.sort || sort.order !== sortState.order
+        || JSON.stringify(route.filters) !== JSON.stringify(currentFilters);
+
+    currentFilters = route.filters;
+    writeFiltersToForm(currentFilters);
+    currentPage = route.page;
+    pageSize = limit;
+    sortState = { ...sort };
+    setupListToolbar();
+
+    if (options.initial || !isAuthenticated) {
+        openMessageId = route.messageId;
+        updateFilterSummary();
+        return;
+    }
+
+    if (listChanged) {
+        loadMessages(route.page);
+    }
+    if (route.messageId !== openMessageId) {
+        if (route.messageId !== null) {
+            viewMessage(route.messageId, { fromHistory: true });
+        } else {
+            closeModal({ fromHistory: true });
+        }
+    }
+}
+
+// Copier le lien direct du message ouvert
+async function copyMessageLink() {
+    try {
+        await navigator.clipboard.writeText(window.location.href);
+        showAlert(t('detail.linkCopied'), 'success');
+    } catch (error) {
+        showAlert(t('detail.link', { url: window.location.href }), 'warning');
+    }
+}
+
+// ============================================================================
+// FILTRES DE RECHERCHE
+// ============================================================================
+
+// Remplir la liste des devises du filtre depuis la table ISO 4217
+function populateCurrencyFilter() {
+    const select = document.getElementById('currencyFilter');
+    if (!select) return;
+
+    Object.keys(ISO_CURRENCIES)
+        .sort((a, b) => ISO_CURRENCIES[a].code.localeCompare(ISO_CURRENCIES[b].code))
+        .forEach(numeric => {
+            const option = document.createElement('option');
+            option.value = numeric;
+            option.textContent = `${ISO_CURRENCIES[numeric].code} (${numeric})`;
+            select.appendChild(option);
+        });
+}
+
+// Lire les critères depuis la query string de l'URL
+function readFiltersFromUrl(params = new URLSearchParams(window.location.search)) {
+    const filters = {};
+    FILTER_KEYS.forEach(key => {
+        const value = (params.get(key) || '').trim();
+        if (value) filters[key] = value;
+    });
+    return filters;
+}
+
+// Lire les critères saisis dans le formulaire
+function readFiltersFromForm() {
+    const form = document.getElementById('filterForm');
+    const filters = {};
+    FILTER_KEYS.forEach(key => {
+        const value = (form.elements[key].value || '').trim();
+        if (value) filters[key] = value;
+    });
+    return filters;
+}
+
+// Reporter des critères dans le formulaire
+function writeFiltersToForm(filters) {
+    const form = document.getElementById('filterForm');
+    if (!form) return;
+    FILTER_KEYS.forEach(key => {
+        form.elements[key].value = filters[key] || '';
+    });
+}
+
+// Nombre de critères actifs à côté du bouton de recherche
+function updateFilterSummary() {
+    const count = Object.keys(currentFilters).length;
+    const summary = document.getElementById('filterSummary');
+    if (summary) {
+        summary.textContent = count > 0 ? t('filters.activeCount', { count }) : '';
+    }
+}
+
+// Appliquer les critères du formulaire et revenir à la première page
+function applyFilters() {
+    currentFilters = readFiltersFromForm();
+    goToPage(1);
+}
+
+// Effacer tous les critères
+function resetFilters() {
+    currentFilters = {};
+    writeFiltersToForm(currentFilters);
+    goToPage(1);
+}
+
+// Filtrer la liste sur une étiquette (clic sur une étiquette d'une carte)
+function filterByTag(tag) {
+    currentFilters = { ...currentFilters, tag };
+    writeFiltersToForm(currentFilters);
+    goToPage(1);
+}
+
+// Étiquettes d'un message, cliquables pour filtrer la liste
+function renderTagChips(tags) {
+    return (tags || []).map(tag => `
+        <button type="button" class="tag-chip${currentFilters.tag === tag ? ' active' : ''}" title="${t('tags.filterTitle')}"
+            onclick="event.stopPropagation(); filterByTag('${escapeHtml(tag)}')">${escapeHtml(tag)}</button>
+    `).join('');
+}
+
+// Copier le lien de la recherche courante dans le presse-papiers
+async function copySearchLink() {
+    try {
+        await navigator.clipboard.writeText(window.location.href);
+        showAlert(t('filters.linkCopied'), 'success');
+    } catch (error) {
+        showAlert(t('filters.link', { url: window.location.href }), 'warning');
+    }
+}
+
+// ============================================================================
+// EXPORT (CSV / JSON / XML ISO 8583)
+// ============================================================================
+
+// Exporter la page courante, le résultat de la recherche ou la sélection
+async function exportMessages() {
+    const scope = document.getElementById('exportScope').value;
+    const format = document.getElementById('exportFormat').value;
+    const fullPanCheckbox = document.getElementById('exportFullPan');
+    const params = { format, ...sortState };
+
+    if (scope === 'page') {
+        if (lastLoadedMessages.length === 0) {
+            showAlert(t('export.emptyPage'), 'warning');
+            return;
+        }
+        params.ids = lastLoadedMessages.map(message => message.id).join(',');
+    } else if (scope === 'selection') {
+        if (selectedMessageIds.size === 0) {
+            showAlert(t('export.emptySelection'), 'warning');
+            return;
+        }
+        params.ids = Array.from(selectedMessageIds).join(',');
+    } else {
+        Object.assign(params, currentFilters);
+    }
+
+    // Le PAN en clair est une option distincte, motivée, confirmée et autorisée côté
+    // serveur (chaque message exporté est tracé dans le journal d'audit)
+    const reasonInput = document.getElementById('exportFullPanReason');
+    if (fullPanCheckbox.checked) {
+        const reason = reasonInput.value.trim();
+        if (reason.length < 10) {
+            showAlert(t('pan.reasonTooShort'), 'error');
+            reasonInput.focus();
+            return;
+        }
+        if (!confirm(t('export.confirmFullPan'))) {
+            return;
+        }
+        params.full_pan = '1';
+        params.reason = reason;
+    }
+
+    try {
+        const { data: blob, headers } = await apiExportMessages(params);
+        const disposition = headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        const filename = match ? match[1] : `iso8583_export.${format}`;
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+
+        const count = headers.get('X-Export-Count');
+        showAlert(t('export.done', { count: count !== null ? t('export.doneCount', { count }) : '', filename }), 'success');
+    } catch (error) {
+        console.error('Export error:', error.message);
+        // 413: trop de messages, l'API refuse plutôt que de tronquer l'export
+        showAlert(error.status === 413
+            ? t('export.tooLarge', { max: formatNumber(MAX_EXPORT_ROWS) })
+            : t('export.error', { error: error.message }), 'error');
+    } finally {
+        fullPanCheckbox.checked = false;
+        reasonInput.value = '';
+    }
+}
+
+// Afficher les messages dans la grille
+function displayMessages(messages) {
+    const container = document.getElementById('messagesContainer');
+    
+    if (messages.length === 0) {
+        const filtered = Object.keys(currentFilters).length > 0;
+        container.innerHTML = `
+            <div class="loading">
+                <p>🔭 ${t(filtered ? 'messages.noMatch' : 'messages.none')}</p>
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = '';
+    container.appendChild(viewMode === 'table' ? buildMessageTable(messages) : buildMessageGrid(messages));
+}
+
+// ============================================================================
+// SÉLECTION DE MESSAGES
+// ============================================================================
+
+// Cocher / décocher un message
+function toggleSelection(messageId, selected) {
+    if (selected) {
+        selectedMessageIds.add(messageId);
+    } else {
+        selectedMessageIds.delete(messageId);
+    }
+    updateSelectionUI();
+}
+
+// Cocher / décocher tous les messages de la page affichée
+function togglePageSelection(selected) {
+    lastLoadedMessages.forEach(message => toggleSelection(message.id, selected));
+    document.querySelectorAll('.select-message').forEach(checkbox => {
+        checkbox.checked = selected;
+    });
+}
+
+// Vider la sélection
+function clearSelection() {
+    selectedMessageIds.clear();
+    document.querySelectorAll('.select-message, .select-page').forEach(checkbox => {
+        checkbox.checked = false;
+    });
+    updateSelectionUI();
+}
+
+// Mettre à jour le compteur de sélection
+function updateSelectionUI() {
+    const count = selectedMessageIds.size;
+    const option = document.querySelector('#exportScope option[value="selection"]');
+    if (option) option.textContent = t('export.scopeSelection', { count });
+
+    const summary = document.getElementById('selectionSummary');
+    if (summary) {
+        summary.style.display = count > 0 ? '' : 'none';
+        summary.querySelector('span').textContent = t('selection.count', { count });
+        document.getElementById('compareSelectionBtn').disabled = count !== 2;
+    }
+}
+
+// Formater la date (MMDD) et l'heure (hhmmss) de transaction selon la locale
+// L'année n'est pas transmise: une année bissextile fixe garde le 29/02 valide
+function formatTransactionDateTime(date, time) {
+    if (!date || !time) return 'N/A';
+    const part = (value, start) => parseInt(value.substring(start, start + 2), 10);
+    const value = new Date(2000, part(date, 0) - 1, part(date, 2), part(time, 0), part(time, 2), part(time, 4));
+    if (isNaN(value.getTime())) return `${date} ${time}`;
+    return new Intl.DateTimeFormat(getDisplayLocale(), {
+        day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+    }).format(value);
+}
+
+// Vue grille: une carte par message
+function buildMessageGrid(messages) {
+    const messagesGrid = document.createElement('div');
+    messagesGrid.className = 'messages-grid';
+
+    messages.forEach(message => {
+        const messageCard = document.createElement('div');
+        messageCard.className = `message-card response-${describeResponseCode(message.response_code).category}${isLiveNew(message) ? ' message-new' : ''}`;
+        messageCard.onclick = () => viewMessage(message.id);
+        
+        messageCard.innerHTML = `
+            <div class="message-header">
+                <span class="message-id">
+                    <input type="checkbox" class="select-message" ${selectedMessageIds.has(message.id) ? 'checked' : ''}
+                        onclick="event.stopPropagation()" onchange="toggleSelection(${message.id}, this.checked)">
+                    ID: ${message.id}
+                </span>
+                <span class="message-mti">MTI: ${message.mti}</span>
+                <span class="message-amount">${formatAmount(message.amount, message.currency)}</span>
+            </div>
+            <div class="message-details">
+                <div class="detail-item encrypted-field">
+                    <div class="detail-label">${t('card.panEncrypted')}</div>
+                    <div class="detail-value pan-masked">${message.pan}</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">${t('card.processingCode')}</div>
+                    <div class="detail-value">${message.processing_code}</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">${t('card.transactionDateTime')}</div>
+                    <div class="detail-value">${formatTransactionDateTime(message.transaction_date, message.transaction_time)}</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">RRN</div>
+                    <div class="detail-value">${message.rrn}</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">Terminal ID</div>
+                    <div class="detail-value">${message.terminal_id}</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">${t('card.responseCode')}</div>
+                    <div class="detail-value">${renderResponseBadge(message.response_code)}</div>
+                </div>
+            </div>
+            ${(message.tags && message.tags.length > 0) || message.case_reference ? `
+                <div class="tag-chips">
+                    ${message.case_reference ? `<span class="case-reference" title="${t('annotations.caseReference')}">📁 ${escapeHtml(message.case_reference)}</span>` : ''}
+                    ${renderTagChips(message.tags)}
+                </div>
+            ` : ''}
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-top: 15px;">
+                <button class="btn" onclick="event.stopPropagation(); viewMessage(${message.id})" style="padding: 8px 16px; font-size: 0.9rem;">
+                    ${t('card.viewDetails')}
+                </button>
+                <button class="btn danger" onclick="event.stopPropagation(); deleteMessage(${message.id})" style="padding: 8px 16px; font-size: 0.9rem;">
+                    ${t('card.delete')}
+                </button>
+            </div>
+        `;
+        messagesGrid.appendChild(messageCard);
+    });
+
+    return messagesGrid;
+}
+
+// ============================================================================
+// VUE TABLEAU
+// ============================================================================
+
+// Colonnes disponibles: sort = clé de tri côté serveur (si triable), labelKey = libellé (catalogue)
+const TABLE_COLUMNS = [
+    { key: 'id', labelKey: 'columns.id', render: m => m.id },
+    { key: 'mti', labelKey: 'columns.mti', sort: 'mti', render: m => escapeHtml(m.mti) },
+    { key: 'pan', labelKey: 'columns.pan', render: m => `<span class="pan-masked">${escapeHtml(m.pan)}</span>` },
+    { key: 'processing_code', labelKey: 'columns.processingCode', render: m => escapeHtml(m.processing_code) },
+    { key: 'amount', labelKey: 'columns.amount', sort: 'amount', render: m => escapeHtml(formatAmount(m.amount, m.currency)) },
+    { key: 'transaction', labelKey: 'columns.transaction', sort: 'transaction', render: m => formatTransactionDateTime(m.transaction_date, m.transaction_time) },
+    { key: 'rrn', labelKey: 'columns.rrn', render: m => escapeHtml(m.rrn) },
+    { key: 'terminal_id', labelKey: 'columns.terminal', sort: 'terminal_id', render: m => escapeHtml(m.terminal_id) },
+    { key: 'response_code', labelKey: 'columns.response', render: m => renderResponseBadge(m.response_code) },
+    { key: 'currency', labelKey: 'columns.currency', render: m => escapeHtml(getCurrency(m.currency) ? getCurrency(m.currency).code : m.currency) },
+    { key: 'created_at', labelKey: 'columns.createdAt', sort: 'created_at', render: m => escapeHtml(formatDateTime(m.created_at)) },
+    { key: 'case_reference', labelKey: 'columns.caseReference', render: m => escapeHtml(m.case_reference || '') },
+    { key: 'tags', labelKey: 'columns.tags', render: m => renderTagChips(m.tags) }
+];
+
+let visibleColumns = loadPreference('columns', TABLE_COLUMNS.map(column => column.key));
+
+// Vue tableau: une ligne par message, en-têtes triables
+function buildMessageTable(messages) {
+    const columns = TABLE_COLUMNS.filter(column => visibleColumns.includes(column.key));
+    const wrapper = document.createElement('div');
+    wrapper.className = 'messages-table-wrapper';
+
+    const headers = columns.map(column => {
+        if (!column.sort) {
+            return `<th>${t(column.labelKey)}</th>`;
+        }
+        const active = sortState.sort === column.sort;
+        const arrow = active ? (sortState.order === 'asc' ? ' ▲' : ' ▼') : '';
+        return `<th class="sortable${active ? ' active' : ''}" onclick="changeSort('${column.sort}')">${t(column.labelKey)}${arrow}</th>`;
+    }).join('');
+
+    const rows = messages.map(message => `
+        <tr class="response-${describeResponseCode(message.response_code).category}${isLiveNew(message) ? ' message-new' : ''}" onclick="viewMessage(${message.id})">
+            <td onclick="event.stopPropagation()">
+                <input type="checkbox" class="select-message" ${selectedMessageIds.has(message.id) ? 'checked' : ''}
+                    onchange="toggleSelection(${message.id}, this.checked)">
+            </td>
+            ${columns.map(column => `<td>${column.render(message)}</td>`).join('')}
+            <td class="row-actions">
+                <button class="queue-retry" onclick="event.stopPropagation(); deleteMessage(${message.id})" title="${t('common.delete')}">🗑️</button>
+            </td>
+        </tr>
+    `).join('');
+
+    wrapper.innerHTML = `
+        <table class="messages-table">
+            <thead><tr>
+                <th><input type="checkbox" class="select-page" title="${t('selection.selectPage')}"
+                    ${messages.every(message => selectedMessageIds.has(message.id)) ? 'checked' : ''}
+                    onchange="togglePageSelection(this.checked)"></th>
+                ${headers}<th></th>
+            </tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+    return wrapper;
+}
+
+// ============================================================================
+// BARRE D'OUTILS DE LA LISTE (VUE, TRI, TAILLE DE PAGE, COLONNES)
+// ============================================================================
+
+// Initialiser les contrôles avec les préférences mémorisées
+function setupListToolbar() {
+    const pageSizeSelect = document.getElementById('pageSizeSelect');
+    if (!pageSizeSelect) return;
+
+    if (!PAGE_SIZES.includes(pageSize)) pageSize = PAGE_SIZES[0];
+    if (!sortState || !TABLE_COLUMNS.some(column => column.sort && column.sort === sortState.sort)) {
+        sortState = { sort: 'created_at', order: 'desc' };
+    }
+    pageSizeSelect.innerHTML = PAGE_SIZES
+        .map(size => `<option value="${size}" ${size === pageSize ? 'selected' : ''}>${t('toolbar.perPage', { size })}</option>`)
+        .join('');
+
+    const sortSelect = document.getElementById('sortSelect');
+    sortSelect.innerHTML = TABLE_COLUMNS
+        .filter(column => column.sort)
+        .map(column => `<option value="${column.sort}">${t(column.labelKey)}</option>`)
+        .join('');
+    sortSelect.value = sortState.sort;
+    document.getElementById('sortOrderBtn').textContent = sortState.order === 'asc' ? '▲' : '▼';
+
+    document.getElementById('columnChooser').innerHTML = TABLE_COLUMNS.map(column => `
+        <label>
+            <input type="checkbox" value="${column.key}" ${visibleColumns.includes(column.key) ? 'checked' : ''}
+                onchange="toggleColumn('${column.key}', this.checked)">
+            ${t(column.labelKey)}
+        </label>
+    `).join('');
+
+    updateViewToggle();
+}
+
+// Basculer entre la grille de cartes et le tableau
+function setViewMode(mode) {
+    viewMode = mode === 'table' ? 'table' : 'grid';
+    savePreference('viewMode', viewMode);
+    updateViewToggle();
+    loadMessages(currentPage);
+}
+
+// Refléter la vue active dans la barre d'outils
+function updateViewToggle() {
+    document.getElementById('gridViewBtn').classList.toggle('active', viewMode === 'grid');
+    document.getElementById('tableViewBtn').classList.toggle('active', viewMode === 'table');
+    document.getElementById('columnChooserMenu').style.display = viewMode === 'table' ? '' : 'none';
+}
+
+// Changer la taille de page (retour à la première page)
+function setPageSize(size) {
+    pageSize = PAGE_SIZES.includes(Number(size)) ? Number(size) : PAGE_SIZES[0];
+    savePreference('pageSize', pageSize);
+    goToPage(1);
+}
+
+// Trier sur une colonne: inverse le sens si elle est déjà active
+function changeSort(sort, order) {
+    if (order) {
+        sortState = { sort, order };
+    } else if (sortState.sort === sort) {
+        sortState = { sort, order: sortState.order === 'asc' ? 'desc' : 'asc' };
+    } else {
+        sortState = { sort, order: 'desc' };
+    }
+    savePreference('sort', sortState);
+    document.getElementById('sortSelect').value = sortState.sort;
+    document.getElementById('sortOrderBtn').textContent = sortState.order === 'asc' ? '▲' : '▼';
+    goToPage(1);
+}
+
+// Inverser le sens du tri courant
+function toggleSortOrder() {
+    changeSort(sortState.sort, sortState.order === 'asc' ? 'desc' : 'asc');
+}
+
+// Afficher ou masquer une colonne du tableau
+function toggleColumn(key, visible) {
+    visibleColumns = TABLE_COLUMNS
+        .map(column => column.key)
+        .filter(columnKey => (columnKey === key ? visible : visibleColumns.includes(columnKey)));
+    savePreference('columns', visibleColumns);
+    loadMessages(currentPage);
+}
+
+// Mettre à jour les contrôles de pagination
+function updatePagination(pagination) {
+    const paginationContainer = document.getElementById('pagination');
+    totalPages = pagination.total_pages;
+    
+    if (totalPages <= 1) {
+        paginationContainer.innerHTML = '';
+        return;
+    }
+
+    let paginationHTML = '';
+
+    // Bouton précédent
+    paginationHTML += `
+        <button onclick="goToPage(${pagination.page - 1})" ${pagination.page <= 1 ? 'disabled' : ''}>
+            ${t('pagination.previous')}
+        </button>
+    `;
+
+    // Numéros de page
     const startPage = Math.max(1, pagination.page - 2);
     const endPage = Math.min(totalPages, pagination.page + 2);
 
-    if (startPage > 1) {
-        paginationHTML += `<button onclick="loadMessages(1)">1</button>`;
-        if (startPage > 2) {
-            paginationHTML += `<span>...</span>`;
-        }
+    if (startPage > 1) {
+        paginationHTML += `<button onclick="goToPage(1)">1</button>`;
+        if (startPage > 2) {
+            paginationHTML += `<span>...</span>`;
+        }
+    }
+
+    for (let i = startPage; i <= endPage; i++) {
+        paginationHTML += `
+            <button onclick="goToPage(${i})" ${i === pagination.page ? 'class="active"' : ''}>
+                ${i}
+            </button>
+        `;
+    }
+
+    if (endPage < totalPages) {
+        if (endPage < totalPages - 1) {
+            paginationHTML += `<span>...</span>`;
+        }
+        paginationHTML += `<button onclick="goToPage(${totalPages})">${totalPages}</button>`;
+    }
+
+    // Bouton Suivant
+    paginationHTML += `
+        <button onclick="goToPage(${pagination.page + 1})" ${pagination.page >= totalPages ? 'disabled' : ''}>
+            ${t('pagination.next')}
+        </button>
+    `;
+
+    paginationContainer.innerHTML = paginationHTML;
+}
+
+// Mettre à jour les statistiques
+function updateStats(pagination) {
+    const first = pagination.total > 0 ? (pagination.page - 1) * pagination.limit + 1 : 0;
+    const last = Math.min(pagination.page * pagination.limit, pagination.total);
+    document.getElementById('totalMessages').textContent = formatNumber(pagination.total);
+    document.getElementById('currentPage').textContent = `${pagination.page} / ${Math.max(1, pagination.total_pages)}`;
+    document.getElementById('pageRange').textContent = t('stats.pageRange', { first, last, limit: pagination.limit });
+}
+
+// ============================================================================
+// MISE À JOUR EN DIRECT
+// ============================================================================
+// D'autres systèmes publient des messages en continu: l'interface interroge
+// périodiquement GET api/updates?since_id=... (requête légère, mêmes critères que
+// la liste) et, à chaque nouveauté, affiche le bandeau "N nouveaux messages",
+// met le total à jour et rafraîchit discrètement la page affichée.
+// Interrogation suspendue à la demande (préférence mémorisée) et onglet masqué.
+
+const LIVE_POLL_INTERVAL_MS = 10 * 1000;
+const LIVE_MAX_INTERVAL_MS = 2 * 60 * 1000;     // Plafond après des échecs successifs
+let liveEnabled = loadPreference('liveUpdates', true);
+let liveTimer = null;
+let liveController = null;
+let liveFailures = 0;
+let liveSinceId = null;          // Dernier identifiant connu (null: référence à établir)
+let liveFiltersKey = null;       // Critères de la référence (changement = nouvelle référence)
+let liveKnownTotal = null;       // Total de la dernière liste affichée
+let liveNewCount = 0;            // Nouveaux messages signalés par le bandeau
+let liveHighlightAfterId = null; // Messages d'identifiant supérieur mis en évidence
+
+// Initialiser le bouton de pause et suivre la visibilité de l'onglet
+function setupLiveUpdates() {
+    updateLiveToggle();
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            pauseLivePolling();
+        } else {
+            scheduleLivePoll(0);
+        }
+    });
+}
+
+// Démarrer le suivi (ouverture de session)
+function startLiveUpdates() {
+    resetLiveState();
+    scheduleLivePoll(0);
+}
+
+// Arrêter le suivi et oublier la référence (fermeture de session)
+function stopLiveUpdates() {
+    pauseLivePolling();
+    resetLiveState();
+}
+
+// Oublier la référence et masquer le bandeau
+function resetLiveState() {
+    liveSinceId = null;
+    liveFiltersKey = null;
+    liveNewCount = 0;
+    liveHighlightAfterId = null;
+    liveFailures = 0;
+    updateLiveBanner();
+}
+
+// Suspendre l'interrogation (sans perdre la référence)
+function pauseLivePolling() {
+    clearTimeout(liveTimer);
+    liveTimer = null;
+    if (liveController) {
+        liveController.abort();
+        liveController = null;
+    }
+}
+
+// Planifier la prochaine interrogation (intervalle allongé après des échecs)
+function scheduleLivePoll(delay) {
+    clearTimeout(liveTimer);
+    liveTimer = null;
+    if (!liveEnabled || !isAuthenticated || document.hidden || liveController) return;
+
+    const interval = delay ?? Math.min(LIVE_POLL_INTERVAL_MS * 2 ** liveFailures, LIVE_MAX_INTERVAL_MS);
+    liveTimer = setTimeout(pollLiveUpdates, interval);
+}
+
+// Interroger l'API et appliquer les nouveautés
+async function pollLiveUpdates() {
+    liveTimer = null;
+    if (!liveEnabled || !isAuthenticated) return;
+
+    // Critères modifiés depuis la référence: en établir une nouvelle
+    const filtersKey = JSON.stringify(currentFilters);
+    if (filtersKey !== liveFiltersKey) {
+        resetLiveState();
+    }
+
+    const controller = new AbortController();
+    liveController = controller;
+
+    try {
+        const { data } = await apiGetUpdates({ since_id: liveSinceId, ...currentFilters }, controller.signal);
+        liveFailures = 0;
+
+        if (liveSinceId === null) {
+            // Première interrogation: référence, sans bandeau
+            liveSinceId = data.latest_id;
+            liveFiltersKey = filtersKey;
+            liveHighlightAfterId = data.latest_id;
+        } else if (data.new_count > 0 || data.total !== liveKnownTotal) {
+            // Nouveaux messages (ou messages supprimés ailleurs): total et page à jour
+            liveNewCount += data.new_count;
+            liveSinceId = Math.max(liveSinceId, data.latest_id);
+            liveKnownTotal = data.total;
+            updateLiveBanner();
+            document.getElementById('totalMessages').textContent = formatNumber(data.total);
+            if (!messagesLoadController) {
+                loadMessages(currentPage, { silent: true });
+            }
+        }
+    } catch (error) {
+        // Suivi suspendu ou session fermée (401): rien à signaler
+        if (isAbortError(error) || !isAuthenticated) return;
+        liveFailures++;
+        console.error('Live updates error:', error.message);
+    } finally {
+        if (liveController === controller) {
+            liveController = null;
+        }
+    }
+    scheduleLivePoll();
+}
+
+// Liste chargée: mémoriser le total; critères modifiés: nouvelle référence immédiate
+function noteListLoaded(total) {
+    liveKnownTotal = total;
+    if (liveFiltersKey !== null && liveFiltersKey !== JSON.stringify(currentFilters)) {
+        resetLiveState();
+        scheduleLivePoll(0);
+    }
+}
+
+// Message arrivé depuis la dernière consultation (mis en évidence dans la liste)
+function isLiveNew(message) {
+    return liveHighlightAfterId !== null && Number(message.id) > liveHighlightAfterId;
+}
+
+// Afficher les nouveaux messages (tri par défaut: les plus récents en premier)
+async function showLiveMessages() {
+    liveNewCount = 0;
+    updateLiveBanner();
+    await loadMessages(1);
+    // Mise en évidence conservée jusqu'au prochain affichage de la liste
+    liveHighlightAfterId = liveSinceId;
+}
+
+// Masquer le bandeau et la mise en évidence
+function dismissLiveBanner() {
+    liveNewCount = 0;
+    liveHighlightAfterId = liveSinceId;
+    updateLiveBanner();
+    displayMessages(lastLoadedMessages);
+}
+
+// Afficher ou masquer le bandeau des nouveaux messages
+function updateLiveBanner() {
+    const banner = document.getElementById('liveBanner');
+    banner.style.display = liveNewCount > 0 ? 'flex' : 'none';
+    banner.querySelector('span').textContent = t('live.newMessages', { count: formatNumber(liveNewCount) });
+}
+
+// Mettre en pause / reprendre la mise à jour en direct
+function toggleLiveUpdates() {
+    liveEnabled = !liveEnabled;
+    savePreference('liveUpdates', liveEnabled);
+    updateLiveToggle();
+    if (liveEnabled) {
+        scheduleLivePoll(0);
+    } else {
+        pauseLivePolling();
+    }
+}
+
+// Refléter l'état du suivi dans la barre d'outils
+function updateLiveToggle() {
+    const button = document.getElementById('liveToggleBtn');
+    button.textContent = t(liveEnabled ? 'live.on' : 'live.paused');
+    button.title = t(liveEnabled ? 'live.pauseTitle' : 'live.resumeTitle');
+    button.classList.toggle('active', liveEnabled);
+}
+
+// ============================================================================
+// TABLEAU DE BORD
+// ============================================================================
+
+// Critères et total de la dernière mise à jour (évite de recalculer à chaque page)
+let dashboardKey = null;
+let dashboardLoadController = null;
+
+// Recharger les statistiques si les filtres ou le nombre de messages ont changé
+async function refreshDashboard(total) {
+    const key = `${JSON.stringify(currentFilters)}|${total}`;
+    if (key === dashboardKey) return;
+    dashboardKey = key;
+
+    if (dashboardLoadController) {
+        dashboardLoadController.abort();
+    }
+    const controller = new AbortController();
+    dashboardLoadController = controller;
+
+    try {
+        const { data: stats } = await apiGetStats(currentFilters, controller.signal);
+        renderDashboard(stats);
+    } catch (error) {
+        if (isAbortError(error)) return;
+        console.error('Dashboard error:', error.message);
+        dashboardKey = null;
+        document.getElementById('dashboardScope').textContent = t('dashboard.unavailable', { error: error.message });
+    }
+}
+
+// Afficher les indicateurs et les graphiques
+function renderDashboard(stats) {
+    const answered = stats.approved + stats.declined;
+    const percent = value => answered > 0 ? formatPercent((value / answered) * 100) : '-';
+    const count = value => formatNumber(value);
+
+    document.getElementById('approvalRate').textContent = percent(stats.approved);
+    document.getElementById('declineRate').textContent = percent(stats.declined);
+    document.getElementById('approvalDetail').textContent =
+        t('dashboard.breakdown', { approved: count(stats.approved), declined: count(stats.declined), none: count(stats.no_response) });
+
+    const activeFilters = Object.keys(currentFilters).length;
+    document.getElementById('dashboardScope').textContent = activeFilters > 0
+        ? t('dashboard.scopeFiltered', { total: count(stats.total), filters: activeFilters })
+        : t('dashboard.scopeAll', { total: count(stats.total) });
+
+    const categoryColors = { approved: '#27ae60', declined: '#e74c3c', error: '#e67e22', unknown: '#95a5a6', none: '#bdc3c7' };
+    document.getElementById('chartResponseCodes').innerHTML = renderHorizontalBarChart(
+        stats.response_codes.map(group => {
+            const response = describeResponseCode(group.key);
+            return {
+                label: group.key || t('dashboard.noResponseCode'),
+                value: group.count,
+                color: categoryColors[response.category],
+                title: `${group.key || '-'} ${response.label}: ${count(group.count)} (${responseCategoryLabel(response.category)})`
+            };
+        }),
+        { formatValue: count, labelWidth: 70 }
+    );
+
+    document.getElementById('chartCurrencies').innerHTML = stats.currencies.length === 0
+        ? renderEmptyChart()
+        : `
+            <table class="data-elements">
+                <thead><tr><th>${t('dashboard.currency')}</th><th>${t('dashboard.transactions')}</th><th>${t('dashboard.value')}</th></tr></thead>
+                <tbody>
+                    ${stats.currencies.map(group => `
+                        <tr>
+                            <td>${escapeHtml(describeCurrency(group.key))}</td>
+                            <td>${count(group.count)}</td>
+                            <td>${escapeHtml(formatAmount(group.amount, group.key))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+    document.getElementById('chartTerminals').innerHTML = renderHorizontalBarChart(
+        stats.terminals.map(group => ({ label: group.key, value: group.count })),
+        { formatValue: count, color: CHART_COLORS[3] }
+    );
+
+    document.getElementById('chartMtis').innerHTML = renderDonutChart(
+        stats.mtis.map(group => {
+            const mti = decodeMti(group.key);
+            return { label: group.key, value: group.count, title: `${group.key}${mti ? ` - ${mti.label}` : ''}: ${count(group.count)}` };
+        }),
+        { formatValue: count }
+    );
+
+    // Toutes les heures sont affichées, même sans transaction
+    const hours = Array.from({ length: 24 }, (unused, hour) => {
+        const key = String(hour).padStart(2, '0');
+        const group = stats.hours.find(entry => entry.key === key);
+        return { label: key, value: group ? group.count : 0, title: t('dashboard.hourTitle', { hour: key, count: count(group ? group.count : 0) }) };
+    });
+    document.getElementById('chartHours').innerHTML = renderBarChart(hours, { formatValue: count });
+
+    document.getElementById('chartDays').innerHTML = renderBarChart(
+        stats.days.map(group => ({
+            label: formatMonthDay(group.key),
+            value: group.count
+        })),
+        { formatValue: count, color: CHART_COLORS[1] }
+    );
+}
+
+// Afficher les détails du message dans la fenêtre modale
+// options.fromHistory: ouverture demandée par l'URL (précédent / suivant, lien direct),
+// sans nouvelle entrée d'historique
+async function viewMessage(messageId, options = {}) {
+    const modal = document.getElementById('messageModal');
+    const modalContent = document.getElementById('modalContent');
+
+    openMessageId = Number(messageId);
+    if (!options.fromHistory) {
+        updateRouteUrl(true);
+    }
+    
+    modalContent.innerHTML = `
+        <div class="loading">
+            <div class="spinner"></div>
+            <p>${t('detail.loading')}</p>
+        </div>
+    `;
+    
+    modal.style.display = 'block';
+
+    try {
+        const { data: message } = await apiGetMessage(messageId);
+        displayMessageDetails(message);
+    } catch (error) {
+        console.error('View message error:', error.message);
+        modalContent.innerHTML = `
+            <div class="loading">
+                <p>${escapeHtml(t('detail.loadError', { error: error.message }))}</p>
+            </div>
+        `;
+    }
+}
+
+// Détail bit à bit d'un TVR / AIP: indicateurs activés en tête, tous les bits dépliables
+function renderEmvFlags(flags) {
+    const active = flags.filter(flag => flag.set);
+    const row = flag => `
+        <li class="${flag.set ? 'emv-flag-set' : ''}">
+            <span class="de-format">${t('emv.bitPosition', { byte: flag.byte, bit: flag.bit })}</span>
+            ${escapeHtml(flag.label)}
+        </li>
+    `;
+    return `
+        ${active.length > 0 ? `<ul class="emv-flags">${active.map(row).join('')}</ul>` : ''}
+        <details class="emv-all-bits">
+            <summary>${t('emv.allBits')}</summary>
+            <ul class="emv-flags">${flags.map(row).join('')}</ul>
+        </details>
+    `;
+}
+
+// Données puce du champ 55: tag, nom EMV, longueur, valeur et interprétation
+function renderEmvData(hex) {
+    let nodes;
+    try {
+        nodes = parseEmvTlv(hex);
+    } catch (error) {
+        return `<p class="decode-summary">${escapeHtml(t('emv.invalid', { reason: error.message }))}</p>`;
+    }
+
+    // Tags de premier niveau et enfants des tags construits (devise utile au montant, etc.)
+    const flatten = list => list.flatMap(node => [node, ...(node.children ? flatten(node.children) : [])]);
+    const allNodes = flatten(nodes);
+
+    const renderRows = (list, depth) => list.map(node => {
+        const sensitive = EMV_SENSITIVE_TAGS.includes(node.tag);
+        const flags = sensitive ? null : decodeEmvFlags(node.tag, node.value);
+        const value = sensitive
+            ? `<span class="pan-masked">${t('emv.masked')}</span>`
+            : escapeHtml(node.value);
+        return `
+            <tr>
+                <td class="de-number" style="padding-left: ${10 + depth * 20}px;">${escapeHtml(node.tag)}</td>
+                <td>${escapeHtml(getEmvTagName(node.tag))}</td>
+                <td class="de-format">${node.length}</td>
+                <td class="detail-value emv-value">${node.children ? '' : value}</td>
+                <td>
+                    ${sensitive || node.children ? '' : `<span class="de-decoded">${escapeHtml(describeEmvValue(node.tag, node.value, allNodes))}</span>`}
+                    ${flags ? renderEmvFlags(flags) : ''}
+                </td>
+            </tr>
+            ${node.children ? renderRows(node.children, depth + 1) : ''}
+        `;
+    }).join('');
+
+    return `
+        <table class="data-elements emv-table">
+            <thead>
+                <tr><th>${t('emv.tag')}</th><th>${t('common.name')}</th><th>${t('emv.length')}</th><th>${t('common.value')}</th><th>${t('emv.interpretation')}</th></tr>
+            </thead>
+            <tbody>${renderRows(nodes, 0)}</tbody>
+        </table>
+    `;
+}
+
+// Afficher les détails du message dans la fenêtre modale
+function displayMessageDetails(message) {
+    const modalContent = document.getElementById('modalContent');
+    
+    const mti = decodeMti(message.mti);
+    const processing = decodeProcessingCode(message.processing_code);
+    const fields = collectMessageFields(message);
+
+    const fieldRows = Object.keys(fields)
+        .sort((a, b) => Number(a) - Number(b))
+        .map(id => {
+            const definition = getDataElement(id);
+            let value = escapeHtml(fields[id]);
+            if (id === '2') {
+                value = `<span class="pan-masked">${value}</span>`;
+            } else if (id === '4') {
+                value += ` <span class="de-decoded">${escapeHtml(formatAmount(fields[id], fields['49']))}</span>`;
+            } else if (id === '39') {
+                value += ` ${renderResponseBadge(fields[id])}`;
+            } else if (id === '49') {
+                value = escapeHtml(describeCurrency(fields[id]));
+            } else if (id === '55') {
+                value = `<span class="emv-value">${value}</span> <a href="#" class="de-decoded" onclick="event.preventDefault(); document.getElementById('emvSection').scrollIntoView({ behavior: 'smooth' })">${t('emv.seeDecoded')}</a>`;
+            }
+            return `
+                <tr>
+                    <td class="de-number">${id}</td>
+                    <td>${escapeHtml(definition.name)}</td>
+                    <td class="de-format">${escapeHtml(formatDataElementSpec(definition))}</td>
+                    <td class="detail-value">${value}</td>
+                </tr>
+            `;
+        }).join('');
+
+    modalContent.innerHTML = `
+        <h2 style="color: #2c3e50; margin-bottom: 30px;">${t('detail.title')}</h2>
+        ${message.deleted_at ? `
+            <div class="alert warning">
+                ${escapeHtml(t('detail.inTrash', { date: formatDateTime(message.deleted_at) }))}${message.deleted_by ? escapeHtml(t('detail.deletedBy', { username: message.deleted_by })) : ''}
+            </div>
+        ` : ''}
+        
+        <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(240px, 1fr)); gap: 20px; margin-bottom: 30px;">
+            <div class="detail-item">
+                <div class="detail-label">${t('detail.messageId')}</div>
+                <div class="detail-value">${message.id}</div>
+            </div>
+            <div class="detail-item encrypted-field">
+                <div class="detail-label">${t('card.panEncrypted')}</div>
+                <div class="detail-value pan-masked" id="panDisplay">${escapeHtml(message.pan)}</div>
+                ${hasPermission('reveal_pan') ? `
+                    <button class="toggle-pan" id="panRevealBtn" onclick="togglePan(${message.id})">${t('pan.reveal')}</button>
+                    <form class="pan-reveal-form" id="panRevealForm" style="display: none;"
+                        onsubmit="event.preventDefault(); revealPan(${message.id})">
+                        <input type="text" id="panRevealReason" maxlength="255"
+                            placeholder="${t('pan.reasonPlaceholder')}">
+                        <button type="submit" class="queue-retry">${t('pan.show')}</button>
+                        <button type="button" class="queue-retry" onclick="togglePan(${message.id})">${t('common.cancel')}</button>
+                    </form>
+                ` : ''}
+            </div>
+            <div class="detail-item">
+                <div class="detail-label">${t('detail.amount')}</div>
+                <div class="detail-value">${formatAmount(message.amount, message.currency)}</div>
+            </div>
+            <div class="detail-item">
+                <div class="detail-label">${t('card.responseCode')}</div>
+                <div class="detail-value">${renderResponseBadge(message.response_code)}</div>
+            </div>
+            <div class="detail-item">
+                <div class="detail-label">${t('detail.createdAt')}</div>
+                <div class="detail-value">${escapeHtml(formatDateTime(message.created_at))}</div>
+            </div>
+        </div>
+
+        <div class="decode-grid">
+            <div class="decode-panel">
+                <h3>📨 MTI ${escapeHtml(message.mti)}</h3>
+                ${mti ? `
+                    <p class="decode-summary">${escapeHtml(message.mti)} = ${escapeHtml(mti.label)}</p>
+                    <dl>
+                        <dt>${t('composer.version')}</dt><dd>${escapeHtml(mti.version)}</dd>
+                        <dt>${t('composer.class')}</dt><dd>${escapeHtml(mti.messageClass)}</dd>
+                        <dt>${t('composer.function')}</dt><dd>${escapeHtml(mti.messageFunction)}</dd>
+                        <dt>${t('composer.origin')}</dt><dd>${escapeHtml(mti.origin)}${mti.repeat ? t('dictionary.repeat') : ''}</dd>
+                    </dl>
+                ` : `<p class="decode-summary">${t('detail.mtiUndecodable')}</p>`}
+            </div>
+            <div class="decode-panel">
+                <h3>${escapeHtml(t('detail.processingTitle', { code: message.processing_code }))}</h3>
+                ${processing ? `
+                    <p class="decode-summary">${escapeHtml(processing.transactionType)}</p>
+                    <dl>
+                        <dt>${t('detail.transaction')}</dt><dd>${escapeHtml(processing.transactionType)}</dd>
+                        <dt>${t('detail.fromAccount')}</dt><dd>${escapeHtml(processing.fromAccount)}</dd>
+                        <dt>${t('detail.toAccount')}</dt><dd>${escapeHtml(processing.toAccount)}</dd>
+                    </dl>
+                ` : `<p class="decode-summary">${t('detail.processingUndecodable')}</p>`}
+            </div>
+        </div>
+
+        <h3 style="color: #2c3e50; margin: 30px 0 10px;">${t('annotations.title')}</h3>
+        <form id="annotationForm" class="annotation-panel" onsubmit="event.preventDefault(); saveAnnotations(${message.id})">
+            <div class="annotation-fields">
+                <label>
+                    ${t('annotations.caseReferenceLabel')}
+                    <input type="text" name="case_reference" maxlength="50" placeholder="${t('annotations.caseReferencePlaceholder')}"
+                        value="${escapeHtml(message.case_reference || '')}">
+                </label>
+                <label>
+                    ${t('annotations.tagsLabel')}
+                    <input type="text" name="tags" list="tagSuggestions" placeholder="dispute, chargeback, test"
+                        value="${escapeHtml((message.tags || []).join(', '))}">
+                </label>
+            </div>
+            <label>
+                ${t('annotations.notes')}
+                <textarea name="notes" rows="4" maxlength="5000" placeholder="${t('annotations.notesPlaceholder')}">${escapeHtml(message.notes || '')}</textarea>
+            </label>
+            <div class="annotation-footer">
+                <span class="decode-summary" id="annotationInfo">${renderAnnotationInfo(message)}</span>
+                ${message.deleted_at ? '' : `<button type="submit" class="queue-retry" id="annotationSaveBtn">${t('annotations.save')}</button>`}
+            </div>
+        </form>
+        <details class="history-panel">
+            <summary>${t('history.title')}</summary>
+            <div id="historyPanel"><p class="decode-summary">${t('history.loading')}</p></div>
+        </details>
+
+        <h3 style="color: #2c3e50; margin: 30px 0 10px;">${t('lifecycle.title')}</h3>
+        <div id="lifecyclePanel" class="lifecycle-panel">
+            <p class="decode-summary">${t('lifecycle.loading')}</p>
+        </div>
+
+        <h3 style="color: #2c3e50; margin: 30px 0 10px;">${t('detail.dataElements', { count: Object.keys(fields).length })}</h3>
+        <table class="data-elements">
+            <thead>
+                <tr><th>DE</th><th>${t('common.name')}</th><th>${t('detail.format')}</th><th>${t('common.value')}</th></tr>
+            </thead>
+            <tbody>${fieldRows}</tbody>
+        </table>
+
+        ${fields['55'] ? `
+            <h3 style="color: #2c3e50; margin: 30px 0 10px;" id="emvSection">${t('emv.title')}</h3>
+            ${renderEmvData(fields['55'])}
+        ` : ''}
+
+        <div style="text-align: center; margin-top: 40px;">
+            <button class="btn" onclick="composeFromMessage(false)">
+                ${t('detail.useAsTemplate')}
+            </button>
+            <button class="btn" onclick="composeFromMessage(true)">
+                ${t('detail.composeReversal')}
+            </button>
+            <button class="btn" onclick="showRawMessage()">
+                ${t('detail.rawFormat')}
+            </button>
+            <button class="btn" onclick="copyMessageLink()">
+                ${t('detail.copyLink')}
+            </button>
+            ${message.deleted_at ? `
+                <button class="btn success" onclick="restoreMessages([${message.id}]); closeModal();">
+                    ${t('detail.restore')}
+                </button>
+            ` : `
+                <button class="btn danger" onclick="deleteMessage(${message.id}); closeModal();">
+                    ${t('detail.delete')}
+                </button>
+            `}
+        </div>
+    `;
+    
+    detailMessage = message;
+    hidePan();
+
+    loadMessageLifecycle(message.id);
+    loadMessageHistory(message.id);
+}
+
+// ============================================================================
+// ANNOTATIONS DU SUPPORT (NOTES, RÉFÉRENCE DE DOSSIER, ÉTIQUETTES)
+// ============================================================================
+
+// Auteur et date de la dernière modification des annotations
+function renderAnnotationInfo(message) {
+    if (!message.annotated_at) return t('annotations.none');
+    return escapeHtml(t('annotations.modified', {
+        date: formatDateTime(message.annotated_at),
+        username: message.annotated_by || '?'
+    }));
+}
+
+// Lire les étiquettes saisies ("dispute, Chargeback test" → ['chargeback', 'dispute', 'test'])
+function parseTagInput(value) {
+    const tags = value.toLowerCase().split(/[\s,;]+/).filter(tag => tag !== '');
+    return Array.from(new Set(tags)).sort();
+}
+
+// Enregistrer les annotations du formulaire de la fenêtre de détail
+async function saveAnnotations(messageId) {
+    const form = document.getElementById('annotationForm');
+    const tags = parseTagInput(form.elements.tags.value);
+    const invalid = tags.filter(tag => !TAG_PATTERN.test(tag));
+    if (invalid.length > 0) {
+        showAlert(t('tags.invalid', { tags: invalid.join(', ') }), 'error');
+        form.elements.tags.focus();
+        return;
+    }
+    if (tags.length > MAX_TAGS) {
+        showAlert(t('tags.tooMany', { max: MAX_TAGS }), 'error');
+        return;
+    }
+
+    const saveButton = document.getElementById('annotationSaveBtn');
+    saveButton.disabled = true;
+    try {
+        const { data: result } = await apiUpdateAnnotations(messageId, {
+            case_reference: form.elements.case_reference.value.trim(),
+            notes: form.elements.notes.value.trim(),
+            tags
+        });
+        if (detailMessage && detailMessage.id == messageId) {
+            Object.assign(detailMessage, {
+                case_reference: result.case_reference,
+                notes: result.notes,
+                tags: result.tags,
+                annotated_at: result.annotated_at,
+                annotated_by: result.annotated_by
+            });
+            document.getElementById('annotationInfo').innerHTML = renderAnnotationInfo(detailMessage);
+            form.elements.tags.value = result.tags.join(', ');
+        }
+
+        if (result.changed.length === 0) {
+            showAlert(t('annotations.unchanged'), 'warning');
+            return;
+        }
+        showAlert(t('annotations.saved'), 'success');
+        loadMessageHistory(messageId);
+        loadMessages(currentPage);
+    } catch (error) {
+        console.error('Save annotations error:', error.message);
+        showAlert(t('common.error', { error: error.message }), 'error');
+    } finally {
+        saveButton.disabled = false;
+    }
+}
+
+// Charger l'historique des annotations dans la fenêtre de détail
+async function loadMessageHistory(messageId) {
+    const panel = document.getElementById('historyPanel');
+
+    try {
+        const { data: result } = await apiGetHistory(messageId);
+        if (!detailMessage || detailMessage.id != messageId || !panel.isConnected) return;
+
+        panel.innerHTML = renderHistory(result.data);
+    } catch (error) {
+        console.error('History error:', error.message);
+        panel.innerHTML = `<p class="issue-error">${escapeHtml(t('history.unavailable', { error: error.message }))}</p>`;
+    }
+}
+
+// Historique: une ligne par champ modifié (ancienne → nouvelle valeur)
+function renderHistory(entries) {
+    if (entries.length === 0) {
+        return `<p class="decode-summary">${t('history.empty')}</p>`;
+    }
+
+    const rows = entries.map(entry => `
+        <tr>
+            <td>${escapeHtml(formatDateTime(entry.changed_at))}</td>
+            <td>${escapeHtml(entry.changed_by)}</td>
+            <td>${escapeHtml(tLabel(`history.fields.${entry.field}`, entry.field))}</td>
+            <td class="history-value">${entry.old_value !== null ? escapeHtml(entry.old_value) : `<em>${t('history.emptyValue')}</em>`}</td>
+            <td class="history-value">${entry.new_value !== null ? escapeHtml(entry.new_value) : `<em>${t('history.emptyValue')}</em>`}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <table class="data-elements">
+            <thead>
+                <tr><th>${t('history.date')}</th><th>${t('history.author')}</th><th>${t('history.field')}</th><th>${t('history.before')}</th><th>${t('history.after')}</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// Charger et afficher la chronologie des messages de la même transaction
+async function loadMessageLifecycle(messageId) {
+    const panel = document.getElementById('lifecyclePanel');
+
+    try {
+        const { data: result } = await apiGetLifecycle(messageId);
+        // La fenêtre a pu être fermée ou réaffichée pour un autre message entre-temps
+        if (!detailMessage || detailMessage.id != messageId || !panel.isConnected) return;
+
+        panel.innerHTML = renderLifecycle(buildTransactionLifecycle(result.data), messageId);
+    } catch (error) {
+        console.error('Lifecycle error:', error.message);
+        panel.innerHTML = `<p class="issue-error">${escapeHtml(t('lifecycle.unavailable', { error: error.message }))}</p>`;
+    }
+}
+
+// Chronologie: une étape par message, temps de réponse, issue finale et anomalies
+function renderLifecycle(lifecycle, currentId) {
+    const outcomeClass = ['approved', 'reversed'].includes(lifecycle.outcome)
+        ? 'approved'
+        : (['declined', 'error'].includes(lifecycle.outcome) ? lifecycle.outcome : 'unknown');
+
+    const steps = lifecycle.steps.map(step => {
+        const message = step.message;
+        const mti = decodeMti(message.mti);
+        const current = message.id == currentId;
+        const time = lifecycle.timeBasis === 'field7'
+            ? `DE 7: ${message.additional_fields['7']}`
+            : formatDateTime(new Date(step.timestamp));
+        return `
+            <li class="lifecycle-step ${step.info ? step.info.role : 'unknown'}${current ? ' current' : ''}">
+                <div class="lifecycle-step-header">
+                    <strong>${escapeHtml(message.mti)}</strong>
+                    <span>${escapeHtml(mti ? mti.label : t('detail.mtiUndecodable'))}</span>
+                    ${message.response_code ? renderResponseBadge(message.response_code) : ''}
+                </div>
+                <div class="lifecycle-step-meta">
+                    ${escapeHtml(time)}
+                    ${step.responseTime !== null ? escapeHtml(t('lifecycle.responseIn', { duration: formatDuration(step.responseTime) })) : ''}
+                    ${current ? t('lifecycle.current') : ` · <a href="#" onclick="event.preventDefault(); viewMessage(${message.id})">ID ${message.id}</a>`}
+                </div>
+            </li>
+        `;
+    }).join('');
+
+    const anomalies = lifecycle.anomalies
+        .map(anomaly => `<li class="issue-warning">⚠️ ${escapeHtml(anomaly.label)} (ID ${anomaly.message.id})</li>`)
+        .join('');
+
+    return `
+        <p class="decode-summary">
+            ${t('lifecycle.outcome')} <span class="rc-badge ${outcomeClass}">${escapeHtml(lifecycleOutcomeLabel(lifecycle.outcome))}</span>
+            · ${t('lifecycle.messageCount', { count: lifecycle.steps.length })}
+            · ${escapeHtml(t('lifecycle.timeBasis', { basis: t(`lifecycle.basis.${lifecycle.timeBasis}`) }))}
+        </p>
+        <ol class="lifecycle-timeline">${steps}</ol>
+        ${anomalies ? `<ul class="preview-issues">${anomalies}</ul>` : ''}
+    `;
+}
+
+// Ouvrir le message affiché dans le compositeur (modèle ou contre-passation)
+function composeFromMessage(reversal) {
+    if (!detailMessage) return;
+
+    // Le PAN masqué n'est pas réutilisable: PAN en clair s'il vient d'être révélé
+    const fields = { ...collectMessageFields(detailMessage), '2': revealedPanFor(detailMessage.id) };
+    loadComposerTemplate(reversal ? buildReversalFields(fields) : fields);
+
+    closeModal();
+    document.getElementById('composerSection').scrollIntoView({ behavior: 'smooth' });
+    if (!fields['2']) {
+        showAlert(t('composer.panUnavailable'), 'warning');
+    }
+}
+
+// Badge coloré d'un code réponse (champ 39): approuvée, refusée ou erreur
+function renderResponseBadge(code) {
+    const response = describeResponseCode(code);
+    const title = responseCategoryLabel(response.category);
+    return `<span class="rc-badge ${response.category}" title="${escapeHtml(title)}">`
+        + `${response.code ? `${escapeHtml(response.code)} - ` : ''}${escapeHtml(response.label)}</span>`;
+}
+
+// Reconstituer les champs ISO 8583 d'un message: colonnes dédiées + champs additionnels
+function collectMessageFields(message) {
+    const fields = {
+        ...(message.additional_fields || {}),
+        '0': message.mti,
+        '2': message.pan,
+        '3': message.processing_code,
+        '4': String(message.amount ?? '').padStart(12, '0'),
+        '12': message.transaction_time,
+        '13': message.transaction_date,
+        '37': message.rrn,
+        '41': message.terminal_id,
+        '49': message.currency
+    };
+    if (message.response_code) {
+        fields['39'] = message.response_code;
     }
+    return fields;
+}
 
-    for (let i = startPage; i <= endPage; i++) {
-        paginationHTML += `
-            <button onclick="loadMessages(${i})" ${i === pagination.page ? 'class="active"' : ''}>
-                ${i}
-            </button>
-        `;
+// ============================================================================
+// COMPARAISON DE MESSAGES
+// ============================================================================
+// Deux messages côte à côte, champ par champ, différences mises en évidence.
+// Sources: deux messages sélectionnés dans la liste, ou un fichier refusé comme
+// doublon probable et le message existant. Le PAN reste masqué des deux côtés.
+
+// Comparaison affichée: { left, right } (côtés: { title, subtitle, fields })
+let lastComparison = null;
+// Élément de la file de téléversement comparé (null: deux messages enregistrés)
+let compareUploadKey = null;
+let compareOnlyDifferences = false;
+
+// Comparer les deux messages sélectionnés
+async function compareSelection() {
+    const ids = Array.from(selectedMessageIds);
+    if (ids.length !== 2) {
+        showAlert(t('compare.selectTwo'), 'warning');
+        return;
     }
 
-    if (endPage < totalPages) {
-        if (endPage < totalPages - 1) {
-            paginationHTML += `<span>...</span>`;
-        }
-        paginationHTML += `<button onclick="loadMessages(${totalPages})">${totalPages}</button>`;
+    try {
+        const [left, right] = await Promise.all(ids.map(id => apiGetMessage(id)));
+        compareUploadKey = null;
+        showComparison(messageSide(left.data), messageSide(right.data));
+    } catch (error) {
+        showAlert(t('compare.loadFailed', { error: error.message }), 'error');
     }
+}
 
-    // Bouton Suivant
-    paginationHTML += `
-        <button onclick="loadMessages(${pagination.page + 1})" ${pagination.page >= totalPages ? 'disabled' : ''}>
-            Suivant ➡️
-        </button>
-    `;
+// Comparer un fichier refusé comme doublon probable avec le message existant le plus récent
+async function compareUploadWithDuplicate(key) {
+    const item = uploadQueue.find(entry => entry.key === key);
+    if (!item || item.status !== 'duplicate') return;
 
-    paginationContainer.innerHTML = paginationHTML;
+    try {
+        const parsed = parseIsoXml(await item.file.text());
+        const { data: existing } = await apiGetMessage(item.duplicates[0].id);
+        compareUploadKey = key;
+        showComparison(fileSide(item.file, parsed), messageSide(existing));
+    } catch (error) {
+        showAlert(t('compare.loadFailed', { error: error.message }), 'error');
+    }
 }
 
-// Mettre à jour les statistiques
-function updateStats(pagination) {
-    document.getElementById('totalMessages').textContent = pagination.total;
-    document.getElementById('currentPage').textContent = pagination.page;
+// Côté "message enregistré"
+function messageSide(message) {
+    return {
+        title: `ID: ${message.id}`,
+        subtitle: formatDateTime(message.created_at),
+        fields: collectMessageFields(message)
+    };
 }
 
-// Afficher les détails du message dans la fenêtre modale
-async function viewMessage(messageId) {
-    const modal = document.getElementById('messageModal');
-    const modalContent = document.getElementById('modalContent');
-    
-    modalContent.innerHTML = `
-        <div class="loading">
-            <div class="spinner"></div>
-            <p>Chargement des détails sécurisés...</p>
+// Côté "fichier téléversé": mêmes conventions que l'API (PAN masqué, montant sur 12 chiffres)
+function fileSide(file, parsed) {
+    const fields = { ...parsed.fields, '0': parsed.mti };
+    if (fields['2'] !== undefined) {
+        fields['2'] = maskPanValue(fields['2']);
+    }
+    if (fields['4'] !== undefined) {
+        fields['4'] = String(fields['4']).padStart(12, '0');
+    }
+    return { title: fileDisplayName(file), subtitle: t('compare.uploadedFile'), fields };
+}
+
+// Masquer un PAN comme l'API: 4 premiers + **** + 4 derniers
+function maskPanValue(pan) {
+    const value = String(pan);
+    return value.length > 8 ? `${value.substring(0, 4)}****${value.slice(-4)}` : value;
+}
+
+// Ouvrir la fenêtre de comparaison
+function showComparison(left, right) {
+    lastComparison = { left, right };
+    renderComparison();
+    document.getElementById('compareModal').style.display = 'block';
+}
+
+// Tableau champ par champ (union des champs des deux côtés)
+function renderComparison() {
+    const { left, right } = lastComparison;
+    const ids = Array.from(new Set([...Object.keys(left.fields), ...Object.keys(right.fields)]))
+        .sort((a, b) => Number(a) - Number(b));
+    const rows = ids.map(id => ({ id, left: left.fields[id], right: right.fields[id] }));
+    const differences = rows.filter(row => row.left !== row.right).length;
+
+    const cell = value => (value === undefined
+        ? `<td class="compare-missing">${t('compare.absent')}</td>`
+        : `<td class="detail-value">${escapeHtml(value)}</td>`);
+    const body = rows
+        .filter(row => !compareOnlyDifferences || row.left !== row.right)
+        .map(row => `
+            <tr class="${row.left !== row.right ? 'compare-diff' : ''}">
+                <td>${escapeHtml(row.id)}</td>
+                <td>${escapeHtml(getDataElement(row.id).name)}</td>
+                ${cell(row.left)}
+                ${cell(row.right)}
+            </tr>
+        `).join('');
+    const header = side => `${escapeHtml(side.title)}<br><small>${escapeHtml(side.subtitle)}</small>`;
+
+    const upload = compareUploadKey !== null ? uploadQueue.find(item => item.key === compareUploadKey) : null;
+    const actions = upload && upload.status === 'duplicate' ? `
+        <div style="display: flex; justify-content: flex-end; gap: 15px; margin-top: 30px;">
+            <button class="btn danger" onclick="skipDuplicate(${upload.key})">${t('duplicates.skip')}</button>
+            <button class="btn success" onclick="keepDuplicate(${upload.key})">${t('duplicates.keep')}</button>
         </div>
+    ` : '';
+
+    document.getElementById('compareContent').innerHTML = `
+        <h2 style="color: #2c3e50; margin-bottom: 20px;">${t(upload ? 'compare.duplicateTitle' : 'compare.title')}</h2>
+        <p class="compare-summary ${differences > 0 ? 'has-differences' : ''}">
+            ${differences > 0 ? t('compare.differences', { count: differences }) : t('compare.identical')}
+        </p>
+        <label class="compare-filter">
+            <input type="checkbox" ${compareOnlyDifferences ? 'checked' : ''} onchange="toggleCompareDifferences(this.checked)">
+            ${t('compare.onlyDifferences')}
+        </label>
+        <table class="preview-fields compare-table">
+            <thead><tr><th>${t('common.field')}</th><th>${t('common.name')}</th><th>${header(left)}</th><th>${header(right)}</th></tr></thead>
+            <tbody>${body}</tbody>
+        </table>
+        ${actions}
     `;
-    
-    modal.style.display = 'block';
+}
+
+// Afficher uniquement les champs différents
+function toggleCompareDifferences(onlyDifferences) {
+    compareOnlyDifferences = onlyDifferences;
+    renderComparison();
+}
+
+// Fermer la fenêtre de comparaison
+function closeCompareModal() {
+    lastComparison = null;
+    compareUploadKey = null;
+    document.getElementById('compareModal').style.display = 'none';
+}
+
+// Fermer la comparaison d'un fichier une fois la décision prise
+function closeCompareModalFor(key) {
+    if (compareUploadKey === key) {
+        closeCompareModal();
+    }
+}
+
+// ============================================================================
+// AFFICHAGE AUDITÉ DU PAN
+// ============================================================================
+// Le PAN en clair n'est jamais chargé avec le détail du message: il est demandé
+// avec un motif (journalisé côté serveur), affiché PAN_REVEAL_DURATION_MS puis
+// masqué et oublié.
+
+// Bouton Révéler / Masquer: affiche le formulaire de motif ou masque le PAN
+function togglePan(messageId) {
+    if (revealedPanFor(messageId)) {
+        hidePan();
+        return;
+    }
+
+    const form = document.getElementById('panRevealForm');
+    if (!form) return;
+    const opening = form.style.display === 'none';
+    form.style.display = opening ? 'flex' : 'none';
+    document.getElementById('panRevealBtn').style.display = opening ? 'none' : '';
+    if (opening) {
+        document.getElementById('panRevealReason').focus();
+    }
+}
+
+// Demander le PAN en clair à l'API avec le motif saisi
+async function revealPan(messageId) {
+    const reasonInput = document.getElementById('panRevealReason');
+    const reason = reasonInput.value.trim();
+    if (reason.length < 10) {
+        showAlert(t('pan.reasonTooShort'), 'error');
+        reasonInput.focus();
+        return;
+    }
 
     try {
-        const response = await authenticatedFetch(`${API_BASE}/${messageId}`);
-        const message = await response.json();
+        const { data: result } = await apiRevealPan(messageId, reason);
+        // La fenêtre a pu être fermée ou réaffichée pour un autre message entre-temps
+        if (!detailMessage || detailMessage.id != messageId) return;
 
-        if (response.ok) {
-            displayMessageDetails(message);
-        } else {
-            throw new Error(message.message || 'Erreur lors du chargement');
+        hidePan();
+        revealedPan = { messageId: result.id, pan: result.pan, expiresAt: Date.now() + PAN_REVEAL_DURATION_MS };
+        panRevealTimer = setInterval(updatePanDisplay, 1000);
+        updatePanDisplay();
+
+        if (hasPermission('view_audit_log')) {
+            loadAuditLog(auditPage);
         }
     } catch (error) {
-        console.error('View message error:', error);
-        modalContent.innerHTML = `
-            <div class="loading">
-                <p>⚠ Erreur: ${error.message}</p>
-            </div>
-        `;
+        console.error('PAN reveal error:', error.message);
+        showAlert(t('pan.revealRefused', { error: error.message }), 'error');
     }
 }
 
-// Afficher les détails du message dans la fenêtre modale
-function displayMessageDetails(message) {
-    const modalContent = document.getElementById('modalContent');
-    
-    // Formater le montant avec la devise
-    const formatAmount = (amount, currency) => {
-        const amt = (amount / 100).toFixed(2);
-        const currencySymbols = { '978': '€', '840': '$', '756': 'CHF' };
-        return `${amt} ${currencySymbols[currency] || currency}`;
-    };
+// Afficher le PAN révélé avec le temps restant, le masquer à l'expiration
+function updatePanDisplay() {
+    if (!revealedPan) return;
+    const remaining = Math.ceil((revealedPan.expiresAt - Date.now()) / 1000);
+    const panDisplay = document.getElementById('panDisplay');
+    if (remaining <= 0 || !panDisplay) {
+        hidePan();
+        return;
+    }
 
-    modalContent.innerHTML = `
-        <h2 style="color: #2c3e50; margin-bottom: 30px;">🔍 Détails du Message ISO 8583</h2>
-        
-        <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(280px, 1fr)); gap: 20px; margin-bottom: 30px;">
-            <div class="detail-item">
-                <div class="detail-label">ID du Message</div>
-                <div class="detail-value">${message.id}</div>
-            </div>
-            <div class="detail-item">
-                <div class="detail-label">MTI (Message Type)</div>
-                <div class="detail-value">${message.mti}</div>
-            </div>
-            <div class="detail-item encrypted-field">
-                <div class="detail-label">PAN (Chiffré)</div>
-                <div class="detail-value pan-masked" id="panDisplay">${message.pan}</div>
-                <button class="toggle-pan" onclick="togglePan('${message.id}')">👁️ Révéler</button>
-            </div>
-            <div class="detail-item">
-                <div class="detail-label">Code de Traitement</div>
-                <div class="detail-value">${message.processing_code}</div>
-            </div>
-            <div class="detail-item">
-                <div class="detail-label">Montant</div>
-                <div class="detail-value">${formatAmount(message.amount, message.currency)}</div>
-            </div>
-            <div class="detail-item">
-                <div class="detail-label">Heure Transaction</div>
-                <div class="detail-value">${message.transaction_time}</div>
-            </div>
-            <div class="detail-item">
-                <div class="detail-label">Date Transaction</div>
-                <div class="detail-value">${message.transaction_date}</div>
-            </div>
-            <div class="detail-item">
-                <div class="detail-label">RRN</div>
-                <div class="detail-value">${message.rrn}</div>
-            </div>
-            <div class="detail-item">
-                <div class="detail-label">Code Réponse</div>
-                <div class="detail-value">${message.response_code || 'N/A'}</div>
-            </div>
-            <div class="detail-item">
-                <div class="detail-label">Terminal ID</div>
-                <div class="detail-value">${message.terminal_id}</div>
-            </div>
-            <div class="detail-item">
-                <div class="detail-label">Devise</div>
-                <div class="detail-value">${message.currency}</div>
-            </div>
-            <div class="detail-item">
-                <div class="detail-label">Ajouté en BD</div>
-                <div class="detail-value">${new Date(message.created_at).toLocaleString('fr-FR')}</div>
+    panDisplay.textContent = revealedPan.pan;
+    panDisplay.style.color = '#27ae60';
+    document.getElementById('panRevealForm').style.display = 'none';
+    document.getElementById('panRevealReason').value = '';
+    const toggleBtn = document.getElementById('panRevealBtn');
+    toggleBtn.style.display = '';
+    toggleBtn.textContent = t('pan.hide', { seconds: remaining });
+}
+
+// Masquer le PAN et l'effacer de la mémoire de la page
+function hidePan() {
+    clearInterval(panRevealTimer);
+    panRevealTimer = null;
+    revealedPan = null;
+
+    const panDisplay = document.getElementById('panDisplay');
+    if (panDisplay && detailMessage) {
+        panDisplay.textContent = detailMessage.pan;
+        panDisplay.style.color = '#e74c3c';
+    }
+    const toggleBtn = document.getElementById('panRevealBtn');
+    if (toggleBtn) {
+        toggleBtn.textContent = t('pan.reveal');
+    }
+}
+
+// PAN en clair du message s'il est actuellement révélé, sinon chaîne vide
+function revealedPanFor(messageId) {
+    return revealedPan && revealedPan.messageId == messageId && revealedPan.expiresAt > Date.now()
+        ? revealedPan.pan
+        : '';
+}
+
+// ============================================================================
+// JOURNAL D'AUDIT
+// ============================================================================
+
+// Charger une page du journal (GET api/audit)
+async function loadAuditLog(page = 1) {
+    const container = document.getElementById('auditContainer');
+
+    try {
+        const { data: result } = await apiGetAuditLog({ page, limit: 20, ...auditFilters });
+
+        auditPage = result.pagination.page;
+        renderAuditLog(result);
+    } catch (error) {
+        console.error('Audit log error:', error.message);
+        if (isAuthenticated) {
+            container.innerHTML = `<p class="issue-error">${escapeHtml(t('audit.unavailable', { error: error.message }))}</p>`;
+        }
+    }
+}
+
+// Appliquer les critères du formulaire de recherche du journal
+function applyAuditFilters() {
+    const form = document.getElementById('auditFilterForm');
+    auditFilters = {};
+    new FormData(form).forEach((value, key) => {
+        if (String(value).trim() !== '') {
+            auditFilters[key] = String(value).trim();
+        }
+    });
+    loadAuditLog(1);
+}
+
+function resetAuditFilters() {
+    document.getElementById('auditFilterForm').reset();
+    auditFilters = {};
+    loadAuditLog(1);
+}
+
+// Tableau des accès et navigation entre les pages
+function renderAuditLog(result) {
+    const container = document.getElementById('auditContainer');
+    const { page, total, total_pages: totalAuditPages } = result.pagination;
+
+    if (result.data.length === 0) {
+        container.innerHTML = `<p class="decode-summary">${t('audit.empty')}</p>`;
+        return;
+    }
+
+    const rows = result.data.map(entry => `
+        <tr>
+            <td>${escapeHtml(formatDateTime(entry.created_at))}</td>
+            <td>${escapeHtml(entry.username)} <span class="de-format">${escapeHtml(entry.role)}</span></td>
+            <td>${escapeHtml(tLabel(`audit.actions.${entry.action}`, entry.action))}</td>
+            <td><a href="#" onclick="event.preventDefault(); viewMessage(${Number(entry.message_id)})">ID ${Number(entry.message_id)}</a></td>
+            <td class="audit-reason">${escapeHtml(entry.reason)}</td>
+            <td class="de-format" title="${escapeHtml(entry.user_agent || '')}">${escapeHtml(entry.ip_address || '')}</td>
+        </tr>
+    `).join('');
+
+    container.innerHTML = `
+        <p class="decode-summary">${t('audit.total', { count: formatNumber(total) })}</p>
+        <table class="data-elements">
+            <thead>
+                <tr><th>${t('audit.date')}</th><th>${t('audit.user')}</th><th>${t('audit.action')}</th><th>${t('audit.message')}</th><th>${t('audit.reason')}</th><th>${t('audit.ip')}</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+        ${totalAuditPages > 1 ? `
+            <div class="pagination">
+                <button onclick="loadAuditLog(${page - 1})" ${page <= 1 ? 'disabled' : ''}>${t('pagination.previous')}</button>
+                <span>${t('pagination.page', { page, total: totalAuditPages })}</span>
+                <button onclick="loadAuditLog(${page + 1})" ${page >= totalAuditPages ? 'disabled' : ''}>${t('pagination.next')}</button>
             </div>
-        </div>
-        
-        <div style="text-align: center; margin-top: 40px;">
-            <button class="btn danger" onclick="deleteMessage(${message.id}); closeModal();">
-                🗑️ Supprimer ce Message
-            </button>
-        </div>
+        ` : ''}
     `;
-    
-    // Stockez le PAN complet pour la fonctionnalité de basculement
-    window.messageFullPan = message.pan_full;
-    window.messageMaskedPan = message.pan;
 }
 
-// Basculer l'affichage PAN
-function togglePan(messageId) {
-    const panDisplay = document.getElementById('panDisplay');
-    const toggleBtn = panDisplay.parentNode.querySelector('.toggle-pan');
-    
-    if (panDisplay.textContent === window.messageMaskedPan) {
-        panDisplay.textContent = window.messageFullPan;
-        panDisplay.style.color = '#27ae60';
-        toggleBtn.textContent = '🙈 Masquer';
+// ============================================================================
+// CORBEILLE ET ACTIONS GROUPÉES
+// ============================================================================
+// La suppression met les messages à la corbeille (réversible, "Annuler" dans
+// l'alerte). La purge définitive depuis la corbeille est réservée à la
+// permission purge_messages.
+
+// Supprimer un message (carte, ligne du tableau, fenêtre de détail)
+function deleteMessage(messageId) {
+    deleteMessages([messageId]);
+}
+
+// Supprimer les messages sélectionnés
+function deleteSelection() {
+    deleteMessages(Array.from(selectedMessageIds));
+}
+
+// Mettre des messages à la corbeille, avec possibilité d'annuler
+async function deleteMessages(ids) {
+    if (ids.length === 0) return;
+
+    try {
+        const { data: result } = await apiBulkAction('delete', ids);
+        ids.forEach(id => selectedMessageIds.delete(id));
+        updateSelectionUI();
+        // Annuler ne restaure que les messages mis à la corbeille par cette action
+        // (result.ids), pas ceux qui s'y trouvaient déjà
+        const deletedIds = Array.isArray(result.ids) ? result.ids : [];
+        showAlert(t('trash.deleted', { count: result.affected }), 'success', deletedIds.length > 0 ? {
+            label: t('common.undo'),
+            handler: () => restoreMessages(deletedIds)
+        } : null);
+        loadMessages(currentPage);
+        loadTrash(1);
+    } catch (error) {
+        console.error('Delete messages error:', error.message);
+        showAlert(t('common.error', { error: error.message }), 'error');
+    }
+}
+
+// Restaurer des messages de la corbeille
+async function restoreMessages(ids) {
+    if (ids.length === 0) return;
+
+    try {
+        const { data: result } = await apiBulkAction('restore', ids);
+        ids.forEach(id => selectedTrashIds.delete(id));
+        showAlert(t('trash.restored', { count: result.affected }), 'success');
+        loadMessages(currentPage);
+        loadTrash(trashPage);
+    } catch (error) {
+        console.error('Restore messages error:', error.message);
+        showAlert(t('common.error', { error: error.message }), 'error');
+    }
+}
+
+// Supprimer définitivement des messages de la corbeille
+async function purgeMessages(ids) {
+    if (ids.length === 0) return;
+    if (!confirm(t('trash.confirmPurge', { count: ids.length }))) {
+        return;
+    }
+
+    try {
+        const { data: result } = await apiBulkAction('purge', ids);
+        ids.forEach(id => selectedTrashIds.delete(id));
+        showAlert(t('trash.purged', { count: result.affected }), 'success');
+        loadTrash(trashPage);
+        if (hasPermission('view_audit_log')) {
+            loadAuditLog(1);
+        }
+    } catch (error) {
+        console.error('Purge messages error:', error.message);
+        showAlert(t('common.error', { error: error.message }), 'error');
+    }
+}
+
+// Étiqueter les messages sélectionnés
+async function tagSelection() {
+    const input = document.getElementById('bulkTagInput');
+    const tag = input.value.trim().toLowerCase();
+    if (!TAG_PATTERN.test(tag)) {
+        showAlert(t('tags.invalidSingle'), 'error');
+        input.focus();
+        return;
+    }
+
+    try {
+        const { data: result } = await apiBulkAction('tag', Array.from(selectedMessageIds), { tag });
+        input.value = '';
+        showAlert(t('tags.added', { tag: result.tag, count: result.affected }), 'success');
+        loadMessages(currentPage);
+    } catch (error) {
+        console.error('Tag messages error:', error.message);
+        showAlert(t('common.error', { error: error.message }), 'error');
+    }
+}
+
+// Exporter les messages sélectionnés (options du menu Exporter)
+function exportSelection() {
+    document.getElementById('exportScope').value = 'selection';
+    exportMessages();
+}
+
+// Charger une page de la corbeille
+async function loadTrash(page = 1) {
+    const container = document.getElementById('trashContainer');
+
+    try {
+        const { data: result } = await apiGetTrash({ page, limit: 20 });
+        trashPage = result.pagination.page;
+        lastLoadedTrash = result.data;
+        renderTrash(result);
+    } catch (error) {
+        console.error('Trash error:', error.message);
+        if (isAuthenticated) {
+            container.innerHTML = `<p class="issue-error">${escapeHtml(t('trash.unavailable', { error: error.message }))}</p>`;
+        }
+    }
+}
+
+// Cocher / décocher un message de la corbeille
+function toggleTrashSelection(messageId, selected) {
+    if (selected) {
+        selectedTrashIds.add(messageId);
     } else {
-        panDisplay.textContent = window.messageMaskedPan;
-        panDisplay.style.color = '#e74c3c';
-        toggleBtn.textContent = '👁️ Révéler';
+        selectedTrashIds.delete(messageId);
     }
+    updateTrashSelectionUI();
+}
+
+function toggleTrashPageSelection(selected) {
+    lastLoadedTrash.forEach(message => toggleTrashSelection(message.id, selected));
+    document.querySelectorAll('.select-trash').forEach(checkbox => {
+        checkbox.checked = selected;
+    });
 }
 
-// Supprimer le message
-async function deleteMessage(messageId) {
-    if (!confirm('Êtes-vous sûr de vouloir supprimer ce message ? Cette action est irréversible.')) {
+function updateTrashSelectionUI() {
+    const count = selectedTrashIds.size;
+    document.getElementById('trashRestoreBtn').disabled = count === 0;
+    document.getElementById('trashPurgeBtn').disabled = count === 0;
+    document.getElementById('trashSelectionCount').textContent = count > 0 ? t('selection.count', { count }) : '';
+}
+
+// Tableau de la corbeille et navigation entre les pages
+function renderTrash(result) {
+    const container = document.getElementById('trashContainer');
+    const { page, total, total_pages: totalTrashPages } = result.pagination;
+    const canPurge = hasPermission('purge_messages');
+    document.getElementById('trashCount').textContent = `(${formatNumber(total)})`;
+    updateTrashSelectionUI();
+
+    if (result.data.length === 0) {
+        container.innerHTML = `<p class="decode-summary">${t('trash.empty')}</p>`;
         return;
     }
 
+    const rows = result.data.map(message => `
+        <tr>
+            <td>
+                <input type="checkbox" class="select-trash" ${selectedTrashIds.has(message.id) ? 'checked' : ''}
+                    onchange="toggleTrashSelection(${message.id}, this.checked)">
+            </td>
+            <td><a href="#" onclick="event.preventDefault(); viewMessage(${Number(message.id)})">ID ${Number(message.id)}</a></td>
+            <td>${escapeHtml(message.mti)}</td>
+            <td><span class="pan-masked">${escapeHtml(message.pan)}</span></td>
+            <td>${escapeHtml(formatAmount(message.amount, message.currency))}</td>
+            <td>${escapeHtml(message.terminal_id)}</td>
+            <td>${escapeHtml(formatDateTime(message.deleted_at))}</td>
+            <td>${escapeHtml(message.deleted_by || '')}</td>
+            <td class="row-actions">
+                <button class="queue-retry" onclick="restoreMessages([${message.id}])" title="${t('trash.restore')}">↩️</button>
+                ${canPurge ? `<button class="queue-retry" onclick="purgeMessages([${message.id}])" title="${t('trash.purge')}">✖️</button>` : ''}
+            </td>
+        </tr>
+    `).join('');
+
+    container.innerHTML = `
+        <table class="data-elements">
+            <thead>
+                <tr>
+                    <th><input type="checkbox" class="select-trash-page" title="${t('selection.selectPage')}"
+                        ${result.data.every(message => selectedTrashIds.has(message.id)) ? 'checked' : ''}
+                        onchange="toggleTrashPageSelection(this.checked)"></th>
+                    <th>${t('audit.message')}</th><th>MTI</th><th>PAN</th><th>${t('columns.amount')}</th><th>${t('columns.terminal')}</th>
+                    <th>${t('trash.deletedAt')}</th><th>${t('trash.deletedBy')}</th><th></th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+        ${totalTrashPages > 1 ? `
+            <div class="pagination">
+                <button onclick="loadTrash(${page - 1})" ${page <= 1 ? 'disabled' : ''}>${t('pagination.previous')}</button>
+                <span>${t('pagination.page', { page, total: totalTrashPages })}</span>
+                <button onclick="loadTrash(${page + 1})" ${page >= totalTrashPages ? 'disabled' : ''}>${t('pagination.next')}</button>
+            </div>
+        ` : ''}
+    `;
+}
+
+// ============================================================================
+// FORMAT BRUT (WIRE FORMAT)
+// ============================================================================
+
+// Dernier message brut décodé
+let lastRawMessage = null;
+
+// Restaurer la spécification du packager mémorisée
+function setupRawPackager() {
+    const spec = loadPreference('packager', DEFAULT_PACKAGER_SPEC);
+    document.getElementById('rawHeaderLength').value = spec.headerLength || 0;
+    document.getElementById('rawLengthPrefix').checked = !!spec.lengthPrefix;
+    document.getElementById('rawBitmapEncoding').value = spec.bitmapEncoding || 'binary';
+    document.getElementById('rawNumericEncoding').value = spec.numericEncoding || 'ascii';
+    document.getElementById('rawFieldOverrides').value = spec.fields && Object.keys(spec.fields).length > 0
+        ? JSON.stringify(spec.fields, null, 2)
+        : '';
+}
+
+// Lire la spécification du packager depuis le formulaire
+function readPackagerSpec() {
+    const overrides = document.getElementById('rawFieldOverrides').value.trim();
+    let fields = {};
+    if (overrides) {
+        try {
+            fields = JSON.parse(overrides);
+        } catch (error) {
+            throw new Error(t('raw.overridesInvalid', { error: error.message }));
+        }
+    }
+    return {
+        headerLength: Math.max(0, parseInt(document.getElementById('rawHeaderLength').value, 10) || 0),
+        lengthPrefix: document.getElementById('rawLengthPrefix').checked,
+        bitmapEncoding: document.getElementById('rawBitmapEncoding').value,
+        numericEncoding: document.getElementById('rawNumericEncoding').value,
+        fields
+    };
+}
+
+// Décoder le message brut saisi
+function decodeRawMessage() {
+    const result = document.getElementById('rawResult');
+    const input = document.getElementById('rawInput').value;
+
     try {
-        const response = await authenticatedFetch(`${API_BASE}/${messageId}`, {
-            method: 'DELETE'
-        });
+        const spec = readPackagerSpec();
+        savePreference('packager', spec);
+
+        const bytes = document.getElementById('rawInputMode').value === 'hex'
+            ? hexToBytes(input)
+            : asciiToBytes(input.replace(/[\r\n]+$/, ''));
+        lastRawMessage = unpackIsoMessage(bytes, spec);
+        renderRawMessage(lastRawMessage, bytes);
+    } catch (error) {
+        lastRawMessage = null;
+        result.innerHTML = `<div class="alert error">${escapeHtml(error.message)}</div>`;
+    }
+}
 
-        const result = await response.json();
+// Afficher le message décodé: bitmap interactif, champs et dump hexadécimal
+function renderRawMessage(message, bytes) {
+    const mti = decodeMti(message.mti);
 
-        if (response.ok) {
-            showAlert('Message supprimé avec succès', 'success');
-            loadMessages(currentPage);
-        } else {
-            throw new Error(result.message || 'Erreur lors de la suppression');
+    const bitmapCells = message.bitmap.map((set, index) => {
+        const id = index + 1;
+        if (!set) {
+            return `<span class="bitmap-bit" title="${t('raw.bit', { id })}">${id}</span>`;
+        }
+        const name = id === 1 ? t('packager.secondaryBitmap') : getDataElement(id).name;
+        return `<a href="#rawField-${id}" class="bitmap-bit set" title="${id} - ${escapeHtml(name)}"
+            onclick="event.preventDefault(); highlightRawField(${id})">${id}</a>`;
+    });
+
+    const rows = message.elements.map(element => {
+        const definition = getDataElement(element.id);
+        return `
+            <tr id="rawField-${element.id}">
+                <td class="de-number">${element.id}</td>
+                <td>${escapeHtml(definition.name)}<div class="de-format">${escapeHtml(formatDataElementSpec(definition))}</div></td>
+                <td class="de-format">${element.offset} (+${element.length})</td>
+                <td class="raw-bytes">${escapeHtml(element.raw)}</td>
+                <td class="detail-value">${escapeHtml(element.value)}</td>
+            </tr>
+        `;
+    }).join('');
+
+    document.getElementById('rawResult').innerHTML = `
+        <p class="decode-summary">
+            MTI ${escapeHtml(message.mti)}${mti ? ` = ${escapeHtml(mti.label)}` : ''}
+            ${message.header ? escapeHtml(t('raw.header', { header: message.header })) : ''}
+            · ${t('raw.byteCount', { count: formatNumber(bytes.length) })}
+        </p>
+        <h3 class="composer-preview-title">Bitmap ${escapeHtml(message.primaryBitmap)}${message.fields['1'] ? ` ${escapeHtml(message.fields['1'])}` : ''}</h3>
+        <div class="bitmap-grid">${bitmapCells.slice(0, message.bitmap[0] ? 128 : 64).join('')}</div>
+        <table class="data-elements">
+            <thead>
+                <tr><th>DE</th><th>${t('common.name')}</th><th>${t('raw.offset')}</th><th>${t('raw.bytes')}</th><th>${t('common.value')}</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+        ${message.trailing ? `<p class="issue-warning">${escapeHtml(t('raw.trailing', { bytes: message.trailing }))}</p>` : ''}
+        <details class="raw-dump">
+            <summary>${t('raw.hexDump')}</summary>
+            <pre class="composer-xml">${escapeHtml(formatHexDump(bytes))}</pre>
+        </details>
+        <div class="composer-actions">
+            <button type="button" class="btn" onclick="openRawInComposer()">${t('raw.openInComposer')}</button>
+            <button type="button" class="btn success" onclick="importRawMessage()">${t('raw.import')}</button>
+        </div>
+    `;
+}
+
+// Mettre en évidence le champ correspondant à un bit du bitmap
+function highlightRawField(id) {
+    const row = document.getElementById(`rawField-${id}`);
+    if (!row) return;
+    document.querySelectorAll('#rawResult tr.highlight').forEach(element => element.classList.remove('highlight'));
+    row.classList.add('highlight');
+    row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+// Champs du message décodé, sans le bitmap secondaire (recalculé à l'encodage)
+function rawMessageFields() {
+    const fields = { ...lastRawMessage.fields };
+    delete fields['1'];
+    return fields;
+}
+
+// Reprendre le message décodé dans le compositeur
+function openRawInComposer() {
+    if (!lastRawMessage) return;
+    loadComposerTemplate(rawMessageFields());
+    document.getElementById('composerSection').scrollIntoView({ behavior: 'smooth' });
+}
+
+// Importer le message décodé par le flux de création habituel (XML → POST api/)
+function importRawMessage() {
+    if (!lastRawMessage) return;
+
+    const xml = buildIsoXml(rawMessageFields(), lastRawMessage.header);
+    const timestamp = new Date().toISOString().replace(/\D/g, '').substring(0, 14);
+    selectFiles([new File([xml], `raw_${lastRawMessage.mti}_${timestamp}.xml`, { type: 'application/xml' })]);
+}
+
+// Encoder le message affiché au format brut et l'ouvrir dans le décodeur
+function showRawMessage() {
+    if (!detailMessage) return;
+
+    try {
+        const fields = { ...collectMessageFields(detailMessage), '2': revealedPanFor(detailMessage.id) };
+        if (!fields['2']) {
+            throw new Error(t('raw.panNotRevealed'));
         }
+        const bytes = packIsoMessage(fields, readPackagerSpec());
+
+        document.getElementById('rawInputMode').value = 'hex';
+        document.getElementById('rawInput').value = bytesToHex(bytes);
+        closeModal();
+        decodeRawMessage();
+        document.getElementById('rawSection').scrollIntoView({ behavior: 'smooth' });
     } catch (error) {
-        console.error('Delete message error:', error);
-        showAlert(`Erreur: ${error.message}`, 'error');
+        showAlert(t('raw.encodeFailed', { error: error.message }), 'error');
     }
 }
 
 // Fermer la fenêtre modale
-function closeModal() {
+// options.fromHistory: fermeture demandée par l'URL (précédent / suivant); sinon
+// nouvelle entrée d'historique sans le message, que "précédent" rouvre
+function closeModal(options = {}) {
+    hidePan();
     document.getElementById('messageModal').style.display = 'none';
+    if (openMessageId === null) return;
+    openMessageId = null;
+    if (!options.fromHistory) {
+        updateRouteUrl(true);
+    }
 }
 
 // Écouteurs d'événements
@@ -587,15 +3268,37 @@ document.addEventListener('DOMContentLoaded', function() {
         if (event.target === modal) {
             closeModal();
         }
+        if (event.target === document.getElementById('previewModal')) {
+            cancelUploadPreview();
+        }
+        if (event.target === document.getElementById('compareModal')) {
+            closeCompareModal();
+        }
+        if (event.target === document.getElementById('reportModal')) {
+            closeImportReport();
+        }
     };
 
     // Manipuler la touche Échap pour fermer la fenêtre modale
     document.addEventListener('keydown', function(event) {
         if (event.key === 'Escape') {
             closeModal();
+            closeCompareModal();
+            closeImportReport();
+            if (pendingPreview.length > 0) cancelUploadPreview();
         }
     });
 
+    // Gérer la touche Entrée dans le formulaire de connexion
+    const passwordInput = document.getElementById('loginPassword');
+    if (passwordInput) {
+        passwordInput.addEventListener('keypress', function(event) {
+            if (event.key === 'Enter') {
+                login();
+            }
+        });
+    }
+
     // Gérer la touche Entrée dans la saisie du jeton
     const bearerTokenInput = document.getElementById('bearerToken');
     if (bearerTokenInput) {
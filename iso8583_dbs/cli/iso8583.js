@@ -0,0 +1,732 @@
+#!/usr/bin/env node
+// ============================================================================
+// OUTIL EN LIGNE DE COMMANDE ISO 8583
+// ============================================================================
+// Import, consultation, suppression et export des messages depuis un terminal
+// ou un job d'exploitation, via la même API REST que l'interface web.
+// - même contrat d'API que app.js: le client (js/api-client.js), les tables
+//   de référence (dictionnaire, devises, codes réponse) et le générateur de
+//   trafic de test sont chargés tels quels
+// - authentification: variable d'environnement ISO8583_TOKEN ou fichier de
+//   configuration JSON { "url": "...", "token": "..." } (jamais en argument:
+//   le token resterait visible dans la liste des processus)
+// - sortie lisible par défaut, JSON avec --json pour les scripts
+// - code de sortie non nul en cas d'échec (voir EXIT_CODES)
+//
+// Node.js 20 ou plus récent (fetch, FormData et File natifs). Usage: node cli/iso8583.js help
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { parseArgs } = require('util');
+
+// Codes de sortie
+const EXIT_CODES = {
+    ok: 0,
+    failure: 1,         // Erreur de l'API, fichier rejeté, message introuvable parmi plusieurs
+    usage: 2,           // Commande ou option invalide, confirmation manquante
+    auth: 3,            // Token absent, invalide, expiré ou permission insuffisante
+    notFound: 4         // Message demandé inexistant
+};
+
+const DEFAULT_API_URL = 'http://localhost/iso8583_dbs/api';
+const DEFAULT_CONFIG_FILE = path.join(os.homedir(), '.iso8583rc.json');
+
+// Téléversements simultanés (comme la file d'attente de l'interface)
+const IMPORT_CONCURRENCY = 3;
+
+// Taille de page maximale de l'API et nombre maximal d'identifiants par action groupée
+const API_MAX_PAGE_SIZE = 100;
+const API_MAX_BULK_IDS = 500;
+
+// Modules de l'interface réutilisés (scripts classiques, chargés dans un contexte isolé)
+const SHARED_SCRIPTS = [
+    'i18n.js',
+    'locales/fr.js',
+    'locales/en.js',
+    'api-client.js',
+    'iso-dictionary.js',
+    'iso-currencies.js',
+    'iso-response-codes.js',
+    'iso-validator.js',
+    'iso-composer.js',
+    'iso-generator.js'
+];
+
+// Options de filtre de la ligne de commande → critères de l'API (voir IsoMessage::FILTER_KEYS)
+const FILTER_OPTIONS = {
+    rrn: 'rrn',
+    terminal: 'terminal_id',
+    mti: 'mti',
+    response: 'response',
+    currency: 'currency',
+    'date-from': 'date_from',
+    'date-to': 'date_to',
+    'amount-min': 'amount_min',
+    'amount-max': 'amount_max',
+    'pan-last4': 'pan_last4',
+    tag: 'tag'
+};
+
+const OPTIONS = {
+    // Options générales
+    json: { type: 'boolean' },
+    url: { type: 'string' },
+    config: { type: 'string' },
+    lang: { type: 'string' },
+    help: { type: 'boolean', short: 'h' },
+    // Liste et export
+    page: { type: 'string' },
+    limit: { type: 'string' },
+    sort: { type: 'string' },
+    order: { type: 'string' },
+    all: { type: 'boolean' },
+    format: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    ids: { type: 'string' },
+    'full-pan': { type: 'boolean' },
+    reason: { type: 'string' },
+    // Import
+    'on-duplicate': { type: 'string' },
+    // Génération de trafic de test
+    count: { type: 'string' },
+    seed: { type: 'string' },
+    'end-date': { type: 'string' },
+    days: { type: 'string' },
+    terminals: { type: 'string' },
+    'approval-rate': { type: 'string' },
+    mix: { type: 'string' },
+    currencies: { type: 'string' },
+    // Suppression
+    yes: { type: 'boolean', short: 'y' },
+    'dry-run': { type: 'boolean' },
+    ...Object.fromEntries(Object.keys(FILTER_OPTIONS).map(name => [name, { type: 'string' }]))
+};
+
+const USAGE = `Usage: node cli/iso8583.js <command> [options]
+
+Commands:
+  import <dir|file>...       Upload XML, JSON and NDJSON files, one or more messages each
+                             (directories are scanned recursively)
+                             --on-duplicate skip|keep  probable duplicates (default: skip)
+  list                       List messages
+                             --page N --limit N (max ${API_MAX_PAGE_SIZE}) --sort KEY --order asc|desc --all
+  show <id>                  Show one message with decoded fields
+  delete <id>...             Move messages to the trash
+  delete --<filter>... --yes Move every message matching the filters to the trash
+                             --dry-run  only count the matching messages
+  export                     Export messages (filters, or --ids 1,2,3)
+                             --format csv|json|xml (default: csv) --output FILE (default: stdout)
+                             at most 10000 messages: a larger export is refused, never truncated
+                             --full-pan --reason TEXT (requires the export_full_pan permission,
+                             10+ character reason, recorded in the audit log for each message)
+  generate                   Generate synthetic test traffic and upload it
+                             --count N --seed TEXT (same seed, end date and options: same data set;
+                             both are printed so the run can be replayed)
+                             --end-date YYYY-MM-DD --days N --terminals N --approval-rate PERCENT
+                             --mix authorization:4,financial:4,refund:1,reversal:1 --currencies 969:6,978:3,840:1
+                             --output DIR  write the XML files instead of uploading (no token needed)
+  help                       Show this help
+
+Filters (list, delete, export):
+  --rrn --terminal --mti --response approved|declined|none --currency
+  --date-from MMDD --date-to MMDD --amount-min --amount-max --pan-last4 --tag
+
+General options:
+  --json         Machine-readable output (JSON)
+  --url URL      API base URL (default: ISO8583_API_URL, config file, ${DEFAULT_API_URL})
+  --config FILE  Configuration file (default: ISO8583_CONFIG or ~/.iso8583rc.json)
+  --lang fr|en   Language of decoded labels (default: ISO8583_LANG or en)
+
+Authentication: ISO8583_TOKEN environment variable, or "token" in the configuration file.
+Exit codes: 0 success, 1 failure, 2 invalid usage, 3 authentication/permission, 4 not found.`;
+
+// Erreur d'utilisation (commande, option ou valeur invalide)
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+// ============================================================================
+// CONFIGURATION ET MODULES PARTAGÉS
+// ============================================================================
+
+// Lire le fichier de configuration (absent: configuration vide)
+function readConfig(file, explicit) {
+    if (!fs.existsSync(file)) {
+        if (explicit) throw new UsageError(`Configuration file not found: ${file}`);
+        return {};
+    }
+    try {
+        const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return config && typeof config === 'object' ? config : {};
+    } catch (error) {
+        throw new UsageError(`Invalid configuration file ${file}: ${error.message}`);
+    }
+}
+
+// URL de l'API et token: option, puis environnement, puis fichier de configuration
+function resolveSettings(values) {
+    const configFile = values.config || process.env.ISO8583_CONFIG || DEFAULT_CONFIG_FILE;
+    const config = readConfig(configFile, Boolean(values.config || process.env.ISO8583_CONFIG));
+    return {
+        url: (values.url || process.env.ISO8583_API_URL || config.url || DEFAULT_API_URL).replace(/\/+$/, ''),
+        token: process.env.ISO8583_TOKEN || config.token || null,
+        language: values.lang || process.env.ISO8583_LANG || config.lang || 'en'
+    };
+}
+
+// Charger les modules de l'interface dans un contexte isolé et retourner leurs fonctions
+function loadSharedModules(settings) {
+    const context = vm.createContext({
+        console, setTimeout, clearTimeout, fetch, AbortController, FormData, Blob, File, URLSearchParams,
+        navigator: { language: settings.language }
+    });
+    SHARED_SCRIPTS.forEach(script => {
+        const file = path.join(__dirname, '..', 'js', script);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+
+    const shared = vm.runInContext(`({
+        API_CLIENT_DEFAULTS, configureApiClient,
+        apiListMessages, apiGetMessage, apiExportMessages, apiUploadXml, apiBulkAction,
+        getDataElement, decodeMti, decodeProcessingCode, describeCurrency, formatAmount, describeResponseCode,
+        GENERATOR_DEFAULTS, generateTestTraffic, submitTestTraffic, isImportFile
+    })`, context);
+
+    shared.API_CLIENT_DEFAULTS.baseUrl = settings.url;
+    shared.configureApiClient({ getToken: () => settings.token });
+    return shared;
+}
+
+// ============================================================================
+// SORTIE
+// ============================================================================
+
+function printJson(value) {
+    process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+// Tableau aligné: colonnes [{ label, value(row) }]
+function printTable(rows, columns) {
+    const cells = rows.map(row => columns.map(column => String(column.value(row) ?? '')));
+    const widths = columns.map((column, index) => Math.max(column.label.length, ...cells.map(line => line[index].length)));
+    const format = line => line.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+    console.log(format(columns.map(column => column.label)));
+    cells.forEach(line => console.log(format(line)));
+}
+
+// ============================================================================
+// ARGUMENTS
+// ============================================================================
+
+// Critères de recherche saisis (--rrn, --terminal...) au format de l'API
+// (normalisés comme par IsoMessage::sanitizeFilters: espaces retirés, étiquette en minuscules)
+function readFilters(values) {
+    const filters = {};
+    Object.entries(FILTER_OPTIONS).forEach(([option, key]) => {
+        const value = String(values[option] ?? '').trim();
+        if (value !== '') {
+            filters[key] = key === 'tag' ? value.toLowerCase() : value;
+        }
+    });
+    return filters;
+}
+
+// L'API ignore un critère invalide: le refuser ici plutôt que d'élargir la sélection
+function checkAppliedFilters(requested, applied) {
+    const ignored = Object.keys(requested).filter(key => String((applied || {})[key] ?? '') !== requested[key]);
+    if (ignored.length > 0) {
+        const options = ignored.map(key => `--${Object.keys(FILTER_OPTIONS).find(option => FILTER_OPTIONS[option] === key)}`);
+        throw new UsageError(`Invalid filter value rejected by the API: ${options.join(', ')}`);
+    }
+}
+
+// Entier positif (option numérique)
+function parsePositiveInt(value, option, fallback) {
+    if (value === undefined) return fallback;
+    if (!/^\d+$/.test(value) || Number(value) < 1) {
+        throw new UsageError(`--${option} expects a positive integer`);
+    }
+    return Number(value);
+}
+
+// Identifiant de message
+function parseId(value) {
+    if (!/^\d+$/.test(String(value))) {
+        throw new UsageError(`Invalid message ID: ${value}`);
+    }
+    return Number(value);
+}
+
+// Découper une liste d'identifiants en lots acceptés par l'API
+function chunk(items, size) {
+    const chunks = [];
+    for (let index = 0; index < items.length; index += size) {
+        chunks.push(items.slice(index, index + size));
+    }
+    return chunks;
+}
+
+// ============================================================================
+// COMMANDES
+// ============================================================================
+
+// Fichiers importables (XML, JSON, NDJSON) d'un chemin (dossier parcouru récursivement), triés par nom
+function collectImportFiles(api, target) {
+    if (!fs.existsSync(target)) {
+        throw new UsageError(`No such file or directory: ${target}`);
+    }
+    if (fs.statSync(target).isFile()) {
+        return [target];
+    }
+    return fs.readdirSync(target, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+        .flatMap(entry => {
+            const file = path.join(target, entry.name);
+            if (entry.isDirectory()) return collectImportFiles(api, file);
+            return api.isImportFile(entry.name) ? [file] : [];
+        });
+}
+
+// import <dir|file>...: téléversement avec concurrence limitée et rapport de synthèse
+async function commandImport(api, positionals, values) {
+    if (positionals.length === 0) {
+        throw new UsageError('import expects at least one directory or XML / JSON file');
+    }
+    const onDuplicate = values['on-duplicate'] || 'skip';
+    if (!['skip', 'keep'].includes(onDuplicate)) {
+        throw new UsageError('--on-duplicate expects skip or keep');
+    }
+
+    const files = positionals.flatMap(target => collectImportFiles(api, target));
+    if (files.length === 0) {
+        throw new UsageError('No XML, JSON or NDJSON file found');
+    }
+
+    // Un résultat par message: created | duplicate (non enregistré) | rejected
+    // Messages d'un lot repérés par leur position (index) et, en NDJSON, leur ligne
+    const results = [];
+    const print = result => {
+        if (values.json) return;
+        const detail = {
+            created: () => `created ID ${result.id}`,
+            duplicate: () => `skipped, probable duplicate of ID ${result.duplicate_of.join(', ')}`,
+            rejected: () => `rejected: ${result.error}`
+        }[result.status]();
+        const position = result.index ? ` #${result.index}${result.line ? ` (line ${result.line})` : ''}` : '';
+        console.log(`${result.status === 'created' ? 'OK  ' : result.status === 'duplicate' ? 'SKIP' : 'FAIL'}  ${result.file}${position}  ${detail}`);
+    };
+    const queue = [...files];
+    let authError = null;       // Token refusé: inutile d'envoyer les fichiers suivants
+    const worker = async () => {
+        let file;
+        while (!authError && (file = queue.shift())) {
+            const upload = new File([fs.readFileSync(file)], path.basename(file));
+            let result;
+            try {
+                const { data } = await api.apiUploadXml(upload, { keepDuplicate: onDuplicate === 'keep' });
+                if (Array.isArray(data.results)) {
+                    // Lot: rapport par message
+                    data.results.forEach(item => {
+                        const position = { file, index: item.index, ...(item.line ? { line: item.line } : {}) };
+                        const batchResult = {
+                            created: () => ({ ...position, status: 'created', id: Number(item.id) }),
+                            duplicate: () => ({ ...position, status: 'duplicate', duplicate_of: item.duplicates.map(duplicate => Number(duplicate.id)) })
+                        }[item.status] || (() => ({ ...position, status: 'rejected', error: item.error }));
+                        results.push(batchResult());
+                        print(results[results.length - 1]);
+                    });
+                    continue;
+                }
+                result = { file, status: 'created', id: Number(data.id) };
+            } catch (error) {
+                if (error.code === 'conflict' && error.details && Array.isArray(error.details.duplicates)) {
+                    result = { file, status: 'duplicate', duplicate_of: error.details.duplicates.map(duplicate => Number(duplicate.id)) };
+                } else if (error.code === 'unauthorized' || error.code === 'forbidden') {
+                    authError = error;
+                    return;
+                } else {
+                    result = { file, status: 'rejected', error: error.message };
+                }
+            }
+            results.push(result);
+            print(result);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(IMPORT_CONCURRENCY, files.length) }, worker));
+    if (authError) {
+        throw authError;
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+    const summary = { files: files.length, total: results.length, created: count('created'), duplicates: count('duplicate'), rejected: count('rejected') };
+    if (values.json) {
+        printJson({ summary, results });
+    } else {
+        console.log(`\n${summary.total} message(s) in ${summary.files} file(s): ${summary.created} created, ${summary.duplicates} duplicate(s) skipped, ${summary.rejected} rejected`);
+    }
+    return summary.rejected > 0 ? EXIT_CODES.failure : EXIT_CODES.ok;
+}
+
+// Lire une page de la liste, en vérifiant que tous les critères ont été appliqués
+async function fetchPage(api, query, filters) {
+    const { data } = await api.apiListMessages({ ...query, ...filters });
+    checkAppliedFilters(filters, data.filters);
+    return data;
+}
+
+// Toutes les pages correspondant aux critères
+async function fetchAll(api, query, filters) {
+    const messages = [];
+    let page = 1;
+    let data;
+    do {
+        data = await fetchPage(api, { ...query, page, limit: API_MAX_PAGE_SIZE }, filters);
+        messages.push(...data.data);
+        page++;
+    } while (page <= data.pagination.total_pages);
+    return { messages, total: data.pagination.total };
+}
+
+// Tri demandé (clé et sens validés par l'API)
+function readSort(values) {
+    if (values.order && !['asc', 'desc'].includes(values.order)) {
+        throw new UsageError('--order expects asc or desc');
+    }
+    return { sort: values.sort, order: values.order };
+}
+
+// list: une page (ou toutes avec --all)
+async function commandList(api, positionals, values) {
+    const filters = readFilters(values);
+    const sort = readSort(values);
+
+    let messages;
+    let pagination = null;
+    if (values.all) {
+        ({ messages } = await fetchAll(api, sort, filters));
+    } else {
+        const page = parsePositiveInt(values.page, 'page', 1);
+        const limit = Math.min(parsePositiveInt(values.limit, 'limit', 25), API_MAX_PAGE_SIZE);
+        const data = await fetchPage(api, { ...sort, page, limit }, filters);
+        messages = data.data;
+        pagination = data.pagination;
+    }
+
+    if (values.json) {
+        printJson(pagination ? { data: messages, pagination } : { data: messages, total: messages.length });
+        return EXIT_CODES.ok;
+    }
+
+    if (messages.length === 0) {
+        console.log('No messages found');
+        return EXIT_CODES.ok;
+    }
+    printTable(messages, [
+        { label: 'ID', value: message => message.id },
+        { label: 'MTI', value: message => message.mti },
+        { label: 'PAN', value: message => message.pan },
+        { label: 'AMOUNT', value: message => api.formatAmount(message.amount, message.currency) },
+        { label: 'DATE', value: message => `${message.transaction_date || ''} ${message.transaction_time || ''}`.trim() },
+        { label: 'RRN', value: message => message.rrn },
+        { label: 'RC', value: message => message.response_code },
+        { label: 'TERMINAL', value: message => message.terminal_id },
+        { label: 'TAGS', value: message => (message.tags || []).join(',') }
+    ]);
+    console.log(pagination
+        ? `\nPage ${pagination.page}/${Math.max(1, pagination.total_pages)} - ${pagination.total} message(s)`
+        : `\n${messages.length} message(s)`);
+    return EXIT_CODES.ok;
+}
+
+// Champs ISO 8583 d'un message: colonnes dédiées + champs additionnels
+// (même reconstitution que collectMessageFields dans app.js)
+function collectFields(message) {
+    const fields = {
+        ...(message.additional_fields || {}),
+        '0': message.mti,
+        '2': message.pan,
+        '3': message.processing_code,
+        '4': String(message.amount ?? '').padStart(12, '0'),
+        '12': message.transaction_time,
+        '13': message.transaction_date,
+        '37': message.rrn,
+        '41': message.terminal_id,
+        '49': message.currency
+    };
+    if (message.response_code) {
+        fields['39'] = message.response_code;
+    }
+    return fields;
+}
+
+// Interprétation d'un champ lorsqu'elle apporte une information
+function describeField(api, id, value, message) {
+    switch (Number(id)) {
+        case 0: {
+            const mti = api.decodeMti(value);
+            return mti ? mti.label : '';
+        }
+        case 3: {
+            const code = api.decodeProcessingCode(value);
+            return code ? `${code.transactionType}, ${code.fromAccount} → ${code.toAccount}` : '';
+        }
+        case 4:
+            return api.formatAmount(message.amount, message.currency);
+        case 39:
+            return api.describeResponseCode(value).label;
+        case 49:
+            return api.describeCurrency(value);
+        default:
+            return '';
+    }
+}
+
+// show <id>: message et champs décodés
+async function commandShow(api, positionals, values) {
+    if (positionals.length !== 1) {
+        throw new UsageError('show expects exactly one message ID');
+    }
+    const { data: message } = await api.apiGetMessage(parseId(positionals[0]));
+
+    const fields = Object.entries(collectFields(message))
+        .sort(([a], [b]) => Number(a) - Number(b))
+        .map(([id, value]) => ({
+            id: Number(id),
+            name: api.getDataElement(id).name,
+            value,
+            description: describeField(api, id, value, message)
+        }));
+
+    if (values.json) {
+        printJson({ ...message, fields });
+        return EXIT_CODES.ok;
+    }
+
+    console.log(`Message ${message.id} - created ${message.created_at}${message.deleted_at ? ` (in trash since ${message.deleted_at})` : ''}`);
+    if (message.case_reference) console.log(`Case reference: ${message.case_reference}`);
+    if (message.tags && message.tags.length > 0) console.log(`Tags: ${message.tags.join(', ')}`);
+    if (message.notes) console.log(`Notes: ${message.notes}`);
+    console.log('');
+    printTable(fields, [
+        { label: 'DE', value: field => field.id },
+        { label: 'NAME', value: field => field.name },
+        { label: 'VALUE', value: field => field.value },
+        { label: 'DECODED', value: field => field.description }
+    ]);
+    return EXIT_CODES.ok;
+}
+
+// delete <id>... | delete --<filtre>... --yes: mise à la corbeille (restaurable)
+async function commandDelete(api, positionals, values) {
+    const filters = readFilters(values);
+    let ids;
+
+    if (positionals.length > 0) {
+        if (Object.keys(filters).length > 0) {
+            throw new UsageError('delete accepts either message IDs or filters, not both');
+        }
+        ids = [...new Set(positionals.map(parseId))];
+    } else {
+        if (Object.keys(filters).length === 0) {
+            throw new UsageError('delete expects message IDs or at least one filter');
+        }
+        ({ messages: ids } = await fetchAll(api, {}, filters));
+        ids = ids.map(message => Number(message.id));
+
+        if (values['dry-run']) {
+            if (values.json) {
+                printJson({ dry_run: true, matched: ids.length, ids });
+            } else {
+                console.log(`${ids.length} message(s) would be moved to the trash`);
+            }
+            return EXIT_CODES.ok;
+        }
+        if (!values.yes) {
+            throw new UsageError(`${ids.length} message(s) match the filters: add --yes to move them to the trash`);
+        }
+    }
+
+    let affected = 0;
+    for (const batch of chunk(ids, API_MAX_BULK_IDS)) {
+        if (batch.length === 0) continue;
+        const { data } = await api.apiBulkAction('delete', batch);
+        affected += data.affected;
+    }
+
+    const result = { action: 'delete', requested: ids.length, affected };
+    if (values.json) {
+        printJson(result);
+    } else {
+        console.log(`${affected} of ${ids.length} message(s) moved to the trash`);
+    }
+    return affected < ids.length ? EXIT_CODES.failure : EXIT_CODES.ok;
+}
+
+// export: fichier CSV / JSON / XML (critères ou identifiants)
+async function commandExport(api, positionals, values) {
+    const format = (values.format || 'csv').toLowerCase();
+    if (!['csv', 'json', 'xml'].includes(format)) {
+        throw new UsageError('--format expects csv, json or xml');
+    }
+    const query = { format, ...readSort(values), ...readFilters(values) };
+    if (values.ids) {
+        query.ids = values.ids.split(',').map(id => parseId(id.trim())).join(',');
+    }
+    if (values['full-pan']) {
+        const reason = (values.reason || '').trim();
+        if (reason.length < 10) {
+            throw new UsageError('--full-pan requires --reason with at least 10 characters (recorded in the audit log)');
+        }
+        query.full_pan = '1';
+        query.reason = reason;
+    }
+
+    const { headers, data } = await api.apiExportMessages(query);
+    const content = Buffer.from(await data.arrayBuffer());
+    const count = Number(headers.get('X-Export-Count') || 0);
+
+    if (!values.output) {
+        process.stdout.write(content);
+        return EXIT_CODES.ok;
+    }
+    fs.writeFileSync(values.output, content);
+    if (values.json) {
+        printJson({ format, count, output: path.resolve(values.output), bytes: content.length });
+    } else {
+        console.log(`${count} message(s) exported to ${values.output}`);
+    }
+    return EXIT_CODES.ok;
+}
+
+// Options du générateur saisies (absentes: valeurs par défaut de GENERATOR_DEFAULTS)
+function readGeneratorOptions(values) {
+    const options = {
+        count: values.count,
+        seed: values.seed,
+        endDate: values['end-date'],
+        days: values.days,
+        terminals: values.terminals,
+        approvalRate: values['approval-rate'],
+        families: values.mix,
+        currencies: values.currencies
+    };
+    return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
+
+// generate: jeu de messages synthétiques envoyé à l'API (ou écrit dans --output DIR)
+async function commandGenerate(api, positionals, values) {
+    if (positionals.length > 0) {
+        throw new UsageError('generate does not take arguments (see "help" for its options)');
+    }
+    let generated;
+    try {
+        generated = api.generateTestTraffic(readGeneratorOptions(values));
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const { seed, endDate, settings, messages } = generated;
+
+    if (values.output) {
+        fs.mkdirSync(values.output, { recursive: true });
+        messages.forEach(message => fs.writeFileSync(path.join(values.output, message.name), message.xml));
+        if (values.json) {
+            printJson({ seed, endDate, settings, written: messages.length, output: path.resolve(values.output) });
+        } else {
+            console.log(`${messages.length} message(s) written to ${values.output} (seed ${seed}, end date ${endDate})`);
+        }
+        return EXIT_CODES.ok;
+    }
+
+    let lastPercent = -1;
+    const report = await api.submitTestTraffic(messages, {
+        concurrency: IMPORT_CONCURRENCY,
+        onProgress: progress => {
+            const percent = Math.floor((progress.done / progress.total) * 10) * 10;
+            if (!values.json && percent !== lastPercent) {
+                lastPercent = percent;
+                console.log(`${String(percent).padStart(3)}%  ${progress.done}/${progress.total}  created ${progress.created}, duplicates ${progress.duplicates}, failed ${progress.failed}`);
+            }
+        }
+    });
+
+    if (values.json) {
+        printJson({ seed, endDate, settings, summary: report });
+    } else {
+        report.errors.forEach(entry => console.log(`FAIL  ${entry.name}  ${entry.error}`));
+        console.log(`\n${report.total} message(s) generated with seed ${seed}, end date ${endDate}: ${report.created} created, ${report.duplicates} already present, ${report.failed} rejected`);
+        console.log(`Replay with: --seed ${seed} --end-date ${endDate}`);
+    }
+    return report.failed > 0 ? EXIT_CODES.failure : EXIT_CODES.ok;
+}
+
+const COMMANDS = {
+    import: commandImport,
+    list: commandList,
+    show: commandShow,
+    delete: commandDelete,
+    export: commandExport,
+    generate: commandGenerate
+};
+
+// ============================================================================
+// POINT D'ENTRÉE
+// ============================================================================
+
+// Code de sortie correspondant à une erreur
+function exitCodeFor(error) {
+    if (error instanceof UsageError) return EXIT_CODES.usage;
+    if (error.code === 'unauthorized' || error.code === 'forbidden') return EXIT_CODES.auth;
+    if (error.code === 'not_found') return EXIT_CODES.notFound;
+    return EXIT_CODES.failure;
+}
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const { values, positionals } = parsed;
+    const [command, ...rest] = positionals;
+
+    if (!command || command === 'help' || values.help) {
+        console.log(USAGE);
+        return command && command !== 'help' && !values.help ? EXIT_CODES.usage : EXIT_CODES.ok;
+    }
+    if (!COMMANDS[command]) {
+        throw new UsageError(`Unknown command: ${command} (see "help")`);
+    }
+
+    const settings = resolveSettings(values);
+    // Seule la génération vers des fichiers se passe de l'API
+    const offline = command === 'generate' && values.output;
+    if (!settings.token && !offline) {
+        const error = new Error('No API token: set ISO8583_TOKEN or "token" in the configuration file');
+        error.code = 'unauthorized';
+        throw error;
+    }
+    return COMMANDS[command](loadSharedModules(settings), rest, values);
+}
+
+main(process.argv.slice(2))
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        const jsonOutput = process.argv.includes('--json');
+        const code = exitCodeFor(error);
+        if (jsonOutput) {
+            printJson({ error: error.message, code: error.code || (code === EXIT_CODES.usage ? 'usage' : 'failure'), status: error.status || null });
+        } else {
+            console.error(`Error: ${error.message}`);
+        }
+        process.exitCode = code;
+    });
@@ -2,12 +2,13 @@
 /**
  * Gestionnaire d'Authentification pour l'API ISO 8583
  * Cette classe gère l'authentification basée sur des tokens Bearer
+ * (JWT de session émis à la connexion, ou clés d'API statiques des services)
  * et contrôle l'accès aux ressources protégées de l'API
  */
 
 /**
  * Classe AuthManager
- * Responsable de la validation des tokens d'authentification
+ * Responsable de l'émission et de la validation des tokens d'authentification
  * et de la protection des endpoints de l'API
  */
 class AuthManager {
@@ -17,33 +18,62 @@ class AuthManager {
     // ========================================================================
     
     /**
-     * Clé secrète pour la signature des tokens (si JWT était implémenté)
+     * Variable d'environnement contenant la clé secrète de signature HMAC-SHA256 des JWT
+     * Obligatoire: aucune clé par défaut, sans elle aucun JWT n'est émis ni accepté
+     * (une clé connue permettrait à quiconque de signer un token administrateur)
      * @var string
-     * IMPORTANT: Cette clé doit être changée en production et stockée de manière sécurisée
      */
-    private static $secret_key = 'your-secret-key-change-this-in-production';
+    const SECRET_ENV = 'ISO8583_JWT_SECRET';
     
     /**
-     * Table de correspondance des tokens valides et des utilisateurs associés
+     * Durée de validité d'un JWT de session, en secondes
+     * Le client le renouvelle avant expiration tant que l'utilisateur est actif
+     * @var int
+     */
+    const TOKEN_TTL = 900;
+    
+    /**
+     * Émetteur inscrit dans les JWT (claim "iss")
+     * @var string
+     */
+    const TOKEN_ISSUER = 'iso8583_dbs';
+    
+    /**
+     * Clés d'API statiques des services automatisés et utilisateurs associés
      * @var array
      * 
      * Structure: [token => [informations_utilisateur]]
+     * Les utilisateurs de l'interface se connectent avec un nom et un mot de
+     * passe (JWT); ces clés restent réservées aux intégrations machine.
      * En production, ces données devraient être stockées en base de données
-     * avec des tokens générés dynamiquement et des dates d'expiration
      */
     private static $valid_tokens = [
         // Token d'exemple pour un administrateur
         'bearer_token_example_123456789' => [
             'user_id' => 1, 
-            'username' => 'admin'
+            'username' => 'admin',
+            'role' => 'admin'
         ],
         // Token d'exemple pour un service automatisé
         'api_key_iso8583_secure_2024' => [
             'user_id' => 2, 
-            'username' => 'service'
+            'username' => 'service',
+            'role' => 'service'
         ]
     ];
 
+    /**
+     * Permissions accordées à chaque rôle
+     * @var array
+     * 
+     * Les opérations sensibles (ex: export des PAN en clair) nécessitent
+     * une permission explicite en plus de l'authentification
+     */
+    private static $role_permissions = [
+        'admin' => ['export_full_pan', 'reveal_pan', 'view_audit_log', 'purge_messages'],
+        'service' => []
+    ];
+
     // ========================================================================
     // MÉTHODES D'AUTHENTIFICATION
     // ========================================================================
@@ -70,9 +100,143 @@ class AuthManager {
         // Les clients peuvent envoyer "Bearer abc123" ou directement "abc123"
         $token = str_replace('Bearer ', '', $token);
 
-        // Recherche du token dans la table des tokens valides
+        // JWT de session (header.payload.signature)
+        if (substr_count($token, '.') === 2) {
+            $claims = self::decodeToken($token);
+            if (!$claims) {
+                return false; // Signature invalide ou token expiré
+            }
+            return [
+                'user_id' => (int)$claims['sub'],
+                'username' => $claims['username'],
+                'role' => $claims['role'],
+                'token_type' => 'jwt',
+                'expires_at' => (int)$claims['exp']
+            ];
+        }
+
+        // Recherche du token dans la table des clés d'API
         // Retourne les données utilisateur si trouvé, false sinon
-        return isset(self::$valid_tokens[$token]) ? self::$valid_tokens[$token] : false;
+        if (!isset(self::$valid_tokens[$token])) {
+            return false;
+        }
+        return self::$valid_tokens[$token] + ['token_type' => 'api_key', 'expires_at' => null];
+    }
+
+    // ========================================================================
+    // JWT DE SESSION (HS256)
+    // ========================================================================
+    
+    /**
+     * Émet un JWT signé pour un utilisateur
+     * 
+     * Claims: sub (identifiant), username, role, iss, iat, exp
+     * 
+     * @param array $user Informations utilisateur [user_id, username, role]
+     * @return array [token, token_type, expires_in, expires_at, user]
+     */
+    public static function issueToken($user) {
+        $now = time();
+        $claims = [
+            'sub' => (string)$user['user_id'],
+            'username' => $user['username'],
+            'role' => $user['role'],
+            'iss' => self::TOKEN_ISSUER,
+            'iat' => $now,
+            'exp' => $now + self::TOKEN_TTL
+        ];
+
+        $header = self::base64UrlEncode(json_encode(['alg' => 'HS256', 'typ' => 'JWT']));
+        $payload = self::base64UrlEncode(json_encode($claims));
+        $signature = self::base64UrlEncode(hash_hmac('sha256', "$header.$payload", self::getSecretKey(), true));
+
+        return [
+            'token' => "$header.$payload.$signature",
+            'token_type' => 'Bearer',
+            'expires_in' => self::TOKEN_TTL,
+            'expires_at' => $claims['exp'],
+            'user' => [
+                'user_id' => (int)$user['user_id'],
+                'username' => $user['username'],
+                'role' => $user['role'],
+                'permissions' => self::getPermissions($user)
+            ]
+        ];
+    }
+
+    /**
+     * Vérifie un JWT et retourne ses claims
+     * 
+     * @param string $token JWT (sans préfixe "Bearer ")
+     * @return array|false Claims si la signature est valide et le token non expiré
+     */
+    public static function decodeToken($token) {
+        $parts = explode('.', $token);
+        if (count($parts) !== 3) {
+            return false;
+        }
+        list($header, $payload, $signature) = $parts;
+
+        $headerData = json_decode(self::base64UrlDecode($header), true);
+        if (!is_array($headerData) || ($headerData['alg'] ?? null) !== 'HS256') {
+            return false; // Seul HS256 est accepté (pas de "none")
+        }
+
+        $expected = self::base64UrlEncode(hash_hmac('sha256', "$header.$payload", self::getSecretKey(), true));
+        if (!hash_equals($expected, $signature)) {
+            return false;
+        }
+
+        $claims = json_decode(self::base64UrlDecode($payload), true);
+        if (!is_array($claims) || !isset($claims['sub'], $claims['username'], $claims['role'], $claims['exp'])) {
+            return false;
+        }
+        if (($claims['iss'] ?? null) !== self::TOKEN_ISSUER || (int)$claims['exp'] <= time()) {
+            return false;
+        }
+        return $claims;
+    }
+
+    /**
+     * Clé de signature lue dans la variable d'environnement ISO8583_JWT_SECRET
+     * Termine avec une erreur 503 si elle n'est pas définie (configuration serveur
+     * incomplète): les JWT ne sont alors ni émis ni validés
+     * 
+     * @return string Clé secrète
+     * @throws exit() Termine l'exécution avec une erreur 503 si la clé est absente
+     */
+    private static function getSecretKey() {
+        $secret = trim((string)getenv(self::SECRET_ENV));
+        if ($secret === '') {
+            error_log("JWT signing key missing: set the " . self::SECRET_ENV . " environment variable");
+            http_response_code(503); // Service Unavailable
+            echo json_encode([
+                'error' => 'Service Unavailable',
+                'message' => 'Session tokens are disabled: the server has no JWT signing key (' . self::SECRET_ENV . ' not set)'
+            ]);
+            exit();
+        }
+        return $secret;
+    }
+
+    /**
+     * Encodage Base64 URL-safe sans remplissage (RFC 7515)
+     * 
+     * @param string $data Données binaires
+     * @return string Données encodées
+     */
+    private static function base64UrlEncode($data) {
+        return rtrim(strtr(base64_encode($data), '+/', '-_'), '=');
+    }
+
+    /**
+     * Décodage Base64 URL-safe
+     * 
+     * @param string $data Données encodées
+     * @return string Données binaires
+     */
+    private static function base64UrlDecode($data) {
+        return (string)base64_decode(strtr($data, '-_', '+/'));
     }
 
     /**
@@ -134,18 +298,69 @@ class AuthManager {
         // Ces informations peuvent être utilisées dans le reste de l'application
         return $user;
     }
+
+    // ========================================================================
+    // MÉTHODES D'AUTORISATION
+    // ========================================================================
+    
+    /**
+     * Vérifie si un utilisateur dispose d'une permission
+     * 
+     * @param array $user Informations utilisateur retournées par requireAuth()
+     * @param string $permission Nom de la permission (ex: 'export_full_pan')
+     * @return bool true si la permission est accordée à son rôle
+     */
+    public static function hasPermission($user, $permission) {
+        $role = $user['role'] ?? null;
+        return $role !== null
+            && isset(self::$role_permissions[$role])
+            && in_array($permission, self::$role_permissions[$role], true);
+    }
+
+    /**
+     * Liste des permissions accordées au rôle d'un utilisateur
+     * 
+     * Transmise à l'interface pour n'afficher que les actions autorisées
+     * (le contrôle reste effectué côté serveur par requirePermission)
+     * 
+     * @param array $user Informations utilisateur
+     * @return array Noms des permissions
+     */
+    public static function getPermissions($user) {
+        $role = $user['role'] ?? null;
+        return $role !== null && isset(self::$role_permissions[$role]) ? self::$role_permissions[$role] : [];
+    }
+
+    /**
+     * Exige une permission - termine avec une erreur 403 si elle est absente
+     * 
+     * @param array $user Informations utilisateur retournées par requireAuth()
+     * @param string $permission Nom de la permission requise
+     * @throws exit() Termine l'exécution avec une erreur 403 si non autorisé
+     */
+    public static function requirePermission($user, $permission) {
+        if (!self::hasPermission($user, $permission)) {
+            http_response_code(403); // Forbidden
+            echo json_encode([
+                'error' => 'Forbidden', 
+                'message' => 'Permission required: ' . $permission
+            ]);
+            exit();
+        }
+    }
 }
 
 /**
  * NOTES DE SÉCURITÉ POUR LA PRODUCTION:
  * 
- * 1. TOKENS STATIQUES: Les tokens actuels sont statiques et doivent être remplacés
- *    par un système dynamique (JWT, tokens en base de données avec expiration)
+ * 1. CLÉS D'API STATIQUES: Les clés des services sont statiques et doivent être
+ *    stockées en base de données avec expiration (les utilisateurs utilisent des JWT)
  * 
- * 2. STOCKAGE SÉCURISÉ: Les tokens ne doivent pas être hardcodés dans le code
- *    Utiliser des variables d'environnement ou une base de données sécurisée
+ * 2. STOCKAGE SÉCURISÉ: La clé de signature JWT n'est jamais hardcodée
+ *    La variable d'environnement ISO8583_JWT_SECRET est obligatoire (sinon 503)
  * 
- * 3. EXPIRATION: Implémenter une expiration automatique des tokens
+ * 3. RÉVOCATION: Les JWT expirent après TOKEN_TTL secondes mais ne sont pas
+ *    révocables avant expiration (liste de révocation à prévoir si nécessaire)
  * 
  * 4. RATE LIMITING: Ajouter une protection contre les attaques par force brute
  * 
@@ -4,12 +4,17 @@
 CREATE DATABASE IF NOT EXISTS iso8583_db CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
 USE iso8583_db;
 
+DROP TABLE IF EXISTS message_history;
+DROP TABLE IF EXISTS message_tags;
 DROP TABLE IF EXISTS iso_messages;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS audit_log;
 
 CREATE TABLE iso_messages (
     id INT AUTO_INCREMENT PRIMARY KEY,
     mti VARCHAR(4) NOT NULL COMMENT 'Message Type Indicator (Field 0)',
     pan TEXT NOT NULL COMMENT 'Primary Account Number - Encrypted (Field 2)',
+    pan_last4 VARCHAR(4) DEFAULT NULL COMMENT 'Last 4 digits of the PAN (search)',
     processing_code VARCHAR(6) NOT NULL COMMENT 'Processing Code (Field 3)',
     amount BIGINT NOT NULL COMMENT 'Transaction Amount (Field 4)',
     transaction_time VARCHAR(6) NOT NULL COMMENT 'Transaction Time HHmmss (Field 12)',
@@ -18,13 +23,52 @@ CREATE TABLE iso_messages (
     response_code VARCHAR(2) DEFAULT NULL COMMENT 'Response Code (Field 39)',
     terminal_id VARCHAR(16) NOT NULL COMMENT 'Terminal ID (Field 41)',
     currency VARCHAR(3) NOT NULL COMMENT 'Currency Code (Field 49)',
+    additional_fields TEXT DEFAULT NULL COMMENT 'Other ISO 8583 fields (JSON)',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'Date d\'ajout en BD',
+    deleted_at TIMESTAMP NULL DEFAULT NULL COMMENT 'Mise à la corbeille (NULL = actif)',
+    deleted_by VARCHAR(100) DEFAULT NULL COMMENT 'Utilisateur ayant supprimé le message',
+    case_reference VARCHAR(50) DEFAULT NULL COMMENT 'Référence du dossier / ticket support',
+    notes TEXT DEFAULT NULL COMMENT 'Notes de suivi du support',
+    annotated_at TIMESTAMP NULL DEFAULT NULL COMMENT 'Dernière modification des annotations',
+    annotated_by VARCHAR(100) DEFAULT NULL COMMENT 'Auteur de la dernière modification des annotations',
     
     INDEX idx_mti (mti),
     INDEX idx_terminal_id (terminal_id),
     INDEX idx_rrn (rrn),
     INDEX idx_transaction_date (transaction_date),
-    INDEX idx_created_at (created_at)
+    INDEX idx_created_at (created_at),
+    INDEX idx_pan_last4 (pan_last4),
+    INDEX idx_response_code (response_code),
+    INDEX idx_currency (currency),
+    INDEX idx_lifecycle (rrn, terminal_id, transaction_date, amount),
+    INDEX idx_deleted_at (deleted_at),
+    INDEX idx_case_reference (case_reference)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Étiquettes des messages (ex: dispute, chargeback, test)
+CREATE TABLE message_tags (
+    message_id INT NOT NULL,
+    tag VARCHAR(30) NOT NULL,
+    created_by VARCHAR(100) NOT NULL COMMENT 'Auteur de l\'étiquetage',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    PRIMARY KEY (message_id, tag),
+    INDEX idx_tag (tag),
+    CONSTRAINT fk_message_tags_message FOREIGN KEY (message_id) REFERENCES iso_messages (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Historique des modifications d'annotations (notes, référence de dossier, étiquettes)
+CREATE TABLE message_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    message_id INT NOT NULL,
+    field VARCHAR(30) NOT NULL COMMENT 'notes, case_reference ou tags',
+    old_value TEXT DEFAULT NULL,
+    new_value TEXT DEFAULT NULL,
+    changed_by VARCHAR(100) NOT NULL,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    INDEX idx_message_changed (message_id, changed_at),
+    CONSTRAINT fk_message_history_message FOREIGN KEY (message_id) REFERENCES iso_messages (id) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- Table pour gérer les tokens d'authentification (optionnel pour une gestion plus avancée)
@@ -41,7 +85,67 @@ CREATE TABLE api_tokens (
     INDEX idx_user_id (user_id)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Table des utilisateurs de l'interface (connexion par nom / mot de passe → JWT)
+-- Les mots de passe d'exemple sont hachés en SHA-512 crypt et réécrits avec
+-- l'algorithme courant de password_hash() à la première connexion
+CREATE TABLE users (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    username VARCHAR(100) NOT NULL UNIQUE,
+    password_hash VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'service' COMMENT 'admin | service',
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_login_at TIMESTAMP NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Utilisateurs d'exemple: admin / admin_password_2024, service / service_password_2024
+INSERT INTO users (id, username, password_hash, role) VALUES
+(1, 'admin', '$6$iso8583admin$DTvcuuBrQMBIq93tIk6ySc6J4Ni3A1ZSRzins/IoaNod/t4rgj44xthbnExdpMH27GAui4dBVZQ5meyGdegbC0', 'admin'),
+(2, 'service', '$6$iso8583servic$lC/YxFTHgDP59E/W9.ZLkDzx.pdRY6vSaDsvZAnfEAaeUHhG.x.ovW71F7wgNh.UR1/DbTImwXf0hjB.rqqAe/', 'service');
+
+-- Journal d'audit des accès aux données sensibles (ajout seul)
+-- Chaque affichage ou export d'un PAN en clair y est enregistré avec son motif
+CREATE TABLE audit_log (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    username VARCHAR(100) NOT NULL,
+    role VARCHAR(20) NOT NULL,
+    action VARCHAR(30) NOT NULL COMMENT 'pan_reveal | pan_export | message_purge',
+    message_id INT NOT NULL COMMENT 'Message consulté (iso_messages.id)',
+    reason VARCHAR(255) NOT NULL COMMENT 'Motif saisi par l\'utilisateur',
+    ip_address VARCHAR(45) DEFAULT NULL,
+    user_agent VARCHAR(255) DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    INDEX idx_audit_created_at (created_at),
+    INDEX idx_audit_username (username),
+    INDEX idx_audit_message_id (message_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- Insérer des tokens d'exemple
 INSERT INTO api_tokens (token, user_id, username, expires_at) VALUES
 ('bearer_token_example_123456789', 1, 'admin', DATE_ADD(NOW(), INTERVAL 1 YEAR)),
 ('api_key_iso8583_secure_2024', 2, 'service', DATE_ADD(NOW(), INTERVAL 6 MONTH));
+
+-- ============================================================================
+-- MISE À JOUR D'UNE BASE EXISTANTE
+-- ============================================================================
+-- ALTER TABLE iso_messages ADD COLUMN additional_fields TEXT DEFAULT NULL COMMENT 'Other ISO 8583 fields (JSON)' AFTER currency;
+-- ALTER TABLE iso_messages ADD COLUMN pan_last4 VARCHAR(4) DEFAULT NULL COMMENT 'Last 4 digits of the PAN (search)' AFTER pan,
+--     ADD INDEX idx_pan_last4 (pan_last4), ADD INDEX idx_response_code (response_code), ADD INDEX idx_currency (currency);
+-- puis renseigner pan_last4 des messages existants (PAN chiffré: impossible en SQL),
+-- sans quoi le filtre sur les 4 derniers chiffres les ignore: php scripts/backfill_pan_last4.php
+-- ALTER TABLE iso_messages ADD INDEX idx_lifecycle (rrn, terminal_id, transaction_date, amount);
+-- Connexion JWT: créer la table users et ses utilisateurs d'exemple (voir CREATE TABLE users ci-dessus)
+-- Affichage audité du PAN: créer la table audit_log (voir CREATE TABLE audit_log ci-dessus)
+-- ALTER TABLE iso_messages ADD COLUMN deleted_at TIMESTAMP NULL DEFAULT NULL COMMENT 'Mise à la corbeille (NULL = actif)' AFTER created_at,
+--     ADD COLUMN deleted_by VARCHAR(100) DEFAULT NULL COMMENT 'Utilisateur ayant supprimé le message' AFTER deleted_at,
+--     ADD INDEX idx_deleted_at (deleted_at);
+-- Corbeille et étiquetage groupé: créer la table message_tags (voir CREATE TABLE message_tags ci-dessus)
+-- ALTER TABLE iso_messages ADD COLUMN case_reference VARCHAR(50) DEFAULT NULL COMMENT 'Référence du dossier / ticket support' AFTER deleted_by,
+--     ADD COLUMN notes TEXT DEFAULT NULL COMMENT 'Notes de suivi du support' AFTER case_reference,
+--     ADD COLUMN annotated_at TIMESTAMP NULL DEFAULT NULL COMMENT 'Dernière modification des annotations' AFTER notes,
+--     ADD COLUMN annotated_by VARCHAR(100) DEFAULT NULL COMMENT 'Auteur de la dernière modification des annotations' AFTER annotated_at,
+--     ADD INDEX idx_case_reference (case_reference);
+-- Annotations: créer la table message_history (voir CREATE TABLE message_history ci-dessus)
+-- ALTER TABLE audit_log MODIFY action VARCHAR(30) NOT NULL COMMENT 'pan_reveal | pan_export | message_purge';
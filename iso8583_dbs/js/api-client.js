@@ -0,0 +1,294 @@
+// ============================================================================
+// CLIENT DE L'API ISO 8583
+// ============================================================================
+// Point d'accès unique de l'interface à l'API REST:
+// - délai maximal par requête (timeout)
+// - annulation par AbortController (ex: chargement de liste devenu obsolète)
+// - nouvelles tentatives bornées, uniquement pour les requêtes idempotentes
+// - erreurs structurées (ApiError: status HTTP et code)
+// - aucun journal: ni token, ni mot de passe, ni PAN ne quittent ce module
+//
+// Les fonctions de la section "POINTS D'ACCÈS" retournent { status, headers, data }.
+
+const API_CLIENT_DEFAULTS = {
+    baseUrl: 'api',
+    timeoutMs: 15000,           // Requêtes courantes
+    longTimeoutMs: 60000,       // Téléversements et exports
+    retries: 2,                 // Tentatives supplémentaires (GET uniquement)
+    retryDelayMs: 500,          // Délai initial, doublé à chaque tentative
+    maxRetryDelayMs: 5000
+};
+
+// Statuts HTTP temporaires justifiant une nouvelle tentative
+const API_RETRY_STATUSES = [408, 429, 502, 503, 504];
+
+// Méthodes pouvant être rejouées sans effet de bord
+const API_IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+
+// Branchements fournis par l'application (voir configureApiClient)
+const apiClientHooks = {
+    getToken: () => null,       // Token Bearer courant
+    onUnauthorized: null        // Appelé sur un 401 d'une requête authentifiée
+};
+
+// Erreur d'appel à l'API
+// code: network | timeout | aborted | invalid_response | bad_request | unauthorized
+//       | forbidden | not_found | conflict | rate_limited | server | http
+class ApiError extends Error {
+    constructor(message, { status = 0, code = 'http', details = null, retryable = false, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// Brancher le client sur la session de l'application
+function configureApiClient(hooks) {
+    Object.assign(apiClientHooks, hooks);
+}
+
+// Annulation volontaire (requête remplacée par une plus récente): à ignorer silencieusement
+function isAbortError(error) {
+    return error instanceof ApiError && error.code === 'aborted';
+}
+
+// Code d'erreur correspondant à un statut HTTP
+function apiErrorCode(status) {
+    if (status === 400 || status === 422) return 'bad_request';
+    if (status === 401) return 'unauthorized';
+    if (status === 403) return 'forbidden';
+    if (status === 404) return 'not_found';
+    if (status === 409) return 'conflict';
+    if (status === 429) return 'rate_limited';
+    if (status >= 500) return 'server';
+    return 'http';
+}
+
+// URL complète: chemin relatif à l'API + paramètres (valeurs vides ignorées)
+function apiUrl(path, query) {
+    const url = `${API_CLIENT_DEFAULTS.baseUrl}/${path}`;
+    if (!query) return url;
+
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            params.set(key, value);
+        }
+    });
+    const search = params.toString();
+    return search ? `${url}?${search}` : url;
+}
+
+// Attendre avant une nouvelle tentative (interrompu si la requête est annulée)
+function apiDelay(milliseconds, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new ApiError(t('api.aborted'), { code: 'aborted' }));
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new ApiError(t('api.aborted'), { code: 'aborted' }));
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, milliseconds);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Délai avant la tentative suivante: Retry-After du serveur, sinon progression exponentielle
+function apiRetryDelay(error, attempt) {
+    const delay = error.retryAfterMs ?? API_CLIENT_DEFAULTS.retryDelayMs * 2 ** attempt;
+    return Math.min(delay, API_CLIENT_DEFAULTS.maxRetryDelayMs);
+}
+
+// Lire le corps de la réponse: JSON (défaut) ou Blob (téléchargement)
+async function readApiBody(response, responseType) {
+    if (responseType === 'blob' && response.ok) {
+        return response.blob();
+    }
+
+    const text = await response.text();
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        if (!response.ok) return null;
+        // Souvent une page d'erreur HTML du serveur (PHP en mode display_errors)
+        throw new ApiError(text.trim().startsWith('<')
+            ? t('api.htmlResponse', { status: response.status })
+            : t('api.invalidResponse', { status: response.status }), {
+            status: response.status,
+            code: 'invalid_response'
+        });
+    }
+}
+
+// Une tentative: en-têtes, délai maximal, annulation et conversion des erreurs
+async function apiAttempt(method, path, options) {
+    const headers = { ...(options.headers || {}) };
+    let body = options.body;
+    if (options.json !== undefined) {
+        headers['Content-Type'] = 'application/json';
+        body = JSON.stringify(options.json);
+    }
+    if (options.auth !== false) {
+        const token = apiClientHooks.getToken();
+        if (!token) {
+            throw new ApiError(t('api.authRequired'), { status: 401, code: 'unauthorized' });
+        }
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    // Un contrôleur par tentative: délai maximal et annulation par l'appelant
+    const controller = new AbortController();
+    const timeoutMs = options.timeoutMs || API_CLIENT_DEFAULTS.timeoutMs;
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeoutMs);
+    const abortFromCaller = () => controller.abort();
+    if (options.signal) {
+        if (options.signal.aborted) controller.abort();
+        options.signal.addEventListener('abort', abortFromCaller, { once: true });
+    }
+
+    try {
+        const response = await fetch(apiUrl(path, options.query), { method, headers, body, signal: controller.signal });
+
+        if (response.status === 401 && options.auth !== false && apiClientHooks.onUnauthorized) {
+            apiClientHooks.onUnauthorized();
+        }
+
+        const data = await readApiBody(response, options.responseType);
+        if (!response.ok) {
+            const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+            throw new ApiError((data && (data.message || data.error)) || `HTTP ${response.status}`, {
+                status: response.status,
+                code: apiErrorCode(response.status),
+                details: data,
+                retryable: API_RETRY_STATUSES.includes(response.status),
+                retryAfterMs: isNaN(retryAfter) ? null : retryAfter * 1000
+            });
+        }
+        return { status: response.status, headers: response.headers, data };
+    } catch (error) {
+        if (error instanceof ApiError) throw error;
+        if (timedOut) {
+            throw new ApiError(t('api.timeout', { seconds: Math.ceil(timeoutMs / 1000) }), { code: 'timeout', retryable: true });
+        }
+        if (controller.signal.aborted) {
+            throw new ApiError(t('api.aborted'), { code: 'aborted' });
+        }
+        throw new ApiError(t('api.network'), { code: 'network', retryable: true });
+    } finally {
+        clearTimeout(timer);
+        if (options.signal) options.signal.removeEventListener('abort', abortFromCaller);
+    }
+}
+
+// Requête vers l'API
+// options: { method, query, json, body, headers, auth (défaut true), signal, timeoutMs, retries, responseType }
+async function apiRequest(path, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const maxRetries = API_IDEMPOTENT_METHODS.includes(method)
+        ? (options.retries ?? API_CLIENT_DEFAULTS.retries)
+        : 0;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await apiAttempt(method, path, options);
+        } catch (error) {
+            if (!error.retryable || attempt >= maxRetries) throw error;
+            await apiDelay(apiRetryDelay(error, attempt), options.signal);
+        }
+    }
+}
+
+// ============================================================================
+// POINTS D'ACCÈS
+// ============================================================================
+
+// Session
+function apiLogin(username, password) {
+    return apiRequest('login', { method: 'POST', json: { username, password }, auth: false });
+}
+
+function apiGetCurrentUser() {
+    return apiRequest('me');
+}
+
+function apiRefreshToken() {
+    return apiRequest('refresh', { method: 'POST' });
+}
+
+// Messages
+function apiListMessages(query, signal) {
+    return apiRequest('', { query, signal });
+}
+
+function apiGetMessage(id) {
+    return apiRequest(encodeURIComponent(id));
+}
+
+function apiGetLifecycle(id) {
+    return apiRequest(`${encodeURIComponent(id)}/lifecycle`);
+}
+
+// Annotations du support: { notes?, case_reference?, tags? }
+function apiUpdateAnnotations(id, changes) {
+    return apiRequest(encodeURIComponent(id), { method: 'PUT', json: changes });
+}
+
+function apiGetHistory(id) {
+    return apiRequest(`${encodeURIComponent(id)}/history`);
+}
+
+function apiGetStats(filters, signal) {
+    return apiRequest('stats', { query: filters, signal });
+}
+
+// Résumé des messages arrivés depuis since_id (mise à jour en direct de la liste)
+function apiGetUpdates(query, signal) {
+    return apiRequest('updates', { query, signal, retries: 0 });
+}
+
+function apiExportMessages(query) {
+    return apiRequest('export', { query, responseType: 'blob', timeoutMs: API_CLIENT_DEFAULTS.longTimeoutMs });
+}
+
+// options.keepDuplicate: enregistrer même si le message est un doublon probable (sinon 409)
+function apiUploadXml(file, options = {}) {
+    const formData = new FormData();
+    formData.append('xml_file', file, file.name);
+    if (options.keepDuplicate) {
+        formData.append('on_duplicate', 'keep');
+    }
+    // Pas de Content-Type: le navigateur ajoute la frontière multipart
+    return apiRequest('', { method: 'POST', body: formData, timeoutMs: API_CLIENT_DEFAULTS.longTimeoutMs });
+}
+
+// Action groupée: delete | restore | purge | tag (extra: { tag })
+function apiBulkAction(action, ids, extra = {}) {
+    return apiRequest('bulk', { method: 'POST', json: { ...extra, action, ids } });
+}
+
+function apiGetTrash(query) {
+    return apiRequest('trash', { query });
+}
+
+// Données sensibles et audit
+function apiRevealPan(id, reason) {
+    return apiRequest(`${encodeURIComponent(id)}/reveal`, { method: 'POST', json: { reason } });
+}
+
+function apiGetAuditLog(query) {
+    return apiRequest('audit', { query });
+}
@@ -0,0 +1,365 @@
+// ============================================================================
+// DONNÉES CARTE À PUCE EMV (CHAMP 55, BER-TLV)
+// ============================================================================
+// Décodage des données ICC transmises dans le champ 55:
+// - lecture BER-TLV (tags sur plusieurs octets, longueurs longues, tags construits)
+// - nom EMV de chaque tag et interprétation des valeurs courantes
+// - détail bit à bit du TVR (95) et de l'AIP (82), CID (9F27), résultat CVM (9F34)
+// Les libellés sont en français; le catalogue de la langue active les surcharge
+// (clés emv.tags.{tag}, emv.tvr.{octet}.{bit}, emv.aip.{octet}.{bit}).
+
+// Dictionnaire des tags: { name, format } (b: binaire, n: numérique BCD, an: texte ASCII)
+const EMV_TAGS = {
+    '4F': { name: 'Identifiant d\'application (AID) - carte', format: 'b' },
+    '50': { name: 'Libellé de l\'application', format: 'an' },
+    '56': { name: 'Équivalent piste 1', format: 'b' },
+    '57': { name: 'Équivalent piste 2', format: 'b' },
+    '5A': { name: 'Numéro de compte de l\'application (PAN)', format: 'n' },
+    '5F20': { name: 'Nom du porteur', format: 'an' },
+    '5F24': { name: 'Date d\'expiration de l\'application', format: 'n' },
+    '5F25': { name: 'Date d\'effet de l\'application', format: 'n' },
+    '5F28': { name: 'Code pays de l\'émetteur', format: 'n' },
+    '5F2A': { name: 'Code devise de la transaction', format: 'n' },
+    '5F2D': { name: 'Langues préférées', format: 'an' },
+    '5F34': { name: 'Numéro de séquence du PAN (PSN)', format: 'n' },
+    '70': { name: 'Modèle de données EMV (template)', format: 'b' },
+    '71': { name: 'Script émetteur (avant le dernier GENERATE AC)', format: 'b' },
+    '72': { name: 'Script émetteur (après le dernier GENERATE AC)', format: 'b' },
+    '77': { name: 'Modèle de réponse, format 2 (template)', format: 'b' },
+    '82': { name: 'Profil d\'échange de l\'application (AIP)', format: 'b' },
+    '84': { name: 'Nom du fichier dédié (DF)', format: 'b' },
+    '8A': { name: 'Code réponse d\'autorisation', format: 'an' },
+    '91': { name: 'Données d\'authentification de l\'émetteur', format: 'b' },
+    '95': { name: 'Résultats de vérification du terminal (TVR)', format: 'b' },
+    '9A': { name: 'Date de la transaction', format: 'n' },
+    '9B': { name: 'Statut des traitements de la transaction (TSI)', format: 'b' },
+    '9C': { name: 'Type de transaction', format: 'n' },
+    '9F02': { name: 'Montant autorisé', format: 'n' },
+    '9F03': { name: 'Autre montant (cashback)', format: 'n' },
+    '9F06': { name: 'Identifiant d\'application (AID) - terminal', format: 'b' },
+    '9F07': { name: 'Contrôle d\'usage de l\'application', format: 'b' },
+    '9F08': { name: 'Version de l\'application (carte)', format: 'b' },
+    '9F09': { name: 'Version de l\'application (terminal)', format: 'b' },
+    '9F0D': { name: 'Action de l\'émetteur - défaut (IAC)', format: 'b' },
+    '9F0E': { name: 'Action de l\'émetteur - refus (IAC)', format: 'b' },
+    '9F0F': { name: 'Action de l\'émetteur - en ligne (IAC)', format: 'b' },
+    '9F10': { name: 'Données applicatives de l\'émetteur (IAD)', format: 'b' },
+    '9F11': { name: 'Index de la table de caractères de l\'émetteur', format: 'n' },
+    '9F12': { name: 'Nom préféré de l\'application', format: 'an' },
+    '9F1A': { name: 'Code pays du terminal', format: 'n' },
+    '9F1E': { name: 'Numéro de série du lecteur (IFD)', format: 'an' },
+    '9F1F': { name: 'Données discrétionnaires piste 1', format: 'an' },
+    '9F20': { name: 'Données discrétionnaires piste 2', format: 'n' },
+    '9F21': { name: 'Heure de la transaction', format: 'n' },
+    '9F26': { name: 'Cryptogramme d\'application (ARQC / TC / AAC)', format: 'b' },
+    '9F27': { name: 'Données d\'information du cryptogramme (CID)', format: 'b' },
+    '9F33': { name: 'Capacités du terminal', format: 'b' },
+    '9F34': { name: 'Résultat de la vérification du porteur (CVM)', format: 'b' },
+    '9F35': { name: 'Type de terminal', format: 'n' },
+    '9F36': { name: 'Compteur de transactions de l\'application (ATC)', format: 'b' },
+    '9F37': { name: 'Nombre imprévisible', format: 'b' },
+    '9F39': { name: 'Mode de saisie au point de service', format: 'n' },
+    '9F40': { name: 'Capacités additionnelles du terminal', format: 'b' },
+    '9F41': { name: 'Compteur de séquence des transactions', format: 'n' },
+    '9F53': { name: 'Code de catégorie de transaction', format: 'an' },
+    '9F5B': { name: 'Résultats des scripts émetteur', format: 'b' },
+    '9F66': { name: 'Qualificateurs de transaction du terminal (TTQ)', format: 'b' },
+    '9F6B': { name: 'Données piste 2 (sans contact)', format: 'b' },
+    '9F6C': { name: 'Qualificateurs de transaction de la carte (CTQ)', format: 'b' },
+    '9F6E': { name: 'Indicateur de facteur de forme', format: 'b' }
+};
+
+// Tags jamais affichés en clair (retirés à l'enregistrement, voir utils/EmvTlv.php)
+const EMV_SENSITIVE_TAGS = ['56', '57', '5A', '5F20', '9F1F', '9F20', '9F6B'];
+
+// TVR (95, 5 octets): libellés des bits 8 → 1 de chaque octet (null: réservé RFU)
+const EMV_TVR_FLAGS = [
+    [
+        'Authentification hors ligne des données non effectuée',
+        'Échec de l\'authentification statique (SDA)',
+        'Données de la carte manquantes',
+        'Carte présente dans la liste d\'exceptions du terminal',
+        'Échec de l\'authentification dynamique (DDA)',
+        'Échec de l\'authentification combinée (CDA)',
+        'Authentification statique (SDA) sélectionnée',
+        null
+    ],
+    [
+        'Versions d\'application différentes entre carte et terminal',
+        'Application expirée',
+        'Application pas encore en vigueur',
+        'Service demandé non autorisé pour ce produit carte',
+        'Nouvelle carte',
+        null,
+        null,
+        null
+    ],
+    [
+        'Échec de la vérification du porteur',
+        'Méthode de vérification (CVM) non reconnue',
+        'Nombre maximal d\'essais du PIN dépassé',
+        'PIN requis, clavier absent ou hors service',
+        'PIN requis, clavier présent mais PIN non saisi',
+        'PIN en ligne saisi',
+        null,
+        null
+    ],
+    [
+        'Montant supérieur au plafond hors ligne (floor limit)',
+        'Limite inférieure de transactions hors ligne consécutives dépassée',
+        'Limite supérieure de transactions hors ligne consécutives dépassée',
+        'Transaction choisie aléatoirement pour un traitement en ligne',
+        'Passage en ligne forcé par le commerçant',
+        null,
+        null,
+        null
+    ],
+    [
+        'TDOL par défaut utilisé',
+        'Échec de l\'authentification de l\'émetteur',
+        'Échec d\'un script avant le dernier GENERATE AC',
+        'Échec d\'un script après le dernier GENERATE AC',
+        null,
+        null,
+        null,
+        null
+    ]
+];
+
+// AIP (82, 2 octets): fonctions supportées par la carte
+const EMV_AIP_FLAGS = [
+    [
+        null,
+        'Authentification statique (SDA) supportée',
+        'Authentification dynamique (DDA) supportée',
+        'Vérification du porteur supportée',
+        'Gestion des risques par le terminal à effectuer',
+        'Authentification de l\'émetteur supportée',
+        null,
+        'Authentification combinée (CDA) supportée'
+    ],
+    [
+        'Mode EMV supporté (sans contact)',
+        null,
+        null,
+        null,
+        null,
+        null,
+        null,
+        'Protocole de résistance au relais supporté (sans contact)'
+    ]
+];
+
+// Type de cryptogramme (CID, bits 8-7 du tag 9F27)
+const EMV_CRYPTOGRAM_TYPES = {
+    0: 'AAC - transaction refusée par la carte',
+    1: 'TC - transaction approuvée hors ligne',
+    2: 'ARQC - autorisation en ligne demandée',
+    3: 'Réservé (RFU)'
+};
+
+// Méthode de vérification du porteur (9F34, octet 1, bits 6-1)
+const EMV_CVM_METHODS = {
+    '00': 'Échec du traitement CVM',
+    '01': 'PIN en clair vérifié par la carte',
+    '02': 'PIN chiffré vérifié en ligne',
+    '03': 'PIN en clair vérifié par la carte et signature',
+    '04': 'PIN chiffré vérifié par la carte',
+    '05': 'PIN chiffré vérifié par la carte et signature',
+    '1E': 'Signature',
+    '1F': 'Aucune vérification (No CVM)',
+    '3F': 'Aucune méthode applicable'
+};
+
+// Résultat de la vérification du porteur (9F34, octet 3)
+const EMV_CVM_RESULTS = {
+    '00': 'résultat inconnu',
+    '01': 'échec',
+    '02': 'réussie'
+};
+
+// ============================================================================
+// LECTURE ET ÉCRITURE BER-TLV
+// ============================================================================
+
+// Décoder une chaîne hexadécimale BER-TLV
+// Retourne [{ tag, length, value (hexadécimal), children (tags construits, sinon null) }]
+function parseEmvTlv(hex) {
+    const data = String(hex || '').replace(/\s+/g, '').toUpperCase();
+    if (!data || data.length % 2 !== 0 || !/^[0-9A-F]+$/.test(data)) {
+        throw new Error(t('emv.errors.hex'));
+    }
+    const bytes = data.match(/../g).map(pair => parseInt(pair, 16));
+    return parseEmvBytes(bytes, 0, bytes.length);
+}
+
+// Décoder les TLV entre deux positions (appel récursif pour les tags construits)
+function parseEmvBytes(bytes, start, end) {
+    const nodes = [];
+    const hexOf = (from, to) => bytes.slice(from, to).map(byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+    let offset = start;
+
+    while (offset < end) {
+        const first = bytes[offset];
+        // Remplissage entre deux TLV
+        if (first === 0x00 || first === 0xFF) {
+            offset++;
+            continue;
+        }
+
+        // Tag: octets suivants si les 5 bits de poids faible valent 1F, tant que le bit 8 vaut 1
+        const tagStart = offset++;
+        if ((first & 0x1F) === 0x1F) {
+            do {
+                if (offset >= end) throw new Error(t('emv.errors.truncatedTag'));
+            } while (bytes[offset++] & 0x80);
+        }
+        const tag = hexOf(tagStart, offset);
+
+        // Longueur: forme courte, ou 81 / 82 suivi de 1 ou 2 octets
+        if (offset >= end) throw new Error(t('emv.errors.missingLength', { tag }));
+        let length = bytes[offset++];
+        if (length & 0x80) {
+            const lengthBytes = length & 0x7F;
+            if (lengthBytes < 1 || lengthBytes > 2 || offset + lengthBytes > end) {
+                throw new Error(t('emv.errors.invalidLength', { tag }));
+            }
+            length = 0;
+            for (let index = 0; index < lengthBytes; index++) {
+                length = (length << 8) | bytes[offset++];
+            }
+        }
+
+        if (offset + length > end) throw new Error(t('emv.errors.truncatedValue', { tag }));
+        const constructed = Boolean(first & 0x20);
+        nodes.push({
+            tag,
+            length,
+            value: hexOf(offset, offset + length),
+            children: constructed ? parseEmvBytes(bytes, offset, offset + length) : null
+        });
+        offset += length;
+    }
+
+    return nodes;
+}
+
+// Encoder une liste de TLV { tag, value (hexadécimal) } en chaîne hexadécimale
+function encodeEmvTlv(nodes) {
+    return nodes.map(node => {
+        const value = String(node.value || '').toUpperCase();
+        const length = value.length / 2;
+        const lengthHex = length < 0x80
+            ? length.toString(16).padStart(2, '0')
+            : (length <= 0xFF ? `81${length.toString(16).padStart(2, '0')}` : `82${length.toString(16).padStart(4, '0')}`);
+        return `${String(node.tag).toUpperCase()}${lengthHex.toUpperCase()}${value}`;
+    }).join('');
+}
+
+// ============================================================================
+// INTERPRÉTATION DES VALEURS
+// ============================================================================
+
+// Nom EMV d'un tag dans la langue active
+function getEmvTagName(tag) {
+    const definition = EMV_TAGS[tag];
+    return definition ? tLabel(`emv.tags.${tag}`, definition.name) : t('emv.unknownTag');
+}
+
+// Valeur hexadécimale → texte ASCII (caractères non imprimables remplacés)
+function emvHexToAscii(value) {
+    return (value.match(/../g) || [])
+        .map(pair => parseInt(pair, 16))
+        .map(code => (code >= 0x20 && code < 0x7F ? String.fromCharCode(code) : '.'))
+        .join('');
+}
+
+// Date EMV AAMMJJ (n 6) → date selon la locale
+function formatEmvDate(value) {
+    if (!/^\d{6}$/.test(value)) return '';
+    const date = new Date(2000 + Number(value.substring(0, 2)), Number(value.substring(2, 4)) - 1, Number(value.substring(4, 6)));
+    return formatDateTime(date, { dateStyle: 'medium' });
+}
+
+// Bits d'une valeur selon une table de libellés [octet][bit 8 → 1]
+// Retourne [{ byte, bit, label, set }] (bits réservés signalés uniquement s'ils sont activés)
+function decodeEmvBits(value, table, prefix) {
+    const bytes = (value.match(/../g) || []).map(pair => parseInt(pair, 16));
+    const flags = [];
+    table.forEach((labels, byteIndex) => {
+        labels.forEach((label, bitIndex) => {
+            const bit = 8 - bitIndex;
+            const set = Boolean((bytes[byteIndex] || 0) & (1 << (bit - 1)));
+            if (label || set) {
+                flags.push({
+                    byte: byteIndex + 1,
+                    bit,
+                    label: label
+                        ? tLabel(`${prefix}.${byteIndex + 1}.${bit}`, label)
+                        : t('emv.rfuBit'),
+                    set
+                });
+            }
+        });
+    });
+    return flags;
+}
+
+// Détail bit à bit d'un tag (TVR, AIP), null pour les autres tags
+function decodeEmvFlags(tag, value) {
+    if (tag === '95') return decodeEmvBits(value, EMV_TVR_FLAGS, 'emv.tvr');
+    if (tag === '82') return decodeEmvBits(value, EMV_AIP_FLAGS, 'emv.aip');
+    return null;
+}
+
+// Interprétation lisible d'une valeur (chaîne vide si rien à ajouter)
+// nodes: ensemble des TLV du message (ex: devise 5F2A pour le montant 9F02)
+function describeEmvValue(tag, value, nodes = []) {
+    const find = wanted => (nodes.find(node => node.tag === wanted) || {}).value;
+    const definition = EMV_TAGS[tag];
+
+    switch (tag) {
+        case '9A':
+        case '5F24':
+        case '5F25':
+            return formatEmvDate(value);
+        case '9F21':
+            return /^\d{6}$/.test(value) ? `${value.substring(0, 2)}:${value.substring(2, 4)}:${value.substring(4, 6)}` : '';
+        case '5F2A':
+            return describeCurrency(value.slice(-3));
+        case '9F02':
+        case '9F03':
+            return /^\d+$/.test(value) ? formatAmount(Number(value), (find('5F2A') || '').slice(-3) || undefined) : '';
+        case '9C':
+            return localizeTable('processing.types', PROCESSING_TRANSACTION_TYPES)[value] || '';
+        case '8A': {
+            const code = emvHexToAscii(value);
+            return `${code} - ${describeResponseCode(code).label}`;
+        }
+        case '9F27': {
+            const cid = parseInt(value.substring(0, 2), 16);
+            if (isNaN(cid)) return '';
+            const type = tLabel(`emv.cryptogram.${cid >> 6}`, EMV_CRYPTOGRAM_TYPES[cid >> 6]);
+            return cid & 0x08 ? `${type}${t('emv.adviceRequired')}` : type;
+        }
+        case '9F34': {
+            if (value.length < 6) return '';
+            const method = (parseInt(value.substring(0, 2), 16) & 0x3F).toString(16).padStart(2, '0').toUpperCase();
+            const result = value.substring(4, 6);
+            const methodLabel = EMV_CVM_METHODS[method]
+                ? tLabel(`emv.cvm.methods.${method}`, EMV_CVM_METHODS[method])
+                : t('emv.cvm.unknownMethod', { code: method });
+            const resultLabel = EMV_CVM_RESULTS[result] ? tLabel(`emv.cvm.results.${result}`, EMV_CVM_RESULTS[result]) : result;
+            return `${methodLabel} (${resultLabel})`;
+        }
+        case '9F36':
+            return value ? t('emv.counter', { value: parseInt(value, 16) }) : '';
+        case '95':
+        case '82': {
+            const active = decodeEmvFlags(tag, value).filter(flag => flag.set).length;
+            return active > 0 ? t('emv.activeFlags', { count: active }) : t('emv.noFlags');
+        }
+        default:
+            return definition && definition.format === 'an' ? emvHexToAscii(value) : '';
+    }
+}
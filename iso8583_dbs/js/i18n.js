@@ -0,0 +1,125 @@
+// ============================================================================
+// INTERNATIONALISATION (FRANÇAIS / ANGLAIS)
+// ============================================================================
+// Textes de l'interface et formats d'affichage selon la langue active.
+// - catalogues de messages: js/locales/fr.js et js/locales/en.js (clés à points,
+//   paramètres {nom}); le français est la langue de référence
+// - textes statiques de index.html: attributs data-i18n (contenu),
+//   data-i18n-placeholder, data-i18n-title et data-i18n-aria-label
+// - dates, heures, nombres et montants: Intl, avec la locale de la langue active
+// La langue choisie est mémorisée entre les visites (localStorage).
+
+// Langues disponibles: locale de formatage et libellé du sélecteur
+const I18N_LANGUAGES = {
+    fr: { locale: 'fr-FR', label: 'Français' },
+    en: { locale: 'en-GB', label: 'English' }
+};
+const I18N_DEFAULT_LANGUAGE = 'fr';
+const I18N_STORAGE_KEY = 'iso8583.language';
+
+// Catalogues chargés par js/locales/*.js: { fr: { clé: texte }, en: { ... } }
+const I18N_CATALOGUES = {};
+
+let currentLanguage = detectLanguage();
+
+// Langue initiale: choix mémorisé, sinon langue du navigateur, sinon français
+function detectLanguage() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(I18N_STORAGE_KEY));
+        if (I18N_LANGUAGES[stored]) return stored;
+    } catch (error) {
+        // Stockage indisponible ou valeur illisible: détection par le navigateur
+    }
+    const browser = String(navigator.language || '').substring(0, 2).toLowerCase();
+    return I18N_LANGUAGES[browser] ? browser : I18N_DEFAULT_LANGUAGE;
+}
+
+// Texte traduit d'une clé, avec paramètres: t('queue.summary', { count: 3 })
+// Repli: langue active, puis français, puis la clé elle-même (texte manquant visible)
+function t(key, params) {
+    const catalogue = I18N_CATALOGUES[currentLanguage] || {};
+    let text = catalogue[key] ?? (I18N_CATALOGUES[I18N_DEFAULT_LANGUAGE] || {})[key] ?? key;
+    if (params) {
+        text = text.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+    }
+    return text;
+}
+
+// Libellé d'une table de référence (dictionnaire, codes réponse...):
+// les tables sont écrites en français, le catalogue de la langue active les surcharge
+function tLabel(key, fallback) {
+    const catalogue = I18N_CATALOGUES[currentLanguage] || {};
+    return catalogue[key] ?? fallback;
+}
+
+// Locale d'affichage courante (dates, nombres, montants, noms de devises)
+function getDisplayLocale() {
+    return I18N_LANGUAGES[currentLanguage].locale;
+}
+
+// Appliquer la langue aux textes statiques marqués (document entier par défaut)
+function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    [['i18nPlaceholder', 'placeholder'], ['i18nTitle', 'title'], ['i18nAriaLabel', 'aria-label']].forEach(([dataKey, attribute]) => {
+        const selector = `[data-${dataKey.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}]`;
+        root.querySelectorAll(selector).forEach(element => {
+            element.setAttribute(attribute, t(element.dataset[dataKey]));
+        });
+    });
+}
+
+// Changer de langue: mémorisation, attribut lang du document, textes statiques
+// Les contenus générés sont redessinés par l'application (voir changeLanguage dans app.js)
+function setLanguage(language) {
+    if (!I18N_LANGUAGES[language]) return;
+    currentLanguage = language;
+    try {
+        localStorage.setItem(I18N_STORAGE_KEY, JSON.stringify(language));
+    } catch (error) {
+        // Stockage indisponible (navigation privée): choix non conservé
+    }
+    document.documentElement.lang = language;
+    document.title = t('app.title');
+    translatePage();
+}
+
+// ============================================================================
+// FORMATS D'AFFICHAGE
+// ============================================================================
+
+// Date renvoyée par l'API (MySQL "YYYY-MM-DD HH:MM:SS") ou objet Date
+function parseServerDate(value) {
+    if (value instanceof Date) return value;
+    return new Date(String(value || '').replace(' ', 'T'));
+}
+
+// Date et heure complètes selon la locale, ex: "19/10/2026 14:05:09" / "19/10/2026, 14:05:09"
+function formatDateTime(value, options = { dateStyle: 'short', timeStyle: 'medium' }) {
+    const date = parseServerDate(value);
+    if (isNaN(date.getTime())) return 'N/A';
+    return new Intl.DateTimeFormat(getDisplayLocale(), options).format(date);
+}
+
+// Heure seule, ex: "14:05"
+function formatTime(value) {
+    return formatDateTime(value, { hour: '2-digit', minute: '2-digit' });
+}
+
+// Nombre selon la locale, ex: "12 345" / "12,345"
+function formatNumber(value, options) {
+    return Number(value || 0).toLocaleString(getDisplayLocale(), options);
+}
+
+// Pourcentage (valeur de 0 à 100), ex: "97,5 %" / "97.5%"
+function formatPercent(value) {
+    return new Intl.NumberFormat(getDisplayLocale(), { style: 'percent', maximumFractionDigits: 1 })
+        .format(Number(value || 0) / 100);
+}
+
+// Jour et mois (MMDD, sans année), ex: "19/10" / "19 Oct"
+function formatMonthDay(mmdd) {
+    const date = new Date(2000, parseInt(mmdd.substring(0, 2), 10) - 1, parseInt(mmdd.substring(2, 4), 10));
+    return new Intl.DateTimeFormat(getDisplayLocale(), { day: '2-digit', month: 'short' }).format(date);
+}
@@ -0,0 +1,336 @@
+// ============================================================================
+// COMPOSITEUR DE MESSAGES ISO 8583
+// ============================================================================
+// Construit un message champ par champ dans le navigateur, génère le XML
+// (même format que exemples/sample_msg*.xml) et l'envoie via la file de
+// téléversement (POST api/), comme un fichier déposé.
+
+// Champs jamais saisis: bitmap calculé, données sensibles ignorées par XmlParser
+const COMPOSER_EXCLUDED_FIELDS = ['1', '35', '36', '45', '52'];
+
+// Champs affichés par défaut (en plus du MTI)
+const COMPOSER_DEFAULT_FIELDS = {
+    '2': '',
+    '3': '000000',
+    '4': '',
+    '12': '',
+    '13': '',
+    '37': '',
+    '41': '',
+    '49': '969'
+};
+
+// MTI par défaut: demande financière ISO 8583:1993 émise par l'acquéreur
+const COMPOSER_DEFAULT_MTI = '1200';
+
+// BIN de test (cartes de test publiques des réseaux)
+const COMPOSER_TEST_BINS = [
+    { bin: '400000', brand: 'Visa', length: 16 },
+    { bin: '411111', brand: 'Visa', length: 16 },
+    { bin: '510510', brand: 'Mastercard', length: 16 },
+    { bin: '222300', brand: 'Mastercard 2xxxxx', length: 16 },
+    { bin: '378282', brand: 'American Express', length: 15 },
+    { bin: '601111', brand: 'Discover', length: 16 }
+];
+
+// Champs disposant d'un bouton "Maintenant"
+const COMPOSER_NOW_FIELDS = ['7', '12', '13'];
+
+// État du compositeur: { numéro de champ: valeur }, le champ 0 porte le MTI
+let composerFields = {};
+
+// ============================================================================
+// INITIALISATION ET MODÈLES
+// ============================================================================
+
+// Préparer le compositeur (listes du MTI et des champs ajoutables)
+function setupComposer() {
+    fillComposerLabels();
+    resetComposer();
+}
+
+// Libellés des listes du MTI et des BIN de test dans la langue active
+// (rappelé au changement de langue, sans perdre le message en cours)
+function fillComposerLabels() {
+    fillComposerSelect('composerMtiVersion', localizeTable('mti.versions', MTI_VERSIONS));
+    fillComposerSelect('composerMtiClass', localizeTable('mti.classes', MTI_CLASSES));
+    fillComposerSelect('composerMtiFunction', localizeTable('mti.functions', MTI_FUNCTIONS));
+    fillComposerSelect('composerMtiOrigin', Object.fromEntries(
+        Object.entries(MTI_ORIGINS).map(([digit, origin]) => [
+            digit,
+            `${tLabel(`mti.origins.${digit}`, origin.source)}${origin.repeat ? t('dictionary.repeat') : ''}`
+        ])
+    ));
+
+    document.getElementById('composerBins').innerHTML = COMPOSER_TEST_BINS
+        .map(entry => `<option value="${entry.bin}">${escapeHtml(t('composer.testBinLabel', { brand: entry.brand }))}</option>`)
+        .join('');
+}
+
+// Remplir une liste déroulante à partir d'une table { chiffre: libellé }
+function fillComposerSelect(selectId, labels) {
+    document.getElementById(selectId).innerHTML = Object.entries(labels)
+        .map(([digit, label]) => `<option value="${digit}">${digit} - ${escapeHtml(label)}</option>`)
+        .join('');
+}
+
+// Repartir d'un message vierge
+function resetComposer() {
+    loadComposerTemplate({ '0': COMPOSER_DEFAULT_MTI, ...COMPOSER_DEFAULT_FIELDS });
+}
+
+// Charger des champs comme modèle (ex: message existant ouvert depuis le détail)
+function loadComposerTemplate(fields) {
+    composerFields = {};
+    Object.keys(fields).forEach(id => {
+        if (!COMPOSER_EXCLUDED_FIELDS.includes(String(id)) && fields[id] !== null && fields[id] !== undefined) {
+            composerFields[String(id)] = String(fields[id]);
+        }
+    });
+    if (!composerFields['0']) {
+        composerFields['0'] = COMPOSER_DEFAULT_MTI;
+    }
+    renderComposer();
+}
+
+// Champs d'une contre-passation (reversal) d'un message d'origine:
+// MTI x400 (1987) ou x420 (1993 et suivantes), sans code réponse,
+// avec les éléments de données originaux (champ 90)
+function buildReversalFields(original) {
+    const fields = { ...original };
+    const originalMti = /^\d{4}$/.test(original['0'] || '') ? original['0'] : COMPOSER_DEFAULT_MTI;
+    const version = originalMti[0];
+
+    fields['0'] = `${version}4${version === '0' ? '0' : '2'}0`;
+    delete fields['39'];
+
+    const transmission = original['7'] || `${original['13'] || ''}${original['12'] || ''}`;
+    fields['90'] = [
+        originalMti,
+        (original['11'] || '').padStart(6, '0'),
+        transmission.padStart(10, '0'),
+        (original['32'] || '').padStart(11, '0'),
+        (original['33'] || '').padStart(11, '0')
+    ].join('').replace(/\D/g, '0').substring(0, 42);
+
+    return fields;
+}
+
+// ============================================================================
+// SAISIE DES CHAMPS
+// ============================================================================
+
+// Modifier un champ: la saisie est filtrée selon le type du champ
+function setComposerField(id, input) {
+    const definition = getDataElement(id);
+    let value = input.value;
+
+    if (definition.type === 'n') {
+        value = value.replace(/\D/g, '');
+    } else if (definition.type === 'b') {
+        value = value.replace(/[^0-9A-Fa-f]/g, '').toUpperCase();
+    } else if (definition.type === 'x+n') {
+        value = value.toUpperCase().replace(/[^CD0-9]/g, '');
+    }
+    if (value !== input.value) {
+        input.value = value;
+    }
+
+    composerFields[id] = value;
+    updateComposerStatus();
+}
+
+// Modifier le MTI à partir des quatre listes (version, classe, fonction, origine)
+function updateComposerMti() {
+    composerFields['0'] = ['composerMtiVersion', 'composerMtiClass', 'composerMtiFunction', 'composerMtiOrigin']
+        .map(selectId => document.getElementById(selectId).value)
+        .join('');
+    updateComposerStatus();
+}
+
+// Ajouter le champ choisi dans la liste
+function addComposerField() {
+    const select = document.getElementById('composerAddField');
+    if (!select.value) return;
+    composerFields[select.value] = '';
+    renderComposer();
+    const input = document.querySelector(`#composerFieldRows input[data-field="${select.value}"]`);
+    if (input) input.focus();
+}
+
+// Retirer un champ facultatif
+function removeComposerField(id) {
+    delete composerFields[id];
+    renderComposer();
+}
+
+// Valeur "maintenant" d'un champ date/heure
+// 7: MMDDhhmmss (GMT), 12: hhmmss (heure locale), 13: MMDD (date locale)
+function composerNowValue(id) {
+    const now = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    if (id === '7') {
+        return pad(now.getUTCMonth() + 1) + pad(now.getUTCDate())
+            + pad(now.getUTCHours()) + pad(now.getUTCMinutes()) + pad(now.getUTCSeconds());
+    }
+    if (id === '12') {
+        return pad(now.getHours()) + pad(now.getMinutes()) + pad(now.getSeconds());
+    }
+    return pad(now.getMonth() + 1) + pad(now.getDate());
+}
+
+// Remplir un champ date/heure avec l'instant présent
+function setComposerNow(id) {
+    const input = document.querySelector(`#composerFieldRows input[data-field="${id}"]`);
+    input.value = composerNowValue(id);
+    setComposerField(id, input);
+}
+
+// Calculer la clé de Luhn à ajouter à un numéro partiel
+function luhnCheckDigit(partial) {
+    for (let digit = 0; digit <= 9; digit++) {
+        if (luhnCheck(`${partial}${digit}`)) return String(digit);
+    }
+    return '0';
+}
+
+// Générer un PAN de test valide (Luhn) à partir d'un BIN
+function generateTestPan(bin, length) {
+    let pan = String(bin).replace(/\D/g, '');
+    while (pan.length < length - 1) {
+        pan += Math.floor(Math.random() * 10);
+    }
+    pan = pan.substring(0, length - 1);
+    return pan + luhnCheckDigit(pan);
+}
+
+// Remplir le champ 2 avec un PAN de test généré depuis le BIN saisi
+function fillComposerPan() {
+    const bin = document.getElementById('composerBin').value.trim();
+    if (!/^\d{6,8}$/.test(bin)) {
+        showAlert(t('composer.invalidBin'), 'warning');
+        return;
+    }
+    const known = COMPOSER_TEST_BINS.find(entry => entry.bin === bin);
+    const input = document.querySelector('#composerFieldRows input[data-field="2"]');
+    input.value = generateTestPan(bin, known ? known.length : 16);
+    setComposerField('2', input);
+}
+
+// ============================================================================
+// AFFICHAGE ET ENVOI
+// ============================================================================
+
+// Générer le XML du message (format des fichiers exemples, en-tête facultatif)
+function buildIsoXml(fields, header) {
+    const escapeAttribute = value => String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+
+    const lines = Object.keys(fields)
+        .filter(id => fields[id] !== '')
+        .sort((a, b) => Number(a) - Number(b))
+        .map(id => `      <field id="${escapeAttribute(id)}" value="${escapeAttribute(fields[id])}"/>`);
+
+    if (header) {
+        lines.unshift(`      <header>${escapeAttribute(header)}</header>`);
+    }
+
+    return `<isomsg direction="outgoing">\n${lines.join('\n')}\n</isomsg>\n`;
+}
+
+// Afficher les listes MTI, les lignes de champs et la liste des champs ajoutables
+function renderComposer() {
+    const mti = (composerFields['0'] || COMPOSER_DEFAULT_MTI).padEnd(4, '0');
+    ['composerMtiVersion', 'composerMtiClass', 'composerMtiFunction', 'composerMtiOrigin'].forEach((selectId, index) => {
+        const select = document.getElementById(selectId);
+        if (!Array.from(select.options).some(option => option.value === mti[index])) {
+            select.insertAdjacentHTML('beforeend', `<option value="${mti[index]}">${mti[index]} - ${t('composer.reserved')}</option>`);
+        }
+        select.value = mti[index];
+    });
+
+    const ids = Object.keys(composerFields)
+        .filter(id => id !== '0')
+        .sort((a, b) => Number(a) - Number(b));
+
+    document.getElementById('composerFieldRows').innerHTML = ids.map(id => {
+        const definition = getDataElement(id);
+        const maxLength = (definition.length || definition.max) * (definition.type === 'b' ? 2 : 1);
+        const tools = [];
+        if (id === '2') {
+            tools.push(`<button type="button" class="queue-retry" onclick="fillComposerPan()" title="${t('composer.generateTitle')}">${t('composer.generate')}</button>`);
+        }
+        if (COMPOSER_NOW_FIELDS.includes(id)) {
+            tools.push(`<button type="button" class="queue-retry" onclick="setComposerNow('${id}')">${t('composer.now')}</button>`);
+        }
+        if (!REQUIRED_FIELDS.includes(id)) {
+            tools.push(`<button type="button" class="queue-retry" onclick="removeComposerField('${id}')" title="${t('composer.removeField')}">✖</button>`);
+        }
+        return `
+            <tr>
+                <td class="de-number">${id}</td>
+                <td>${escapeHtml(definition.name)}<div class="de-format">${escapeHtml(formatDataElementSpec(definition))}</div></td>
+                <td>
+                    <input type="text" data-field="${id}" value="${escapeHtml(composerFields[id])}"
+                        maxlength="${maxLength}" ${definition.type === 'n' ? 'inputmode="numeric"' : ''}
+                        oninput="setComposerField('${id}', this)">
+                </td>
+                <td class="composer-tools">${tools.join(' ')}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const available = Object.keys(ISO_DATA_ELEMENTS)
+        .filter(id => id !== '0' && !COMPOSER_EXCLUDED_FIELDS.includes(id) && composerFields[id] === undefined);
+    document.getElementById('composerAddField').innerHTML = `<option value="">${t('composer.addField')}</option>`
+        + available.map(id => `<option value="${id}">${id} - ${escapeHtml(getDataElement(id).name)}</option>`).join('');
+
+    updateComposerStatus();
+}
+
+// Mettre à jour le libellé du MTI, les erreurs de saisie et l'aperçu XML
+function updateComposerStatus() {
+    const mti = decodeMti(composerFields['0']);
+    document.getElementById('composerMtiLabel').textContent = mti
+        ? `${composerFields['0']} = ${mti.label}`
+        : t('composer.mtiUndecodable', { mti: composerFields['0'] });
+
+    document.querySelectorAll('#composerFieldRows input[data-field]').forEach(input => {
+        const errors = validateFieldValue(input.dataset.field, input.value);
+        input.classList.toggle('invalid', errors.length > 0);
+        input.title = errors.join('\n');
+    });
+
+    const { errors, warnings } = validateIsoMessage({ mti: composerFields['0'], header: '', fields: composerFields });
+    document.getElementById('composerIssues').innerHTML = [
+        ...errors.map(message => `<li class="issue-error">${escapeHtml(message)}</li>`),
+        ...warnings.map(message => `<li class="issue-warning">${escapeHtml(message)}</li>`)
+    ].join('');
+    document.getElementById('composerSubmitBtn').disabled = errors.length > 0;
+
+    document.getElementById('composerXml').textContent = buildIsoXml(composerFields);
+}
+
+// Envoyer le message composé par la file de téléversement (POST api/)
+function submitComposedMessage() {
+    if (!isAuthenticated) {
+        showAlert(t('composer.authRequired'), 'error');
+        return;
+    }
+
+    const { errors, warnings } = validateIsoMessage({ mti: composerFields['0'], header: '', fields: composerFields });
+    if (errors.length > 0) {
+        showAlert(t('composer.invalidMessage', { error: errors[0] }), 'error');
+        return;
+    }
+    if (warnings.length > 0 && !confirm(t('composer.confirmWarnings', { warnings: warnings.join('\n- ') }))) {
+        return;
+    }
+
+    const timestamp = new Date().toISOString().replace(/\D/g, '').substring(0, 14);
+    const file = new File([buildIsoXml(composerFields)], `composer_${composerFields['0']}_${timestamp}.xml`, { type: 'application/xml' });
+    enqueueFiles([file]);
+}
@@ -0,0 +1,220 @@
+// ============================================================================
+// DEVISES ISO 4217
+// ============================================================================
+// Table des devises actives: code numérique (champ 49) → code alphabétique
+// et nombre de décimales (minor unit). Les montants ISO 8583 (champ 4) sont
+// exprimés dans la plus petite unité de la devise.
+
+const ISO_CURRENCIES = {
+    '008': { code: 'ALL', minor: 2 },
+    '012': { code: 'DZD', minor: 2 },
+    '032': { code: 'ARS', minor: 2 },
+    '036': { code: 'AUD', minor: 2 },
+    '044': { code: 'BSD', minor: 2 },
+    '048': { code: 'BHD', minor: 3 },
+    '050': { code: 'BDT', minor: 2 },
+    '051': { code: 'AMD', minor: 2 },
+    '052': { code: 'BBD', minor: 2 },
+    '060': { code: 'BMD', minor: 2 },
+    '064': { code: 'BTN', minor: 2 },
+    '068': { code: 'BOB', minor: 2 },
+    '072': { code: 'BWP', minor: 2 },
+    '084': { code: 'BZD', minor: 2 },
+    '090': { code: 'SBD', minor: 2 },
+    '096': { code: 'BND', minor: 2 },
+    '104': { code: 'MMK', minor: 2 },
+    '108': { code: 'BIF', minor: 0 },
+    '116': { code: 'KHR', minor: 2 },
+    '124': { code: 'CAD', minor: 2 },
+    '132': { code: 'CVE', minor: 2 },
+    '136': { code: 'KYD', minor: 2 },
+    '144': { code: 'LKR', minor: 2 },
+    '152': { code: 'CLP', minor: 0 },
+    '156': { code: 'CNY', minor: 2 },
+    '170': { code: 'COP', minor: 2 },
+    '174': { code: 'KMF', minor: 0 },
+    '188': { code: 'CRC', minor: 2 },
+    '192': { code: 'CUP', minor: 2 },
+    '203': { code: 'CZK', minor: 2 },
+    '208': { code: 'DKK', minor: 2 },
+    '214': { code: 'DOP', minor: 2 },
+    '222': { code: 'SVC', minor: 2 },
+    '230': { code: 'ETB', minor: 2 },
+    '232': { code: 'ERN', minor: 2 },
+    '238': { code: 'FKP', minor: 2 },
+    '242': { code: 'FJD', minor: 2 },
+    '262': { code: 'DJF', minor: 0 },
+    '270': { code: 'GMD', minor: 2 },
+    '292': { code: 'GIP', minor: 2 },
+    '320': { code: 'GTQ', minor: 2 },
+    '324': { code: 'GNF', minor: 0 },
+    '328': { code: 'GYD', minor: 2 },
+    '332': { code: 'HTG', minor: 2 },
+    '340': { code: 'HNL', minor: 2 },
+    '344': { code: 'HKD', minor: 2 },
+    '348': { code: 'HUF', minor: 2 },
+    '352': { code: 'ISK', minor: 0 },
+    '356': { code: 'INR', minor: 2 },
+    '360': { code: 'IDR', minor: 2 },
+    '364': { code: 'IRR', minor: 2 },
+    '368': { code: 'IQD', minor: 3 },
+    '376': { code: 'ILS', minor: 2 },
+    '388': { code: 'JMD', minor: 2 },
+    '392': { code: 'JPY', minor: 0 },
+    '398': { code: 'KZT', minor: 2 },
+    '400': { code: 'JOD', minor: 3 },
+    '404': { code: 'KES', minor: 2 },
+    '408': { code: 'KPW', minor: 2 },
+    '410': { code: 'KRW', minor: 0 },
+    '414': { code: 'KWD', minor: 3 },
+    '417': { code: 'KGS', minor: 2 },
+    '418': { code: 'LAK', minor: 2 },
+    '422': { code: 'LBP', minor: 2 },
+    '426': { code: 'LSL', minor: 2 },
+    '430': { code: 'LRD', minor: 2 },
+    '434': { code: 'LYD', minor: 3 },
+    '446': { code: 'MOP', minor: 2 },
+    '454': { code: 'MWK', minor: 2 },
+    '458': { code: 'MYR', minor: 2 },
+    '462': { code: 'MVR', minor: 2 },
+    '480': { code: 'MUR', minor: 2 },
+    '484': { code: 'MXN', minor: 2 },
+    '496': { code: 'MNT', minor: 2 },
+    '498': { code: 'MDL', minor: 2 },
+    '504': { code: 'MAD', minor: 2 },
+    '512': { code: 'OMR', minor: 3 },
+    '516': { code: 'NAD', minor: 2 },
+    '524': { code: 'NPR', minor: 2 },
+    '532': { code: 'ANG', minor: 2 },
+    '533': { code: 'AWG', minor: 2 },
+    '548': { code: 'VUV', minor: 0 },
+    '554': { code: 'NZD', minor: 2 },
+    '558': { code: 'NIO', minor: 2 },
+    '566': { code: 'NGN', minor: 2 },
+    '578': { code: 'NOK', minor: 2 },
+    '586': { code: 'PKR', minor: 2 },
+    '590': { code: 'PAB', minor: 2 },
+    '598': { code: 'PGK', minor: 2 },
+    '600': { code: 'PYG', minor: 0 },
+    '604': { code: 'PEN', minor: 2 },
+    '608': { code: 'PHP', minor: 2 },
+    '634': { code: 'QAR', minor: 2 },
+    '643': { code: 'RUB', minor: 2 },
+    '646': { code: 'RWF', minor: 0 },
+    '654': { code: 'SHP', minor: 2 },
+    '682': { code: 'SAR', minor: 2 },
+    '690': { code: 'SCR', minor: 2 },
+    '702': { code: 'SGD', minor: 2 },
+    '704': { code: 'VND', minor: 0 },
+    '706': { code: 'SOS', minor: 2 },
+    '710': { code: 'ZAR', minor: 2 },
+    '728': { code: 'SSP', minor: 2 },
+    '748': { code: 'SZL', minor: 2 },
+    '752': { code: 'SEK', minor: 2 },
+    '756': { code: 'CHF', minor: 2 },
+    '760': { code: 'SYP', minor: 2 },
+    '764': { code: 'THB', minor: 2 },
+    '776': { code: 'TOP', minor: 2 },
+    '780': { code: 'TTD', minor: 2 },
+    '784': { code: 'AED', minor: 2 },
+    '788': { code: 'TND', minor: 3 },
+    '800': { code: 'UGX', minor: 0 },
+    '807': { code: 'MKD', minor: 2 },
+    '818': { code: 'EGP', minor: 2 },
+    '826': { code: 'GBP', minor: 2 },
+    '834': { code: 'TZS', minor: 2 },
+    '840': { code: 'USD', minor: 2 },
+    '858': { code: 'UYU', minor: 2 },
+    '860': { code: 'UZS', minor: 2 },
+    '882': { code: 'WST', minor: 2 },
+    '886': { code: 'YER', minor: 2 },
+    '901': { code: 'TWD', minor: 2 },
+    '924': { code: 'ZWG', minor: 2 },
+    '925': { code: 'SLE', minor: 2 },
+    '926': { code: 'VED', minor: 2 },
+    '927': { code: 'UYW', minor: 4 },
+    '928': { code: 'VES', minor: 2 },
+    '929': { code: 'MRU', minor: 2 },
+    '930': { code: 'STN', minor: 2 },
+    '933': { code: 'BYN', minor: 2 },
+    '934': { code: 'TMT', minor: 2 },
+    '936': { code: 'GHS', minor: 2 },
+    '938': { code: 'SDG', minor: 2 },
+    '940': { code: 'UYI', minor: 0 },
+    '941': { code: 'RSD', minor: 2 },
+    '943': { code: 'MZN', minor: 2 },
+    '944': { code: 'AZN', minor: 2 },
+    '946': { code: 'RON', minor: 2 },
+    '947': { code: 'CHE', minor: 2 },
+    '948': { code: 'CHW', minor: 2 },
+    '949': { code: 'TRY', minor: 2 },
+    '950': { code: 'XAF', minor: 0 },
+    '951': { code: 'XCD', minor: 2 },
+    '952': { code: 'XOF', minor: 0 },
+    '953': { code: 'XPF', minor: 0 },
+    '960': { code: 'XDR', minor: 0 },
+    '967': { code: 'ZMW', minor: 2 },
+    '968': { code: 'SRD', minor: 2 },
+    '969': { code: 'MGA', minor: 2 },
+    '970': { code: 'COU', minor: 2 },
+    '971': { code: 'AFN', minor: 2 },
+    '972': { code: 'TJS', minor: 2 },
+    '973': { code: 'AOA', minor: 2 },
+    '975': { code: 'BGN', minor: 2 },
+    '976': { code: 'CDF', minor: 2 },
+    '977': { code: 'BAM', minor: 2 },
+    '978': { code: 'EUR', minor: 2 },
+    '979': { code: 'MXV', minor: 2 },
+    '980': { code: 'UAH', minor: 2 },
+    '981': { code: 'GEL', minor: 2 },
+    '984': { code: 'BOV', minor: 2 },
+    '985': { code: 'PLN', minor: 2 },
+    '986': { code: 'BRL', minor: 2 },
+    '990': { code: 'CLF', minor: 4 },
+    '997': { code: 'USN', minor: 2 },
+    '999': { code: 'XXX', minor: 0 }
+};
+
+// Décimales utilisées pour une devise inconnue
+const DEFAULT_MINOR_UNIT = 2;
+
+// Retourner la devise correspondant à un code numérique (champ 49), ou null
+function getCurrency(numericCode) {
+    const key = String(numericCode ?? '').padStart(3, '0');
+    return ISO_CURRENCIES[key] || null;
+}
+
+// Libellé d'une devise, ex: "969 (MGA - ariary malgache)"
+function describeCurrency(numericCode) {
+    const currency = getCurrency(numericCode);
+    if (!currency) {
+        return t('currency.unknown', { code: numericCode });
+    }
+    let name = '';
+    try {
+        name = new Intl.DisplayNames([getDisplayLocale()], { type: 'currency' }).of(currency.code);
+    } catch (error) {
+        // Intl.DisplayNames non supporté: code alphabétique seul
+    }
+    return `${numericCode} (${currency.code}${name && name !== currency.code ? ` - ${name}` : ''})`;
+}
+
+// Formater un montant exprimé en unités mineures selon la devise et la locale
+// ex: formatAmount(560000, '950') → "560 000 FCFA", formatAmount(1250, '978') → "12,50 €"
+function formatAmount(amount, numericCode) {
+    const currency = getCurrency(numericCode);
+    const minor = currency ? currency.minor : DEFAULT_MINOR_UNIT;
+    const value = Number(amount || 0) / Math.pow(10, minor);
+    const locale = getDisplayLocale();
+    const digits = { minimumFractionDigits: minor, maximumFractionDigits: minor };
+
+    if (currency) {
+        try {
+            return new Intl.NumberFormat(locale, { style: 'currency', currency: currency.code, ...digits }).format(value);
+        } catch (error) {
+            // Code non reconnu par Intl: affichage numérique + code alphabétique
+            return `${new Intl.NumberFormat(locale, digits).format(value)} ${currency.code}`;
+        }
+    }
+    return `${new Intl.NumberFormat(locale, digits).format(value)} ${numericCode || ''}`.trim();
+}
@@ -0,0 +1,293 @@
+// ============================================================================
+// DICTIONNAIRE DES ÉLÉMENTS DE DONNÉES ISO 8583
+// ============================================================================
+// Définition des champs (data elements) selon ISO 8583:1987, utilisée pour
+// l'affichage détaillé, la validation et le (dé)codage des messages.
+//
+// Pour chaque champ:
+// - name: libellé du champ
+// - type: 'n' numérique, 'a' alphabétique, 'an' alphanumérique,
+//         'ans' alphanumérique + spéciaux, 'b' binaire (longueur en octets),
+//         'z' piste magnétique, 'x+n' montant signé (C/D + numérique,
+//         longueur signe compris)
+// - length: longueur fixe, OU
+// - format: 'LLVAR' / 'LLLVAR' avec max: longueur maximale
+
+const ISO_DATA_ELEMENTS = {
+    0: { name: 'Type de message (MTI)', type: 'n', length: 4 },
+    1: { name: 'Bitmap secondaire', type: 'b', length: 8 },
+    2: { name: 'Numéro de carte (PAN)', type: 'n', format: 'LLVAR', max: 19 },
+    3: { name: 'Code de traitement', type: 'n', length: 6 },
+    4: { name: 'Montant de la transaction', type: 'n', length: 12 },
+    5: { name: 'Montant de règlement', type: 'n', length: 12 },
+    6: { name: 'Montant facturé au porteur', type: 'n', length: 12 },
+    7: { name: 'Date et heure de transmission (MMDDhhmmss)', type: 'n', length: 10 },
+    8: { name: 'Frais facturés au porteur', type: 'n', length: 8 },
+    9: { name: 'Taux de conversion (règlement)', type: 'n', length: 8 },
+    10: { name: 'Taux de conversion (porteur)', type: 'n', length: 8 },
+    11: { name: 'Numéro d\'audit système (STAN)', type: 'n', length: 6 },
+    12: { name: 'Heure locale de la transaction (hhmmss)', type: 'n', length: 6 },
+    13: { name: 'Date locale de la transaction (MMDD)', type: 'n', length: 4 },
+    14: { name: 'Date d\'expiration (YYMM)', type: 'n', length: 4 },
+    15: { name: 'Date de règlement (MMDD)', type: 'n', length: 4 },
+    16: { name: 'Date de conversion (MMDD)', type: 'n', length: 4 },
+    17: { name: 'Date de capture (MMDD)', type: 'n', length: 4 },
+    18: { name: 'Code catégorie commerçant (MCC)', type: 'n', length: 4 },
+    19: { name: 'Code pays de l\'acquéreur', type: 'n', length: 3 },
+    20: { name: 'Code pays du PAN étendu', type: 'n', length: 3 },
+    21: { name: 'Code pays de l\'institution émettrice du message', type: 'n', length: 3 },
+    22: { name: 'Mode de saisie au point de service', type: 'n', length: 3 },
+    23: { name: 'Numéro de séquence de la carte', type: 'n', length: 3 },
+    24: { name: 'Identifiant réseau international (NII)', type: 'n', length: 3 },
+    25: { name: 'Code condition du point de service', type: 'n', length: 2 },
+    26: { name: 'Code capture PIN', type: 'n', length: 2 },
+    27: { name: 'Longueur du code d\'autorisation', type: 'n', length: 1 },
+    28: { name: 'Frais de transaction', type: 'x+n', length: 9 },
+    29: { name: 'Frais de règlement', type: 'x+n', length: 9 },
+    30: { name: 'Frais de traitement de la transaction', type: 'x+n', length: 9 },
+    31: { name: 'Frais de traitement du règlement', type: 'x+n', length: 9 },
+    32: { name: 'Code institution acquéreur', type: 'n', format: 'LLVAR', max: 11 },
+    33: { name: 'Code institution émettrice du message', type: 'n', format: 'LLVAR', max: 11 },
+    34: { name: 'PAN étendu', type: 'ans', format: 'LLVAR', max: 28 },
+    35: { name: 'Données piste 2', type: 'z', format: 'LLVAR', max: 37 },
+    36: { name: 'Données piste 3', type: 'n', format: 'LLLVAR', max: 104 },
+    37: { name: 'Numéro de référence (RRN)', type: 'an', length: 12 },
+    38: { name: 'Code d\'autorisation', type: 'an', length: 6 },
+    39: { name: 'Code réponse', type: 'an', length: 2 },
+    40: { name: 'Code restriction de service', type: 'an', length: 3 },
+    41: { name: 'Identifiant du terminal', type: 'ans', length: 8 },
+    42: { name: 'Identifiant de l\'accepteur (commerçant)', type: 'ans', length: 15 },
+    43: { name: 'Nom et localisation de l\'accepteur', type: 'ans', length: 40 },
+    44: { name: 'Données de réponse additionnelles', type: 'an', format: 'LLVAR', max: 25 },
+    45: { name: 'Données piste 1', type: 'an', format: 'LLVAR', max: 76 },
+    46: { name: 'Données additionnelles ISO', type: 'an', format: 'LLLVAR', max: 999 },
+    47: { name: 'Données additionnelles nationales', type: 'an', format: 'LLLVAR', max: 999 },
+    48: { name: 'Données additionnelles privées', type: 'an', format: 'LLLVAR', max: 999 },
+    49: { name: 'Code devise de la transaction', type: 'n', length: 3 },
+    50: { name: 'Code devise de règlement', type: 'n', length: 3 },
+    51: { name: 'Code devise de facturation porteur', type: 'n', length: 3 },
+    52: { name: 'Bloc PIN chiffré', type: 'b', length: 8 },
+    53: { name: 'Informations de contrôle de sécurité', type: 'n', length: 16 },
+    54: { name: 'Montants additionnels', type: 'an', format: 'LLLVAR', max: 120 },
+    55: { name: 'Données carte à puce (ICC / EMV)', type: 'b', format: 'LLLVAR', max: 255 },
+    56: { name: 'Réservé ISO', type: 'ans', format: 'LLLVAR', max: 999 },
+    57: { name: 'Réservé national', type: 'ans', format: 'LLLVAR', max: 999 },
+    58: { name: 'Réservé national', type: 'ans', format: 'LLLVAR', max: 999 },
+    59: { name: 'Réservé national', type: 'ans', format: 'LLLVAR', max: 999 },
+    60: { name: 'Réservé national', type: 'ans', format: 'LLLVAR', max: 999 },
+    61: { name: 'Réservé privé', type: 'ans', format: 'LLLVAR', max: 999 },
+    62: { name: 'Réservé privé', type: 'ans', format: 'LLLVAR', max: 999 },
+    63: { name: 'Réservé privé', type: 'ans', format: 'LLLVAR', max: 999 },
+    64: { name: 'Code d\'authentification du message (MAC)', type: 'b', length: 8 },
+    65: { name: 'Bitmap tertiaire', type: 'b', length: 1 },
+    66: { name: 'Code de règlement', type: 'n', length: 1 },
+    67: { name: 'Code de paiement étendu', type: 'n', length: 2 },
+    68: { name: 'Code pays de l\'institution destinataire', type: 'n', length: 3 },
+    69: { name: 'Code pays de l\'institution de règlement', type: 'n', length: 3 },
+    70: { name: 'Code de gestion réseau', type: 'n', length: 3 },
+    71: { name: 'Numéro de message', type: 'n', length: 4 },
+    72: { name: 'Dernier numéro de message', type: 'n', length: 4 },
+    73: { name: 'Date d\'action (YYMMDD)', type: 'n', length: 6 },
+    74: { name: 'Nombre de crédits', type: 'n', length: 10 },
+    75: { name: 'Nombre d\'annulations de crédits', type: 'n', length: 10 },
+    76: { name: 'Nombre de débits', type: 'n', length: 10 },
+    77: { name: 'Nombre d\'annulations de débits', type: 'n', length: 10 },
+    78: { name: 'Nombre de transferts', type: 'n', length: 10 },
+    79: { name: 'Nombre d\'annulations de transferts', type: 'n', length: 10 },
+    80: { name: 'Nombre de demandes de solde', type: 'n', length: 10 },
+    81: { name: 'Nombre d\'autorisations', type: 'n', length: 10 },
+    82: { name: 'Frais de traitement des crédits', type: 'n', length: 12 },
+    83: { name: 'Frais de transaction des crédits', type: 'n', length: 12 },
+    84: { name: 'Frais de traitement des débits', type: 'n', length: 12 },
+    85: { name: 'Frais de transaction des débits', type: 'n', length: 12 },
+    86: { name: 'Montant total des crédits', type: 'n', length: 16 },
+    87: { name: 'Montant des annulations de crédits', type: 'n', length: 16 },
+    88: { name: 'Montant total des débits', type: 'n', length: 16 },
+    89: { name: 'Montant des annulations de débits', type: 'n', length: 16 },
+    90: { name: 'Éléments de données originaux', type: 'n', length: 42 },
+    91: { name: 'Code de mise à jour de fichier', type: 'an', length: 1 },
+    92: { name: 'Code de sécurité de fichier', type: 'an', length: 2 },
+    93: { name: 'Indicateur de réponse', type: 'an', length: 5 },
+    94: { name: 'Indicateur de service', type: 'an', length: 7 },
+    95: { name: 'Montants de remplacement', type: 'an', length: 42 },
+    96: { name: 'Code de sécurité du message', type: 'b', length: 8 },
+    97: { name: 'Montant net de règlement', type: 'x+n', length: 17 },
+    98: { name: 'Bénéficiaire', type: 'ans', length: 25 },
+    99: { name: 'Code institution de règlement', type: 'n', format: 'LLVAR', max: 11 },
+    100: { name: 'Code institution destinataire', type: 'n', format: 'LLVAR', max: 11 },
+    101: { name: 'Nom de fichier', type: 'ans', format: 'LLVAR', max: 17 },
+    102: { name: 'Identification du compte 1', type: 'ans', format: 'LLVAR', max: 28 },
+    103: { name: 'Identification du compte 2', type: 'ans', format: 'LLVAR', max: 28 },
+    104: { name: 'Description de la transaction', type: 'ans', format: 'LLLVAR', max: 100 },
+    105: { name: 'Réservé ISO', type: 'ans', format: 'LLLVAR', max: 999 },
+    106: { name: 'Réservé ISO', type: 'ans', format: 'LLLVAR', max: 999 },
+    107: { name: 'Réservé ISO', type: 'ans', format: 'LLLVAR', max: 999 },
+    108: { name: 'Réservé ISO', type: 'ans', format: 'LLLVAR', max: 999 },
+    109: { name: 'Réservé ISO', type: 'ans', format: 'LLLVAR', max: 999 },
+    110: { name: 'Réservé ISO', type: 'ans', format: 'LLLVAR', max: 999 },
+    111: { name: 'Réservé ISO', type: 'ans', format: 'LLLVAR', max: 999 },
+    112: { name: 'Réservé national', type: 'ans', format: 'LLLVAR', max: 999 },
+    113: { name: 'Réservé national', type: 'ans', format: 'LLLVAR', max: 999 },
+    114: { name: 'Réservé national', type: 'ans', format: 'LLLVAR', max: 999 },
+    115: { name: 'Réservé national', type: 'ans', format: 'LLLVAR', max: 999 },
+    116: { name: 'Réservé national', type: 'ans', format: 'LLLVAR', max: 999 },
+    117: { name: 'Réservé national', type: 'ans', format: 'LLLVAR', max: 999 },
+    118: { name: 'Réservé national', type: 'ans', format: 'LLLVAR', max: 999 },
+    119: { name: 'Réservé national', type: 'ans', format: 'LLLVAR', max: 999 },
+    120: { name: 'Réservé privé', type: 'ans', format: 'LLLVAR', max: 999 },
+    121: { name: 'Réservé privé', type: 'ans', format: 'LLLVAR', max: 999 },
+    122: { name: 'Réservé privé', type: 'ans', format: 'LLLVAR', max: 999 },
+    123: { name: 'Réservé privé', type: 'ans', format: 'LLLVAR', max: 999 },
+    124: { name: 'Réservé privé', type: 'ans', format: 'LLLVAR', max: 999 },
+    125: { name: 'Réservé privé', type: 'ans', format: 'LLLVAR', max: 999 },
+    126: { name: 'Réservé privé', type: 'ans', format: 'LLLVAR', max: 999 },
+    127: { name: 'Réservé privé', type: 'ans', format: 'LLLVAR', max: 999 },
+    128: { name: 'Code d\'authentification secondaire (MAC)', type: 'b', length: 8 }
+};
+
+// Retourner la définition d'un champ (ou une définition générique s'il est inconnu)
+// Le nom est traduit dans la langue active (clé de.{numéro} du catalogue)
+function getDataElement(id) {
+    const definition = ISO_DATA_ELEMENTS[Number(id)];
+    if (!definition) {
+        return { name: t('dictionary.unknownField'), type: 'ans', format: 'LLLVAR', max: 999 };
+    }
+    return { ...definition, name: tLabel(`de.${Number(id)}`, definition.name) };
+}
+
+// Table { code: libellé } traduite dans la langue active (clés {prefix}.{code})
+function localizeTable(prefix, table) {
+    return Object.fromEntries(Object.entries(table).map(([code, label]) => [code, tLabel(`${prefix}.${code}`, label)]));
+}
+
+// Représentation courte du format d'un champ, ex: "n 12", "n ..19 (LLVAR)"
+function formatDataElementSpec(definition) {
+    if (definition.length) {
+        return `${definition.type} ${definition.length}`;
+    }
+    const dots = definition.format === 'LLLVAR' ? '...' : '..';
+    return `${definition.type} ${dots}${definition.max} (${definition.format})`;
+}
+
+// ============================================================================
+// DÉCODAGE DU MTI (MESSAGE TYPE INDICATOR)
+// ============================================================================
+
+const MTI_VERSIONS = {
+    '0': 'ISO 8583:1987',
+    '1': 'ISO 8583:1993',
+    '2': 'ISO 8583:2003',
+    '8': 'Usage national',
+    '9': 'Usage privé'
+};
+
+const MTI_CLASSES = {
+    '1': 'Autorisation',
+    '2': 'Financier',
+    '3': 'Actions sur fichier',
+    '4': 'Annulation / Rétrofacturation',
+    '5': 'Rapprochement',
+    '6': 'Administratif',
+    '7': 'Recouvrement de frais',
+    '8': 'Gestion réseau',
+    '9': 'Réservé ISO'
+};
+
+const MTI_FUNCTIONS = {
+    '0': 'Demande',
+    '1': 'Réponse à une demande',
+    '2': 'Avis',
+    '3': 'Réponse à un avis',
+    '4': 'Notification',
+    '5': 'Accusé de notification',
+    '6': 'Instruction',
+    '7': 'Accusé d\'instruction'
+};
+
+const MTI_ORIGINS = {
+    '0': { source: 'Acquéreur', repeat: false },
+    '1': { source: 'Acquéreur', repeat: true },
+    '2': { source: 'Émetteur', repeat: false },
+    '3': { source: 'Émetteur', repeat: true },
+    '4': { source: 'Autre', repeat: false },
+    '5': { source: 'Autre', repeat: true }
+};
+
+// Décoder un MTI en version, classe, fonction et origine
+// ex: "1121" → "ISO 8583:1993, Autorisation, Avis (répétition), Acquéreur"
+function decodeMti(mti) {
+    if (!/^\d{4}$/.test(mti || '')) {
+        return null;
+    }
+
+    const origin = MTI_ORIGINS[mti[3]];
+    const reserved = digit => t('dictionary.reserved', { digit });
+    const result = {
+        version: localizeTable('mti.versions', MTI_VERSIONS)[mti[0]] || reserved(mti[0]),
+        messageClass: localizeTable('mti.classes', MTI_CLASSES)[mti[1]] || reserved(mti[1]),
+        messageFunction: localizeTable('mti.functions', MTI_FUNCTIONS)[mti[2]] || reserved(mti[2]),
+        origin: origin ? tLabel(`mti.origins.${mti[3]}`, origin.source) : reserved(mti[3]),
+        repeat: origin ? origin.repeat : false
+    };
+    result.label = `${result.version}, ${result.messageClass}, ${result.messageFunction}`
+        + `${result.repeat ? t('dictionary.repeat') : ''}, ${result.origin}`;
+    return result;
+}
+
+// ============================================================================
+// DÉCODAGE DU CODE DE TRAITEMENT (CHAMP 3)
+// ============================================================================
+
+const PROCESSING_TRANSACTION_TYPES = {
+    '00': 'Achat',
+    '01': 'Retrait d\'espèces',
+    '02': 'Ajustement débit',
+    '03': 'Garantie de chèque',
+    '09': 'Achat avec cashback',
+    '10': 'Financement de compte',
+    '11': 'Quasi-espèces',
+    '17': 'Avance d\'espèces',
+    '18': 'Paiement de facture',
+    '20': 'Remboursement / Retour',
+    '21': 'Dépôt',
+    '22': 'Ajustement crédit',
+    '26': 'Crédit de paiement (original credit)',
+    '28': 'Paiement',
+    '30': 'Consultation de solde',
+    '31': 'Consultation de solde',
+    '38': 'Consultation de mini-relevé',
+    '39': 'Consultation de compte',
+    '40': 'Transfert entre comptes',
+    '50': 'Paiement de facture',
+    '90': 'Changement de PIN',
+    '91': 'Déblocage de PIN'
+};
+
+const PROCESSING_ACCOUNT_TYPES = {
+    '00': 'Non spécifié',
+    '10': 'Épargne',
+    '20': 'Chèque / Compte courant',
+    '30': 'Crédit',
+    '40': 'Universel',
+    '50': 'Investissement',
+    '60': 'Porte-monnaie électronique',
+    '90': 'Crédit renouvelable'
+};
+
+// Décoder un code de traitement TTFFTT (type, compte débité, compte crédité)
+function decodeProcessingCode(code) {
+    if (!/^\d{6}$/.test(code || '')) {
+        return null;
+    }
+
+    const type = code.substring(0, 2);
+    const from = code.substring(2, 4);
+    const to = code.substring(4, 6);
+    const types = localizeTable('processing.types', PROCESSING_TRANSACTION_TYPES);
+    const accounts = localizeTable('processing.accounts', PROCESSING_ACCOUNT_TYPES);
+    return {
+        transactionType: types[type] || t('dictionary.type', { code: type }),
+        fromAccount: accounts[from] || t('dictionary.account', { code: from }),
+        toAccount: accounts[to] || t('dictionary.account', { code: to })
+    };
+}
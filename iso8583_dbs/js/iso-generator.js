@@ -0,0 +1,479 @@
+// ============================================================================
+// GÉNÉRATEUR DE TRAFIC DE TEST
+// ============================================================================
+// Jeux de messages synthétiques pour les démonstrations et les essais
+// (pagination, filtres, tableau de bord, cycle de vie):
+// - répartition choisie des familles de transactions (MTI), devises, codes
+//   réponse, terminaux et période couverte
+// - PAN de test valides (Luhn) issus des BIN de test du compositeur
+// - RRN uniques, demande et réponse d'une même transaction cohérentes
+//   (même RRN, PAN, montant, terminal; réponse quelques secondes plus tard)
+// - tirages pseudo-aléatoires initialisés par une graine: mêmes paramètres et
+//   même graine, même jeu de données
+//
+// Utilisable hors de l'interface (console du navigateur, cli/iso8583.js):
+//   const { messages } = generateTestTraffic({ count: 200, seed: 'demo' });
+//   await submitTestTraffic(messages, { onProgress: progress => console.log(progress) });
+
+// Paramètres par défaut
+const GENERATOR_DEFAULTS = {
+    count: 100,                 // Nombre de messages (demandes et réponses comprises)
+    seed: '',                   // Graine (vide: tirée au hasard, retournée pour rejouer le jeu)
+    endDate: '',                // Dernier jour couvert AAAA-MM-JJ (vide: aujourd'hui, retourné avec la graine)
+    days: 7,                    // Nombre de jours couverts
+    terminals: 5,               // Nombre de terminaux (TEST0001, TEST0002...)
+    approvalRate: 85,           // Pourcentage de réponses approuvées
+    families: { authorization: 4, financial: 4, refund: 1, reversal: 1 },
+    currencies: { '969': 6, '978': 3, '840': 1 }
+};
+
+// Nombre maximal de messages par génération
+const GENERATOR_MAX_COUNT = 2000;
+
+// Téléversements simultanés (comme la file d'attente de l'interface)
+const GENERATOR_CONCURRENCY = 3;
+
+// Familles de transactions (ISO 8583:1993): MTI de la demande et de la réponse
+// financial: achats et retraits; refund: remboursements (code traitement 20),
+// famille distincte pour que les achats générés n'en contiennent pas
+// reversal: transaction financière suivie de sa contre-passation (même RRN)
+const GENERATOR_FAMILIES = {
+    authorization: { request: '1100', response: '1110', processingCodes: ['000000', '000000', '010000', '300000'] },
+    financial: { request: '1200', response: '1210', processingCodes: ['000000', '000000', '000000', '010000'] },
+    refund: { request: '1200', response: '1210', processingCodes: ['200000'] },
+    reversal: { request: '1200', response: '1210', processingCodes: ['000000', '010000'], reversal: { request: '1420', response: '1430' } }
+};
+
+// Montants usuels par devise, en unités principales [minimum, maximum]
+const GENERATOR_AMOUNT_RANGES = {
+    '969': [2000, 2000000],
+    '952': [500, 300000],
+    '950': [500, 300000]
+};
+const GENERATOR_DEFAULT_AMOUNT_RANGE = [1, 800];
+
+// Codes de refus et d'erreur tirés pour les réponses non approuvées (pondérés)
+const GENERATOR_DECLINE_CODES = { '05': 5, '51': 6, '55': 3, '54': 2, '61': 2, '14': 1, '57': 1, '91': 2, '96': 1 };
+
+// Code institution acquéreur (champ 32) et préfixe des terminaux / commerçants générés
+const GENERATOR_ACQUIRER_ID = '99999';
+const GENERATOR_TERMINAL_PREFIX = 'TEST';
+
+// ============================================================================
+// TIRAGES PSEUDO-ALÉATOIRES REPRODUCTIBLES
+// ============================================================================
+
+// Empreinte 32 bits d'une graine texte (FNV-1a)
+function hashGeneratorSeed(seed) {
+    let hash = 0x811C9DC5;
+    for (const char of String(seed)) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Générateur pseudo-aléatoire (mulberry32) et tirages usuels
+function createGeneratorRandom(seed) {
+    let state = hashGeneratorSeed(seed);
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+    const integer = (min, max) => min + Math.floor(next() * (max - min + 1));
+    return {
+        next,
+        integer,
+        digits: length => Array.from({ length }, () => integer(0, 9)).join(''),
+        pick: list => list[Math.floor(next() * list.length)],
+        // Tirage pondéré dans une table { valeur: poids }
+        weighted: weights => {
+            const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+            let target = next() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+            for (const [value, weight] of entries) {
+                target -= weight;
+                if (target < 0) return value;
+            }
+            return entries[entries.length - 1][0];
+        }
+    };
+}
+
+// Graine aléatoire lisible (à noter pour rejouer le jeu de données)
+function randomGeneratorSeed() {
+    return Math.random().toString(36).substring(2, 10);
+}
+
+// ============================================================================
+// PARAMÈTRES
+// ============================================================================
+
+// Lire une répartition saisie "clé:poids, clé:poids" (poids 1 par défaut)
+// Retourne { clé: poids } ou lève une erreur si la saisie est invalide
+function parseGeneratorWeights(text) {
+    const weights = {};
+    String(text || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const match = part.match(/^([^:\s]+)\s*(?::\s*(\d+(?:\.\d+)?))?$/);
+        if (!match) {
+            throw new Error(t('generator.errors.weights', { value: part }));
+        }
+        weights[match[1]] = match[2] === undefined ? 1 : Number(match[2]);
+    });
+    return weights;
+}
+
+// Répartition au format de saisie, ex: "969:6, 978:3"
+function formatGeneratorWeights(weights) {
+    return Object.entries(weights).map(([key, weight]) => `${key}:${weight}`).join(', ');
+}
+
+// Paramètres complets et contrôlés (valeurs par défaut pour les options absentes)
+// Lève une erreur dont le message est affichable en cas d'option invalide
+function normalizeGeneratorOptions(options = {}) {
+    const settings = { ...GENERATOR_DEFAULTS, ...options };
+    const integerIn = (value, min, max, key) => {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min || number > max) {
+            throw new Error(t(`generator.errors.${key}`, { min, max }));
+        }
+        return number;
+    };
+
+    settings.count = integerIn(settings.count, 1, GENERATOR_MAX_COUNT, 'count');
+    settings.days = integerIn(settings.days, 1, 366, 'days');
+    settings.terminals = integerIn(settings.terminals, 1, 9999, 'terminals');
+    settings.approvalRate = integerIn(settings.approvalRate, 0, 100, 'approvalRate');
+    settings.seed = String(settings.seed || '').trim() || randomGeneratorSeed();
+
+    if (settings.endDate && !/^\d{4}-\d{2}-\d{2}$/.test(settings.endDate)) {
+        throw new Error(t('generator.errors.endDate'));
+    }
+    if (!settings.endDate) {
+        const today = new Date();
+        const pad = value => String(value).padStart(2, '0');
+        settings.endDate = `${today.getFullYear()}-${pad(today.getMonth() + 1)}-${pad(today.getDate())}`;
+    }
+
+    const families = typeof settings.families === 'string' ? parseGeneratorWeights(settings.families) : { ...settings.families };
+    const unknownFamily = Object.keys(families).find(family => !GENERATOR_FAMILIES[family]);
+    if (unknownFamily) {
+        throw new Error(t('generator.errors.family', { family: unknownFamily, families: Object.keys(GENERATOR_FAMILIES).join(', ') }));
+    }
+    if (!Object.values(families).some(weight => weight > 0)) {
+        throw new Error(t('generator.errors.emptyFamilies'));
+    }
+    settings.families = families;
+
+    const currencies = typeof settings.currencies === 'string' ? parseGeneratorWeights(settings.currencies) : { ...settings.currencies };
+    const unknownCurrency = Object.keys(currencies).find(code => !getCurrency(code));
+    if (unknownCurrency) {
+        throw new Error(t('generator.errors.currency', { code: unknownCurrency }));
+    }
+    if (!Object.values(currencies).some(weight => weight > 0)) {
+        throw new Error(t('generator.errors.emptyCurrencies'));
+    }
+    settings.currencies = currencies;
+
+    return settings;
+}
+
+// ============================================================================
+// GÉNÉRATION
+// ============================================================================
+
+// Date et heure → champs 7 (MMDDhhmmss, GMT), 12 (hhmmss) et 13 (MMDD) en heure locale
+function generatorTimeFields(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return {
+        '7': pad(date.getUTCMonth() + 1) + pad(date.getUTCDate())
+            + pad(date.getUTCHours()) + pad(date.getUTCMinutes()) + pad(date.getUTCSeconds()),
+        '12': pad(date.getHours()) + pad(date.getMinutes()) + pad(date.getSeconds()),
+        '13': pad(date.getMonth() + 1) + pad(date.getDate())
+    };
+}
+
+// Montant en unités mineures (répartition log-uniforme: beaucoup de petits montants)
+function generatorAmount(random, currency) {
+    const [min, max] = GENERATOR_AMOUNT_RANGES[currency] || GENERATOR_DEFAULT_AMOUNT_RANGE;
+    const minor = (getCurrency(currency) || {}).minor ?? DEFAULT_MINOR_UNIT;
+    const major = Math.exp(Math.log(min) + random.next() * (Math.log(max) - Math.log(min)));
+    // Montants ronds à l'unité pour les devises sans décimales usuelles
+    return String(minor === 0 || max >= 100000 ? Math.round(major) * 10 ** minor : Math.round(major * 10 ** minor)).padStart(12, '0');
+}
+
+// PAN de test valide (Luhn) tiré depuis un BIN de test
+function generatorPan(random) {
+    const entry = random.pick(COMPOSER_TEST_BINS);
+    const partial = entry.bin + random.digits(entry.length - entry.bin.length - 1);
+    return partial + luhnCheckDigit(partial);
+}
+
+// RRN unique dans le jeu: AJJJhh (année, quantième, heure) + 6 chiffres tirés
+function generatorRrn(random, date, used) {
+    const dayOfYear = Math.floor((date - new Date(date.getFullYear(), 0, 0)) / 86400000);
+    const prefix = `${date.getFullYear() % 10}${String(dayOfYear).padStart(3, '0')}${String(date.getHours()).padStart(2, '0')}`;
+    let rrn;
+    do {
+        rrn = prefix + random.digits(6);
+    } while (used.has(rrn));
+    used.add(rrn);
+    return rrn;
+}
+
+// Messages d'une transaction: demande, réponse et, pour une contre-passation,
+// demande et réponse de l'annulation quelques minutes plus tard
+// Retourne { time (instant de la demande), messages: [champs] }
+function generateTransaction(random, settings, context) {
+    const family = GENERATOR_FAMILIES[random.weighted(settings.families)];
+    const terminal = random.integer(1, settings.terminals);
+    const currency = random.weighted(settings.currencies);
+
+    // Instant de la demande: jour de la période, plutôt en journée, et assez tôt
+    // pour que réponse et contre-passation restent le même jour (cycle de vie)
+    const day = new Date(context.end);
+    day.setDate(day.getDate() - random.integer(0, settings.days - 1));
+    const hour = random.next() < 0.85 ? random.integer(8, 20) : random.integer(0, 23);
+    const minute = random.integer(0, hour === 23 ? 44 : 59);
+    const requestTime = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute, random.integer(0, 59));
+
+    const request = {
+        '2': generatorPan(random),
+        '3': random.pick(family.processingCodes),
+        '4': generatorAmount(random, currency),
+        '11': String(++context.stan % 1000000).padStart(6, '0'),
+        '32': GENERATOR_ACQUIRER_ID,
+        '37': generatorRrn(random, requestTime, context.rrns),
+        '41': `${GENERATOR_TERMINAL_PREFIX}${String(terminal).padStart(4, '0')}`,
+        '42': `${GENERATOR_TERMINAL_PREFIX}MERCH${String(terminal).padStart(6, '0')}`,
+        '49': currency
+    };
+
+    // Réponse: mêmes données, code réponse et autorisation, 1 à 4 secondes plus tard
+    const approved = random.integer(1, 100) <= settings.approvalRate;
+    const respond = (fields, mti, time, responseCode) => ({
+        ...fields,
+        ...generatorTimeFields(time),
+        '0': mti,
+        '39': responseCode,
+        ...(responseCode === '00' ? { '38': random.digits(6) } : {})
+    });
+    const later = (time, seconds) => new Date(time.getTime() + seconds * 1000);
+
+    const originalRequest = { ...request, ...generatorTimeFields(requestTime), '0': family.request };
+    const messages = [
+        originalRequest,
+        respond(request, family.response, later(requestTime, random.integer(1, 4)), approved ? '00' : random.weighted(GENERATOR_DECLINE_CODES))
+    ];
+
+    // Contre-passation d'une transaction approuvée (champ 90: éléments originaux)
+    if (family.reversal && approved) {
+        const reversalTime = later(requestTime, random.integer(60, 900));
+        const reversal = {
+            ...buildReversalFields(originalRequest),
+            ...generatorTimeFields(reversalTime),
+            '0': family.reversal.request,
+            '11': String(++context.stan % 1000000).padStart(6, '0')
+        };
+        messages.push(reversal, respond(reversal, family.reversal.response, later(reversalTime, random.integer(1, 4)), '00'));
+    }
+    return { time: requestTime, messages };
+}
+
+// Générer un jeu de messages (sans envoi)
+// options: voir GENERATOR_DEFAULTS (familles et devises: objet { clé: poids } ou texte "clé:poids, ...")
+// Retourne { seed, endDate, settings, messages: [{ name, fields, xml }] }
+// Même graine et même date de fin, même résultat: endDate (date du jour si non
+// précisée) est donc retournée avec la graine pour pouvoir rejouer le jeu
+function generateTestTraffic(options = {}) {
+    const settings = normalizeGeneratorOptions(options);
+    const random = createGeneratorRandom(settings.seed);
+    const [year, month, date] = settings.endDate.split('-').map(Number);
+    const context = { end: new Date(year, month - 1, date), rrns: new Set(), stan: random.integer(0, 899999) };
+
+    // Transactions jusqu'au nombre demandé (la dernière peut être incomplète),
+    // puis ordre chronologique pour un envoi réaliste
+    const transactions = [];
+    let total = 0;
+    while (total < settings.count) {
+        const transaction = generateTransaction(random, settings, context);
+        transaction.messages = transaction.messages.slice(0, settings.count - total);
+        total += transaction.messages.length;
+        transactions.push(transaction);
+    }
+    transactions.sort((a, b) => a.time - b.time);
+
+    const messages = transactions.flatMap(transaction => transaction.messages).map((fields, index) => ({
+        name: `generated_${settings.seed}_${String(index + 1).padStart(4, '0')}_${fields['0']}.xml`,
+        fields,
+        xml: buildIsoXml(fields)
+    }));
+    return { seed: settings.seed, endDate: settings.endDate, settings, messages };
+}
+
+// ============================================================================
+// ENVOI
+// ============================================================================
+
+// Envoyer les messages générés par l'API de création (POST api/), avec concurrence limitée
+// options: { onProgress({ done, total, created, duplicates, failed }), signal, concurrency }
+// Un doublon probable (409, ex: même graine rejouée) n'est pas enregistré une seconde fois.
+// Arrêt sur une erreur d'authentification ou de permission (levée à l'appelant)
+// Retourne { total, created, duplicates, failed, errors: [{ name, error }], cancelled }
+async function submitTestTraffic(messages, options = {}) {
+    const report = { total: messages.length, created: 0, duplicates: 0, failed: 0, errors: [], cancelled: false };
+    const queue = [...messages];
+    let authError = null;
+
+    const progress = () => {
+        if (options.onProgress) {
+            const done = report.created + report.duplicates + report.failed;
+            options.onProgress({ done, total: report.total, created: report.created, duplicates: report.duplicates, failed: report.failed });
+        }
+    };
+
+    const worker = async () => {
+        let message;
+        while (!authError && !(options.signal && options.signal.aborted) && (message = queue.shift())) {
+            const file = new File([message.xml], message.name, { type: 'application/xml' });
+            try {
+                await apiUploadXml(file);
+                report.created++;
+            } catch (error) {
+                if (error.code === 'conflict') {
+                    report.duplicates++;
+                } else if (error.code === 'unauthorized' || error.code === 'forbidden') {
+                    authError = error;
+                    return;
+                } else {
+                    report.failed++;
+                    report.errors.push({ name: message.name, error: error.message });
+                }
+            }
+            progress();
+        }
+    };
+
+    progress();
+    await Promise.all(Array.from({ length: Math.min(options.concurrency || GENERATOR_CONCURRENCY, messages.length) }, worker));
+    if (authError) {
+        throw authError;
+    }
+    report.cancelled = report.created + report.duplicates + report.failed < report.total;
+    return report;
+}
+
+// ============================================================================
+// INTERFACE
+// ============================================================================
+
+// Envoi en cours (annulable), null sinon
+let generatorController = null;
+
+// Préparer le formulaire avec les paramètres par défaut
+function setupGenerator() {
+    const form = document.getElementById('generatorForm');
+    form.count.value = GENERATOR_DEFAULTS.count;
+    form.count.max = GENERATOR_MAX_COUNT;
+    form.days.value = GENERATOR_DEFAULTS.days;
+    form.terminals.value = GENERATOR_DEFAULTS.terminals;
+    form.approvalRate.value = GENERATOR_DEFAULTS.approvalRate;
+    Object.keys(GENERATOR_FAMILIES).forEach(family => {
+        form[`family_${family}`].value = GENERATOR_DEFAULTS.families[family] || 0;
+    });
+    form.currencies.value = formatGeneratorWeights(GENERATOR_DEFAULTS.currencies);
+}
+
+// Paramètres saisis dans le formulaire
+function readGeneratorForm() {
+    const form = document.getElementById('generatorForm');
+    return {
+        count: form.count.value,
+        seed: form.seed.value,
+        endDate: form.endDate.value,
+        days: form.days.value,
+        terminals: form.terminals.value,
+        approvalRate: form.approvalRate.value,
+        families: Object.fromEntries(Object.keys(GENERATOR_FAMILIES).map(family => [family, Number(form[`family_${family}`].value) || 0])),
+        currencies: form.currencies.value
+    };
+}
+
+// Proposer une nouvelle graine
+function randomizeGeneratorSeed() {
+    document.getElementById('generatorForm').seed.value = randomGeneratorSeed();
+}
+
+// Barre de progression et compteurs de l'envoi
+function renderGeneratorProgress(progress, seed, endDate) {
+    const bar = document.getElementById('generatorProgressBar');
+    bar.style.display = 'block';
+    bar.firstElementChild.style.width = `${progress.total > 0 ? Math.round((progress.done / progress.total) * 100) : 0}%`;
+    document.getElementById('generatorStatus').textContent = t('generator.progress', {
+        done: formatNumber(progress.done),
+        total: formatNumber(progress.total),
+        created: formatNumber(progress.created),
+        duplicates: formatNumber(progress.duplicates),
+        failed: formatNumber(progress.failed),
+        seed,
+        endDate
+    });
+}
+
+// Générer le jeu de messages et l'envoyer à l'API avec suivi de la progression
+async function runTrafficGenerator() {
+    if (!isAuthenticated) {
+        showAlert(t('composer.authRequired'), 'error');
+        return;
+    }
+    if (generatorController) return;
+
+    let generated;
+    try {
+        generated = generateTestTraffic(readGeneratorForm());
+    } catch (error) {
+        showAlert(error.message, 'error');
+        return;
+    }
+    // Graine et date de fin affichées: relancer avec les mêmes paramètres reproduit le jeu
+    document.getElementById('generatorForm').seed.value = generated.seed;
+    document.getElementById('generatorForm').endDate.value = generated.endDate;
+
+    generatorController = new AbortController();
+    document.getElementById('generatorRunBtn').disabled = true;
+    document.getElementById('generatorCancelBtn').style.display = '';
+
+    try {
+        const report = await submitTestTraffic(generated.messages, {
+            signal: generatorController.signal,
+            onProgress: progress => renderGeneratorProgress(progress, generated.seed, generated.endDate)
+        });
+        report.errors.forEach(entry => console.error('Generator upload error:', entry.name, entry.error));
+        showAlert(
+            t(report.cancelled ? 'generator.cancelled' : 'generator.finished', {
+                created: report.created,
+                duplicates: report.duplicates,
+                failed: report.failed,
+                seed: generated.seed,
+                endDate: generated.endDate
+            }),
+            report.failed > 0 || report.cancelled ? 'warning' : 'success'
+        );
+    } catch (error) {
+        showAlert(t('generator.failed', { error: error.message }), 'error');
+    } finally {
+        generatorController = null;
+        document.getElementById('generatorRunBtn').disabled = false;
+        document.getElementById('generatorCancelBtn').style.display = 'none';
+    }
+    loadMessages(currentPage);
+}
+
+// Interrompre l'envoi (les messages déjà enregistrés sont conservés)
+function cancelTrafficGenerator() {
+    if (generatorController) {
+        generatorController.abort();
+    }
+}
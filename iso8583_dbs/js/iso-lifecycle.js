@@ -0,0 +1,157 @@
+// ============================================================================
+// CYCLE DE VIE D'UNE TRANSACTION ISO 8583
+// ============================================================================
+// Analyse les messages d'une même transaction (même RRN, terminal, date et
+// montant): association demande / réponse d'après le MTI, temps de réponse,
+// issue finale et anomalies.
+//
+// Rappel MTI (version, classe, fonction, origine):
+// - fonction paire (0 demande, 2 avis, 4 notification): message initial
+// - fonction impaire (1, 3, 5): réponse au message de fonction précédente
+// - classe 4: contre-passation (ex: 0400, 1420) d'une transaction de classe 1 ou 2
+// - origine impaire (1, 3, 5): répétition d'un message déjà émis
+
+// Issues finales possibles (libellés: lifecycle.outcomes.* du catalogue)
+const LIFECYCLE_OUTCOMES = ['approved', 'declined', 'error', 'reversed', 'reversal_pending', 'pending', 'unknown'];
+
+// Libellé d'une issue finale dans la langue active
+function lifecycleOutcomeLabel(outcome) {
+    return t(`lifecycle.outcomes.${outcome}`);
+}
+
+// Anomalie détectée sur un message: { type, message, label }
+function lifecycleAnomaly(type, message) {
+    return { type, message, label: t(`lifecycle.anomalies.${type}`, { mti: message.mti }) };
+}
+
+// Rôle d'un message dans la transaction d'après son MTI
+// Retourne { role: 'request' | 'response' | 'notification', reversal, repeat } ou null
+function classifyLifecycleMessage(mti) {
+    if (!/^\d{4}$/.test(mti || '')) return null;
+    const messageFunction = parseInt(mti[2], 10);
+    let role = messageFunction % 2 === 1 ? 'response' : 'request';
+    if (messageFunction === 4) role = 'notification';
+    return {
+        role,
+        reversal: mti[1] === '4',
+        repeat: parseInt(mti[3], 10) % 2 === 1
+    };
+}
+
+// Horodatage d'un message: champ 7 (MMDDhhmmss, GMT) si demandé, sinon date d'ajout en BD
+// L'année du champ 7 est déduite de la date d'ajout
+function lifecycleTimestamp(message, useField7) {
+    const created = new Date(String(message.created_at || '').replace(' ', 'T'));
+    if (!useField7) return created.getTime();
+
+    const value = message.additional_fields['7'];
+    const year = isNaN(created.getTime()) ? new Date().getUTCFullYear() : created.getUTCFullYear();
+    return Date.UTC(
+        year,
+        parseInt(value.substring(0, 2), 10) - 1,
+        parseInt(value.substring(2, 4), 10),
+        parseInt(value.substring(4, 6), 10),
+        parseInt(value.substring(6, 8), 10),
+        parseInt(value.substring(8, 10), 10)
+    );
+}
+
+// Analyser les messages d'une transaction
+// Retourne { steps, outcome, anomalies, timeBasis }
+// steps: [{ message, info, timestamp, pairedWith, responseTime }] triés chronologiquement
+function buildTransactionLifecycle(messages) {
+    const useField7 = messages.length > 0 && messages.every(message =>
+        /^\d{10}$/.test((message.additional_fields || {})['7'] || ''));
+
+    const steps = messages
+        .map(message => ({
+            message,
+            info: classifyLifecycleMessage(message.mti),
+            timestamp: lifecycleTimestamp({ additional_fields: {}, ...message }, useField7),
+            pairedWith: null,
+            responseTime: null
+        }))
+        .sort((a, b) => (a.timestamp - b.timestamp) || (a.message.id - b.message.id));
+
+    const anomalies = [];
+
+    // Association de chaque réponse à la dernière demande correspondante sans réponse
+    steps.forEach(step => {
+        if (!step.info || step.info.role !== 'response') return;
+        const mti = step.message.mti;
+        const candidates = steps.filter(other =>
+            other.info && other.info.role === 'request' && !other.pairedWith
+            && other.message.mti[0] === mti[0] && other.message.mti[1] === mti[1]
+            && parseInt(other.message.mti[2], 10) === parseInt(mti[2], 10) - 1);
+        const request = candidates.filter(other => other.timestamp <= step.timestamp).pop() || candidates[0];
+
+        if (request) {
+            request.pairedWith = step;
+            step.pairedWith = request;
+            step.responseTime = step.timestamp - request.timestamp;
+        } else {
+            anomalies.push(lifecycleAnomaly('response_without_request', step.message));
+        }
+    });
+
+    const unanswered = new Set();
+    steps.forEach(step => {
+        if (!step.info) {
+            anomalies.push(lifecycleAnomaly('invalid_mti', step.message));
+            return;
+        }
+        // Une demande et ses répétitions partagent la même réponse (une seule anomalie)
+        const key = step.message.mti.substring(0, 3);
+        const answered = steps.some(other => other.pairedWith && other.info.role === 'request'
+            && other.message.mti.substring(0, 3) === key);
+        if (step.info.role === 'request' && !answered && !unanswered.has(key)) {
+            unanswered.add(key);
+            anomalies.push(lifecycleAnomaly('request_without_response', step.message));
+        }
+        if (step.info.reversal && step.info.role !== 'response'
+            && !steps.some(other => other.info && !other.info.reversal && ['1', '2'].includes(other.message.mti[1]))) {
+            anomalies.push(lifecycleAnomaly('reversal_without_original', step.message));
+        }
+    });
+
+    return {
+        steps,
+        outcome: lifecycleOutcome(steps),
+        anomalies,
+        timeBasis: useField7 ? 'field7' : 'created_at'
+    };
+}
+
+// Issue finale: contre-passation acceptée, sinon dernière réponse de la transaction d'origine
+function lifecycleOutcome(steps) {
+    const reversals = steps.filter(step => step.info && step.info.reversal && step.info.role !== 'response');
+    if (reversals.length > 0) {
+        const accepted = reversals.some(step => step.pairedWith
+            && describeResponseCode(step.pairedWith.message.response_code).category === 'approved');
+        if (accepted || reversals.some(step => step.message.mti[2] === '2' && !step.pairedWith)) {
+            return 'reversed';
+        }
+        if (reversals.some(step => !step.pairedWith)) {
+            return 'reversal_pending';
+        }
+    }
+
+    const responses = steps.filter(step => step.info && !step.info.reversal && step.message.response_code);
+    if (responses.length === 0) {
+        return steps.some(step => step.info && step.info.role === 'request') ? 'pending' : 'unknown';
+    }
+    const category = describeResponseCode(responses[responses.length - 1].message.response_code).category;
+    return LIFECYCLE_OUTCOMES.includes(category) ? category : 'unknown';
+}
+
+// Durée lisible, ex: "850 ms", "2,4 s", "3 min 05 s"
+function formatDuration(milliseconds) {
+    if (milliseconds === null || isNaN(milliseconds)) return '';
+    const sign = milliseconds < 0 ? '-' : '';
+    const value = Math.abs(milliseconds);
+    if (value < 1000) return `${sign}${value} ms`;
+    if (value < 60000) return `${sign}${(value / 1000).toLocaleString(getDisplayLocale(), { maximumFractionDigits: 1 })} s`;
+    const minutes = Math.floor(value / 60000);
+    const seconds = Math.round((value % 60000) / 1000);
+    return `${sign}${minutes} min ${String(seconds).padStart(2, '0')} s`;
+}
@@ -0,0 +1,311 @@
+// ============================================================================
+// PACKAGER ISO 8583 (FORMAT BRUT / WIRE FORMAT)
+// ============================================================================
+// Décode un message brut (dump hexadécimal ou texte ASCII des journaux du
+// commutateur) en champs, et encode un message stocké au format brut.
+//
+// Structure d'un message brut:
+// [longueur 2 octets] [en-tête] MTI | bitmap primaire | [bitmap secondaire] | champs
+//
+// La spécification (voir DEFAULT_PACKAGER_SPEC) est configurable:
+// - headerLength: longueur de l'en-tête en octets (ex: 5 pour "3936303030")
+// - lengthPrefix: true si le message est précédé de sa longueur (2 octets binaires)
+// - bitmapEncoding: 'binary' (8 octets) ou 'hex' (16 caractères ASCII)
+// - numericEncoding: 'ascii' ou 'bcd' (MTI, champs 'n' et préfixes LL/LLL)
+// - fields: surcharges de ISO_DATA_ELEMENTS { numéro: { type, length | format, max } }
+
+const DEFAULT_PACKAGER_SPEC = {
+    headerLength: 0,
+    lengthPrefix: false,
+    bitmapEncoding: 'binary',
+    numericEncoding: 'ascii',
+    fields: {}
+};
+
+// ============================================================================
+// CONVERSIONS
+// ============================================================================
+
+// Octets → chaîne hexadécimale en majuscules
+function bytesToHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+// Chaîne hexadécimale → octets (espaces et préfixes 0x ignorés)
+function hexToBytes(hex) {
+    const clean = String(hex).replace(/0x/gi, '').replace(/\s+/g, '');
+    if (!/^[0-9A-Fa-f]*$/.test(clean) || clean.length % 2 !== 0) {
+        throw new Error(t('packager.invalidHex'));
+    }
+    const bytes = new Uint8Array(clean.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(clean.substring(i * 2, i * 2 + 2), 16);
+    }
+    return bytes;
+}
+
+// Texte ASCII → octets (un caractère par octet)
+function asciiToBytes(text) {
+    return Uint8Array.from(String(text), char => char.charCodeAt(0) & 0xFF);
+}
+
+// Octets → texte ASCII
+function bytesToAscii(bytes) {
+    return String.fromCharCode(...bytes);
+}
+
+// Dump lisible: offset, octets hexadécimaux, caractères imprimables
+function formatHexDump(bytes) {
+    const lines = [];
+    for (let offset = 0; offset < bytes.length; offset += 16) {
+        const chunk = bytes.slice(offset, offset + 16);
+        const hex = Array.from(chunk, byte => byte.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+        const ascii = Array.from(chunk, byte => (byte >= 0x20 && byte < 0x7F ? String.fromCharCode(byte) : '.')).join('');
+        lines.push(`${offset.toString(16).padStart(4, '0').toUpperCase()}  ${hex.padEnd(47)}  ${ascii}`);
+    }
+    return lines.join('\n');
+}
+
+// Spécification complète: valeurs par défaut + configuration fournie
+function resolvePackagerSpec(spec) {
+    return { ...DEFAULT_PACKAGER_SPEC, ...(spec || {}) };
+}
+
+// Définition d'un champ selon la spécification (surcharge ou dictionnaire)
+function getPackagerField(spec, id) {
+    return (spec.fields && spec.fields[id]) || getDataElement(id);
+}
+
+// Le champ est-il encodé en BCD avec cette spécification ?
+function isBcdField(spec, definition) {
+    return spec.numericEncoding === 'bcd' && definition.type === 'n';
+}
+
+// ============================================================================
+// DÉCODAGE
+// ============================================================================
+
+// Lecteur séquentiel d'octets avec contrôle de dépassement
+function createByteReader(bytes) {
+    let offset = 0;
+    return {
+        get offset() {
+            return offset;
+        },
+        remaining() {
+            return bytes.length - offset;
+        },
+        read(count, label) {
+            if (offset + count > bytes.length) {
+                throw new Error(t('packager.truncated', { label, offset, expected: count, available: bytes.length - offset }));
+            }
+            const chunk = bytes.slice(offset, offset + count);
+            offset += count;
+            return chunk;
+        }
+    };
+}
+
+// Lire des chiffres numériques (ASCII ou BCD, cadrés à droite si impair)
+function readDigits(reader, spec, digits, label) {
+    if (spec.numericEncoding === 'bcd') {
+        const hex = bytesToHex(reader.read(Math.ceil(digits / 2), label));
+        if (!/^\d+$/.test(hex)) {
+            throw new Error(t('packager.invalidBcd', { label, hex }));
+        }
+        return hex.substring(hex.length - digits);
+    }
+    const text = bytesToAscii(reader.read(digits, label));
+    if (!/^\d+$/.test(text)) {
+        throw new Error(t('packager.numericExpected', { label, text }));
+    }
+    return text;
+}
+
+// Lire le préfixe de longueur d'un champ LLVAR / LLLVAR
+function readLengthPrefix(reader, spec, definition, label) {
+    const digits = definition.format === 'LLLVAR' ? 3 : 2;
+    const length = parseInt(readDigits(reader, spec, digits, t('packager.lengthSuffix', { label })), 10);
+    if (length > definition.max) {
+        throw new Error(t('packager.lengthOverMax', { label, length, max: definition.max }));
+    }
+    return length;
+}
+
+// Lire la valeur d'un champ selon sa définition
+function readFieldValue(reader, spec, definition, label) {
+    const length = definition.length || readLengthPrefix(reader, spec, definition, label);
+
+    if (definition.type === 'b') {
+        return bytesToHex(reader.read(length, label));
+    }
+    if (isBcdField(spec, definition)) {
+        return readDigits(reader, spec, length, label);
+    }
+    return bytesToAscii(reader.read(length, label));
+}
+
+// Lire un bitmap de 64 bits: tableau de booléens (index 0 = premier bit)
+function readBitmap(reader, spec, label) {
+    const bytes = spec.bitmapEncoding === 'hex'
+        ? hexToBytes(bytesToAscii(reader.read(16, label)))
+        : reader.read(8, label);
+    const bits = [];
+    bytes.forEach(byte => {
+        for (let bit = 7; bit >= 0; bit--) {
+            bits.push(((byte >> bit) & 1) === 1);
+        }
+    });
+    return { bits, hex: bytesToHex(bytes) };
+}
+
+// Décoder un message brut
+// Retourne { header, mti, bitmap: [128 booléens], fields, elements, trailing }
+// elements: [{ id, offset, length, raw, value }] pour la visualisation
+function unpackIsoMessage(bytes, spec) {
+    spec = resolvePackagerSpec(spec);
+    const reader = createByteReader(bytes);
+    const elements = [];
+
+    if (spec.lengthPrefix) {
+        const prefix = reader.read(2, t('packager.messageLength'));
+        const declared = (prefix[0] << 8) | prefix[1];
+        if (declared !== reader.remaining()) {
+            throw new Error(t('packager.messageLengthMismatch', { declared, received: reader.remaining() }));
+        }
+    }
+
+    const header = spec.headerLength > 0 ? bytesToHex(reader.read(spec.headerLength, t('packager.header'))) : '';
+
+    const mtiOffset = reader.offset;
+    const mti = readDigits(reader, spec, 4, 'MTI');
+    elements.push({ id: '0', offset: mtiOffset, length: reader.offset - mtiOffset, raw: bytesToHex(bytes.slice(mtiOffset, reader.offset)), value: mti });
+
+    const primary = readBitmap(reader, spec, t('packager.primaryBitmap'));
+    let bitmap = primary.bits.concat(new Array(64).fill(false));
+    const fields = { '0': mti };
+
+    if (bitmap[0]) {
+        const secondaryOffset = reader.offset;
+        const secondary = readBitmap(reader, spec, t('packager.secondaryBitmap'));
+        bitmap = primary.bits.concat(secondary.bits);
+        fields['1'] = secondary.hex;
+        elements.push({ id: '1', offset: secondaryOffset, length: reader.offset - secondaryOffset, raw: bytesToHex(bytes.slice(secondaryOffset, reader.offset)), value: secondary.hex });
+    }
+
+    for (let id = 2; id <= 128; id++) {
+        if (!bitmap[id - 1]) continue;
+        const definition = getPackagerField(spec, id);
+        const label = t('validator.fieldLabel', { id, name: definition.name || t('dictionary.unknownField') });
+        const offset = reader.offset;
+        const value = readFieldValue(reader, spec, definition, label);
+
+        fields[String(id)] = value;
+        elements.push({ id: String(id), offset, length: reader.offset - offset, raw: bytesToHex(bytes.slice(offset, reader.offset)), value });
+    }
+
+    return {
+        header,
+        mti,
+        primaryBitmap: primary.hex,
+        bitmap,
+        fields,
+        elements,
+        trailing: reader.remaining() > 0 ? bytesToHex(reader.read(reader.remaining(), t('packager.trailing'))) : ''
+    };
+}
+
+// ============================================================================
+// ENCODAGE
+// ============================================================================
+
+// Écrire des chiffres numériques (ASCII ou BCD, complétés à gauche si impair)
+function writeDigits(spec, digits) {
+    if (spec.numericEncoding === 'bcd') {
+        return hexToBytes(digits.length % 2 === 0 ? digits : `0${digits}`);
+    }
+    return asciiToBytes(digits);
+}
+
+// Encoder la valeur d'un champ (préfixe de longueur compris)
+function packFieldValue(spec, id, value) {
+    const definition = getPackagerField(spec, id);
+    const label = t('validator.fieldLabel', { id, name: definition.name || t('dictionary.unknownField') });
+    const text = String(value);
+
+    if (definition.type === 'n' && !/^\d+$/.test(text)) {
+        throw new Error(t('packager.numericExpectedShort', { label }));
+    }
+    const data = definition.type === 'b'
+        ? hexToBytes(text)
+        : (isBcdField(spec, definition) ? writeDigits(spec, text) : asciiToBytes(text));
+    const length = definition.type === 'b' ? data.length : text.length;
+
+    if (definition.length) {
+        if (length !== definition.length) {
+            throw new Error(t('packager.badLength', { label, length, expected: definition.length }));
+        }
+        return data;
+    }
+    if (length > definition.max) {
+        throw new Error(t('packager.tooLong', { label, length, max: definition.max }));
+    }
+    const digits = definition.format === 'LLLVAR' ? 3 : 2;
+    return concatBytes([writeDigits(spec, String(length).padStart(digits, '0')), data]);
+}
+
+// Concaténer des tableaux d'octets
+function concatBytes(chunks) {
+    const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return result;
+}
+
+// Encoder un message { numéro de champ: valeur } au format brut
+// Le bitmap est calculé à partir des champs présents (champ 1 ignoré);
+// l'en-tête éventuel est fourni en hexadécimal (sinon rempli de '0' ASCII)
+function packIsoMessage(fields, spec, headerHex) {
+    spec = resolvePackagerSpec(spec);
+    const mti = String(fields['0'] || '');
+    if (!/^\d{4}$/.test(mti)) {
+        throw new Error(t('validator.invalidMti', { mti }));
+    }
+
+    const ids = Object.keys(fields)
+        .map(Number)
+        .filter(id => id >= 2 && id <= 128 && fields[id] !== '' && fields[id] !== null && fields[id] !== undefined)
+        .sort((a, b) => a - b);
+
+    const bitmap = new Uint8Array(ids.some(id => id > 64) ? 16 : 8);
+    if (bitmap.length === 16) bitmap[0] |= 0x80;
+    ids.forEach(id => {
+        bitmap[Math.floor((id - 1) / 8)] |= 0x80 >> ((id - 1) % 8);
+    });
+
+    const bitmapChunks = spec.bitmapEncoding === 'hex'
+        ? [asciiToBytes(bytesToHex(bitmap))]
+        : [bitmap.slice(0, 8), bitmap.slice(8)];
+
+    const header = spec.headerLength > 0
+        ? (headerHex ? hexToBytes(headerHex) : asciiToBytes('0'.repeat(spec.headerLength)))
+        : new Uint8Array(0);
+    if (header.length !== spec.headerLength) {
+        throw new Error(t('packager.headerMismatch', { length: header.length, expected: spec.headerLength }));
+    }
+
+    const body = concatBytes([
+        header,
+        writeDigits(spec, mti),
+        ...bitmapChunks,
+        ...ids.map(id => packFieldValue(spec, id, fields[id]))
+    ]);
+
+    if (!spec.lengthPrefix) {
+        return body;
+    }
+    return concatBytes([Uint8Array.of(body.length >> 8, body.length & 0xFF), body]);
+}
@@ -0,0 +1,92 @@
+// ============================================================================
+// CODES RÉPONSE ISO 8583 (CHAMP 39)
+// ============================================================================
+// Interprétation des codes réponse (ISO 8583:1987 et codes usuels des réseaux)
+// category: 'approved' (approuvée), 'declined' (refusée), 'error' (erreur technique)
+
+const ISO_RESPONSE_CODES = {
+    '00': { label: 'Approuvée', category: 'approved' },
+    '01': { label: 'Contacter l\'émetteur', category: 'declined' },
+    '02': { label: 'Contacter l\'émetteur (condition spéciale)', category: 'declined' },
+    '03': { label: 'Commerçant invalide', category: 'declined' },
+    '04': { label: 'Capturer la carte', category: 'declined' },
+    '05': { label: 'Ne pas honorer', category: 'declined' },
+    '06': { label: 'Erreur', category: 'error' },
+    '07': { label: 'Capturer la carte (condition spéciale)', category: 'declined' },
+    '08': { label: 'Approuvée après identification', category: 'approved' },
+    '09': { label: 'Demande en cours de traitement', category: 'error' },
+    '10': { label: 'Approuvée partiellement', category: 'approved' },
+    '11': { label: 'Approuvée (VIP)', category: 'approved' },
+    '12': { label: 'Transaction invalide', category: 'declined' },
+    '13': { label: 'Montant invalide', category: 'declined' },
+    '14': { label: 'Numéro de carte invalide', category: 'declined' },
+    '15': { label: 'Émetteur inconnu', category: 'declined' },
+    '16': { label: 'Approuvée, mise à jour piste 3', category: 'approved' },
+    '17': { label: 'Annulée par le client', category: 'declined' },
+    '19': { label: 'Refaire la transaction', category: 'error' },
+    '20': { label: 'Réponse invalide', category: 'error' },
+    '21': { label: 'Aucune action effectuée', category: 'error' },
+    '22': { label: 'Dysfonctionnement suspecté', category: 'error' },
+    '23': { label: 'Frais de transaction inacceptables', category: 'declined' },
+    '25': { label: 'Enregistrement introuvable', category: 'error' },
+    '30': { label: 'Erreur de format', category: 'error' },
+    '31': { label: 'Banque non supportée par le commutateur', category: 'error' },
+    '33': { label: 'Carte expirée (capture)', category: 'declined' },
+    '34': { label: 'Suspicion de fraude (capture)', category: 'declined' },
+    '36': { label: 'Carte restreinte (capture)', category: 'declined' },
+    '38': { label: 'Nombre d\'essais PIN dépassé (capture)', category: 'declined' },
+    '39': { label: 'Pas de compte crédit', category: 'declined' },
+    '40': { label: 'Fonction non supportée', category: 'declined' },
+    '41': { label: 'Carte perdue (capture)', category: 'declined' },
+    '43': { label: 'Carte volée (capture)', category: 'declined' },
+    '51': { label: 'Provision insuffisante', category: 'declined' },
+    '52': { label: 'Pas de compte chèque', category: 'declined' },
+    '53': { label: 'Pas de compte épargne', category: 'declined' },
+    '54': { label: 'Carte expirée', category: 'declined' },
+    '55': { label: 'PIN incorrect', category: 'declined' },
+    '56': { label: 'Carte non enregistrée', category: 'declined' },
+    '57': { label: 'Transaction non permise au porteur', category: 'declined' },
+    '58': { label: 'Transaction non permise au terminal', category: 'declined' },
+    '59': { label: 'Suspicion de fraude', category: 'declined' },
+    '61': { label: 'Plafond de montant dépassé', category: 'declined' },
+    '62': { label: 'Carte restreinte', category: 'declined' },
+    '63': { label: 'Violation de sécurité', category: 'declined' },
+    '65': { label: 'Plafond de fréquence dépassé', category: 'declined' },
+    '68': { label: 'Réponse reçue trop tard', category: 'error' },
+    '75': { label: 'Nombre d\'essais PIN dépassé', category: 'declined' },
+    '76': { label: 'Compte invalide', category: 'declined' },
+    '77': { label: 'Incohérence avec la transaction d\'origine', category: 'error' },
+    '78': { label: 'Carte bloquée ou non activée', category: 'declined' },
+    '85': { label: 'Aucune raison de refus (vérification)', category: 'approved' },
+    '90': { label: 'Arrêté comptable en cours', category: 'error' },
+    '91': { label: 'Émetteur indisponible', category: 'error' },
+    '92': { label: 'Destination introuvable', category: 'error' },
+    '93': { label: 'Transaction illégale', category: 'declined' },
+    '94': { label: 'Transmission en double', category: 'error' },
+    '95': { label: 'Erreur de rapprochement', category: 'error' },
+    '96': { label: 'Dysfonctionnement système', category: 'error' },
+    'N7': { label: 'CVV2 invalide', category: 'declined' },
+    'Y1': { label: 'Approuvée hors ligne', category: 'approved' },
+    'Y3': { label: 'Approuvée hors ligne (émetteur indisponible)', category: 'approved' },
+    'Z1': { label: 'Refusée hors ligne', category: 'declined' },
+    'Z3': { label: 'Refusée hors ligne (émetteur indisponible)', category: 'declined' }
+};
+
+// Libellé d'une catégorie (approved, declined, error, unknown, none) dans la langue active
+function responseCategoryLabel(category) {
+    return t(`response.category.${category}`);
+}
+
+// Interpréter un code réponse: { code, label, category }
+// Un message sans champ 39 (ex: demande) a la catégorie 'none'
+function describeResponseCode(code) {
+    const value = String(code ?? '').trim().toUpperCase();
+    if (!value) {
+        return { code: '', label: responseCategoryLabel('none'), category: 'none' };
+    }
+    const entry = ISO_RESPONSE_CODES[value];
+    if (!entry) {
+        return { code: value, label: t('response.unknownCode'), category: 'unknown' };
+    }
+    return { code: value, label: tLabel(`rc.${value}`, entry.label), category: entry.category };
+}
@@ -0,0 +1,303 @@
+// ============================================================================
+// VALIDATION CÔTÉ NAVIGATEUR DES MESSAGES ISO 8583 (XML, JSON, NDJSON)
+// ============================================================================
+// Reproduit les règles de XmlParser::parseIso8583Xml (champs obligatoires)
+// et ajoute des contrôles de format (d'après ISO_DATA_ELEMENTS) pour bloquer
+// les fichiers invalides avant tout envoi à l'API.
+// Les fichiers multi-messages sont découpés comme par MessageImporter.php.
+
+// Champs obligatoires (identiques à XmlParser.php)
+const REQUIRED_FIELDS = ['2', '3', '4', '12', '13', '37', '41', '49'];
+
+// Longueur minimale du PAN (la longueur maximale vient du dictionnaire)
+const PAN_MIN_LENGTH = 13;
+
+// Expressions régulières par type de champ (voir ISO_DATA_ELEMENTS)
+// Libellé du type: clé validator.types.{type} du catalogue
+const FIELD_TYPE_PATTERNS = {
+    'n': /^\d+$/,
+    'a': /^[A-Za-z ]+$/,
+    'an': /^[A-Za-z0-9 ]+$/,
+    'b': /^[0-9A-Fa-f]+$/,
+    'x+n': /^[CD]\d+$/
+};
+
+// Analyser le contenu XML d'un message (même structure que côté serveur)
+// Retourne { mti, header, fields } ou lève une erreur si le XML est invalide
+function parseIsoXml(xmlText) {
+    return readIsoXmlElement(loadIsoXml(xmlText).documentElement);
+}
+
+// Charger un document XML, erreur traduite si le XML est invalide
+function loadIsoXml(xmlText) {
+    const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error(t('validator.invalidXml'));
+    }
+    return doc;
+}
+
+// Lire les champs d'un élément message (<iso8583>, <isomsg>...): { mti, header, fields }
+function readIsoXmlElement(element) {
+    const fields = {};
+    Array.from(element.children)
+        .filter(node => node.tagName === 'field')
+        .forEach(node => {
+            fields[node.getAttribute('id') || ''] = node.getAttribute('value') || '';
+        });
+
+    // Champ 55 sous forme de sous-message (un <field> par tag EMV): réencodé en BER-TLV
+    const iccNode = Array.from(element.children).find(node => node.tagName === 'isomsg' && node.getAttribute('id') === '55');
+    if (iccNode) {
+        fields['55'] = encodeEmvTlv(Array.from(iccNode.children)
+            .filter(node => node.tagName === 'field')
+            .map(node => ({ tag: node.getAttribute('id') || '', value: node.getAttribute('value') || '' })));
+    }
+
+    const headerNode = Array.from(element.children).find(node => node.tagName === 'header');
+    const header = headerNode ? headerNode.textContent.trim() : '';
+
+    return {
+        mti: fields['0'] !== undefined ? fields['0'] : header,
+        header,
+        fields
+    };
+}
+
+// ============================================================================
+// FICHIERS MULTI-MESSAGES (XML, JSON, NDJSON)
+// ============================================================================
+
+// Extensions des fichiers importables
+const IMPORT_EXTENSIONS = ['.xml', '.json', '.ndjson', '.jsonl'];
+
+// Nombre maximal de messages par fichier (MessageImporter::MAX_MESSAGES)
+const IMPORT_MAX_MESSAGES = 1000;
+
+// Numéros de champ acceptés dans les objets JSON (0 à 128)
+const IMPORT_FIELD_ID_PATTERN = /^(0|[1-9]\d?|1[01]\d|12[0-8])$/;
+
+// Le fichier a-t-il une extension importable ?
+function isImportFile(fileName) {
+    const name = String(fileName || '').toLowerCase();
+    return IMPORT_EXTENSIONS.some(extension => name.endsWith(extension));
+}
+
+// Format d'un contenu à importer: 'xml' | 'json' | 'ndjson' (mêmes règles que le serveur)
+function detectImportFormat(text, fileName = '') {
+    if (/\.(ndjson|jsonl)$/i.test(fileName)) {
+        return 'ndjson';
+    }
+    const trimmed = text.replace(/^\uFEFF/, '').trimStart();
+    if (trimmed === '') {
+        throw new Error(t('validator.emptyFile'));
+    }
+    if (trimmed[0] === '<') return 'xml';
+    if (trimmed[0] === '[') return 'json';
+    if (trimmed[0] === '{') {
+        try {
+            JSON.parse(trimmed);
+            return 'json';
+        } catch (error) {
+            return 'ndjson';
+        }
+    }
+    throw new Error(t('validator.unsupportedFormat'));
+}
+
+// Découper un fichier en messages
+// Retourne { format, messages: [{ index, line, parsed, error }] } - parsed vaut null
+// et error décrit le problème si le message est illisible; lève une erreur si le
+// fichier entier est illisible, vide ou contient trop de messages
+function parseImportFile(text, fileName = '') {
+    const format = detectImportFormat(text, fileName);
+    const content = text.replace(/^\uFEFF/, '');
+    let messages;
+
+    if (format === 'xml') {
+        const root = loadIsoXml(content).documentElement;
+        // Racine contenant des <field>: un seul message; sinon chaque <isomsg> de
+        // premier niveau (non inclus dans un autre <isomsg>) est un message
+        const elements = Array.from(root.children).some(node => node.tagName === 'field')
+            ? [root]
+            : Array.from(root.ownerDocument.getElementsByTagName('isomsg'))
+                .filter(node => !node.parentElement || !node.parentElement.closest('isomsg'));
+        messages = elements.map(element => ({ parsed: readIsoXmlElement(element) }));
+    } else if (format === 'json') {
+        let decoded;
+        try {
+            decoded = JSON.parse(content);
+        } catch (error) {
+            throw new Error(t('validator.invalidJson', { reason: error.message }));
+        }
+        if (decoded !== null && typeof decoded === 'object' && !Array.isArray(decoded)) {
+            decoded = [decoded];
+        }
+        if (!Array.isArray(decoded)) {
+            throw new Error(t('validator.jsonExpected'));
+        }
+        messages = decoded.map(readIsoJsonMessage);
+    } else {
+        messages = [];
+        content.split(/\r\n|\n|\r/).forEach((line, number) => {
+            if (line.trim() === '') return;
+            let item;
+            try {
+                item = JSON.parse(line);
+            } catch (error) {
+                messages.push({ line: number + 1, error: t('validator.invalidJson', { reason: error.message }) });
+                return;
+            }
+            messages.push({ line: number + 1, ...readIsoJsonMessage(item) });
+        });
+    }
+
+    if (messages.length === 0) {
+        throw new Error(t('validator.noMessage'));
+    }
+    if (messages.length > IMPORT_MAX_MESSAGES) {
+        throw new Error(t('validator.tooManyMessages', { count: messages.length, max: IMPORT_MAX_MESSAGES }));
+    }
+
+    return {
+        format,
+        messages: messages.map((message, position) => ({
+            index: position + 1, line: null, parsed: null, error: null, ...message
+        }))
+    };
+}
+
+// Lire un objet JSON {numéro de champ: valeur}: { parsed } ou { error }
+function readIsoJsonMessage(item) {
+    if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+        return { error: t('validator.jsonExpected') };
+    }
+    const fields = {};
+    for (const [id, value] of Object.entries(item)) {
+        if (!IMPORT_FIELD_ID_PATTERN.test(id)) {
+            return { error: t('validator.invalidFieldNumber', { id }) };
+        }
+        if (typeof value !== 'string' && !Number.isInteger(value)) {
+            return { error: t('validator.notText', { id }) };
+        }
+        fields[id] = String(value);
+    }
+    return { parsed: { mti: fields['0'] !== undefined ? fields['0'] : '', header: '', fields } };
+}
+
+// Reconstituer les champs à réimporter (champ 0 ajouté si le MTI vient de l'en-tête)
+function importFieldsOf(parsed) {
+    const fields = { ...parsed.fields };
+    if (fields['0'] === undefined && parsed.mti) {
+        fields['0'] = parsed.mti;
+    }
+    return fields;
+}
+
+// Algorithme de Luhn (clé de contrôle du PAN)
+function luhnCheck(number) {
+    if (!/^\d+$/.test(number)) return false;
+    let sum = 0;
+    let double = false;
+    for (let i = number.length - 1; i >= 0; i--) {
+        let digit = parseInt(number[i], 10);
+        if (double) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+        double = !double;
+    }
+    return sum % 10 === 0;
+}
+
+// Vérifier une date MMDD (29 février accepté, l'année étant implicite)
+function isValidMmdd(value) {
+    if (!/^\d{4}$/.test(value)) return false;
+    const month = parseInt(value.substring(0, 2), 10);
+    const day = parseInt(value.substring(2, 4), 10);
+    const daysInMonth = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+    return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth[month - 1];
+}
+
+// Vérifier une heure hhmmss
+function isValidHhmmss(value) {
+    if (!/^\d{6}$/.test(value)) return false;
+    const hour = parseInt(value.substring(0, 2), 10);
+    const minute = parseInt(value.substring(2, 4), 10);
+    const second = parseInt(value.substring(4, 6), 10);
+    return hour <= 23 && minute <= 59 && second <= 59;
+}
+
+// Valider la valeur d'un champ (type, longueur et contrôles spécifiques)
+// Retourne la liste des erreurs, vide si la valeur est conforme
+function validateFieldValue(id, value) {
+    if (!value || !ISO_DATA_ELEMENTS[Number(id)]) return [];
+
+    const definition = getDataElement(id);
+    const field = t('validator.fieldLabel', { id, name: definition.name });
+    const pattern = FIELD_TYPE_PATTERNS[definition.type];
+
+    if (pattern && !pattern.test(value)) {
+        return [t('validator.badType', { field, type: t(`validator.types.${definition.type}`) })];
+    }
+
+    // Les champs binaires sont représentés en hexadécimal (2 caractères par octet)
+    const length = definition.type === 'b' ? value.length / 2 : value.length;
+    if (definition.length && length !== definition.length) {
+        return [t('validator.badLength', { field, length, expected: definition.length })];
+    }
+    if (definition.max && length > definition.max) {
+        return [t('validator.tooLong', { field, length, max: definition.max })];
+    }
+
+    if (String(id) === '2' && value.length < PAN_MIN_LENGTH) {
+        return [t('validator.panTooShort', { length: value.length, min: PAN_MIN_LENGTH })];
+    }
+    if (String(id) === '2' && !luhnCheck(value)) {
+        return [t('validator.luhn')];
+    }
+    if (String(id) === '12' && !isValidHhmmss(value)) {
+        return [t('validator.invalidTime', { value })];
+    }
+    if (String(id) === '13' && !isValidMmdd(value)) {
+        return [t('validator.invalidDate', { value })];
+    }
+    return [];
+}
+
+// Valider les champs d'un message analysé
+// Retourne { errors: [], warnings: [] } - les erreurs bloquent l'envoi,
+// les avertissements demandent une confirmation explicite
+function validateIsoMessage(parsed) {
+    const errors = [];
+    const warnings = [];
+    const fields = parsed.fields;
+
+    REQUIRED_FIELDS.forEach(id => {
+        if (!fields[id]) {
+            errors.push(t('validator.missingField', { id }));
+        }
+    });
+
+    if (!parsed.mti) {
+        warnings.push(t('validator.missingMti'));
+    } else if (!/^\d{4}$/.test(parsed.mti)) {
+        errors.push(t('validator.invalidMti', { mti: parsed.mti }));
+    }
+
+    Object.keys(fields).forEach(id => {
+        errors.push(...validateFieldValue(id, fields[id]));
+    });
+
+    // Données puce illisibles: le serveur les écarte à l'enregistrement
+    if (fields['55']) {
+        try {
+            parseEmvTlv(fields['55']);
+        } catch (error) {
+            warnings.push(t('validator.invalidIcc', { reason: error.message }));
+        }
+    }
+
+    return { errors, warnings };
+}
@@ -0,0 +1,926 @@
+// ============================================================================
+// CATALOGUE ANGLAIS
+// ============================================================================
+// Mêmes clés que js/locales/fr.js (une clé absente retombe sur le français),
+// plus la traduction des tables de référence lues par tLabel().
+
+I18N_CATALOGUES.en = {
+    // === Application ===
+    'app.title': 'ISO 8583 Secure Message Manager',
+    'app.subtitle': 'Secure ISO 8583 message manager with PAN encryption',
+    'app.language': 'Language',
+
+    // === Libellés communs ===
+    'common.or': 'or',
+    'common.name': 'Name',
+    'common.value': 'Value',
+    'common.reset': 'Reset',
+    'common.refresh': '↻ Refresh',
+    'common.search': '🔍 Search',
+    'common.close': 'Close',
+    'common.cancel': 'Cancel',
+    'common.retry': '🔄 Retry',
+    'common.field': 'Field',
+    'common.error': 'Error: {error}',
+    'common.retryPlain': 'Retry',
+    'common.delete': 'Delete',
+    'common.undo': 'Undo',
+
+    // === Authentification et session ===
+    'auth.title': '🔑 Sign in',
+    'auth.username': 'Username',
+    'auth.password': 'Password',
+    'auth.login': 'Sign in',
+    'auth.logout': 'Sign out',
+    'auth.sampleAccounts': '💡 Sample accounts:',
+    'auth.sessionPolicy': '- 15 min session renewed automatically, closed after 15 min of inactivity',
+    'auth.apiKeyTitle': 'Use an API key (services)',
+    'auth.apiKeyPlaceholder': 'API key (e.g. api_key_iso8583_secure_2024)',
+    'auth.useApiKey': 'Use key',
+    'auth.sessionExpired': 'Session expired. Please sign in again.',
+    'auth.missingCredentials': 'Please enter your username and password',
+    'auth.welcome': 'Welcome {username}!',
+    'auth.error': 'Authentication error: {error}',
+    'auth.missingToken': 'Please enter an authentication token',
+    'auth.success': 'Authentication successful!',
+    'auth.loggedOut': 'Signed out',
+    'auth.inactive': 'Session closed after a period of inactivity',
+    'auth.sessionUntil': ' · session until {time}',
+    'auth.status.user': 'Signed in: {username} ({role}){expiry}',
+    'auth.status.authenticated': 'Signed in',
+    'auth.status.none': 'Not signed in',
+
+    // === Indicateurs ===
+    'stats.total': 'Total Messages',
+    'stats.currentPage': 'Current Page',
+    'stats.approvalRate': 'Approval rate',
+    'stats.declineRate': 'Decline rate',
+    'stats.panEncrypted': '🔒 PANs encrypted',
+    'stats.pageRange': 'Messages {first}-{last} ({limit} / page)',
+
+    // === Tableau de bord ===
+    'dashboard.title': '📊 Dashboard',
+    'dashboard.responseCodes': 'Response codes',
+    'dashboard.currencies': 'Volume and value by currency',
+    'dashboard.terminals': 'Most active terminals',
+    'dashboard.mtis': 'MTI breakdown',
+    'dashboard.hours': 'Transactions by hour (field 12)',
+    'dashboard.days': 'Transactions by day (field 13)',
+    'dashboard.unavailable': 'Statistics unavailable: {error}',
+    'dashboard.breakdown': '{approved} approved / {declined} declined / {none} without response',
+    'dashboard.scopeFiltered': '{total} message(s) matching the {filters} active filter(s)',
+    'dashboard.scopeAll': '{total} message(s), no filter applied',
+    'dashboard.noResponseCode': '(none)',
+    'dashboard.currency': 'Currency',
+    'dashboard.transactions': 'Transactions',
+    'dashboard.value': 'Value',
+    'dashboard.hourTitle': '{hour}:00: {count}',
+
+    // === Téléversement ===
+    'upload.title': '📤 Add an ISO 8583 Message',
+    'upload.badge': 'SECURE',
+    'upload.dropHint': 'Click here or drag and drop your XML / JSON files or a folder',
+    'upload.formats': 'Accepted formats: XML (one or more messages), JSON, NDJSON - PAN encrypted automatically',
+    'upload.chooseFolder': '📂 Choose a folder',
+    'upload.authRequired': 'Authentication required to upload files',
+    'upload.ignored': '{count} file(s) ignored: only XML, JSON and NDJSON files are accepted',
+    'upload.noXml': 'Please select a valid XML, JSON or NDJSON file.',
+
+    // === Vérification avant envoi ===
+    'preview.blocked': '❌ Blocked',
+    'preview.warning': '⚠️ Warning',
+    'preview.valid': '✅ Valid',
+    'preview.title': '🔎 Pre-upload check',
+    'preview.summary': '{total} file(s) checked: {valid} ready to send{warnings}, {invalid} blocked.',
+    'preview.summaryWarnings': ' including {count} with warning(s)',
+    'preview.sendAnyway': 'Send despite warnings',
+    'preview.send': 'Send',
+    'preview.notSent': '{count} invalid file(s) not sent',
+    'preview.cancelled': 'Upload cancelled',
+    'preview.messageCount': '{count} message(s)',
+    'preview.batchAllBlocked': 'No message in this file can be sent',
+    'preview.batchBlocked': '{count} blocked message(s), not sent',
+    'preview.batchWarnings': '{count} message(s) with warning(s)',
+    'preview.messagesNotSent': '{count} invalid message(s) not sent',
+    'preview.state': 'Status',
+    'preview.issues': 'Issues',
+    'preview.line': 'line {line}',
+
+    // === File d'attente de téléversement ===
+    'queue.finished': 'Upload finished: {created} message(s) created, {rejected} rejected - PANs encrypted automatically',
+    'queue.pending': '⏳ Pending',
+    'queue.uploading': '📤 Sending...',
+    'queue.created': '✅ Created',
+    'queue.rejected': '❌ Rejected',
+    'queue.summary': '{done} / {total} processed - {created} created, {rejected} rejected',
+    'queue.retryFailed': '🔄 Retry failures',
+    'queue.clear': '🧹 Clear',
+    'queue.finishedDuplicates': ' - {count} probable duplicate(s) awaiting a decision',
+    'queue.duplicate': '⚠️ Probable duplicate',
+    'queue.skipped': '⏭️ Skipped',
+    'queue.duplicateOf': 'Already stored:',
+    'queue.summaryDuplicates': '- {duplicates} duplicate(s) to resolve, {skipped} skipped',
+    'queue.imported': '📋 Batch processed',
+    'queue.batchSummary': '{created} / {total} created, {duplicates} duplicate(s), {errors} error(s)',
+    'queue.report': '📋 Report',
+
+    // === Rapport d'import des lots ===
+    'report.title': '📋 Import report',
+    'report.summary': '{total} message(s): {created} created, {duplicates} probable duplicate(s) not stored, {errors} failed.',
+    'report.detail': 'Detail',
+    'report.keepDuplicates': 'Store the {count} duplicate(s) anyway',
+    'report.resubmitted': 'resent',
+
+    // === Liste des messages ===
+    'messages.title': '📋 Message List',
+    'messages.badge': 'PROTECTED',
+    'messages.authRequired': 'Authentication required...',
+    'messages.authRequiredLocked': '🔒 Authentication required to access messages',
+    'messages.loading': 'Loading secure messages...',
+    'messages.connectionError': 'Server connection error: {error}',
+    'messages.loadError': '⚠️ Error: {error}',
+    'messages.noMatch': 'No message matches the search criteria',
+    'messages.none': 'No messages found',
+
+    // === Filtres de recherche ===
+    'filters.terminal': 'Terminal ID',
+    'filters.mti': 'MTI (e.g. 1110)',
+    'filters.allResults': 'All results',
+    'filters.approved': 'Approved',
+    'filters.declined': 'Declined',
+    'filters.noResponse': 'No response code',
+    'filters.allCurrencies': 'All currencies',
+    'filters.dateFrom': 'Date from (MMDD)',
+    'filters.dateTo': 'Date to (MMDD)',
+    'filters.amountMin': 'Min amount (minor units)',
+    'filters.amountMax': 'Max amount (minor units)',
+    'filters.panLast4': 'PAN (last 4)',
+    'filters.copyLink': '🔗 Copy link',
+    'filters.activeCount': '{count} active filter(s)',
+    'filters.linkCopied': 'Search link copied to the clipboard',
+    'filters.link': 'Search link: {url}',
+
+    // === Barre d'outils de la liste ===
+    'toolbar.grid': '▦ Cards',
+    'toolbar.table': '☰ Table',
+    'toolbar.sortBy': 'Sort by',
+    'toolbar.reverseSort': 'Reverse sort order',
+    'toolbar.columns': 'Columns',
+    'toolbar.perPage': '{size} / page',
+
+    // === Mise à jour en direct ===
+    'live.on': '● Live',
+    'live.paused': '⏸ Paused',
+    'live.pauseTitle': 'List updates automatically: click to pause',
+    'live.resumeTitle': 'Automatic updates paused: click to resume',
+    'live.newMessages': '{count} new message(s)',
+    'live.show': 'Show',
+
+    // === Colonnes du tableau ===
+    'columns.processingCode': 'Processing code',
+    'columns.amount': 'Amount',
+    'columns.transaction': 'Transaction date/time',
+    'columns.terminal': 'Terminal',
+    'columns.response': 'Response',
+    'columns.currency': 'Currency',
+    'columns.createdAt': 'Added to DB',
+    'columns.caseReference': 'Case',
+    'columns.tags': 'Tags',
+    'columns.id': 'ID',
+    'columns.mti': 'MTI',
+    'columns.pan': 'PAN',
+    'columns.rrn': 'RRN',
+
+    // === Pagination ===
+    'pagination.previous': '⬅️ Previous',
+    'pagination.next': 'Next ➡️',
+    'pagination.page': 'Page {page} / {total}',
+
+    // === Export ===
+    'export.menu': '⬇️ Export',
+    'export.scope': 'Scope',
+    'export.scopePage': 'Current page',
+    'export.scopeFilter': 'Search results',
+    'export.format': 'Format',
+    'export.formatCsv': 'CSV (spreadsheet)',
+    'export.fullPan': 'Clear PAN (authorisation required)',
+    'export.submit': 'Export',
+    'export.emptyPage': 'No messages to export on this page',
+    'export.emptySelection': 'No messages selected',
+    'export.confirmFullPan': 'Export clear PANs? This operation is restricted to authorised users and logged.',
+    'export.done': 'Export finished{count} ({filename})',
+    'export.doneCount': ': {count} message(s)',
+    'export.error': 'Export error: {error}',
+    'export.tooLarge': 'Export refused: more than {max} messages match. Narrow the search or export a selection.',
+    'export.scopeSelection': 'Selection ({count})',
+
+    // === Sélection et actions groupées ===
+    'selection.delete': '🗑️ Delete',
+    'selection.tag': '🏷️ Tag',
+    'selection.export': '⬇️ Export',
+    'selection.clear': 'Clear selection',
+    'selection.compare': '⇄ Compare',
+    'selection.count': '{count} selected',
+    'selection.selectPage': 'Select page',
+
+    // === Doublons et comparaison ===
+    'duplicates.compare': '⇄ View differences',
+    'duplicates.skip': '⏭️ Skip file',
+    'duplicates.keep': 'Keep both',
+    'duplicates.skipAll': 'Skip all duplicates',
+    'duplicates.keepAll': 'Keep all duplicates',
+    'compare.title': '⇄ Message comparison',
+    'compare.duplicateTitle': '⚠️ Probable duplicate: file and existing message',
+    'compare.selectTwo': 'Select exactly two messages to compare',
+    'compare.loadFailed': 'Unable to compare: {error}',
+    'compare.uploadedFile': 'Uploaded file',
+    'compare.differences': '{count} field(s) differ',
+    'compare.identical': 'No differences: identical fields',
+    'compare.onlyDifferences': 'Show differences only',
+    'compare.absent': '(absent)',
+
+    // === Cartes des messages ===
+    'card.panEncrypted': 'PAN (Encrypted)',
+    'card.processingCode': 'Processing Code',
+    'card.transactionDateTime': 'Transaction Date/Time',
+    'card.responseCode': 'Response Code',
+    'card.viewDetails': '👁️ View Details',
+    'card.delete': '🗑️ Delete',
+
+    // === Fenêtre de détail ===
+    'detail.loading': 'Loading secure details...',
+    'detail.loadError': '⚠ Error: {error}',
+    'detail.title': '🔍 ISO 8583 Message Details',
+    'detail.inTrash': '🗑️ Message in the trash since {date}',
+    'detail.deletedBy': ' (deleted by {username})',
+    'detail.messageId': 'Message ID',
+    'detail.amount': 'Amount',
+    'detail.createdAt': 'Added to DB',
+    'detail.mtiUndecodable': 'MTI cannot be decoded',
+    'detail.processingTitle': '⚙️ Processing code {code}',
+    'detail.transaction': 'Transaction',
+    'detail.fromAccount': 'From account',
+    'detail.toAccount': 'To account',
+    'detail.processingUndecodable': 'Processing code cannot be decoded',
+    'detail.dataElements': '🧾 Data elements ({count})',
+    'detail.format': 'Format',
+    'detail.useAsTemplate': '📝 Use as template',
+    'detail.composeReversal': '↩️ Compose a reversal',
+    'detail.rawFormat': '🔌 Raw format',
+    'detail.copyLink': '🔗 Copy link',
+    'detail.linkCopied': 'Message link copied to the clipboard',
+    'detail.link': 'Message link: {url}',
+    'detail.restore': '↩️ Restore this Message',
+    'detail.delete': '🗑️ Delete this Message',
+
+    // === Données puce EMV (champ 55) ===
+    'emv.title': '💳 EMV chip data (field 55)',
+    'emv.seeDecoded': 'see decoded data',
+    'emv.tag': 'Tag',
+    'emv.length': 'Len.',
+    'emv.interpretation': 'Interpretation',
+    'emv.unknownTag': 'Unlisted tag',
+    'emv.masked': 'masked (sensitive data)',
+    'emv.invalid': 'Unreadable chip data: {reason}',
+    'emv.errors.hex': 'even-length hexadecimal string expected',
+    'emv.errors.truncatedTag': 'truncated tag',
+    'emv.errors.missingLength': 'missing length for tag {tag}',
+    'emv.errors.invalidLength': 'invalid length for tag {tag}',
+    'emv.errors.truncatedValue': 'truncated value for tag {tag}',
+    'emv.activeFlags': '{count} flag(s) set',
+    'emv.noFlags': 'No flag set',
+    'emv.allBits': 'All bits',
+    'emv.bitPosition': 'byte {byte} bit {bit}',
+    'emv.rfuBit': 'Reserved bit (RFU) set',
+    'emv.adviceRequired': ', advice required',
+    'emv.counter': '{value} transaction(s)',
+    'emv.cvm.unknownMethod': 'Method {code}',
+
+    // === Annotations du support ===
+    'annotations.caseReference': 'Case reference',
+    'annotations.title': '📝 Support follow-up',
+    'annotations.caseReferenceLabel': 'Case / ticket reference',
+    'annotations.caseReferencePlaceholder': 'e.g. LIT-2024-118',
+    'annotations.tagsLabel': 'Tags (comma separated)',
+    'annotations.notes': 'Notes',
+    'annotations.notesPlaceholder': 'Customer exchanges, decisions, documents requested...',
+    'annotations.save': '💾 Save',
+    'annotations.none': 'No annotations',
+    'annotations.modified': 'Modified on {date} by {username}',
+    'annotations.unchanged': 'No changes to save',
+    'annotations.saved': 'Annotations saved',
+
+    // === Étiquettes ===
+    'tags.placeholder': 'Tag',
+    'tags.filterTitle': 'Filter on this tag',
+    'tags.invalid': 'Invalid tag(s): {tags} (lowercase letters, digits, "-" or "_", 30 characters max)',
+    'tags.tooMany': 'At most {max} tags per message',
+    'tags.invalidSingle': 'Invalid tag: lowercase letters, digits, "-" or "_" (30 characters max)',
+    'tags.added': 'Tag "{tag}" added to {count} message(s)',
+
+    // === Historique des modifications ===
+    'history.title': 'Change history',
+    'history.loading': 'Loading history...',
+    'history.unavailable': 'History unavailable: {error}',
+    'history.empty': 'No changes recorded',
+    'history.emptyValue': 'empty',
+    'history.date': 'Date',
+    'history.author': 'Author',
+    'history.field': 'Field',
+    'history.before': 'Before',
+    'history.after': 'After',
+    'history.fields.notes': 'Notes',
+    'history.fields.case_reference': 'Case reference',
+    'history.fields.tags': 'Tags',
+
+    // === Cycle de vie de la transaction ===
+    'lifecycle.title': '🔗 Transaction lifecycle',
+    'lifecycle.loading': 'Looking for related messages...',
+    'lifecycle.unavailable': 'Lifecycle unavailable: {error}',
+    'lifecycle.responseIn': ' · ⏱️ response in {duration}',
+    'lifecycle.current': ' · message shown',
+    'lifecycle.outcome': 'Final outcome:',
+    'lifecycle.messageCount': '{count} message(s)',
+    'lifecycle.timeBasis': 'timestamps: {basis}',
+    'lifecycle.basis.field7': 'field 7 (GMT)',
+    'lifecycle.basis.created_at': 'date added to DB',
+    'lifecycle.outcomes.approved': 'Approved',
+    'lifecycle.outcomes.declined': 'Declined',
+    'lifecycle.outcomes.error': 'Error',
+    'lifecycle.outcomes.reversed': 'Reversed',
+    'lifecycle.outcomes.reversal_pending': 'Reversal without response',
+    'lifecycle.outcomes.pending': 'No response',
+    'lifecycle.outcomes.unknown': 'Undetermined',
+    'lifecycle.anomalies.response_without_request': 'Response {mti} without request',
+    'lifecycle.anomalies.invalid_mti': 'Unrecognised MTI {mti}',
+    'lifecycle.anomalies.request_without_response': 'Request {mti} without response',
+    'lifecycle.anomalies.reversal_without_original': 'Reversal {mti} without original transaction',
+
+    // === Affichage audité du PAN ===
+    'pan.reveal': '👁️ Reveal',
+    'pan.reasonPlaceholder': 'Reason for access (logged)',
+    'pan.show': 'Show',
+    'pan.reasonTooShort': 'Please state the reason for access (10 characters minimum)',
+    'pan.revealRefused': 'PAN reveal refused: {error}',
+    'pan.hide': '🙈 Hide ({seconds} s)',
+
+    // === Journal d'audit ===
+    'audit.title': '🛡️ Audit log',
+    'audit.badge': 'PAN ACCESS',
+    'audit.user': 'User',
+    'audit.messageId': 'Message ID',
+    'audit.dateFrom': 'From',
+    'audit.dateTo': 'To',
+    'audit.unavailable': 'Audit log unavailable: {error}',
+    'audit.empty': 'No access recorded for these criteria',
+    'audit.actions.pan_reveal': 'PAN reveal',
+    'audit.actions.pan_export': 'Full PAN export',
+    'audit.actions.message_purge': 'Message purge',
+    'audit.total': '{count} access(es) recorded',
+    'audit.date': 'Date',
+    'audit.action': 'Action',
+    'audit.message': 'Message',
+    'audit.reason': 'Reason',
+    'audit.ip': 'IP address',
+
+    // === Corbeille ===
+    'trash.title': '🗑️ Trash',
+    'trash.intro': 'Deleted messages are excluded from the list, exports and statistics and can be restored until they are permanently deleted.',
+    'trash.restoreSelection': '↩️ Restore selection',
+    'trash.purgeSelection': '✖️ Delete permanently',
+    'trash.deleted': '{count} message(s) moved to the trash',
+    'trash.restored': '{count} message(s) restored',
+    'trash.confirmPurge': 'Permanently delete {count} message(s)? This cannot be undone and is logged.',
+    'trash.purged': '{count} message(s) permanently deleted',
+    'trash.unavailable': 'Trash unavailable: {error}',
+    'trash.empty': 'The trash is empty',
+    'trash.restore': 'Restore',
+    'trash.purge': 'Delete permanently',
+    'trash.deletedAt': 'Deleted on',
+    'trash.deletedBy': 'By',
+
+    // === Compositeur ===
+    'composer.title': '🛠️ Compose an ISO 8583 Message',
+    'composer.version': 'Version',
+    'composer.class': 'Class',
+    'composer.function': 'Function',
+    'composer.origin': 'Origin',
+    'composer.testBin': 'Test BIN',
+    'composer.xmlPreview': 'XML preview',
+    'composer.submit': '📤 Send message',
+    'composer.panUnavailable': 'PAN not available (not revealed): enter or generate a PAN in the composer',
+    'composer.testBinLabel': '{brand} (test)',
+    'composer.reserved': 'Reserved',
+    'composer.generate': '🎲 Generate',
+    'composer.generateTitle': 'Valid test PAN (Luhn)',
+    'composer.now': '🕒 Now',
+    'composer.removeField': 'Remove field',
+    'composer.addField': 'Add a field…',
+    'composer.mtiUndecodable': 'MTI {mti} cannot be decoded',
+    'composer.invalidBin': 'The BIN must contain 6 to 8 digits',
+    'composer.authRequired': 'Authentication required to send a message',
+    'composer.invalidMessage': 'Invalid message: {error}',
+    'composer.confirmWarnings': 'Warnings:\n- {warnings}\n\nSend anyway?',
+
+    // === Générateur de trafic de test ===
+    'generator.title': '🎲 Generate Test Traffic',
+    'generator.intro': 'Realistic synthetic messages (valid test PANs, unique RRNs, request / response pairs), sent through the create API. Same seed and same settings: same data set.',
+    'generator.count': 'Messages',
+    'generator.seed': 'Seed',
+    'generator.seedPlaceholder': 'random',
+    'generator.newSeed': 'New seed',
+    'generator.endDate': 'Last day',
+    'generator.days': 'Days covered',
+    'generator.terminals': 'Terminals',
+    'generator.approvalRate': 'Approved (%)',
+    'generator.families.authorization': 'Authorisations (1100/1110)',
+    'generator.families.financial': 'Financial (1200/1210)',
+    'generator.families.refund': 'Refunds (1200/1210, code 20)',
+    'generator.families.reversal': 'With reversal (1420/1430)',
+    'generator.currencies': 'Currencies (code:weight)',
+    'generator.run': '🎲 Generate and send',
+    'generator.progress': '{done} / {total} sent: {created} created, {duplicates} already present, {failed} failed - seed {seed}, end date {endDate}',
+    'generator.finished': 'Test traffic sent: {created} message(s) created, {duplicates} already present, {failed} failed (seed {seed}, end date {endDate})',
+    'generator.cancelled': 'Sending stopped: {created} message(s) created, {duplicates} already present, {failed} failed (seed {seed}, end date {endDate})',
+    'generator.failed': 'Sending stopped: {error}',
+    'generator.errors.count': 'Number of messages: integer from {min} to {max} expected',
+    'generator.errors.days': 'Days covered: integer from {min} to {max} expected',
+    'generator.errors.terminals': 'Terminals: integer from {min} to {max} expected',
+    'generator.errors.approvalRate': 'Approval rate: integer from {min} to {max} expected',
+    'generator.errors.endDate': 'Last day: YYYY-MM-DD date expected',
+    'generator.errors.weights': 'Invalid mix: "{value}" (key:weight format)',
+    'generator.errors.family': 'Unknown transaction family: {family} (possible values: {families})',
+    'generator.errors.emptyFamilies': 'Choose at least one transaction family (weight above 0)',
+    'generator.errors.currency': 'Unknown currency: {code}',
+    'generator.errors.emptyCurrencies': 'Choose at least one currency (weight above 0)',
+
+    // === Format brut (wire format) ===
+    'raw.title': '🔌 Decode a Raw Message (wire format)',
+    'raw.inputMode': 'Input',
+    'raw.inputHex': 'Hex dump',
+    'raw.inputAscii': 'ASCII text',
+    'raw.headerLength': 'Header (bytes)',
+    'raw.bitmap': 'Bitmap',
+    'raw.bitmapBinary': 'Binary (8 bytes)',
+    'raw.bitmapHex': 'ASCII hexadecimal (16 characters)',
+    'raw.numeric': 'Numerics',
+    'raw.lengthPrefix': 'Length prefix (2 bytes)',
+    'raw.overrides': 'Field overrides (JSON)',
+    'raw.overridesPlaceholder': '{ "48": { "name": "Private data", "type": "ans", "format": "LLLVAR", "max": 999 } }',
+    'raw.inputPlaceholder': 'Paste the raw message here (e.g. 31323030F23C...)',
+    'raw.decode': '🔍 Decode',
+    'raw.overridesInvalid': 'Field overrides: invalid JSON ({error})',
+    'raw.bit': 'Bit {id}',
+    'raw.header': ' · Header {header}',
+    'raw.byteCount': '{count} byte(s)',
+    'raw.offset': 'Offset',
+    'raw.bytes': 'Bytes',
+    'raw.trailing': 'Undecoded bytes at end of message: {bytes}',
+    'raw.hexDump': 'Hex dump',
+    'raw.openInComposer': '🛠️ Open in composer',
+    'raw.import': '📤 Import message',
+    'raw.panNotRevealed': 'PAN not revealed: show the clear PAN before encoding',
+    'raw.encodeFailed': 'Encoding failed: {error}',
+
+    // === Packager (encodage / décodage brut) ===
+    'packager.invalidHex': 'Invalid hex dump (non-hexadecimal characters or odd number of digits)',
+    'packager.truncated': '{label}: truncated data (offset {offset}, {expected} byte(s) expected, {available} available)',
+    'packager.invalidBcd': '{label}: invalid BCD ({hex})',
+    'packager.numericExpected': '{label}: numeric value expected ({text})',
+    'packager.numericExpectedShort': '{label}: numeric value expected',
+    'packager.lengthSuffix': '{label} (length)',
+    'packager.lengthOverMax': '{label}: length {length} exceeds maximum {max}',
+    'packager.messageLength': 'Message length',
+    'packager.messageLengthMismatch': 'Message length: {declared} byte(s) declared, {received} received',
+    'packager.header': 'Header',
+    'packager.primaryBitmap': 'Primary bitmap',
+    'packager.secondaryBitmap': 'Secondary bitmap',
+    'packager.trailing': 'End',
+    'packager.badLength': '{label}: length {length}, {expected} expected',
+    'packager.tooLong': '{label}: length {length}, maximum {max}',
+    'packager.headerMismatch': 'Header: {length} byte(s), {expected} expected',
+
+    // === Validation des messages ===
+    'validator.types.n': 'numeric',
+    'validator.types.a': 'alphabetic',
+    'validator.types.an': 'alphanumeric',
+    'validator.types.b': 'hexadecimal',
+    'validator.types.x+n': 'signed (C/D + numeric)',
+    'validator.invalidXml': 'Invalid XML format',
+    'validator.fieldLabel': 'Field {id} ({name})',
+    'validator.badType': '{field}: must be {type}',
+    'validator.badLength': '{field}: length {length}, {expected} expected',
+    'validator.tooLong': '{field}: length {length}, maximum {max}',
+    'validator.panTooShort': 'Field 2 (PAN): length {length}, minimum {min}',
+    'validator.invalidTime': 'Field 12: invalid time ({value})',
+    'validator.invalidDate': 'Field 13: invalid date ({value})',
+    'validator.missingField': 'Missing required field: {id}',
+    'validator.missingMti': 'MTI missing (neither field 0 nor header)',
+    'validator.invalidMti': 'Invalid MTI ({mti})',
+    'validator.luhn': 'Field 2 (PAN): invalid Luhn check digit',
+    'validator.emptyFile': 'Empty file',
+    'validator.unsupportedFormat': 'Unrecognised format (XML, JSON or NDJSON expected)',
+    'validator.invalidJson': 'Invalid JSON ({reason})',
+    'validator.jsonExpected': 'A JSON object of ISO 8583 fields is expected',
+    'validator.noMessage': 'No ISO 8583 message in this file',
+    'validator.tooManyMessages': '{count} messages, at most {max} per file',
+    'validator.invalidFieldNumber': 'Invalid field number: {id}',
+    'validator.notText': 'Field {id}: a text value is expected',
+    'validator.invalidIcc': 'Field 55: unreadable chip data ({reason}), it will not be stored',
+
+    // === Dictionnaire ISO 8583 ===
+    'dictionary.unknownField': 'Unknown field',
+    'dictionary.reserved': 'Reserved ({digit})',
+    'dictionary.repeat': ' (repeat)',
+    'dictionary.type': 'Type {code}',
+    'dictionary.account': 'Account {code}',
+
+    // === Codes réponse ===
+    'response.category.approved': 'Approved',
+    'response.category.declined': 'Declined',
+    'response.category.error': 'Error',
+    'response.category.unknown': 'Unknown',
+    'response.category.none': 'No response',
+    'response.unknownCode': 'Unknown response code',
+
+    // === Devises ===
+    'currency.unknown': '{code} (unknown currency)',
+
+    // === Graphiques ===
+    'charts.empty': 'No data',
+
+    // === Client de l'API ===
+    'api.aborted': 'Request cancelled',
+    'api.htmlResponse': 'The server returned HTML instead of JSON (HTTP {status})',
+    'api.invalidResponse': 'Invalid server response (HTTP {status})',
+    'api.authRequired': 'Authentication required',
+    'api.timeout': 'Timed out ({seconds} s) without a response from the server',
+    'api.network': 'Server unreachable. Check your connection.',
+
+    // === Tables de référence: éléments de données (de.{numéro}) ===
+    'de.0': 'Message type indicator (MTI)',
+    'de.1': 'Secondary bitmap',
+    'de.2': 'Primary account number (PAN)',
+    'de.3': 'Processing code',
+    'de.4': 'Transaction amount',
+    'de.5': 'Settlement amount',
+    'de.6': 'Cardholder billing amount',
+    'de.7': 'Transmission date and time (MMDDhhmmss)',
+    'de.8': 'Cardholder billing fee',
+    'de.9': 'Conversion rate (settlement)',
+    'de.10': 'Conversion rate (cardholder billing)',
+    'de.11': 'System trace audit number (STAN)',
+    'de.12': 'Local transaction time (hhmmss)',
+    'de.13': 'Local transaction date (MMDD)',
+    'de.14': 'Expiration date (YYMM)',
+    'de.15': 'Settlement date (MMDD)',
+    'de.16': 'Conversion date (MMDD)',
+    'de.17': 'Capture date (MMDD)',
+    'de.18': 'Merchant category code (MCC)',
+    'de.19': 'Acquiring institution country code',
+    'de.20': 'PAN extended country code',
+    'de.21': 'Forwarding institution country code',
+    'de.22': 'Point of service entry mode',
+    'de.23': 'Card sequence number',
+    'de.24': 'Network international identifier (NII)',
+    'de.25': 'Point of service condition code',
+    'de.26': 'PIN capture code',
+    'de.27': 'Authorisation identification response length',
+    'de.28': 'Transaction fee amount',
+    'de.29': 'Settlement fee amount',
+    'de.30': 'Transaction processing fee amount',
+    'de.31': 'Settlement processing fee amount',
+    'de.32': 'Acquiring institution identification code',
+    'de.33': 'Forwarding institution identification code',
+    'de.34': 'Extended PAN',
+    'de.35': 'Track 2 data',
+    'de.36': 'Track 3 data',
+    'de.37': 'Retrieval reference number (RRN)',
+    'de.38': 'Authorisation identification response',
+    'de.39': 'Response code',
+    'de.40': 'Service restriction code',
+    'de.41': 'Card acceptor terminal identification',
+    'de.42': 'Card acceptor identification code (merchant)',
+    'de.43': 'Card acceptor name and location',
+    'de.44': 'Additional response data',
+    'de.45': 'Track 1 data',
+    'de.46': 'Additional data (ISO)',
+    'de.47': 'Additional data (national)',
+    'de.48': 'Additional data (private)',
+    'de.49': 'Transaction currency code',
+    'de.50': 'Settlement currency code',
+    'de.51': 'Cardholder billing currency code',
+    'de.52': 'Encrypted PIN block',
+    'de.53': 'Security related control information',
+    'de.54': 'Additional amounts',
+    'de.55': 'Integrated circuit card data (ICC / EMV)',
+    'de.56': 'Reserved ISO',
+    'de.57': 'Reserved national',
+    'de.58': 'Reserved national',
+    'de.59': 'Reserved national',
+    'de.60': 'Reserved national',
+    'de.61': 'Reserved private',
+    'de.62': 'Reserved private',
+    'de.63': 'Reserved private',
+    'de.64': 'Message authentication code (MAC)',
+    'de.65': 'Tertiary bitmap',
+    'de.66': 'Settlement code',
+    'de.67': 'Extended payment code',
+    'de.68': 'Receiving institution country code',
+    'de.69': 'Settlement institution country code',
+    'de.70': 'Network management information code',
+    'de.71': 'Message number',
+    'de.72': 'Last message number',
+    'de.73': 'Action date (YYMMDD)',
+    'de.74': 'Number of credits',
+    'de.75': 'Credits reversal number',
+    'de.76': 'Number of debits',
+    'de.77': 'Debits reversal number',
+    'de.78': 'Transfer number',
+    'de.79': 'Transfer reversal number',
+    'de.80': 'Number of inquiries',
+    'de.81': 'Number of authorisations',
+    'de.82': 'Credits processing fee amount',
+    'de.83': 'Credits transaction fee amount',
+    'de.84': 'Debits processing fee amount',
+    'de.85': 'Debits transaction fee amount',
+    'de.86': 'Total amount of credits',
+    'de.87': 'Credits reversal amount',
+    'de.88': 'Total amount of debits',
+    'de.89': 'Debits reversal amount',
+    'de.90': 'Original data elements',
+    'de.91': 'File update code',
+    'de.92': 'File security code',
+    'de.93': 'Response indicator',
+    'de.94': 'Service indicator',
+    'de.95': 'Replacement amounts',
+    'de.96': 'Message security code',
+    'de.97': 'Net settlement amount',
+    'de.98': 'Payee',
+    'de.99': 'Settlement institution identification code',
+    'de.100': 'Receiving institution identification code',
+    'de.101': 'File name',
+    'de.102': 'Account identification 1',
+    'de.103': 'Account identification 2',
+    'de.104': 'Transaction description',
+    'de.105': 'Reserved ISO',
+    'de.106': 'Reserved ISO',
+    'de.107': 'Reserved ISO',
+    'de.108': 'Reserved ISO',
+    'de.109': 'Reserved ISO',
+    'de.110': 'Reserved ISO',
+    'de.111': 'Reserved ISO',
+    'de.112': 'Reserved national',
+    'de.113': 'Reserved national',
+    'de.114': 'Reserved national',
+    'de.115': 'Reserved national',
+    'de.116': 'Reserved national',
+    'de.117': 'Reserved national',
+    'de.118': 'Reserved national',
+    'de.119': 'Reserved national',
+    'de.120': 'Reserved private',
+    'de.121': 'Reserved private',
+    'de.122': 'Reserved private',
+    'de.123': 'Reserved private',
+    'de.124': 'Reserved private',
+    'de.125': 'Reserved private',
+    'de.126': 'Reserved private',
+    'de.127': 'Reserved private',
+    'de.128': 'Secondary message authentication code (MAC)',
+
+    // === Tables de référence: MTI ===
+    'mti.versions.8': 'National use',
+    'mti.versions.9': 'Private use',
+    'mti.classes.1': 'Authorisation',
+    'mti.classes.2': 'Financial',
+    'mti.classes.3': 'File actions',
+    'mti.classes.4': 'Reversal / Chargeback',
+    'mti.classes.5': 'Reconciliation',
+    'mti.classes.6': 'Administrative',
+    'mti.classes.7': 'Fee collection',
+    'mti.classes.8': 'Network management',
+    'mti.classes.9': 'Reserved by ISO',
+    'mti.functions.0': 'Request',
+    'mti.functions.1': 'Request response',
+    'mti.functions.2': 'Advice',
+    'mti.functions.3': 'Advice response',
+    'mti.functions.4': 'Notification',
+    'mti.functions.5': 'Notification acknowledgement',
+    'mti.functions.6': 'Instruction',
+    'mti.functions.7': 'Instruction acknowledgement',
+    'mti.origins.0': 'Acquirer',
+    'mti.origins.1': 'Acquirer',
+    'mti.origins.2': 'Issuer',
+    'mti.origins.3': 'Issuer',
+    'mti.origins.4': 'Other',
+    'mti.origins.5': 'Other',
+
+    // === Tables de référence: code de traitement (champ 3) ===
+    'processing.types.00': 'Purchase',
+    'processing.types.01': 'Cash withdrawal',
+    'processing.types.02': 'Debit adjustment',
+    'processing.types.03': 'Cheque guarantee',
+    'processing.types.09': 'Purchase with cashback',
+    'processing.types.10': 'Account funding',
+    'processing.types.11': 'Quasi-cash',
+    'processing.types.17': 'Cash advance',
+    'processing.types.18': 'Bill payment',
+    'processing.types.20': 'Refund / Return',
+    'processing.types.21': 'Deposit',
+    'processing.types.22': 'Credit adjustment',
+    'processing.types.26': 'Original credit',
+    'processing.types.28': 'Payment',
+    'processing.types.30': 'Balance inquiry',
+    'processing.types.31': 'Balance inquiry',
+    'processing.types.38': 'Mini-statement inquiry',
+    'processing.types.39': 'Account inquiry',
+    'processing.types.40': 'Account transfer',
+    'processing.types.50': 'Bill payment',
+    'processing.types.90': 'PIN change',
+    'processing.types.91': 'PIN unblock',
+    'processing.accounts.00': 'Not specified',
+    'processing.accounts.10': 'Savings',
+    'processing.accounts.20': 'Cheque / Current account',
+    'processing.accounts.30': 'Credit',
+    'processing.accounts.40': 'Universal',
+    'processing.accounts.50': 'Investment',
+    'processing.accounts.60': 'Electronic purse',
+    'processing.accounts.90': 'Revolving credit',
+
+    // === Tables de référence: codes réponse (champ 39) ===
+    'rc.00': 'Approved',
+    'rc.01': 'Refer to card issuer',
+    'rc.02': 'Refer to card issuer (special condition)',
+    'rc.03': 'Invalid merchant',
+    'rc.04': 'Pick up card',
+    'rc.05': 'Do not honour',
+    'rc.06': 'Error',
+    'rc.07': 'Pick up card (special condition)',
+    'rc.08': 'Honour with identification',
+    'rc.09': 'Request in progress',
+    'rc.10': 'Approved for partial amount',
+    'rc.11': 'Approved (VIP)',
+    'rc.12': 'Invalid transaction',
+    'rc.13': 'Invalid amount',
+    'rc.14': 'Invalid card number',
+    'rc.15': 'No such issuer',
+    'rc.16': 'Approved, update track 3',
+    'rc.17': 'Customer cancellation',
+    'rc.19': 'Re-enter transaction',
+    'rc.20': 'Invalid response',
+    'rc.21': 'No action taken',
+    'rc.22': 'Suspected malfunction',
+    'rc.23': 'Unacceptable transaction fee',
+    'rc.25': 'Unable to locate record',
+    'rc.30': 'Format error',
+    'rc.31': 'Bank not supported by switch',
+    'rc.33': 'Expired card (pick up)',
+    'rc.34': 'Suspected fraud (pick up)',
+    'rc.36': 'Restricted card (pick up)',
+    'rc.38': 'Allowable PIN tries exceeded (pick up)',
+    'rc.39': 'No credit account',
+    'rc.40': 'Function not supported',
+    'rc.41': 'Lost card (pick up)',
+    'rc.43': 'Stolen card (pick up)',
+    'rc.51': 'Insufficient funds',
+    'rc.52': 'No cheque account',
+    'rc.53': 'No savings account',
+    'rc.54': 'Expired card',
+    'rc.55': 'Incorrect PIN',
+    'rc.56': 'No card record',
+    'rc.57': 'Transaction not permitted to cardholder',
+    'rc.58': 'Transaction not permitted to terminal',
+    'rc.59': 'Suspected fraud',
+    'rc.61': 'Exceeds withdrawal amount limit',
+    'rc.62': 'Restricted card',
+    'rc.63': 'Security violation',
+    'rc.65': 'Exceeds withdrawal frequency limit',
+    'rc.68': 'Response received too late',
+    'rc.75': 'Allowable PIN tries exceeded',
+    'rc.76': 'Invalid account',
+    'rc.77': 'Inconsistent with original transaction',
+    'rc.78': 'Card blocked or not activated',
+    'rc.85': 'No reason to decline (verification)',
+    'rc.90': 'Cutoff in progress',
+    'rc.91': 'Issuer unavailable',
+    'rc.92': 'Destination not found',
+    'rc.93': 'Transaction cannot be completed (violation of law)',
+    'rc.94': 'Duplicate transmission',
+    'rc.95': 'Reconcile error',
+    'rc.96': 'System malfunction',
+    'rc.N7': 'Invalid CVV2',
+    'rc.Y1': 'Offline approved',
+    'rc.Y3': 'Offline approved (issuer unavailable)',
+    'rc.Z1': 'Offline declined',
+    'rc.Z3': 'Offline declined (issuer unavailable)',
+
+    // === Tables de référence: données puce EMV (champ 55) ===
+    'emv.tags.4F': 'Application identifier (AID) - card',
+    'emv.tags.50': 'Application label',
+    'emv.tags.56': 'Track 1 equivalent data',
+    'emv.tags.57': 'Track 2 equivalent data',
+    'emv.tags.5A': 'Application primary account number (PAN)',
+    'emv.tags.5F20': 'Cardholder name',
+    'emv.tags.5F24': 'Application expiration date',
+    'emv.tags.5F25': 'Application effective date',
+    'emv.tags.5F28': 'Issuer country code',
+    'emv.tags.5F2A': 'Transaction currency code',
+    'emv.tags.5F2D': 'Language preference',
+    'emv.tags.5F34': 'PAN sequence number (PSN)',
+    'emv.tags.70': 'EMV data template',
+    'emv.tags.71': 'Issuer script (before final GENERATE AC)',
+    'emv.tags.72': 'Issuer script (after final GENERATE AC)',
+    'emv.tags.77': 'Response message template, format 2',
+    'emv.tags.82': 'Application interchange profile (AIP)',
+    'emv.tags.84': 'Dedicated file (DF) name',
+    'emv.tags.8A': 'Authorisation response code',
+    'emv.tags.91': 'Issuer authentication data',
+    'emv.tags.95': 'Terminal verification results (TVR)',
+    'emv.tags.9A': 'Transaction date',
+    'emv.tags.9B': 'Transaction status information (TSI)',
+    'emv.tags.9C': 'Transaction type',
+    'emv.tags.9F02': 'Amount, authorised',
+    'emv.tags.9F03': 'Amount, other (cashback)',
+    'emv.tags.9F06': 'Application identifier (AID) - terminal',
+    'emv.tags.9F07': 'Application usage control',
+    'emv.tags.9F08': 'Application version number (card)',
+    'emv.tags.9F09': 'Application version number (terminal)',
+    'emv.tags.9F0D': 'Issuer action code - default',
+    'emv.tags.9F0E': 'Issuer action code - denial',
+    'emv.tags.9F0F': 'Issuer action code - online',
+    'emv.tags.9F10': 'Issuer application data (IAD)',
+    'emv.tags.9F11': 'Issuer code table index',
+    'emv.tags.9F12': 'Application preferred name',
+    'emv.tags.9F1A': 'Terminal country code',
+    'emv.tags.9F1E': 'Interface device (IFD) serial number',
+    'emv.tags.9F1F': 'Track 1 discretionary data',
+    'emv.tags.9F20': 'Track 2 discretionary data',
+    'emv.tags.9F21': 'Transaction time',
+    'emv.tags.9F26': 'Application cryptogram (ARQC / TC / AAC)',
+    'emv.tags.9F27': 'Cryptogram information data (CID)',
+    'emv.tags.9F33': 'Terminal capabilities',
+    'emv.tags.9F34': 'Cardholder verification method (CVM) results',
+    'emv.tags.9F35': 'Terminal type',
+    'emv.tags.9F36': 'Application transaction counter (ATC)',
+    'emv.tags.9F37': 'Unpredictable number',
+    'emv.tags.9F39': 'Point-of-service entry mode',
+    'emv.tags.9F40': 'Additional terminal capabilities',
+    'emv.tags.9F41': 'Transaction sequence counter',
+    'emv.tags.9F53': 'Transaction category code',
+    'emv.tags.9F5B': 'Issuer script results',
+    'emv.tags.9F66': 'Terminal transaction qualifiers (TTQ)',
+    'emv.tags.9F6B': 'Track 2 data (contactless)',
+    'emv.tags.9F6C': 'Card transaction qualifiers (CTQ)',
+    'emv.tags.9F6E': 'Form factor indicator',
+    'emv.tvr.1.8': 'Offline data authentication was not performed',
+    'emv.tvr.1.7': 'SDA failed',
+    'emv.tvr.1.6': 'ICC data missing',
+    'emv.tvr.1.5': 'Card appears on terminal exception file',
+    'emv.tvr.1.4': 'DDA failed',
+    'emv.tvr.1.3': 'CDA failed',
+    'emv.tvr.1.2': 'SDA selected',
+    'emv.tvr.2.8': 'ICC and terminal have different application versions',
+    'emv.tvr.2.7': 'Expired application',
+    'emv.tvr.2.6': 'Application not yet effective',
+    'emv.tvr.2.5': 'Requested service not allowed for card product',
+    'emv.tvr.2.4': 'New card',
+    'emv.tvr.3.8': 'Cardholder verification was not successful',
+    'emv.tvr.3.7': 'Unrecognised CVM',
+    'emv.tvr.3.6': 'PIN try limit exceeded',
+    'emv.tvr.3.5': 'PIN entry required and PIN pad not present or not working',
+    'emv.tvr.3.4': 'PIN entry required, PIN pad present, but PIN was not entered',
+    'emv.tvr.3.3': 'Online PIN entered',
+    'emv.tvr.4.8': 'Transaction exceeds floor limit',
+    'emv.tvr.4.7': 'Lower consecutive offline limit exceeded',
+    'emv.tvr.4.6': 'Upper consecutive offline limit exceeded',
+    'emv.tvr.4.5': 'Transaction selected randomly for online processing',
+    'emv.tvr.4.4': 'Merchant forced transaction online',
+    'emv.tvr.5.8': 'Default TDOL used',
+    'emv.tvr.5.7': 'Issuer authentication failed',
+    'emv.tvr.5.6': 'Script processing failed before final GENERATE AC',
+    'emv.tvr.5.5': 'Script processing failed after final GENERATE AC',
+    'emv.aip.1.7': 'SDA supported',
+    'emv.aip.1.6': 'DDA supported',
+    'emv.aip.1.5': 'Cardholder verification is supported',
+    'emv.aip.1.4': 'Terminal risk management is to be performed',
+    'emv.aip.1.3': 'Issuer authentication is supported',
+    'emv.aip.1.1': 'CDA supported',
+    'emv.aip.2.8': 'EMV mode supported (contactless)',
+    'emv.aip.2.1': 'Relay resistance protocol supported (contactless)',
+    'emv.cryptogram.0': 'AAC - transaction declined by the card',
+    'emv.cryptogram.1': 'TC - transaction approved offline',
+    'emv.cryptogram.2': 'ARQC - online authorisation requested',
+    'emv.cryptogram.3': 'Reserved (RFU)',
+    'emv.cvm.methods.00': 'CVM processing failed',
+    'emv.cvm.methods.01': 'Plaintext PIN verified by the card',
+    'emv.cvm.methods.02': 'Enciphered PIN verified online',
+    'emv.cvm.methods.03': 'Plaintext PIN verified by the card and signature',
+    'emv.cvm.methods.04': 'Enciphered PIN verified by the card',
+    'emv.cvm.methods.05': 'Enciphered PIN verified by the card and signature',
+    'emv.cvm.methods.1E': 'Signature',
+    'emv.cvm.methods.1F': 'No CVM required',
+    'emv.cvm.methods.3F': 'No CVM performed',
+    'emv.cvm.results.00': 'unknown result',
+    'emv.cvm.results.01': 'failed',
+    'emv.cvm.results.02': 'successful'
+};
@@ -0,0 +1,560 @@
+// ============================================================================
+// CATALOGUE FRANÇAIS (LANGUE DE RÉFÉRENCE)
+// ============================================================================
+// Textes de l'interface: clés à points, paramètres {nom} (voir js/i18n.js).
+// Les tables de référence (dictionnaire, MTI, codes réponse...) sont déjà
+// rédigées en français dans leurs modules et ne sont pas reprises ici.
+
+I18N_CATALOGUES.fr = {
+    // === Application ===
+    'app.title': 'ISO 8583 Secure Message Manager',
+    'app.subtitle': 'Gestionnaire sécurisé de messages ISO 8583 avec chiffrement PAN',
+    'app.language': 'Langue',
+
+    // === Libellés communs ===
+    'common.or': 'ou',
+    'common.name': 'Nom',
+    'common.value': 'Valeur',
+    'common.reset': 'Réinitialiser',
+    'common.refresh': '↻ Actualiser',
+    'common.search': '🔍 Rechercher',
+    'common.close': 'Fermer',
+    'common.cancel': 'Annuler',
+    'common.retry': '🔄 Réessayer',
+    'common.field': 'Champ',
+    'common.error': 'Erreur: {error}',
+    'common.retryPlain': 'Réessayer',
+    'common.delete': 'Supprimer',
+    'common.undo': 'Annuler',
+
+    // === Authentification et session ===
+    'auth.title': '🔑 Authentification',
+    'auth.username': 'Nom d\'utilisateur',
+    'auth.password': 'Mot de passe',
+    'auth.login': 'Se connecter',
+    'auth.logout': 'Se déconnecter',
+    'auth.sampleAccounts': '💡 Comptes d\'exemple:',
+    'auth.sessionPolicy': '- session de 15 min renouvelée automatiquement, fermée après 15 min d\'inactivité',
+    'auth.apiKeyTitle': 'Utiliser une clé d\'API (services)',
+    'auth.apiKeyPlaceholder': 'Clé d\'API (ex: api_key_iso8583_secure_2024)',
+    'auth.useApiKey': 'Utiliser la clé',
+    'auth.sessionExpired': 'Session expirée. Veuillez vous reconnecter.',
+    'auth.missingCredentials': 'Veuillez saisir votre nom d\'utilisateur et votre mot de passe',
+    'auth.welcome': 'Bienvenue {username} !',
+    'auth.error': 'Erreur d\'authentification: {error}',
+    'auth.missingToken': 'Veuillez saisir un token d\'authentification',
+    'auth.success': 'Authentification réussie !',
+    'auth.loggedOut': 'Déconnexion effectuée',
+    'auth.inactive': 'Session fermée après une période d\'inactivité',
+    'auth.sessionUntil': ' · session jusqu\'à {time}',
+    'auth.status.user': 'Authentifié: {username} ({role}){expiry}',
+    'auth.status.authenticated': 'Authentifié',
+    'auth.status.none': 'Non authentifié',
+
+    // === Indicateurs ===
+    'stats.total': 'Messages Total',
+    'stats.currentPage': 'Page Actuelle',
+    'stats.approvalRate': 'Taux d\'approbation',
+    'stats.declineRate': 'Taux de refus',
+    'stats.panEncrypted': '🔒 PAN chiffrés',
+    'stats.pageRange': 'Messages {first}-{last} ({limit} / page)',
+
+    // === Tableau de bord ===
+    'dashboard.title': '📊 Tableau de bord',
+    'dashboard.responseCodes': 'Codes réponse',
+    'dashboard.currencies': 'Volume et valeur par devise',
+    'dashboard.terminals': 'Terminaux les plus actifs',
+    'dashboard.mtis': 'Répartition des MTI',
+    'dashboard.hours': 'Transactions par heure (champ 12)',
+    'dashboard.days': 'Transactions par jour (champ 13)',
+    'dashboard.unavailable': 'Statistiques indisponibles: {error}',
+    'dashboard.breakdown': '{approved} approuvée(s) / {declined} refusée(s) / {none} sans réponse',
+    'dashboard.scopeFiltered': '{total} message(s) correspondant aux {filters} filtre(s) actif(s)',
+    'dashboard.scopeAll': '{total} message(s), tous filtres confondus',
+    'dashboard.noResponseCode': '(aucun)',
+    'dashboard.currency': 'Devise',
+    'dashboard.transactions': 'Transactions',
+    'dashboard.value': 'Valeur',
+    'dashboard.hourTitle': '{hour}h: {count}',
+
+    // === Téléversement ===
+    'upload.title': '📤 Ajouter un Message ISO 8583',
+    'upload.badge': 'SÉCURISÉ',
+    'upload.dropHint': 'Cliquez ici ou glissez-déposez vos fichiers XML / JSON ou un dossier',
+    'upload.formats': 'Formats acceptés: XML (un ou plusieurs messages), JSON, NDJSON - PAN automatiquement chiffré',
+    'upload.chooseFolder': '📂 Choisir un dossier',
+    'upload.authRequired': 'Authentification requise pour télécharger des fichiers',
+    'upload.ignored': '{count} fichier(s) ignoré(s): seuls les fichiers XML, JSON et NDJSON sont acceptés',
+    'upload.noXml': 'Veuillez sélectionner un fichier XML, JSON ou NDJSON valide.',
+
+    // === Vérification avant envoi ===
+    'preview.blocked': '❌ Bloqué',
+    'preview.warning': '⚠️ Avertissement',
+    'preview.valid': '✅ Valide',
+    'preview.title': '🔎 Vérification avant envoi',
+    'preview.summary': '{total} fichier(s) analysé(s): {valid} envoyable(s){warnings}, {invalid} bloqué(s).',
+    'preview.summaryWarnings': ' dont {count} avec avertissement(s)',
+    'preview.sendAnyway': 'Envoyer malgré les avertissements',
+    'preview.send': 'Envoyer',
+    'preview.notSent': '{count} fichier(s) invalide(s) non envoyé(s)',
+    'preview.cancelled': 'Envoi annulé',
+    'preview.messageCount': '{count} message(s)',
+    'preview.batchAllBlocked': 'Aucun message envoyable dans ce fichier',
+    'preview.batchBlocked': '{count} message(s) bloqué(s), non envoyé(s)',
+    'preview.batchWarnings': '{count} message(s) avec avertissement(s)',
+    'preview.messagesNotSent': '{count} message(s) invalide(s) non envoyé(s)',
+    'preview.state': 'État',
+    'preview.issues': 'Anomalies',
+    'preview.line': 'ligne {line}',
+
+    // === File d'attente de téléversement ===
+    'queue.finished': 'Téléversement terminé: {created} message(s) créé(s), {rejected} rejeté(s) - PAN chiffrés automatiquement',
+    'queue.pending': '⏳ En attente',
+    'queue.uploading': '📤 Envoi...',
+    'queue.created': '✅ Créé',
+    'queue.rejected': '❌ Rejeté',
+    'queue.summary': '{done} / {total} traité(s) - {created} créé(s), {rejected} rejeté(s)',
+    'queue.retryFailed': '🔄 Réessayer les échecs',
+    'queue.clear': '🧹 Vider',
+    'queue.finishedDuplicates': ' - {count} doublon(s) probable(s) en attente de décision',
+    'queue.duplicate': '⚠️ Doublon probable',
+    'queue.skipped': '⏭️ Ignoré',
+    'queue.duplicateOf': 'Déjà enregistré:',
+    'queue.summaryDuplicates': '- {duplicates} doublon(s) à traiter, {skipped} ignoré(s)',
+    'queue.imported': '📋 Lot traité',
+    'queue.batchSummary': '{created} / {total} créé(s), {duplicates} doublon(s), {errors} erreur(s)',
+    'queue.report': '📋 Rapport',
+
+    // === Rapport d'import des lots ===
+    'report.title': '📋 Rapport d\'import',
+    'report.summary': '{total} message(s): {created} créé(s), {duplicates} doublon(s) probable(s) non enregistré(s), {errors} en erreur.',
+    'report.detail': 'Détail',
+    'report.keepDuplicates': 'Enregistrer les {count} doublon(s) quand même',
+    'report.resubmitted': 'renvoyé',
+
+    // === Liste des messages ===
+    'messages.title': '📋 Liste des Messages',
+    'messages.badge': 'PROTÉGÉS',
+    'messages.authRequired': 'Authentification requise...',
+    'messages.authRequiredLocked': '🔒 Authentification requise pour accéder aux messages',
+    'messages.loading': 'Chargement des messages sécurisés...',
+    'messages.connectionError': 'Erreur de connexion au serveur: {error}',
+    'messages.loadError': '⚠️ Erreur: {error}',
+    'messages.noMatch': 'Aucun message ne correspond aux critères de recherche',
+    'messages.none': 'Aucun message trouvé',
+
+    // === Filtres de recherche ===
+    'filters.terminal': 'Terminal ID',
+    'filters.mti': 'MTI (ex: 1110)',
+    'filters.allResults': 'Tous les résultats',
+    'filters.approved': 'Approuvées',
+    'filters.declined': 'Refusées',
+    'filters.noResponse': 'Sans code réponse',
+    'filters.allCurrencies': 'Toutes les devises',
+    'filters.dateFrom': 'Date du (MMJJ)',
+    'filters.dateTo': 'Date au (MMJJ)',
+    'filters.amountMin': 'Montant min (unités mineures)',
+    'filters.amountMax': 'Montant max (unités mineures)',
+    'filters.panLast4': 'PAN (4 derniers)',
+    'filters.copyLink': '🔗 Copier le lien',
+    'filters.activeCount': '{count} critère(s) actif(s)',
+    'filters.linkCopied': 'Lien de recherche copié dans le presse-papiers',
+    'filters.link': 'Lien de recherche: {url}',
+
+    // === Barre d'outils de la liste ===
+    'toolbar.grid': '▦ Cartes',
+    'toolbar.table': '☰ Tableau',
+    'toolbar.sortBy': 'Trier par',
+    'toolbar.reverseSort': 'Inverser le tri',
+    'toolbar.columns': 'Colonnes',
+    'toolbar.perPage': '{size} / page',
+
+    // === Mise à jour en direct ===
+    'live.on': '● En direct',
+    'live.paused': '⏸ En pause',
+    'live.pauseTitle': 'Liste mise à jour automatiquement: cliquer pour mettre en pause',
+    'live.resumeTitle': 'Mise à jour automatique en pause: cliquer pour reprendre',
+    'live.newMessages': '{count} nouveau(x) message(s)',
+    'live.show': 'Afficher',
+
+    // === Colonnes du tableau ===
+    'columns.processingCode': 'Code traitement',
+    'columns.amount': 'Montant',
+    'columns.transaction': 'Date/Heure transaction',
+    'columns.terminal': 'Terminal',
+    'columns.response': 'Réponse',
+    'columns.currency': 'Devise',
+    'columns.createdAt': 'Ajouté en BD',
+    'columns.caseReference': 'Dossier',
+    'columns.tags': 'Étiquettes',
+    'columns.id': 'ID',
+    'columns.mti': 'MTI',
+    'columns.pan': 'PAN',
+    'columns.rrn': 'RRN',
+
+    // === Pagination ===
+    'pagination.previous': '⬅️ Précédent',
+    'pagination.next': 'Suivant ➡️',
+    'pagination.page': 'Page {page} / {total}',
+
+    // === Export ===
+    'export.menu': '⬇️ Exporter',
+    'export.scope': 'Périmètre',
+    'export.scopePage': 'Page courante',
+    'export.scopeFilter': 'Résultat de la recherche',
+    'export.format': 'Format',
+    'export.formatCsv': 'CSV (tableur)',
+    'export.fullPan': 'PAN en clair (autorisation requise)',
+    'export.submit': 'Exporter',
+    'export.emptyPage': 'Aucun message à exporter sur cette page',
+    'export.emptySelection': 'Aucun message sélectionné',
+    'export.confirmFullPan': 'Exporter les PAN en clair ? Cette opération est réservée aux utilisateurs autorisés et journalisée.',
+    'export.done': 'Export terminé{count} ({filename})',
+    'export.doneCount': ': {count} message(s)',
+    'export.error': 'Erreur d\'export: {error}',
+    'export.tooLarge': 'Export refusé: plus de {max} messages correspondent. Affinez la recherche ou exportez une sélection.',
+    'export.scopeSelection': 'Sélection ({count})',
+
+    // === Sélection et actions groupées ===
+    'selection.delete': '🗑️ Supprimer',
+    'selection.tag': '🏷️ Étiqueter',
+    'selection.export': '⬇️ Exporter',
+    'selection.clear': 'Désélectionner',
+    'selection.compare': '⇄ Comparer',
+    'selection.count': '{count} sélectionné(s)',
+    'selection.selectPage': 'Sélectionner la page',
+
+    // === Doublons et comparaison ===
+    'duplicates.compare': '⇄ Voir les différences',
+    'duplicates.skip': '⏭️ Ignorer le fichier',
+    'duplicates.keep': 'Conserver les deux',
+    'duplicates.skipAll': 'Ignorer tous les doublons',
+    'duplicates.keepAll': 'Conserver tous les doublons',
+    'compare.title': '⇄ Comparaison de messages',
+    'compare.duplicateTitle': '⚠️ Doublon probable: fichier et message existant',
+    'compare.selectTwo': 'Sélectionner exactement deux messages à comparer',
+    'compare.loadFailed': 'Comparaison impossible: {error}',
+    'compare.uploadedFile': 'Fichier téléversé',
+    'compare.differences': '{count} champ(s) différent(s)',
+    'compare.identical': 'Aucune différence: champs identiques',
+    'compare.onlyDifferences': 'Afficher uniquement les différences',
+    'compare.absent': '(absent)',
+
+    // === Cartes des messages ===
+    'card.panEncrypted': 'PAN (Chiffré)',
+    'card.processingCode': 'Code Traitement',
+    'card.transactionDateTime': 'Date/Heure Transaction',
+    'card.responseCode': 'Code Réponse',
+    'card.viewDetails': '👁️ Voir Détails',
+    'card.delete': '🗑️ Supprimer',
+
+    // === Fenêtre de détail ===
+    'detail.loading': 'Chargement des détails sécurisés...',
+    'detail.loadError': '⚠ Erreur: {error}',
+    'detail.title': '🔍 Détails du Message ISO 8583',
+    'detail.inTrash': '🗑️ Message à la corbeille depuis le {date}',
+    'detail.deletedBy': ' (supprimé par {username})',
+    'detail.messageId': 'ID du Message',
+    'detail.amount': 'Montant',
+    'detail.createdAt': 'Ajouté en BD',
+    'detail.mtiUndecodable': 'MTI non décodable',
+    'detail.processingTitle': '⚙️ Code de traitement {code}',
+    'detail.transaction': 'Transaction',
+    'detail.fromAccount': 'Compte débité',
+    'detail.toAccount': 'Compte crédité',
+    'detail.processingUndecodable': 'Code de traitement non décodable',
+    'detail.dataElements': '🧾 Éléments de données ({count})',
+    'detail.format': 'Format',
+    'detail.useAsTemplate': '📝 Utiliser comme modèle',
+    'detail.composeReversal': '↩️ Composer une contre-passation',
+    'detail.rawFormat': '🔌 Format brut',
+    'detail.copyLink': '🔗 Copier le lien',
+    'detail.linkCopied': 'Lien du message copié dans le presse-papiers',
+    'detail.link': 'Lien du message: {url}',
+    'detail.restore': '↩️ Restaurer ce Message',
+    'detail.delete': '🗑️ Supprimer ce Message',
+
+    // === Données puce EMV (champ 55) ===
+    'emv.title': '💳 Données puce EMV (champ 55)',
+    'emv.seeDecoded': 'voir le décodage',
+    'emv.tag': 'Tag',
+    'emv.length': 'Long.',
+    'emv.interpretation': 'Interprétation',
+    'emv.unknownTag': 'Tag non référencé',
+    'emv.masked': 'masqué (donnée sensible)',
+    'emv.invalid': 'Données puce illisibles: {reason}',
+    'emv.errors.hex': 'chaîne hexadécimale de longueur paire attendue',
+    'emv.errors.truncatedTag': 'tag tronqué',
+    'emv.errors.missingLength': 'longueur absente pour le tag {tag}',
+    'emv.errors.invalidLength': 'longueur invalide pour le tag {tag}',
+    'emv.errors.truncatedValue': 'valeur tronquée pour le tag {tag}',
+    'emv.activeFlags': '{count} indicateur(s) activé(s)',
+    'emv.noFlags': 'Aucun indicateur activé',
+    'emv.allBits': 'Tous les bits',
+    'emv.bitPosition': 'octet {byte} bit {bit}',
+    'emv.rfuBit': 'Bit réservé (RFU) activé',
+    'emv.adviceRequired': ', avis requis',
+    'emv.counter': '{value} transaction(s)',
+    'emv.cvm.unknownMethod': 'Méthode {code}',
+
+    // === Annotations du support ===
+    'annotations.caseReference': 'Référence dossier',
+    'annotations.title': '📝 Suivi support',
+    'annotations.caseReferenceLabel': 'Référence dossier / ticket',
+    'annotations.caseReferencePlaceholder': 'ex: LIT-2024-118',
+    'annotations.tagsLabel': 'Étiquettes (séparées par des virgules)',
+    'annotations.notes': 'Notes',
+    'annotations.notesPlaceholder': 'Échanges avec le client, décisions, pièces demandées...',
+    'annotations.save': '💾 Enregistrer',
+    'annotations.none': 'Aucune annotation',
+    'annotations.modified': 'Modifié le {date} par {username}',
+    'annotations.unchanged': 'Aucune modification à enregistrer',
+    'annotations.saved': 'Annotations enregistrées',
+
+    // === Étiquettes ===
+    'tags.placeholder': 'Étiquette',
+    'tags.filterTitle': 'Filtrer sur cette étiquette',
+    'tags.invalid': 'Étiquette(s) invalide(s): {tags} (lettres minuscules, chiffres, "-" ou "_", 30 caractères max)',
+    'tags.tooMany': '{max} étiquettes au maximum par message',
+    'tags.invalidSingle': 'Étiquette invalide: lettres minuscules, chiffres, "-" ou "_" (30 caractères max)',
+    'tags.added': 'Étiquette « {tag} » ajoutée à {count} message(s)',
+
+    // === Historique des modifications ===
+    'history.title': 'Historique des modifications',
+    'history.loading': 'Chargement de l\'historique...',
+    'history.unavailable': 'Historique indisponible: {error}',
+    'history.empty': 'Aucune modification enregistrée',
+    'history.emptyValue': 'vide',
+    'history.date': 'Date',
+    'history.author': 'Auteur',
+    'history.field': 'Champ',
+    'history.before': 'Avant',
+    'history.after': 'Après',
+    'history.fields.notes': 'Notes',
+    'history.fields.case_reference': 'Référence dossier',
+    'history.fields.tags': 'Étiquettes',
+
+    // === Cycle de vie de la transaction ===
+    'lifecycle.title': '🔗 Cycle de vie de la transaction',
+    'lifecycle.loading': 'Recherche des messages liés...',
+    'lifecycle.unavailable': 'Cycle de vie indisponible: {error}',
+    'lifecycle.responseIn': ' · ⏱️ réponse en {duration}',
+    'lifecycle.current': ' · message affiché',
+    'lifecycle.outcome': 'Issue finale:',
+    'lifecycle.messageCount': '{count} message(s)',
+    'lifecycle.timeBasis': 'horodatage: {basis}',
+    'lifecycle.basis.field7': 'champ 7 (GMT)',
+    'lifecycle.basis.created_at': 'date d\'ajout en BD',
+    'lifecycle.outcomes.approved': 'Approuvée',
+    'lifecycle.outcomes.declined': 'Refusée',
+    'lifecycle.outcomes.error': 'Erreur',
+    'lifecycle.outcomes.reversed': 'Contre-passée',
+    'lifecycle.outcomes.reversal_pending': 'Contre-passation sans réponse',
+    'lifecycle.outcomes.pending': 'Sans réponse',
+    'lifecycle.outcomes.unknown': 'Indéterminée',
+    'lifecycle.anomalies.response_without_request': 'Réponse {mti} sans demande',
+    'lifecycle.anomalies.invalid_mti': 'MTI {mti} non reconnu',
+    'lifecycle.anomalies.request_without_response': 'Demande {mti} sans réponse',
+    'lifecycle.anomalies.reversal_without_original': 'Contre-passation {mti} sans transaction d\'origine',
+
+    // === Affichage audité du PAN ===
+    'pan.reveal': '👁️ Révéler',
+    'pan.reasonPlaceholder': 'Motif de l\'accès (journalisé)',
+    'pan.show': 'Afficher',
+    'pan.reasonTooShort': 'Veuillez indiquer le motif de l\'accès (10 caractères minimum)',
+    'pan.revealRefused': 'Affichage du PAN refusé: {error}',
+    'pan.hide': '🙈 Masquer ({seconds} s)',
+
+    // === Journal d'audit ===
+    'audit.title': '🛡️ Journal d\'audit',
+    'audit.badge': 'ACCÈS AUX PAN',
+    'audit.user': 'Utilisateur',
+    'audit.messageId': 'ID du message',
+    'audit.dateFrom': 'Du',
+    'audit.dateTo': 'Au',
+    'audit.unavailable': 'Journal indisponible: {error}',
+    'audit.empty': 'Aucun accès enregistré pour ces critères',
+    'audit.actions.pan_reveal': 'Affichage du PAN',
+    'audit.actions.pan_export': 'Export du PAN en clair',
+    'audit.actions.message_purge': 'Purge d\'un message',
+    'audit.total': '{count} accès enregistré(s)',
+    'audit.date': 'Date',
+    'audit.action': 'Action',
+    'audit.message': 'Message',
+    'audit.reason': 'Motif',
+    'audit.ip': 'Adresse IP',
+
+    // === Corbeille ===
+    'trash.title': '🗑️ Corbeille',
+    'trash.intro': 'Les messages supprimés sont exclus de la liste, des exports et des statistiques et restent restaurables jusqu\'à leur suppression définitive.',
+    'trash.restoreSelection': '↩️ Restaurer la sélection',
+    'trash.purgeSelection': '✖️ Supprimer définitivement',
+    'trash.deleted': '{count} message(s) mis à la corbeille',
+    'trash.restored': '{count} message(s) restauré(s)',
+    'trash.confirmPurge': 'Supprimer définitivement {count} message(s) ? Cette action est irréversible et journalisée.',
+    'trash.purged': '{count} message(s) supprimé(s) définitivement',
+    'trash.unavailable': 'Corbeille indisponible: {error}',
+    'trash.empty': 'La corbeille est vide',
+    'trash.restore': 'Restaurer',
+    'trash.purge': 'Supprimer définitivement',
+    'trash.deletedAt': 'Supprimé le',
+    'trash.deletedBy': 'Par',
+
+    // === Compositeur ===
+    'composer.title': '🛠️ Composer un Message ISO 8583',
+    'composer.version': 'Version',
+    'composer.class': 'Classe',
+    'composer.function': 'Fonction',
+    'composer.origin': 'Origine',
+    'composer.testBin': 'BIN de test',
+    'composer.xmlPreview': 'Aperçu XML',
+    'composer.submit': '📤 Envoyer le message',
+    'composer.panUnavailable': 'PAN non disponible (non révélé): saisissez ou générez un PAN dans le compositeur',
+    'composer.testBinLabel': '{brand} (test)',
+    'composer.reserved': 'Réservé',
+    'composer.generate': '🎲 Générer',
+    'composer.generateTitle': 'PAN de test valide (Luhn)',
+    'composer.now': '🕒 Maintenant',
+    'composer.removeField': 'Retirer le champ',
+    'composer.addField': 'Ajouter un champ…',
+    'composer.mtiUndecodable': 'MTI {mti} non décodable',
+    'composer.invalidBin': 'Le BIN doit contenir 6 à 8 chiffres',
+    'composer.authRequired': 'Authentification requise pour envoyer un message',
+    'composer.invalidMessage': 'Message invalide: {error}',
+    'composer.confirmWarnings': 'Avertissements:\n- {warnings}\n\nEnvoyer quand même ?',
+
+    // === Générateur de trafic de test ===
+    'generator.title': '🎲 Générer du Trafic de Test',
+    'generator.intro': 'Messages synthétiques réalistes (PAN de test valides, RRN uniques, paires demande / réponse), envoyés par l\'API de création. Même graine et mêmes paramètres: même jeu de données.',
+    'generator.count': 'Messages',
+    'generator.seed': 'Graine',
+    'generator.seedPlaceholder': 'aléatoire',
+    'generator.newSeed': 'Nouvelle graine',
+    'generator.endDate': 'Dernier jour',
+    'generator.days': 'Jours couverts',
+    'generator.terminals': 'Terminaux',
+    'generator.approvalRate': 'Approuvées (%)',
+    'generator.families.authorization': 'Autorisations (1100/1110)',
+    'generator.families.financial': 'Financières (1200/1210)',
+    'generator.families.refund': 'Remboursements (1200/1210, code 20)',
+    'generator.families.reversal': 'Avec contre-passation (1420/1430)',
+    'generator.currencies': 'Devises (code:poids)',
+    'generator.run': '🎲 Générer et envoyer',
+    'generator.progress': '{done} / {total} envoyé(s): {created} créé(s), {duplicates} déjà présent(s), {failed} en échec - graine {seed}, fin {endDate}',
+    'generator.finished': 'Trafic de test envoyé: {created} message(s) créé(s), {duplicates} déjà présent(s), {failed} en échec (graine {seed}, fin {endDate})',
+    'generator.cancelled': 'Envoi interrompu: {created} message(s) créé(s), {duplicates} déjà présent(s), {failed} en échec (graine {seed}, fin {endDate})',
+    'generator.failed': 'Envoi interrompu: {error}',
+    'generator.errors.count': 'Nombre de messages: entier de {min} à {max} attendu',
+    'generator.errors.days': 'Jours couverts: entier de {min} à {max} attendu',
+    'generator.errors.terminals': 'Terminaux: entier de {min} à {max} attendu',
+    'generator.errors.approvalRate': 'Taux d\'approbation: entier de {min} à {max} attendu',
+    'generator.errors.endDate': 'Dernier jour: date AAAA-MM-JJ attendue',
+    'generator.errors.weights': 'Répartition invalide: "{value}" (format clé:poids)',
+    'generator.errors.family': 'Famille de transactions inconnue: {family} (valeurs possibles: {families})',
+    'generator.errors.emptyFamilies': 'Choisir au moins une famille de transactions (poids supérieur à 0)',
+    'generator.errors.currency': 'Devise inconnue: {code}',
+    'generator.errors.emptyCurrencies': 'Choisir au moins une devise (poids supérieur à 0)',
+
+    // === Format brut (wire format) ===
+    'raw.title': '🔌 Décoder un Message Brut (wire format)',
+    'raw.inputMode': 'Saisie',
+    'raw.inputHex': 'Dump hexadécimal',
+    'raw.inputAscii': 'Texte ASCII',
+    'raw.headerLength': 'En-tête (octets)',
+    'raw.bitmap': 'Bitmap',
+    'raw.bitmapBinary': 'Binaire (8 octets)',
+    'raw.bitmapHex': 'Hexadécimal ASCII (16 caractères)',
+    'raw.numeric': 'Numériques',
+    'raw.lengthPrefix': 'Longueur en tête (2 octets)',
+    'raw.overrides': 'Surcharges de champs (JSON)',
+    'raw.overridesPlaceholder': '{ "48": { "name": "Données privées", "type": "ans", "format": "LLLVAR", "max": 999 } }',
+    'raw.inputPlaceholder': 'Collez ici le message brut (ex: 31323030F23C...)',
+    'raw.decode': '🔍 Décoder',
+    'raw.overridesInvalid': 'Surcharges de champs: JSON invalide ({error})',
+    'raw.bit': 'Bit {id}',
+    'raw.header': ' · En-tête {header}',
+    'raw.byteCount': '{count} octet(s)',
+    'raw.offset': 'Offset',
+    'raw.bytes': 'Octets',
+    'raw.trailing': 'Octets non décodés en fin de message: {bytes}',
+    'raw.hexDump': 'Dump hexadécimal',
+    'raw.openInComposer': '🛠️ Ouvrir dans le compositeur',
+    'raw.import': '📤 Importer le message',
+    'raw.panNotRevealed': 'PAN non révélé: affichez le PAN en clair avant l\'encodage',
+    'raw.encodeFailed': 'Encodage impossible: {error}',
+
+    // === Packager (encodage / décodage brut) ===
+    'packager.invalidHex': 'Dump hexadécimal invalide (caractères non hexadécimaux ou nombre impair de chiffres)',
+    'packager.truncated': '{label}: données tronquées (offset {offset}, {expected} octet(s) attendu(s), {available} disponible(s))',
+    'packager.invalidBcd': '{label}: BCD invalide ({hex})',
+    'packager.numericExpected': '{label}: valeur numérique attendue ({text})',
+    'packager.numericExpectedShort': '{label}: valeur numérique attendue',
+    'packager.lengthSuffix': '{label} (longueur)',
+    'packager.lengthOverMax': '{label}: longueur {length} supérieure au maximum {max}',
+    'packager.messageLength': 'Longueur du message',
+    'packager.messageLengthMismatch': 'Longueur du message: {declared} octet(s) annoncé(s), {received} reçu(s)',
+    'packager.header': 'En-tête',
+    'packager.primaryBitmap': 'Bitmap primaire',
+    'packager.secondaryBitmap': 'Bitmap secondaire',
+    'packager.trailing': 'Fin',
+    'packager.badLength': '{label}: longueur {length}, {expected} attendue',
+    'packager.tooLong': '{label}: longueur {length}, maximum {max}',
+    'packager.headerMismatch': 'En-tête: {length} octet(s), {expected} attendu(s)',
+
+    // === Validation des messages ===
+    'validator.types.n': 'numérique',
+    'validator.types.a': 'alphabétique',
+    'validator.types.an': 'alphanumérique',
+    'validator.types.b': 'hexadécimal',
+    'validator.types.x+n': 'signé (C/D + numérique)',
+    'validator.invalidXml': 'Format XML invalide',
+    'validator.fieldLabel': 'Champ {id} ({name})',
+    'validator.badType': '{field}: doit être {type}',
+    'validator.badLength': '{field}: longueur {length}, {expected} attendue',
+    'validator.tooLong': '{field}: longueur {length}, maximum {max}',
+    'validator.panTooShort': 'Champ 2 (PAN): longueur {length}, minimum {min}',
+    'validator.invalidTime': 'Champ 12: heure invalide ({value})',
+    'validator.invalidDate': 'Champ 13: date invalide ({value})',
+    'validator.missingField': 'Champ obligatoire manquant: {id}',
+    'validator.missingMti': 'MTI absent (ni champ 0 ni en-tête)',
+    'validator.invalidMti': 'MTI invalide ({mti})',
+    'validator.luhn': 'Champ 2 (PAN): clé de Luhn invalide',
+    'validator.emptyFile': 'Fichier vide',
+    'validator.unsupportedFormat': 'Format non reconnu (XML, JSON ou NDJSON attendu)',
+    'validator.invalidJson': 'JSON invalide ({reason})',
+    'validator.jsonExpected': 'Objet JSON de champs ISO 8583 attendu',
+    'validator.noMessage': 'Aucun message ISO 8583 dans ce fichier',
+    'validator.tooManyMessages': '{count} messages, maximum {max} par fichier',
+    'validator.invalidFieldNumber': 'Numéro de champ invalide: {id}',
+    'validator.notText': 'Champ {id}: valeur texte attendue',
+    'validator.invalidIcc': 'Champ 55: données puce illisibles ({reason}), elles ne seront pas conservées',
+
+    // === Dictionnaire ISO 8583 ===
+    'dictionary.unknownField': 'Champ inconnu',
+    'dictionary.reserved': 'Réservé ({digit})',
+    'dictionary.repeat': ' (répétition)',
+    'dictionary.type': 'Type {code}',
+    'dictionary.account': 'Compte {code}',
+
+    // === Codes réponse ===
+    'response.category.approved': 'Approuvée',
+    'response.category.declined': 'Refusée',
+    'response.category.error': 'Erreur',
+    'response.category.unknown': 'Inconnu',
+    'response.category.none': 'Sans réponse',
+    'response.unknownCode': 'Code réponse inconnu',
+
+    // === Devises ===
+    'currency.unknown': '{code} (devise inconnue)',
+
+    // === Graphiques ===
+    'charts.empty': 'Aucune donnée',
+
+    // === Client de l'API ===
+    'api.aborted': 'Requête annulée',
+    'api.htmlResponse': 'Le serveur a renvoyé du HTML au lieu de JSON (HTTP {status})',
+    'api.invalidResponse': 'Réponse invalide du serveur (HTTP {status})',
+    'api.authRequired': 'Authentification requise',
+    'api.timeout': 'Délai dépassé ({seconds} s) sans réponse du serveur',
+    'api.network': 'Serveur injoignable. Vérifiez votre connexion.'
+};
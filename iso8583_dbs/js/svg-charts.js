@@ -0,0 +1,135 @@
+// ============================================================================
+// GRAPHIQUES SVG
+// ============================================================================
+// Graphiques simples générés en SVG (sans bibliothèque externe) pour le
+// tableau de bord. Chaque fonction retourne une chaîne HTML/SVG.
+//
+// Éléments: [{ label, value, title?, color? }]
+// - label: libellé affiché sous / à côté de la barre
+// - value: valeur numérique (hauteur / longueur de la barre)
+// - title: info-bulle (défaut: "label: value")
+// - color: couleur de la barre (défaut: couleur de la série)
+
+// Palette des séries
+const CHART_COLORS = ['#3498db', '#27ae60', '#e67e22', '#9b59b6', '#e74c3c', '#1abc9c', '#f1c40f', '#34495e', '#95a5a6'];
+
+// Échapper un texte pour l'insérer dans le SVG
+function chartText(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Message affiché lorsqu'il n'y a rien à représenter
+function renderEmptyChart() {
+    return `<p class="chart-empty">${t('charts.empty')}</p>`;
+}
+
+// Histogramme vertical (ex: transactions par heure)
+// options: { height, color, formatValue }
+function renderBarChart(items, options = {}) {
+    if (items.length === 0) return renderEmptyChart();
+
+    const height = options.height || 160;
+    const formatValue = options.formatValue || (value => value);
+    const barWidth = 24;
+    const gap = 6;
+    const labelHeight = 18;
+    const valueHeight = 14;
+    const width = items.length * (barWidth + gap) + gap;
+    const max = Math.max(...items.map(item => item.value), 1);
+    const plotHeight = height - labelHeight - valueHeight;
+
+    const bars = items.map((item, index) => {
+        const x = gap + index * (barWidth + gap);
+        const barHeight = Math.round((item.value / max) * plotHeight);
+        const y = valueHeight + plotHeight - barHeight;
+        const title = item.title || `${item.label}: ${formatValue(item.value)}`;
+        return `
+            <g>
+                <title>${chartText(title)}</title>
+                <rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" rx="3" fill="${item.color || options.color || CHART_COLORS[0]}"></rect>
+                ${item.value > 0 ? `<text x="${x + barWidth / 2}" y="${y - 3}" class="chart-value">${chartText(formatValue(item.value))}</text>` : ''}
+                <text x="${x + barWidth / 2}" y="${height - 4}" class="chart-label">${chartText(item.label)}</text>
+            </g>
+        `;
+    }).join('');
+
+    return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img">${bars}</svg>`;
+}
+
+// Barres horizontales (ex: codes réponse, terminaux)
+// options: { color, formatValue, labelWidth }
+function renderHorizontalBarChart(items, options = {}) {
+    if (items.length === 0) return renderEmptyChart();
+
+    const formatValue = options.formatValue || (value => value);
+    const labelWidth = options.labelWidth || 110;
+    const valueWidth = 60;
+    const rowHeight = 22;
+    const width = 420;
+    const plotWidth = width - labelWidth - valueWidth;
+    const max = Math.max(...items.map(item => item.value), 1);
+
+    const rows = items.map((item, index) => {
+        const y = index * rowHeight;
+        const barWidth = Math.max(item.value > 0 ? 2 : 0, Math.round((item.value / max) * plotWidth));
+        const title = item.title || `${item.label}: ${formatValue(item.value)}`;
+        return `
+            <g>
+                <title>${chartText(title)}</title>
+                <text x="${labelWidth - 6}" y="${y + 15}" class="chart-label chart-label-start">${chartText(item.label)}</text>
+                <rect x="${labelWidth}" y="${y + 3}" width="${barWidth}" height="${rowHeight - 6}" rx="3" fill="${item.color || options.color || CHART_COLORS[0]}"></rect>
+                <text x="${labelWidth + barWidth + 5}" y="${y + 15}" class="chart-value chart-value-end">${chartText(formatValue(item.value))}</text>
+            </g>
+        `;
+    }).join('');
+
+    return `<svg class="chart" viewBox="0 0 ${width} ${items.length * rowHeight}" role="img">${rows}</svg>`;
+}
+
+// Anneau de répartition avec légende (ex: mix des MTI)
+// options: { formatValue }
+function renderDonutChart(items, options = {}) {
+    const total = items.reduce((sum, item) => sum + item.value, 0);
+    if (total === 0) return renderEmptyChart();
+
+    const formatValue = options.formatValue || (value => value);
+    const radius = 60;
+    const circumference = 2 * Math.PI * radius;
+    let offset = 0;
+
+    const segments = items.map((item, index) => {
+        const color = item.color || CHART_COLORS[index % CHART_COLORS.length];
+        const length = (item.value / total) * circumference;
+        const segment = `
+            <circle cx="80" cy="80" r="${radius}" fill="none" stroke="${color}" stroke-width="28"
+                stroke-dasharray="${length} ${circumference - length}" stroke-dashoffset="${-offset}"
+                transform="rotate(-90 80 80)">
+                <title>${chartText(item.title || `${item.label}: ${formatValue(item.value)}`)}</title>
+            </circle>
+        `;
+        offset += length;
+        return segment;
+    }).join('');
+
+    const legend = items.map((item, index) => `
+        <li>
+            <span class="chart-swatch" style="background: ${item.color || CHART_COLORS[index % CHART_COLORS.length]}"></span>
+            ${chartText(item.label)}: <strong>${chartText(formatValue(item.value))}</strong>
+            (${chartText(formatPercent(Math.round((item.value / total) * 100)))})
+        </li>
+    `).join('');
+
+    return `
+        <div class="chart-donut">
+            <svg class="chart" viewBox="0 0 160 160" role="img">
+                ${segments}
+                <text x="80" y="86" class="chart-total">${chartText(formatValue(total))}</text>
+            </svg>
+            <ul class="chart-legend">${legend}</ul>
+        </div>
+    `;
+}
@@ -0,0 +1,222 @@
+<?php
+/**
+ * Modèle de Données pour le Journal d'Audit
+ * Cette classe gère la table audit_log: trace de chaque accès à une donnée
+ * sensible ou opération irréversible (affichage ou export d'un PAN en clair, purge d'un message)
+ */
+
+/**
+ * Classe AuditLog
+ *
+ * Responsabilités:
+ * - Enregistrement d'un accès (qui, quoi, quand, pourquoi, d'où)
+ * - Consultation paginée et filtrée du journal
+ *
+ * Le journal est en ajout seul: aucune méthode de modification ou de suppression
+ */
+class AuditLog {
+
+    // ========================================================================
+    // PROPRIÉTÉS DE CONNEXION À LA BASE DE DONNÉES
+    // ========================================================================
+
+    /**
+     * Instance de connexion PDO à la base de données
+     * @var PDO
+     */
+    private $conn;
+
+    /**
+     * Nom de la table du journal
+     * @var string
+     */
+    private $table_name = "audit_log";
+
+    /**
+     * Actions journalisées
+     * @var array
+     */
+    const ACTIONS = ['pan_reveal', 'pan_export', 'message_purge'];
+
+    /**
+     * Longueur minimale du motif d'accès
+     * @var int
+     */
+    const MIN_REASON_LENGTH = 10;
+
+    /**
+     * Constructeur du modèle AuditLog
+     *
+     * @param PDO $db Instance de connexion à la base de données
+     */
+    public function __construct($db) {
+        $this->conn = $db;
+    }
+
+    // ========================================================================
+    // ENREGISTREMENT
+    // ========================================================================
+
+    /**
+     * Enregistre un accès dans le journal
+     *
+     * @param array $user Utilisateur authentifié (AuthManager::requireAuth())
+     * @param string $action Action journalisée (voir ACTIONS)
+     * @param int $message_id Message concerné
+     * @param string $reason Motif saisi par l'utilisateur
+     * @return int|false Identifiant de l'entrée créée, false si échec
+     */
+    public function record($user, $action, $message_id, $reason) {
+        $query = "INSERT INTO " . $this->table_name . "
+                 SET user_id=:user_id, username=:username, role=:role, action=:action,
+                     message_id=:message_id, reason=:reason, ip_address=:ip_address, user_agent=:user_agent";
+
+        $stmt = $this->conn->prepare($query);
+        $stmt->bindValue(':user_id', (int)$user['user_id'], PDO::PARAM_INT);
+        $stmt->bindValue(':username', $user['username']);
+        $stmt->bindValue(':role', $user['role']);
+        $stmt->bindValue(':action', $action);
+        $stmt->bindValue(':message_id', (int)$message_id, PDO::PARAM_INT);
+        $stmt->bindValue(':reason', $reason);
+        $stmt->bindValue(':ip_address', $_SERVER['REMOTE_ADDR'] ?? null);
+        $stmt->bindValue(':user_agent', substr($_SERVER['HTTP_USER_AGENT'] ?? '', 0, 255));
+
+        if ($stmt->execute()) {
+            return (int)$this->conn->lastInsertId();
+        }
+        return false;
+    }
+
+    /**
+     * Enregistre la même action pour plusieurs messages (une entrée par message)
+     * À appeler dans une transaction: en cas d'échec, l'appelant annule l'opération
+     *
+     * @param array $user Utilisateur authentifié (AuthManager::requireAuth())
+     * @param string $action Action journalisée (voir ACTIONS)
+     * @param array $message_ids Messages concernés
+     * @param string $reason Motif saisi par l'utilisateur
+     * @return bool true si toutes les entrées ont été créées, false au premier échec
+     */
+    public function recordAll($user, $action, $message_ids, $reason) {
+        foreach ($message_ids as $message_id) {
+            if ($this->record($user, $action, $message_id, $reason) === false) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // ========================================================================
+    // CONSULTATION
+    // ========================================================================
+
+    /**
+     * Normalise les critères de recherche reçus dans la requête
+     *
+     * Critères: username, action, message_id, date_from, date_to (YYYY-MM-DD)
+     *
+     * @param array $params Paramètres bruts (ex: $_GET)
+     * @return array Critères valides uniquement
+     */
+    public static function sanitizeFilters($params) {
+        $filters = [];
+
+        if (isset($params['username']) && is_string($params['username']) && trim($params['username']) !== '') {
+            $filters['username'] = trim($params['username']);
+        }
+        if (isset($params['action']) && in_array($params['action'], self::ACTIONS, true)) {
+            $filters['action'] = $params['action'];
+        }
+        if (isset($params['message_id']) && is_string($params['message_id']) && ctype_digit($params['message_id'])) {
+            $filters['message_id'] = (int)$params['message_id'];
+        }
+        foreach (['date_from', 'date_to'] as $key) {
+            if (isset($params[$key]) && is_string($params[$key]) && preg_match('/^\d{4}-\d{2}-\d{2}$/', $params[$key])) {
+                $filters[$key] = $params[$key];
+            }
+        }
+
+        return $filters;
+    }
+
+    /**
+     * Construit la clause WHERE correspondant aux critères
+     *
+     * @param array $filters Critères issus de sanitizeFilters()
+     * @param array $params Paramètres PDO à lier (rempli par référence)
+     * @return string Clause WHERE (vide si aucun critère)
+     */
+    private function buildWhere($filters, &$params) {
+        $conditions = [];
+
+        if (isset($filters['username'])) {
+            $conditions[] = "username = :username";
+            $params[':username'] = $filters['username'];
+        }
+        if (isset($filters['action'])) {
+            $conditions[] = "action = :action";
+            $params[':action'] = $filters['action'];
+        }
+        if (isset($filters['message_id'])) {
+            $conditions[] = "message_id = :message_id";
+            $params[':message_id'] = $filters['message_id'];
+        }
+        if (isset($filters['date_from'])) {
+            $conditions[] = "created_at >= :date_from";
+            $params[':date_from'] = $filters['date_from'] . ' 00:00:00';
+        }
+        if (isset($filters['date_to'])) {
+            $conditions[] = "created_at <= :date_to";
+            $params[':date_to'] = $filters['date_to'] . ' 23:59:59';
+        }
+
+        return $conditions ? " WHERE " . implode(" AND ", $conditions) : "";
+    }
+
+    /**
+     * Lit une page du journal, entrées les plus récentes en premier
+     *
+     * @param int $page Numéro de page (commence à 1)
+     * @param int $limit Nombre d'entrées par page
+     * @param array $filters Critères issus de sanitizeFilters()
+     * @return PDOStatement Résultat de la requête
+     */
+    public function read($page, $limit, $filters = []) {
+        $params = [];
+        $query = "SELECT id, user_id, username, role, action, message_id, reason, ip_address, user_agent, created_at
+                 FROM " . $this->table_name
+                 . $this->buildWhere($filters, $params) . "
+                 ORDER BY created_at DESC, id DESC
+                 LIMIT :offset, :limit";
+
+        $stmt = $this->conn->prepare($query);
+        foreach ($params as $name => $value) {
+            $stmt->bindValue($name, $value);
+        }
+        $stmt->bindValue(':offset', ($page - 1) * $limit, PDO::PARAM_INT);
+        $stmt->bindValue(':limit', $limit, PDO::PARAM_INT);
+        $stmt->execute();
+
+        return $stmt;
+    }
+
+    /**
+     * Compte les entrées du journal correspondant aux critères
+     *
+     * @param array $filters Critères issus de sanitizeFilters()
+     * @return int Nombre d'entrées
+     */
+    public function count($filters = []) {
+        $params = [];
+        $query = "SELECT COUNT(*) as total FROM " . $this->table_name . $this->buildWhere($filters, $params);
+
+        $stmt = $this->conn->prepare($query);
+        foreach ($params as $name => $value) {
+            $stmt->bindValue($name, $value);
+        }
+        $stmt->execute();
+
+        $row = $stmt->fetch(PDO::FETCH_ASSOC);
+        return (int)$row['total'];
+    }
+}
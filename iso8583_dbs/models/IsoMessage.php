@@ -36,6 +36,77 @@ class IsoMessage {
      */
     private $table_name = "iso_messages";
 
+    /**
+     * Codes réponse (champ 39) considérés comme approuvés
+     * Doit rester aligné avec js/iso-response-codes.js
+     * @var array
+     */
+    const APPROVED_RESPONSE_CODES = ['00', '08', '10', '11', '16', '85', 'Y1', 'Y3'];
+
+    /**
+     * Tris autorisés pour la liste des messages: clé publique => colonnes SQL
+     * @var array
+     */
+    const SORT_COLUMNS = [
+        'created_at' => ['created_at'],
+        'amount' => ['amount'],
+        'transaction' => ['transaction_date', 'transaction_time'],
+        'terminal_id' => ['terminal_id'],
+        'mti' => ['mti'],
+        'deleted_at' => ['deleted_at']
+    ];
+
+    /**
+     * Nombre maximal de messages traités par une action groupée
+     * @var int
+     */
+    const MAX_BULK_IDS = 500;
+
+    /**
+     * Nombre maximal de messages par export (au-delà, l'export est refusé)
+     * @var int
+     */
+    const MAX_EXPORT_ROWS = 10000;
+
+    /**
+     * Format d'une étiquette (ex: dispute, chargeback, test)
+     * @var string
+     */
+    const TAG_PATTERN = '/^[a-z0-9][a-z0-9_-]{0,29}$/';
+
+    /**
+     * Nombre maximal d'étiquettes par message
+     * @var int
+     */
+    const MAX_TAGS = 20;
+
+    /**
+     * Longueur maximale des notes de suivi
+     * @var int
+     */
+    const MAX_NOTES_LENGTH = 5000;
+
+    /**
+     * Format d'une référence de dossier / ticket (ex: LIT-2024-118, #4521)
+     * @var string
+     */
+    const CASE_REFERENCE_PATTERN = '/^[A-Za-z0-9 ._\/#:-]{0,50}$/';
+
+    /**
+     * Colonnes texte identifiant un doublon probable (avec le montant)
+     * @var array
+     */
+    const DUPLICATE_KEYS = ['mti', 'rrn', 'terminal_id', 'transaction_date', 'transaction_time'];
+
+    /**
+     * Critères de filtrage acceptés pour la liste des messages
+     * @var array
+     */
+    const FILTER_KEYS = [
+        'rrn', 'terminal_id', 'mti', 'response', 'currency',
+        'date_from', 'date_to', 'amount_min', 'amount_max', 'pan_last4', 'tag'
+    ];
+
     // ========================================================================
     // PROPRIÉTÉS CORRESPONDANT AUX CHAMPS ISO 8583
     // ========================================================================
@@ -67,9 +138,9 @@ class IsoMessage {
     public $processing_code;
     
     /**
-     * @var int Montant de la transaction (en centimes)
+     * @var int Montant de la transaction (en unités mineures de la devise, ex: centimes)
      * Stocké en entier pour éviter les problèmes de précision des flottants
-     * Exemple: 12.50€ = 1250 centimes
+     * Exemple: 12.50€ = 1250 centimes, 560000 XAF = 560000 (devise sans décimale)
      */
     public $amount;
     
@@ -112,12 +183,55 @@ class IsoMessage {
      */
     public $currency;
     
+    /**
+     * @var string 4 derniers chiffres du PAN, en clair pour la recherche
+     * Autorisé par PCI-DSS (le PAN complet reste chiffré)
+     */
+    public $pan_last4;
+    
+    /**
+     * @var string Autres champs du message original (JSON {id: valeur})
+     * Champs ISO 8583 sans colonne dédiée (ex: 7, 11, 22, 42, 43...)
+     */
+    public $additional_fields;
+    
     /**
      * @var string Timestamp de création en base de données
      * Format MySQL DATETIME: "YYYY-MM-DD HH:MM:SS"
      */
     public $created_at;
 
+    /**
+     * @var string|null Date de mise à la corbeille (null si le message est actif)
+     * Un message à la corbeille est exclu des listes, exports et statistiques
+     */
+    public $deleted_at;
+
+    /**
+     * @var string|null Utilisateur ayant mis le message à la corbeille
+     */
+    public $deleted_by;
+
+    // ========================================================================
+    // ANNOTATIONS DU SUPPORT (MODIFIABLES APRÈS TÉLÉVERSEMENT)
+    // ========================================================================
+
+    /**
+     * @var string|null Notes de suivi en texte libre
+     */
+    public $notes;
+
+    /**
+     * @var string|null Référence du dossier ou du ticket associé
+     */
+    public $case_reference;
+
+    /**
+     * @var string|null Date et auteur de la dernière modification des annotations
+     */
+    public $annotated_at;
+    public $annotated_by;
+
     // ========================================================================
     // CONSTRUCTEUR
     // ========================================================================
@@ -131,6 +245,26 @@ class IsoMessage {
         $this->conn = $db;
     }
 
+    /**
+     * Charge les données d'un message analysé avant findDuplicates() / create()
+     *
+     * @param array $parsedData Données retournées par XmlParser::buildMessageData()
+     */
+    public function assignParsedData($parsedData) {
+        $this->id = null;
+        $this->mti = $parsedData['mti'];
+        $this->pan = $parsedData['pan']; // Sera chiffré automatiquement dans create()
+        $this->processing_code = $parsedData['processing_code'];
+        $this->amount = $parsedData['amount'];
+        $this->transaction_time = $parsedData['transaction_time'];
+        $this->transaction_date = $parsedData['transaction_date'];
+        $this->rrn = $parsedData['rrn'];
+        $this->response_code = $parsedData['response_code'];
+        $this->terminal_id = $parsedData['terminal_id'];
+        $this->currency = $parsedData['currency'];
+        $this->additional_fields = $parsedData['additional_fields'];
+    }
+
     // ========================================================================
     // MÉTHODE CREATE - INSERTION EN BASE DE DONNÉES
     // ========================================================================
@@ -154,11 +288,12 @@ class IsoMessage {
         // Requête préparée avec des placeholders nommés pour éviter l'injection SQL
         // SET au lieu de VALUES pour une meilleure lisibilité
         $query = "INSERT INTO " . $this->table_name . " 
-                 SET mti=:mti, pan=:pan, processing_code=:processing_code, 
+                 SET mti=:mti, pan=:pan, pan_last4=:pan_last4, processing_code=:processing_code, 
                      amount=:amount, transaction_time=:transaction_time, 
                      transaction_date=:transaction_date, rrn=:rrn, 
                      response_code=:response_code, terminal_id=:terminal_id, 
-                     currency=:currency, created_at=:created_at";
+                     currency=:currency, additional_fields=:additional_fields, 
+                     created_at=:created_at";
 
         // Préparation de la requête (compilation SQL)
         $stmt = $this->conn->prepare($query);
@@ -168,6 +303,9 @@ class IsoMessage {
         // Nettoyage du MTI - suppression des balises HTML/scripts malveillants
         $this->mti = htmlspecialchars(strip_tags($this->mti));
         
+        // Conservation des 4 derniers chiffres avant chiffrement (recherche)
+        $this->pan_last4 = substr(preg_replace('/\D/', '', (string)$this->pan), -4);
+        
         // CHIFFREMENT DU PAN - DONNÉES SENSIBLES PCI-DSS
         // Le PAN est chiffré avant stockage pour conformité réglementaire
         $this->pan = EncryptionManager::encrypt($this->pan);
@@ -181,6 +319,11 @@ class IsoMessage {
         $this->terminal_id = htmlspecialchars(strip_tags($this->terminal_id));
         $this->currency = htmlspecialchars(strip_tags($this->currency));
         
+        // Les champs additionnels sont stockés en JSON (échappement à l'affichage)
+        if (is_array($this->additional_fields)) {
+            $this->additional_fields = json_encode($this->additional_fields);
+        }
+        
         // Conversion du montant en entier (protection contre injection + format correct)
         $this->amount = (int)$this->amount;
         
@@ -193,6 +336,7 @@ class IsoMessage {
         // Cette méthode empêche l'injection SQL de manière native
         $stmt->bindParam(":mti", $this->mti);
         $stmt->bindParam(":pan", $this->pan);
+        $stmt->bindParam(":pan_last4", $this->pan_last4);
         $stmt->bindParam(":processing_code", $this->processing_code);
         $stmt->bindParam(":amount", $this->amount);
         $stmt->bindParam(":transaction_time", $this->transaction_time);
@@ -201,6 +345,7 @@ class IsoMessage {
         $stmt->bindParam(":response_code", $this->response_code);
         $stmt->bindParam(":terminal_id", $this->terminal_id);
         $stmt->bindParam(":currency", $this->currency);
+        $stmt->bindParam(":additional_fields", $this->additional_fields);
         $stmt->bindParam(":created_at", $this->created_at);
 
         // === EXÉCUTION ET VÉRIFICATION ===
@@ -223,9 +368,13 @@ class IsoMessage {
      * 
      * @param int $page Numéro de la page (commence à 1)
      * @param int $limit Nombre d'éléments par page
+     * @param array $filters Critères de recherche (voir sanitizeFilters())
+     * @param string $sort Clé de tri (voir SORT_COLUMNS), défaut: created_at
+     * @param string $order Sens du tri: 'asc' ou 'desc'
+     * @param bool $trash true pour lire la corbeille au lieu des messages actifs
      * @return PDOStatement Statement exécuté pour récupération des résultats
      */
-    public function read($page = 1, $limit = 10) {
+    public function read($page = 1, $limit = 10, $filters = [], $sort = 'created_at', $order = 'desc', $trash = false) {
         
         // === CALCUL DE L'OFFSET ===
         
@@ -233,19 +382,31 @@ class IsoMessage {
         // Page 1: offset = 0, Page 2: offset = 10, etc.
         $offset = ($page - 1) * $limit;
         
+        // === CONSTRUCTION DU FILTRE ===
+        
+        $params = [];
+        $where = $this->buildWhereClause($filters, $params, $trash);
+        
         // === REQUÊTE DE SÉLECTION AVEC PAGINATION ===
         
         // Sélection de tous les champs nécessaires
-        // ORDER BY pour un tri cohérent (plus récents en premier)
+        // ORDER BY selon le tri demandé (plus récents en premier par défaut)
         // LIMIT/OFFSET pour la pagination MySQL
         $query = "SELECT id, mti, pan, processing_code, amount, transaction_time, 
-                         transaction_date, rrn, response_code, terminal_id, currency, created_at 
+                         transaction_date, rrn, response_code, terminal_id, currency, created_at, 
+                         deleted_at, deleted_by, case_reference 
                  FROM " . $this->table_name . " 
-                 ORDER BY created_at DESC 
+                 " . $where . " 
+                 " . $this->buildOrderByClause($sort, $order) . " 
                  LIMIT :limit OFFSET :offset";
 
         $stmt = $this->conn->prepare($query);
         
+        // Binding des critères de recherche
+        foreach ($params as $name => $value) {
+            $stmt->bindValue($name, $value);
+        }
+        
         // Binding des paramètres de pagination avec type spécifique
         // PDO::PARAM_INT garantit que les valeurs sont traitées comme des entiers
         $stmt->bindParam(':limit', $limit, PDO::PARAM_INT);
@@ -264,16 +425,431 @@ class IsoMessage {
      * Compte le nombre total de messages en base
      * Nécessaire pour calculer le nombre de pages en pagination
      * 
+     * @param array $filters Critères de recherche (voir sanitizeFilters())
+     * @param bool $trash true pour compter la corbeille au lieu des messages actifs
      * @return int Nombre total d'enregistrements
      */
-    public function count() {
-        $query = "SELECT COUNT(*) as total FROM " . $this->table_name;
+    public function count($filters = [], $trash = false) {
+        $params = [];
+        $where = $this->buildWhereClause($filters, $params, $trash);
+        
+        $query = "SELECT COUNT(*) as total FROM " . $this->table_name . " " . $where;
         $stmt = $this->conn->prepare($query);
+        foreach ($params as $name => $value) {
+            $stmt->bindValue($name, $value);
+        }
         $stmt->execute();
         $row = $stmt->fetch(PDO::FETCH_ASSOC);
         return $row['total'];
     }
 
+    // ========================================================================
+    // MÉTHODE FINDDUPLICATES - DÉTECTION DES DOUBLONS PROBABLES
+    // ========================================================================
+    
+    /**
+     * Recherche les messages actifs identiques au message chargé sur les
+     * critères de doublon: MTI + RRN + terminal + date/heure + montant
+     * 
+     * À appeler avant create(), avec les valeurs issues du parsing: les valeurs
+     * sont nettoyées comme à l'insertion pour être comparées à l'identique
+     * 
+     * @param int $maxRows Nombre maximal de doublons retournés
+     * @return array Doublons [id, mti, rrn, terminal_id, response_code, created_at], plus récents en premier
+     */
+    public function findDuplicates($maxRows = 5) {
+        $params = [':amount' => (int)$this->amount];
+        $conditions = ['deleted_at IS NULL', 'amount = :amount'];
+        foreach (self::DUPLICATE_KEYS as $column) {
+            $conditions[] = "$column = :$column";
+            $params[":$column"] = htmlspecialchars(strip_tags((string)$this->$column));
+        }
+        
+        $query = "SELECT id, mti, rrn, terminal_id, response_code, created_at
+                 FROM " . $this->table_name . "
+                 WHERE " . implode(' AND ', $conditions) . "
+                 ORDER BY id DESC
+                 LIMIT :limit";
+        $stmt = $this->conn->prepare($query);
+        foreach ($params as $name => $value) {
+            $stmt->bindValue($name, $value);
+        }
+        $stmt->bindValue(':limit', (int)$maxRows, PDO::PARAM_INT);
+        $stmt->execute();
+        
+        return $stmt->fetchAll(PDO::FETCH_ASSOC);
+    }
+
+    // ========================================================================
+    // MÉTHODE READUPDATES - NOUVEAUX MESSAGES (MISE À JOUR EN DIRECT)
+    // ========================================================================
+    
+    /**
+     * Résume les messages arrivés depuis un identifiant donné
+     * Requête unique et légère, appelée périodiquement par l'interface
+     * 
+     * Les identifiants étant auto-incrémentés, "id > since_id" désigne les
+     * messages enregistrés après le dernier message connu du client
+     * 
+     * @param int $sinceId Dernier identifiant connu du client (0: aucun)
+     * @param array $filters Critères de recherche (voir sanitizeFilters())
+     * @return array [latest_id, new_count, total] pour les messages correspondant aux critères
+     */
+    public function readUpdates($sinceId, $filters = []) {
+        $params = [];
+        $where = $this->buildWhereClause($filters, $params);
+        $params[':since_id'] = (int)$sinceId;
+        
+        $query = "SELECT COUNT(*) AS total,
+                         COALESCE(SUM(id > :since_id), 0) AS new_count,
+                         COALESCE(MAX(id), 0) AS latest_id
+                 FROM " . $this->table_name . " " . $where;
+        $stmt = $this->conn->prepare($query);
+        foreach ($params as $name => $value) {
+            $stmt->bindValue($name, $value);
+        }
+        $stmt->execute();
+        $row = $stmt->fetch(PDO::FETCH_ASSOC);
+        
+        return [
+            'latest_id' => (int)$row['latest_id'],
+            'new_count' => (int)$row['new_count'],
+            'total' => (int)$row['total']
+        ];
+    }
+
+    // ========================================================================
+    // MÉTHODE READALL - LECTURE COMPLÈTE (EXPORT)
+    // ========================================================================
+    
+    /**
+     * Récupère tous les messages correspondant aux critères, sans pagination
+     * Utilisé pour l'export; le nombre de lignes est borné par $maxRows
+     * 
+     * @param array $filters Critères de recherche (voir sanitizeFilters())
+     * @param array $ids Restreindre à ces identifiants (vide = pas de restriction)
+     * @param string $sort Clé de tri (voir SORT_COLUMNS)
+     * @param string $order Sens du tri: 'asc' ou 'desc'
+     * @param int $maxRows Nombre maximal de lignes retournées
+     * @return PDOStatement Statement exécuté pour récupération des résultats
+     */
+    public function readAll($filters = [], $ids = [], $sort = 'created_at', $order = 'desc', $maxRows = self::MAX_EXPORT_ROWS) {
+        $params = [];
+        $where = $this->buildWhereClause($filters, $params);
+        
+        // Restriction à une sélection d'identifiants
+        if (!empty($ids)) {
+            $where .= ' AND id IN (' . $this->bindIds($ids, $params) . ')';
+        }
+        
+        $query = "SELECT * FROM " . $this->table_name . " 
+                 " . $where . " 
+                 " . $this->buildOrderByClause($sort, $order) . " 
+                 LIMIT :max_rows";
+        
+        $stmt = $this->conn->prepare($query);
+        foreach ($params as $name => $value) {
+            $stmt->bindValue($name, $value);
+        }
+        $stmt->bindValue(':max_rows', (int)$maxRows, PDO::PARAM_INT);
+        $stmt->execute();
+        
+        return $stmt;
+    }
+
+    /**
+     * Lit les messages d'une même transaction que le message chargé
+     * (demande, réponse, avis, contre-passation...): même RRN, même terminal,
+     * même date de transaction et même montant. Le message chargé est inclus.
+     * 
+     * @param int $maxRows Nombre maximal de messages retournés
+     * @return PDOStatement Statement exécuté, trié par date d'ajout
+     */
+    public function readLifecycle($maxRows = 100) {
+        $query = "SELECT * FROM " . $this->table_name . " 
+                 WHERE rrn = :rrn 
+                   AND terminal_id = :terminal_id 
+                   AND transaction_date = :transaction_date 
+                   AND amount = :amount 
+                   AND deleted_at IS NULL 
+                 ORDER BY created_at ASC, id ASC 
+                 LIMIT :max_rows";
+        
+        $stmt = $this->conn->prepare($query);
+        $stmt->bindValue(':rrn', $this->rrn);
+        $stmt->bindValue(':terminal_id', $this->terminal_id);
+        $stmt->bindValue(':transaction_date', $this->transaction_date);
+        $stmt->bindValue(':amount', (int)$this->amount, PDO::PARAM_INT);
+        $stmt->bindValue(':max_rows', (int)$maxRows, PDO::PARAM_INT);
+        $stmt->execute();
+        
+        return $stmt;
+    }
+
+    // ========================================================================
+    // STATISTIQUES AGRÉGÉES
+    // ========================================================================
+    
+    /**
+     * Agrégats du tableau de bord pour les messages correspondant aux critères
+     * 
+     * Retourne:
+     * - total: nombre de messages, approved / declined / no_response: répartition
+     * - response_codes, currencies, terminals, hours, days, mtis: listes
+     *   [{key, count, amount}] (amount = somme du champ 4 en unités mineures;
+     *   les montants ne sont additionnés que par devise)
+     * 
+     * @param array $filters Critères validés par sanitizeFilters()
+     * @param int $topTerminals Nombre de terminaux les plus actifs retournés
+     * @return array Agrégats
+     */
+    public function aggregate($filters = [], $topTerminals = 10) {
+        $params = [];
+        $where = $this->buildWhereClause($filters, $params);
+        
+        $responseCodes = $this->aggregateBy("COALESCE(response_code, '')", $where, $params, 'count DESC, group_key ASC');
+        $approved = 0;
+        $declined = 0;
+        $noResponse = 0;
+        foreach ($responseCodes as $row) {
+            if ($row['key'] === '') {
+                $noResponse += $row['count'];
+            } elseif (in_array($row['key'], self::APPROVED_RESPONSE_CODES, true)) {
+                $approved += $row['count'];
+            } else {
+                $declined += $row['count'];
+            }
+        }
+        
+        return [
+            'total' => $approved + $declined + $noResponse,
+            'approved' => $approved,
+            'declined' => $declined,
+            'no_response' => $noResponse,
+            'response_codes' => $responseCodes,
+            'currencies' => $this->aggregateBy('currency', $where, $params, 'count DESC, group_key ASC'),
+            'terminals' => $this->aggregateBy('terminal_id', $where, $params, 'count DESC, group_key ASC', $topTerminals),
+            'hours' => $this->aggregateBy('SUBSTRING(transaction_time, 1, 2)', $where, $params, 'group_key ASC'),
+            'days' => $this->aggregateBy('transaction_date', $where, $params, 'group_key ASC'),
+            'mtis' => $this->aggregateBy('mti', $where, $params, 'count DESC, group_key ASC')
+        ];
+    }
+    
+    /**
+     * Compte les messages (et additionne les montants) par valeur d'une expression
+     * 
+     * @param string $expression Expression SQL de regroupement (jamais issue de la saisie)
+     * @param string $where Clause WHERE construite par buildWhereClause()
+     * @param array $params Paramètres nommés de la clause WHERE
+     * @param string $orderBy Tri des groupes
+     * @param int|null $limit Nombre maximal de groupes (null = tous)
+     * @return array [{key, count, amount}]
+     */
+    private function aggregateBy($expression, $where, $params, $orderBy, $limit = null) {
+        $query = "SELECT $expression AS group_key, COUNT(*) AS count, SUM(amount) AS amount 
+                 FROM " . $this->table_name . " 
+                 " . $where . " 
+                 GROUP BY group_key 
+                 ORDER BY $orderBy" . ($limit !== null ? " LIMIT " . (int)$limit : "");
+        
+        $stmt = $this->conn->prepare($query);
+        foreach ($params as $name => $value) {
+            $stmt->bindValue($name, $value);
+        }
+        $stmt->execute();
+        
+        $groups = [];
+        while ($row = $stmt->fetch(PDO::FETCH_ASSOC)) {
+            $groups[] = [
+                'key' => (string)$row['group_key'],
+                'count' => (int)$row['count'],
+                'amount' => (int)$row['amount']
+            ];
+        }
+        return $groups;
+    }
+
+    // ========================================================================
+    // FILTRES DE RECHERCHE
+    // ========================================================================
+    
+    /**
+     * Extrait et valide les critères de recherche d'un tableau de paramètres
+     * (typiquement $_GET). Les valeurs invalides sont ignorées.
+     * 
+     * Critères supportés:
+     * - rrn, terminal_id, mti, currency: égalité stricte
+     * - response: 'approved' | 'declined' | 'none'
+     * - date_from, date_to: date de transaction MMDD (bornes incluses)
+     * - amount_min, amount_max: montant en unités mineures (champ 4)
+     * - pan_last4: 4 derniers chiffres du PAN
+     * - tag: étiquette portée par le message
+     * 
+     * @param array $input Paramètres bruts
+     * @return array Critères validés [clé => valeur]
+     */
+    public static function sanitizeFilters($input) {
+        $filters = [];
+        foreach (self::FILTER_KEYS as $key) {
+            if (!isset($input[$key]) || trim((string)$input[$key]) === '') {
+                continue;
+            }
+            $value = trim((string)$input[$key]);
+            
+            switch ($key) {
+                case 'response':
+                    $valid = in_array($value, ['approved', 'declined', 'none'], true);
+                    break;
+                case 'mti':
+                case 'date_from':
+                case 'date_to':
+                case 'pan_last4':
+                    $valid = preg_match('/^\d{4}$/', $value) === 1;
+                    break;
+                case 'currency':
+                    $valid = preg_match('/^\d{3}$/', $value) === 1;
+                    break;
+                case 'amount_min':
+                case 'amount_max':
+                    $valid = ctype_digit($value);
+                    break;
+                case 'tag':
+                    $value = strtolower($value);
+                    $valid = preg_match(self::TAG_PATTERN, $value) === 1;
+                    break;
+                default:
+                    $valid = strlen($value) <= 16;
+            }
+            
+            if ($valid) {
+                $filters[$key] = $value;
+            }
+        }
+        return $filters;
+    }
+    
+    /**
+     * Construit la clause ORDER BY correspondant au tri demandé
+     * 
+     * Les colonnes sont issues d'une liste blanche (jamais de la saisie utilisateur)
+     * L'ID sert de critère secondaire pour une pagination stable
+     * 
+     * @param string $sort Clé de tri (voir SORT_COLUMNS), défaut: created_at
+     * @param string $order Sens du tri: 'asc' ou 'desc'
+     * @return string Clause ORDER BY
+     */
+    private function buildOrderByClause($sort, $order) {
+        $columns = self::SORT_COLUMNS[$sort] ?? self::SORT_COLUMNS['created_at'];
+        $direction = strtolower((string)$order) === 'asc' ? 'ASC' : 'DESC';
+        $orderBy = [];
+        foreach ($columns as $column) {
+            $orderBy[] = "$column $direction";
+        }
+        $orderBy[] = "id $direction";
+        return 'ORDER BY ' . implode(', ', $orderBy);
+    }
+    
+    /**
+     * Construit la clause WHERE correspondant aux critères de recherche
+     * 
+     * Les messages à la corbeille sont exclus, sauf si $trash est vrai
+     * (seuls les messages à la corbeille sont alors retenus)
+     * 
+     * @param array $filters Critères validés par sanitizeFilters()
+     * @param array $params Paramètres nommés à lier (rempli par référence)
+     * @param bool $trash true pour cibler la corbeille
+     * @return string Clause WHERE (jamais vide)
+     */
+    private function buildWhereClause($filters, &$params, $trash = false) {
+        $conditions = [$trash ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL'];
+        
+        // Critères d'égalité simple
+        $equalities = [
+            'rrn' => 'rrn',
+            'terminal_id' => 'terminal_id',
+            'mti' => 'mti',
+            'currency' => 'currency',
+            'pan_last4' => 'pan_last4'
+        ];
+        foreach ($equalities as $key => $column) {
+            if (isset($filters[$key])) {
+                $conditions[] = "$column = :$key";
+                $params[":$key"] = $filters[$key];
+            }
+        }
+        
+        // Résultat de la transaction selon le code réponse (champ 39)
+        if (isset($filters['response'])) {
+            if ($filters['response'] === 'none') {
+                $conditions[] = "(response_code IS NULL OR response_code = '')";
+            } else {
+                $approved = [];
+                foreach (self::APPROVED_RESPONSE_CODES as $index => $code) {
+                    $approved[] = ":approved_$index";
+                    $params[":approved_$index"] = $code;
+                }
+                $approvedList = implode(', ', $approved);
+                
+                $conditions[] = $filters['response'] === 'approved'
+                    ? "response_code IN ($approvedList)"
+                    : "response_code <> '' AND response_code NOT IN ($approvedList)";
+            }
+        }
+        
+        // Plage de dates MMDD (l'année n'est pas transmise dans le champ 13)
+        // Une plage "à cheval" sur la fin d'année (ex: 1220 → 0110) est supportée
+        $from = $filters['date_from'] ?? null;
+        $to = $filters['date_to'] ?? null;
+        if ($from !== null && $to !== null && $from > $to) {
+            $conditions[] = "(transaction_date >= :date_from OR transaction_date <= :date_to)";
+            $params[':date_from'] = $from;
+            $params[':date_to'] = $to;
+        } else {
+            if ($from !== null) {
+                $conditions[] = "transaction_date >= :date_from";
+                $params[':date_from'] = $from;
+            }
+            if ($to !== null) {
+                $conditions[] = "transaction_date <= :date_to";
+                $params[':date_to'] = $to;
+            }
+        }
+        
+        // Étiquette portée par le message
+        if (isset($filters['tag'])) {
+            $conditions[] = "EXISTS (SELECT 1 FROM message_tags t WHERE t.message_id = " . $this->table_name . ".id AND t.tag = :tag)";
+            $params[':tag'] = $filters['tag'];
+        }
+        
+        // Plage de montants (unités mineures)
+        if (isset($filters['amount_min'])) {
+            $conditions[] = "amount >= :amount_min";
+            $params[':amount_min'] = (int)$filters['amount_min'];
+        }
+        if (isset($filters['amount_max'])) {
+            $conditions[] = "amount <= :amount_max";
+            $params[':amount_max'] = (int)$filters['amount_max'];
+        }
+        
+        return 'WHERE ' . implode(' AND ', $conditions);
+    }
+
+    /**
+     * Ajoute une liste d'identifiants aux paramètres et retourne les placeholders
+     * 
+     * @param array $ids Identifiants (entiers)
+     * @param array $params Paramètres nommés à lier (rempli par référence)
+     * @return string Placeholders séparés par des virgules (pour IN (...))
+     */
+    private function bindIds($ids, &$params) {
+        $placeholders = [];
+        foreach (array_values($ids) as $index => $id) {
+            $placeholders[] = ":id_$index";
+            $params[":id_$index"] = (int)$id;
+        }
+        return implode(', ', $placeholders);
+    }
+
     // ========================================================================
     // MÉTHODE READONE - LECTURE D'UN ENREGISTREMENT SPÉCIFIQUE
     // ========================================================================
@@ -310,7 +886,14 @@ class IsoMessage {
             $this->response_code = $row['response_code'];
             $this->terminal_id = $row['terminal_id'];
             $this->currency = $row['currency'];
+            $this->additional_fields = $row['additional_fields'];
             $this->created_at = $row['created_at'];
+            $this->deleted_at = $row['deleted_at'];
+            $this->deleted_by = $row['deleted_by'];
+            $this->notes = $row['notes'];
+            $this->case_reference = $row['case_reference'];
+            $this->annotated_at = $row['annotated_at'];
+            $this->annotated_by = $row['annotated_by'];
             
             return true; // Objet hydraté avec succès
         }
@@ -319,24 +902,407 @@ class IsoMessage {
     }
 
     // ========================================================================
-    // MÉTHODE DELETE - SUPPRESSION
+    // CORBEILLE ET ACTIONS GROUPÉES
     // ========================================================================
     
     /**
-     * Supprime un message ISO 8583 de la base de données
+     * Valide une liste d'identifiants reçue par l'API (tableau ou "1,2,3")
      * 
-     * @return bool true si suppression réussie, false sinon
+     * @param mixed $input Identifiants bruts
+     * @return array|false Identifiants uniques (entiers), false si invalide ou trop nombreux
      */
-    public function delete() {
-        $query = "DELETE FROM " . $this->table_name . " WHERE id = :id";
-
+    public static function sanitizeIds($input) {
+        if (is_string($input)) {
+            $input = explode(',', $input);
+        }
+        if (!is_array($input) || empty($input)) {
+            return false;
+        }
+        
+        $ids = [];
+        foreach ($input as $id) {
+            if (!ctype_digit((string)$id)) {
+                return false;
+            }
+            $ids[(int)$id] = (int)$id;
+        }
+        return count($ids) <= self::MAX_BULK_IDS ? array_values($ids) : false;
+    }
+    
+    /**
+     * Met des messages à la corbeille (suppression réversible)
+     * 
+     * Seuls les messages actifs sont concernés; leurs identifiants sont
+     * retournés pour que l'annulation ne restaure que ceux-là (et non un
+     * message déjà à la corbeille avant la demande).
+     * 
+     * @param array $ids Identifiants validés par sanitizeIds()
+     * @param string $username Utilisateur à l'origine de la suppression
+     * @return array Identifiants effectivement mis à la corbeille
+     */
+    public function softDelete($ids, $username) {
+        $params = [];
+        $placeholders = $this->bindIds($ids, $params);
+        
+        $this->conn->beginTransaction();
+        try {
+            $stmt = $this->conn->prepare("SELECT id FROM " . $this->table_name . " 
+                     WHERE deleted_at IS NULL AND id IN ($placeholders) FOR UPDATE");
+            foreach ($params as $name => $value) {
+                $stmt->bindValue($name, $value, PDO::PARAM_INT);
+            }
+            $stmt->execute();
+            $deletable = array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN));
+            if (empty($deletable)) {
+                $this->conn->commit();
+                return [];
+            }
+            
+            $params = [':deleted_by' => $username];
+            $query = "UPDATE " . $this->table_name . " 
+                     SET deleted_at = NOW(), deleted_by = :deleted_by 
+                     WHERE deleted_at IS NULL AND id IN (" . $this->bindIds($deletable, $params) . ")";
+            if ($this->executeBulk($query, $params) !== count($deletable)) {
+                $this->conn->rollBack();
+                return [];
+            }
+            $this->conn->commit();
+        } catch (Exception $e) {
+            $this->conn->rollBack();
+            throw $e;
+        }
+        
+        return $deletable;
+    }
+    
+    /**
+     * Restaure des messages de la corbeille
+     * 
+     * @param array $ids Identifiants validés par sanitizeIds()
+     * @return int Nombre de messages restaurés
+     */
+    public function restore($ids) {
+        $params = [];
+        $query = "UPDATE " . $this->table_name . " 
+                 SET deleted_at = NULL, deleted_by = NULL 
+                 WHERE deleted_at IS NOT NULL AND id IN (" . $this->bindIds($ids, $params) . ")";
+        
+        return $this->executeBulk($query, $params);
+    }
+    
+    /**
+     * Supprime définitivement des messages
+     * 
+     * Seuls les messages déjà à la corbeille sont purgés (deux étapes
+     * volontaires); les étiquettes associées sont supprimées en cascade.
+     * Les lignes sont verrouillées jusqu'à la fin de la transaction de
+     * l'appelant, qui y enregistre aussi la trace d'audit.
+     * 
+     * @param array $ids Identifiants validés par sanitizeIds()
+     * @return array|false Identifiants effectivement purgés, false si la suppression a échoué
+     */
+    public function purge($ids) {
+        $params = [];
+        $placeholders = $this->bindIds($ids, $params);
+        
+        $stmt = $this->conn->prepare("SELECT id FROM " . $this->table_name . " 
+                 WHERE deleted_at IS NOT NULL AND id IN ($placeholders) FOR UPDATE");
+        foreach ($params as $name => $value) {
+            $stmt->bindValue($name, $value, PDO::PARAM_INT);
+        }
+        $stmt->execute();
+        $purgeable = array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN));
+        if (empty($purgeable)) {
+            return [];
+        }
+        
+        $params = [];
+        $query = "DELETE FROM " . $this->table_name . " 
+                 WHERE deleted_at IS NOT NULL AND id IN (" . $this->bindIds($purgeable, $params) . ")";
+        if ($this->executeBulk($query, $params) !== count($purgeable)) {
+            return false;
+        }
+        
+        return $purgeable;
+    }
+    
+    /**
+     * Ajoute une étiquette à des messages actifs (sans doublon)
+     * 
+     * Chaque message nouvellement étiqueté reçoit une entrée d'historique.
+     * 
+     * @param array $ids Identifiants validés par sanitizeIds()
+     * @param string $tag Étiquette conforme à TAG_PATTERN
+     * @param string $username Auteur de l'étiquetage
+     * @return int Nombre de messages nouvellement étiquetés
+     */
+    public function addTag($ids, $tag, $username) {
+        $params = [':tag' => $tag];
+        $stmt = $this->conn->prepare("SELECT id FROM " . $this->table_name . " 
+                 WHERE deleted_at IS NULL AND id IN (" . $this->bindIds($ids, $params) . ") 
+                   AND NOT EXISTS (SELECT 1 FROM message_tags t WHERE t.message_id = " . $this->table_name . ".id AND t.tag = :tag)");
+        foreach ($params as $name => $value) {
+            $stmt->bindValue($name, $value, is_int($value) ? PDO::PARAM_INT : PDO::PARAM_STR);
+        }
+        $stmt->execute();
+        $targets = array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN));
+        if (empty($targets)) {
+            return 0;
+        }
+        
+        $currentTags = $this->readTagsFor($targets);
+        $this->conn->beginTransaction();
+        try {
+            foreach ($targets as $messageId) {
+                $before = $currentTags[$messageId] ?? [];
+                $after = $before;
+                $after[] = $tag;
+                sort($after);
+                $this->insertTags($messageId, [$tag], $username);
+                $this->recordHistory($messageId, 'tags', implode(', ', $before), implode(', ', $after), $username);
+                $this->touchAnnotations($messageId, $username);
+            }
+            $this->conn->commit();
+        } catch (Exception $e) {
+            $this->conn->rollBack();
+            throw $e;
+        }
+        
+        return count($targets);
+    }
+    
+    /**
+     * Exécute une requête de mise à jour groupée
+     * 
+     * @param string $query Requête SQL préparée
+     * @param array $params Paramètres nommés
+     * @return int Nombre de lignes affectées
+     */
+    private function executeBulk($query, $params) {
         $stmt = $this->conn->prepare($query);
-        $stmt->bindParam(':id', $this->id);
+        foreach ($params as $name => $value) {
+            $stmt->bindValue($name, $value, is_int($value) ? PDO::PARAM_INT : PDO::PARAM_STR);
+        }
+        $stmt->execute();
+        return $stmt->rowCount();
+    }
 
-        if($stmt->execute()) {
-            return true;
+    // ========================================================================
+    // ANNOTATIONS: NOTES, RÉFÉRENCE DE DOSSIER, ÉTIQUETTES ET HISTORIQUE
+    // ========================================================================
+    
+    /**
+     * Valide les annotations reçues par l'API (PUT api/{id})
+     * Seules les clés présentes sont retenues; une valeur vide efface le champ.
+     * 
+     * @param array $input Corps de la requête décodé
+     * @return array Modifications validées [notes?, case_reference?, tags?]
+     * @throws InvalidArgumentException Si une valeur est invalide
+     */
+    public static function sanitizeAnnotations($input) {
+        $changes = [];
+        
+        if (array_key_exists('notes', $input)) {
+            $notes = is_string($input['notes']) ? trim($input['notes']) : null;
+            if ($notes === null || mb_strlen($notes) > self::MAX_NOTES_LENGTH) {
+                throw new InvalidArgumentException("Notes must be a string of at most " . self::MAX_NOTES_LENGTH . " characters.");
+            }
+            $changes['notes'] = $notes === '' ? null : $notes;
+        }
+        
+        if (array_key_exists('case_reference', $input)) {
+            $reference = is_string($input['case_reference']) ? trim($input['case_reference']) : null;
+            if ($reference === null || !preg_match(self::CASE_REFERENCE_PATTERN, $reference)) {
+                throw new InvalidArgumentException("Invalid case reference (letters, digits, spaces and . _ / # : -, 50 characters max).");
+            }
+            $changes['case_reference'] = $reference === '' ? null : $reference;
+        }
+        
+        if (array_key_exists('tags', $input)) {
+            if (!is_array($input['tags'])) {
+                throw new InvalidArgumentException("Tags must be an array.");
+            }
+            $tags = [];
+            foreach ($input['tags'] as $tag) {
+                $tag = is_string($tag) ? strtolower(trim($tag)) : '';
+                if (!preg_match(self::TAG_PATTERN, $tag)) {
+                    throw new InvalidArgumentException("Invalid tag (lowercase letters, digits, '-' or '_', 30 characters max).");
+                }
+                $tags[$tag] = $tag;
+            }
+            if (count($tags) > self::MAX_TAGS) {
+                throw new InvalidArgumentException("At most " . self::MAX_TAGS . " tags per message.");
+            }
+            sort($tags);
+            $changes['tags'] = array_values($tags);
+        }
+        
+        return $changes;
+    }
+    
+    /**
+     * Modifie les annotations du message chargé (readOne())
+     * 
+     * Chaque champ réellement modifié est enregistré dans l'historique
+     * (ancienne valeur, nouvelle valeur, auteur, date).
+     * 
+     * @param array $changes Modifications validées par sanitizeAnnotations()
+     * @param string $username Auteur de la modification
+     * @return array Champs modifiés
+     */
+    public function updateAnnotations($changes, $username) {
+        $currentTags = $this->readTags();
+        $changed = [];
+        
+        $this->conn->beginTransaction();
+        try {
+            foreach (['notes', 'case_reference'] as $field) {
+                if (array_key_exists($field, $changes) && $changes[$field] !== $this->$field) {
+                    $this->recordHistory($this->id, $field, $this->$field, $changes[$field], $username);
+                    $this->$field = $changes[$field];
+                    $changed[] = $field;
+                }
+            }
+            if (!empty($changed)) {
+                $stmt = $this->conn->prepare("UPDATE " . $this->table_name . " 
+                         SET notes = :notes, case_reference = :case_reference WHERE id = :id");
+                $stmt->bindValue(':notes', $this->notes);
+                $stmt->bindValue(':case_reference', $this->case_reference);
+                $stmt->bindValue(':id', (int)$this->id, PDO::PARAM_INT);
+                $stmt->execute();
+            }
+            
+            if (array_key_exists('tags', $changes) && $changes['tags'] !== $currentTags) {
+                $stmt = $this->conn->prepare("DELETE FROM message_tags WHERE message_id = :id");
+                $stmt->bindValue(':id', (int)$this->id, PDO::PARAM_INT);
+                $stmt->execute();
+                $this->insertTags($this->id, $changes['tags'], $username);
+                $this->recordHistory($this->id, 'tags', implode(', ', $currentTags), implode(', ', $changes['tags']), $username);
+                $changed[] = 'tags';
+            }
+            
+            if (!empty($changed)) {
+                $this->touchAnnotations($this->id, $username);
+            }
+            $this->conn->commit();
+        } catch (Exception $e) {
+            $this->conn->rollBack();
+            throw $e;
+        }
+        
+        return $changed;
+    }
+    
+    /**
+     * Étiquettes du message chargé, par ordre alphabétique
+     * 
+     * @return array Étiquettes
+     */
+    public function readTags() {
+        return $this->readTagsFor([$this->id])[(int)$this->id] ?? [];
+    }
+    
+    /**
+     * Étiquettes de plusieurs messages (ex: page de la liste)
+     * 
+     * @param array $ids Identifiants des messages
+     * @return array [id => [étiquettes triées]] (messages sans étiquette absents)
+     */
+    public function readTagsFor($ids) {
+        if (empty($ids)) {
+            return [];
+        }
+        $params = [];
+        $stmt = $this->conn->prepare("SELECT message_id, tag FROM message_tags 
+                 WHERE message_id IN (" . $this->bindIds($ids, $params) . ") 
+                 ORDER BY message_id, tag");
+        foreach ($params as $name => $value) {
+            $stmt->bindValue($name, $value, PDO::PARAM_INT);
+        }
+        $stmt->execute();
+        
+        $tags = [];
+        while ($row = $stmt->fetch(PDO::FETCH_ASSOC)) {
+            $tags[(int)$row['message_id']][] = $row['tag'];
+        }
+        // Tri binaire (identique à sanitizeAnnotations) indépendant de la collation
+        foreach ($tags as &$messageTags) {
+            sort($messageTags);
+        }
+        unset($messageTags);
+        return $tags;
+    }
+    
+    /**
+     * Historique des modifications d'annotations du message chargé
+     * 
+     * @param int $maxRows Nombre maximal d'entrées retournées
+     * @return PDOStatement Entrées les plus récentes en premier
+     */
+    public function readHistory($maxRows = 100) {
+        $stmt = $this->conn->prepare("SELECT id, field, old_value, new_value, changed_by, changed_at 
+                 FROM message_history WHERE message_id = :id 
+                 ORDER BY changed_at DESC, id DESC LIMIT :max_rows");
+        $stmt->bindValue(':id', (int)$this->id, PDO::PARAM_INT);
+        $stmt->bindValue(':max_rows', (int)$maxRows, PDO::PARAM_INT);
+        $stmt->execute();
+        return $stmt;
+    }
+    
+    /**
+     * Associe des étiquettes à un message (doublons ignorés)
+     * 
+     * @param int $messageId Identifiant du message
+     * @param array $tags Étiquettes validées
+     * @param string $username Auteur
+     */
+    private function insertTags($messageId, $tags, $username) {
+        $stmt = $this->conn->prepare("INSERT IGNORE INTO message_tags (message_id, tag, created_by) 
+                 VALUES (:id, :tag, :created_by)");
+        foreach ($tags as $tag) {
+            $stmt->bindValue(':id', (int)$messageId, PDO::PARAM_INT);
+            $stmt->bindValue(':tag', $tag);
+            $stmt->bindValue(':created_by', $username);
+            $stmt->execute();
+        }
+    }
+    
+    /**
+     * Enregistre une modification dans l'historique des annotations
+     * 
+     * @param int $messageId Identifiant du message
+     * @param string $field Champ modifié (notes, case_reference, tags)
+     * @param string|null $oldValue Ancienne valeur
+     * @param string|null $newValue Nouvelle valeur
+     * @param string $username Auteur
+     */
+    private function recordHistory($messageId, $field, $oldValue, $newValue, $username) {
+        $stmt = $this->conn->prepare("INSERT INTO message_history (message_id, field, old_value, new_value, changed_by) 
+                 VALUES (:id, :field, :old_value, :new_value, :changed_by)");
+        $stmt->bindValue(':id', (int)$messageId, PDO::PARAM_INT);
+        $stmt->bindValue(':field', $field);
+        $stmt->bindValue(':old_value', $oldValue === '' ? null : $oldValue);
+        $stmt->bindValue(':new_value', $newValue === '' ? null : $newValue);
+        $stmt->bindValue(':changed_by', $username);
+        $stmt->execute();
+    }
+    
+    /**
+     * Met à jour l'auteur et la date de dernière annotation d'un message
+     * 
+     * @param int $messageId Identifiant du message
+     * @param string $username Auteur
+     */
+    private function touchAnnotations($messageId, $username) {
+        $stmt = $this->conn->prepare("UPDATE " . $this->table_name . " 
+                 SET annotated_at = NOW(), annotated_by = :annotated_by WHERE id = :id");
+        $stmt->bindValue(':annotated_by', $username);
+        $stmt->bindValue(':id', (int)$messageId, PDO::PARAM_INT);
+        $stmt->execute();
+        if ((int)$messageId === (int)$this->id) {
+            $this->annotated_at = date('Y-m-d H:i:s');
+            $this->annotated_by = $username;
         }
-        return false;
     }
 
     // ========================================================================
@@ -388,9 +1354,9 @@ class IsoMessage {
  *    - Contrôle des plages de valeurs pour chaque champ
  * 
  * 2. AUDIT ET TRAÇABILITÉ:
- *    - Logging de tous les accès aux PAN déchiffrés
+ *    - Accès aux PAN déchiffrés journalisés dans audit_log (voir AuditLog)
  *    - Traçabilité des modifications (qui, quand, quoi)
- *    - Historique des suppressions (soft delete)
+ *    - Purge automatique de la corbeille après une durée de rétention
  * 
  * 3. PERFORMANCE:
  *    - Index sur les champs de recherche fréquents (RRN, terminal_id)
@@ -0,0 +1,199 @@
+<?php
+/**
+ * Modèle de Données pour les Utilisateurs de l'Application
+ * Cette classe gère l'accès à la table users (identifiants de connexion)
+ * utilisée par le flux de connexion JWT
+ */
+
+/**
+ * Classe User
+ *
+ * Responsabilités:
+ * - Recherche d'un utilisateur par nom ou par identifiant
+ * - Vérification du mot de passe (hash password_hash / crypt)
+ * - Mise à niveau transparente des anciens hash vers l'algorithme courant
+ *
+ * SÉCURITÉ: le hash du mot de passe n'est jamais retourné à l'API
+ */
+class User {
+
+    // ========================================================================
+    // PROPRIÉTÉS DE CONNEXION À LA BASE DE DONNÉES
+    // ========================================================================
+
+    /**
+     * Instance de connexion PDO à la base de données
+     * @var PDO
+     */
+    private $conn;
+
+    /**
+     * Nom de la table des utilisateurs
+     * @var string
+     */
+    private $table_name = "users";
+
+    /**
+     * Hash de référence utilisé lorsque l'utilisateur n'existe pas, afin que
+     * la durée de vérification ne révèle pas l'existence du compte
+     * @var string
+     */
+    const DUMMY_HASH = '$2y$10$usesomesillystringfore7hnbRJHxXVLeakoG8K30oukPsA.ztMG';
+
+    // ========================================================================
+    // PROPRIÉTÉS DE L'UTILISATEUR
+    // ========================================================================
+
+    /** @var int Identifiant unique */
+    public $id;
+
+    /** @var string Nom de connexion */
+    public $username;
+
+    /** @var string Rôle (admin, service...) - voir AuthManager */
+    public $role;
+
+    /** @var bool Compte actif */
+    public $is_active;
+
+    /** @var string Hash du mot de passe (usage interne) */
+    private $password_hash;
+
+    /**
+     * Constructeur du modèle User
+     *
+     * @param PDO $db Instance de connexion à la base de données
+     */
+    public function __construct($db) {
+        $this->conn = $db;
+    }
+
+    // ========================================================================
+    // LECTURE
+    // ========================================================================
+
+    /**
+     * Charge un utilisateur par son nom de connexion
+     *
+     * @param string $username Nom de connexion
+     * @return bool true si trouvé et chargé, false sinon
+     */
+    public function readByUsername($username) {
+        return $this->readBy('username', $username);
+    }
+
+    /**
+     * Charge un utilisateur par son identifiant
+     *
+     * @param int $id Identifiant de l'utilisateur
+     * @return bool true si trouvé et chargé, false sinon
+     */
+    public function readById($id) {
+        return $this->readBy('id', (int)$id);
+    }
+
+    /**
+     * Charge un utilisateur selon une colonne (liste blanche: id, username)
+     *
+     * @param string $column Colonne de recherche
+     * @param mixed $value Valeur recherchée
+     * @return bool true si trouvé et chargé, false sinon
+     */
+    private function readBy($column, $value) {
+        $column = $column === 'id' ? 'id' : 'username';
+        $query = "SELECT id, username, password_hash, role, is_active
+                 FROM " . $this->table_name . "
+                 WHERE $column = :value LIMIT 0,1";
+
+        $stmt = $this->conn->prepare($query);
+        $stmt->bindValue(':value', $value);
+        $stmt->execute();
+
+        $row = $stmt->fetch(PDO::FETCH_ASSOC);
+        if (!$row) {
+            return false;
+        }
+
+        $this->id = (int)$row['id'];
+        $this->username = $row['username'];
+        $this->password_hash = $row['password_hash'];
+        $this->role = $row['role'];
+        $this->is_active = (bool)$row['is_active'];
+        return true;
+    }
+
+    // ========================================================================
+    // VÉRIFICATION DES IDENTIFIANTS
+    // ========================================================================
+
+    /**
+     * Vérifie un couple nom / mot de passe et charge l'utilisateur
+     *
+     * Un compte inexistant ou désactivé est refusé avec la même durée de
+     * traitement qu'un mot de passe erroné.
+     * Les hash anciens (ex: SHA-512 crypt des comptes d'exemple) sont
+     * réécrits avec l'algorithme courant après une connexion réussie.
+     *
+     * @param string $username Nom de connexion
+     * @param string $password Mot de passe en clair
+     * @return bool true si les identifiants sont valides
+     */
+    public function verifyCredentials($username, $password) {
+        if (!$this->readByUsername($username)) {
+            password_verify($password, self::DUMMY_HASH);
+            return false;
+        }
+
+        if (!password_verify($password, $this->password_hash) || !$this->is_active) {
+            return false;
+        }
+
+        if (password_needs_rehash($this->password_hash, PASSWORD_DEFAULT)) {
+            $this->updatePasswordHash(password_hash($password, PASSWORD_DEFAULT));
+        }
+        $this->updateLastLogin();
+
+        return true;
+    }
+
+    /**
+     * Remplace le hash du mot de passe de l'utilisateur chargé
+     *
+     * @param string $hash Nouveau hash (password_hash)
+     * @return bool true si succès
+     */
+    private function updatePasswordHash($hash) {
+        $stmt = $this->conn->prepare("UPDATE " . $this->table_name . " SET password_hash = :hash WHERE id = :id");
+        $stmt->bindValue(':hash', $hash);
+        $stmt->bindValue(':id', $this->id, PDO::PARAM_INT);
+        if ($stmt->execute()) {
+            $this->password_hash = $hash;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Enregistre la date de dernière connexion de l'utilisateur chargé
+     *
+     * @return bool true si succès
+     */
+    private function updateLastLogin() {
+        $stmt = $this->conn->prepare("UPDATE " . $this->table_name . " SET last_login_at = NOW() WHERE id = :id");
+        $stmt->bindValue(':id', $this->id, PDO::PARAM_INT);
+        return $stmt->execute();
+    }
+
+    /**
+     * Informations publiques de l'utilisateur (format de AuthManager)
+     *
+     * @return array [user_id, username, role]
+     */
+    public function toAuthUser() {
+        return [
+            'user_id' => $this->id,
+            'username' => $this->username,
+            'role' => $this->role
+        ];
+    }
+}
@@ -0,0 +1,70 @@
+<?php
+/**
+ * Renseignement de pan_last4 pour les messages existants (mise à jour unique)
+ * La colonne pan_last4 (filtre "4 derniers chiffres du PAN") n'est remplie qu'à
+ * l'insertion: les messages enregistrés avant sa création restent à NULL et
+ * échappent au filtre. Le PAN étant chiffré, SQL seul ne peut pas la calculer.
+ *
+ * Usage (en ligne de commande uniquement, après l'ALTER TABLE de database.sql):
+ *   php scripts/backfill_pan_last4.php
+ *
+ * Idempotent: seuls les messages dont pan_last4 est NULL sont traités, par lots.
+ * Code retour 1 si des PAN n'ont pas pu être déchiffrés (laissés à NULL).
+ */
+
+if (PHP_SAPI !== 'cli') {
+    http_response_code(404);
+    exit();
+}
+
+include_once __DIR__ . '/../config/database.php';
+include_once __DIR__ . '/../config/encryption.php';
+
+/**
+ * Nombre de messages lus par requête
+ * @var int
+ */
+const BACKFILL_BATCH_SIZE = 500;
+
+$database = new Database();
+$db = $database->getConnection();
+if (!$db) {
+    fwrite(STDERR, "\nDatabase connection failed.\n");
+    exit(1);
+}
+
+$select = $db->prepare("SELECT id, pan FROM iso_messages 
+         WHERE pan_last4 IS NULL AND id > :last_id ORDER BY id LIMIT " . BACKFILL_BATCH_SIZE);
+$update = $db->prepare("UPDATE iso_messages SET pan_last4 = :pan_last4 WHERE id = :id AND pan_last4 IS NULL");
+
+$lastId = 0;
+$updated = 0;
+$failed = [];
+do {
+    $select->bindValue(':last_id', $lastId, PDO::PARAM_INT);
+    $select->execute();
+    $rows = $select->fetchAll(PDO::FETCH_ASSOC);
+
+    foreach ($rows as $row) {
+        $lastId = (int)$row['id'];
+        $pan = $row['pan'] === null || $row['pan'] === '' ? '' : EncryptionManager::decrypt($row['pan']);
+        if ($pan === false) {
+            $failed[] = $lastId;
+            continue;
+        }
+
+        // Même calcul que IsoMessage::create()
+        $update->bindValue(':pan_last4', substr(preg_replace('/\D/', '', (string)$pan), -4));
+        $update->bindValue(':id', $lastId, PDO::PARAM_INT);
+        $update->execute();
+        $updated += $update->rowCount();
+    }
+} while (count($rows) === BACKFILL_BATCH_SIZE);
+
+echo "pan_last4 filled for $updated message(s).\n";
+if (!empty($failed)) {
+    fwrite(STDERR, count($failed) . " PAN(s) could not be decrypted (left NULL), ids: " . implode(', ', array_slice($failed, 0, 50))
+        . (count($failed) > 50 ? ', ...' : '') . "\n");
+    exit(1);
+}
+exit(0);
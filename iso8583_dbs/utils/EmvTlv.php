@@ -0,0 +1,185 @@
+<?php
+
+/**
+ * Données Carte à Puce EMV (Champ 55 ISO 8583)
+ * Cette classe lit et écrit les données ICC au format BER-TLV et retire
+ * les données sensibles avant stockage
+ */
+
+
+/**
+ * Classe EmvTlv
+ *
+ * Format BER-TLV (EMV Book 3, annexe B):
+ * - tag sur 1 octet, ou plusieurs si les 5 bits de poids faible du premier
+ *   octet valent 1F (octets suivants tant que leur bit 8 vaut 1)
+ * - longueur sur 1 octet (< 128), ou 81 / 82 suivi de 1 ou 2 octets
+ * - tag construit (bit 6 du premier octet): la valeur contient d'autres TLV
+ * - octets de remplissage 00 / FF tolérés entre deux TLV
+ *
+ * SÉCURITÉ: les équivalents de piste, le PAN et le nom du porteur présents
+ * dans les données puce ne sont jamais conservés (PCI-DSS); le PAN est stocké
+ * chiffré dans sa propre colonne
+ */
+class EmvTlv {
+
+    /**
+     * Tags retirés avant stockage
+     * 56 / 57: équivalents piste 1 / piste 2, 5A: PAN, 5F20: nom du porteur,
+     * 9F1F / 9F20: données discrétionnaires piste 1 / piste 2, 9F6B: piste 2 (Mastercard)
+     * @var array
+     */
+    const SENSITIVE_TAGS = ['56', '57', '5A', '5F20', '9F1F', '9F20', '9F6B'];
+
+    // ========================================================================
+    // LECTURE
+    // ========================================================================
+
+    /**
+     * Décode une chaîne hexadécimale BER-TLV
+     *
+     * @param string $hex Données ICC en hexadécimal
+     * @return array Liste de [tag, value (hexadécimal), children (liste ou null si primitif)]
+     * @throws InvalidArgumentException Si les données ne sont pas un BER-TLV valide
+     */
+    public static function parse($hex) {
+        $hex = strtoupper(trim((string)$hex));
+        if ($hex === '' || strlen($hex) % 2 !== 0 || !ctype_xdigit($hex)) {
+            throw new InvalidArgumentException("ICC data must be an even-length hexadecimal string");
+        }
+        return self::parseBytes(hex2bin($hex));
+    }
+
+    /**
+     * Décode une suite de TLV binaires (appel récursif pour les tags construits)
+     *
+     * @param string $bytes Données binaires
+     * @return array Liste de [tag, value, children]
+     * @throws InvalidArgumentException Si un TLV est tronqué
+     */
+    private static function parseBytes($bytes) {
+        $nodes = [];
+        $offset = 0;
+        $size = strlen($bytes);
+
+        while ($offset < $size) {
+            $first = ord($bytes[$offset]);
+            // Remplissage entre deux TLV
+            if ($first === 0x00 || $first === 0xFF) {
+                $offset++;
+                continue;
+            }
+
+            // Tag (1 octet, ou plusieurs si les 5 bits de poids faible valent 1F)
+            $tagStart = $offset++;
+            if (($first & 0x1F) === 0x1F) {
+                do {
+                    if ($offset >= $size) {
+                        throw new InvalidArgumentException("Truncated ICC data tag");
+                    }
+                } while (ord($bytes[$offset++]) & 0x80);
+            }
+            $tag = strtoupper(bin2hex(substr($bytes, $tagStart, $offset - $tagStart)));
+
+            // Longueur (forme courte, ou longue sur 1 ou 2 octets)
+            if ($offset >= $size) {
+                throw new InvalidArgumentException("Missing length for ICC tag $tag");
+            }
+            $length = ord($bytes[$offset++]);
+            if ($length & 0x80) {
+                $lengthBytes = $length & 0x7F;
+                if ($lengthBytes < 1 || $lengthBytes > 2 || $offset + $lengthBytes > $size) {
+                    throw new InvalidArgumentException("Invalid length for ICC tag $tag");
+                }
+                $length = 0;
+                for ($i = 0; $i < $lengthBytes; $i++) {
+                    $length = ($length << 8) | ord($bytes[$offset++]);
+                }
+            }
+
+            // Valeur
+            if ($offset + $length > $size) {
+                throw new InvalidArgumentException("Truncated value for ICC tag $tag");
+            }
+            $value = substr($bytes, $offset, $length);
+            $offset += $length;
+
+            $constructed = (bool)($first & 0x20);
+            $nodes[] = [
+                'tag' => $tag,
+                'value' => strtoupper(bin2hex($value)),
+                'children' => $constructed ? self::parseBytes($value) : null
+            ];
+        }
+
+        return $nodes;
+    }
+
+    // ========================================================================
+    // ÉCRITURE
+    // ========================================================================
+
+    /**
+     * Encode une liste de TLV en hexadécimal
+     * Les tags construits sont encodés à partir de leurs enfants
+     *
+     * @param array $nodes Liste de [tag, value, children] (voir parse())
+     * @return string Données ICC en hexadécimal
+     */
+    public static function encode($nodes) {
+        $hex = '';
+        foreach ($nodes as $node) {
+            $value = $node['children'] !== null ? self::encode($node['children']) : $node['value'];
+            $hex .= strtoupper($node['tag']) . self::encodeLength(strlen($value) / 2) . strtoupper($value);
+        }
+        return $hex;
+    }
+
+    /**
+     * Encode une longueur BER (forme courte ou longue)
+     *
+     * @param int $length Longueur en octets
+     * @return string Longueur en hexadécimal
+     */
+    private static function encodeLength($length) {
+        if ($length < 0x80) {
+            return sprintf('%02X', $length);
+        }
+        return $length <= 0xFF ? sprintf('81%02X', $length) : sprintf('82%04X', $length);
+    }
+
+    // ========================================================================
+    // PROTECTION DES DONNÉES SENSIBLES
+    // ========================================================================
+
+    /**
+     * Retire les tags sensibles (voir SENSITIVE_TAGS), y compris dans les tags construits
+     *
+     * @param string $hex Données ICC en hexadécimal
+     * @return string Données ICC sans les tags sensibles
+     * @throws InvalidArgumentException Si les données ne sont pas un BER-TLV valide
+     */
+    public static function scrub($hex) {
+        return self::encode(self::removeSensitive(self::parse($hex)));
+    }
+
+    /**
+     * Filtre récursivement une liste de TLV
+     *
+     * @param array $nodes Liste de [tag, value, children]
+     * @return array Liste filtrée
+     */
+    private static function removeSensitive($nodes) {
+        $kept = [];
+        foreach ($nodes as $node) {
+            if (in_array($node['tag'], self::SENSITIVE_TAGS, true)) {
+                continue;
+            }
+            if ($node['children'] !== null) {
+                $node['children'] = self::removeSensitive($node['children']);
+            }
+            $kept[] = $node;
+        }
+        return $kept;
+    }
+}
@@ -0,0 +1,211 @@
+<?php
+
+/**
+ * Export des Messages ISO 8583
+ * Cette classe convertit une liste de messages stockés en CSV, JSON
+ * ou XML ISO 8583 (même format <isomsg><field id value/> que les exemples)
+ */
+
+
+/**
+ * Classe MessageExporter
+ *
+ * Responsable de la sérialisation des messages pour l'export.
+ *
+ * SÉCURITÉ:
+ * - Le PAN est masqué par défaut (4 premiers + 4 derniers chiffres)
+ * - L'export du PAN en clair doit être explicitement demandé ET autorisé
+ *   (permission 'export_full_pan' vérifiée par l'API)
+ */
+class MessageExporter {
+
+    /**
+     * Formats d'export supportés: format => [Content-Type, extension]
+     * @var array
+     */
+    const FORMATS = [
+        'csv' => ['text/csv; charset=UTF-8', 'csv'],
+        'json' => ['application/json; charset=UTF-8', 'json'],
+        'xml' => ['application/xml; charset=UTF-8', 'xml']
+    ];
+
+    /**
+     * Colonnes de l'export CSV (dans l'ordre)
+     * @var array
+     */
+    const CSV_COLUMNS = [
+        'id', 'mti', 'pan', 'processing_code', 'amount', 'currency',
+        'transaction_date', 'transaction_time', 'rrn', 'response_code',
+        'terminal_id', 'created_at', 'additional_fields'
+    ];
+
+    // ========================================================================
+    // PRÉPARATION DES DONNÉES
+    // ========================================================================
+
+    /**
+     * Convertit une ligne de la table iso_messages en message exportable
+     *
+     * @param array $row Ligne brute (PAN chiffré)
+     * @param bool $fullPan true pour exporter le PAN déchiffré, false pour le masquer
+     * @return array Message prêt à sérialiser
+     */
+    public static function prepareRow($row, $fullPan = false) {
+        return [
+            'id' => (int)$row['id'],
+            'mti' => $row['mti'],
+            'pan' => $fullPan ? EncryptionManager::decrypt($row['pan']) : IsoMessage::maskPan($row['pan']),
+            'processing_code' => $row['processing_code'],
+            'amount' => (int)$row['amount'],
+            'currency' => $row['currency'],
+            'transaction_date' => $row['transaction_date'],
+            'transaction_time' => $row['transaction_time'],
+            'rrn' => $row['rrn'],
+            'response_code' => $row['response_code'],
+            'terminal_id' => $row['terminal_id'],
+            'created_at' => $row['created_at'],
+            'additional_fields' => json_decode($row['additional_fields'] ?? '', true) ?: []
+        ];
+    }
+
+    /**
+     * Sérialise des messages préparés dans le format demandé
+     *
+     * @param array $messages Messages issus de prepareRow()
+     * @param string $format 'csv', 'json' ou 'xml'
+     * @return string Contenu du fichier exporté
+     * @throws Exception Si le format n'est pas supporté
+     */
+    public static function export($messages, $format) {
+        switch ($format) {
+            case 'csv':
+                return self::toCsv($messages);
+            case 'json':
+                return self::toJson($messages);
+            case 'xml':
+                return self::toXml($messages);
+            default:
+                throw new Exception("Unsupported export format: $format");
+        }
+    }
+
+    // ========================================================================
+    // FORMATS D'EXPORT
+    // ========================================================================
+
+    /**
+     * Export CSV pour tableur (UTF-8 avec BOM pour Excel)
+     *
+     * @param array $messages Messages préparés
+     * @return string Contenu CSV
+     */
+    public static function toCsv($messages) {
+        $handle = fopen('php://temp', 'r+');
+        fputcsv($handle, self::CSV_COLUMNS);
+
+        foreach ($messages as $message) {
+            $line = [];
+            foreach (self::CSV_COLUMNS as $column) {
+                $value = $message[$column];
+                if ($column === 'additional_fields') {
+                    $value = empty($value) ? '' : json_encode($value);
+                }
+                $line[] = self::protectCsvValue((string)$value);
+            }
+            fputcsv($handle, $line);
+        }
+
+        rewind($handle);
+        $csv = stream_get_contents($handle);
+        fclose($handle);
+
+        return "\xEF\xBB\xBF" . $csv;
+    }
+
+    /**
+     * Export JSON (tableau de messages)
+     *
+     * @param array $messages Messages préparés
+     * @return string Contenu JSON
+     */
+    public static function toJson($messages) {
+        return json_encode(
+            ['count' => count($messages), 'messages' => array_values($messages)],
+            JSON_PRETTY_PRINT | JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES
+        );
+    }
+
+    /**
+     * Export XML ISO 8583 (format des fichiers exemples/sample_msg*.xml)
+     *
+     * Un seul message: document <isomsg> réimportable tel quel.
+     * Plusieurs messages: éléments <isomsg> regroupés sous une racine <isomsgs>.
+     *
+     * @param array $messages Messages préparés
+     * @return string Contenu XML
+     */
+    public static function toXml($messages) {
+        $doc = new DOMDocument('1.0', 'UTF-8');
+        $doc->formatOutput = true;
+
+        $parent = $doc;
+        if (count($messages) !== 1) {
+            $parent = $doc->createElement('isomsgs');
+            $doc->appendChild($parent);
+        }
+
+        foreach ($messages as $message) {
+            $isomsg = $doc->createElement('isomsg');
+            $isomsg->setAttribute('direction', 'outgoing');
+
+            foreach (self::toIsoFields($message) as $id => $value) {
+                $field = $doc->createElement('field');
+                $field->setAttribute('id', (string)$id);
+                $field->setAttribute('value', (string)$value);
+                $isomsg->appendChild($field);
+            }
+            $parent->appendChild($isomsg);
+        }
+
+        return $doc->saveXML();
+    }
+
+    /**
+     * Reconstitue les champs ISO 8583 d'un message, triés par numéro
+     *
+     * @param array $message Message préparé
+     * @return array [numéro de champ => valeur]
+     */
+    public static function toIsoFields($message) {
+        $fields = $message['additional_fields'];
+        $fields['0'] = $message['mti'];
+        $fields['2'] = $message['pan'];
+        $fields['3'] = $message['processing_code'];
+        $fields['4'] = str_pad((string)$message['amount'], 12, '0', STR_PAD_LEFT);
+        $fields['12'] = $message['transaction_time'];
+        $fields['13'] = $message['transaction_date'];
+        $fields['37'] = $message['rrn'];
+        if ($message['response_code'] !== null && $message['response_code'] !== '') {
+            $fields['39'] = $message['response_code'];
+        }
+        $fields['41'] = $message['terminal_id'];
+        $fields['49'] = $message['currency'];
+
+        ksort($fields, SORT_NUMERIC);
+        return $fields;
+    }
+
+    /**
+     * Neutralise les valeurs interprétées comme formules par les tableurs
+     * (injection CSV: =, +, -, @ en début de cellule)
+     *
+     * @param string $value Valeur de cellule
+     * @return string Valeur sûre
+     */
+    private static function protectCsvValue($value) {
+        if ($value !== '' && strpos('=+-@', $value[0]) !== false) {
+            return "'" . $value;
+        }
+        return $value;
+    }
+}
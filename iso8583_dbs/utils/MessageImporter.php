@@ -0,0 +1,230 @@
+<?php
+
+/**
+ * Import de Lots de Messages ISO 8583
+ * Cette classe découpe un fichier ou un corps de requête (XML, JSON, NDJSON)
+ * en messages, chacun étant ensuite validé et enregistré séparément
+ */
+
+
+/**
+ * Classe MessageImporter
+ *
+ * Formats acceptés:
+ * - xml: un message (<iso8583><field/>...) ou plusieurs <isomsg> sous une
+ *   même racine (voir XmlParser::extractMessages())
+ * - json: un objet {numéro de champ: valeur} ou un tableau de tels objets
+ *   [{"0": "1100", "2": "4111111111111111", ...}, ...]
+ * - ndjson: un objet JSON par ligne (lignes vides ignorées)
+ *
+ * Une erreur de syntaxe XML ou JSON rejette tout le fichier; une erreur propre
+ * à un message (ligne NDJSON illisible, champ invalide) ne concerne que lui.
+ */
+class MessageImporter {
+
+    /**
+     * Formats d'import supportés
+     * @var array
+     */
+    const FORMATS = ['xml', 'json', 'ndjson'];
+
+    /**
+     * Nombre maximal de messages par fichier
+     * @var int
+     */
+    const MAX_MESSAGES = 1000;
+
+    /**
+     * Numéros de champ acceptés dans les objets JSON (0 à 128)
+     * @var string
+     */
+    const FIELD_ID_PATTERN = '/^(0|[1-9]\d?|1[01]\d|12[0-8])$/';
+
+    // ========================================================================
+    // DÉTECTION DU FORMAT
+    // ========================================================================
+
+    /**
+     * Indique si un Content-Type désigne un corps JSON ou NDJSON importable
+     *
+     * @param string $contentType En-tête Content-Type de la requête
+     * @return bool
+     */
+    public static function isJsonContentType($contentType) {
+        return (bool)preg_match('#^application/(json|x-ndjson|ndjson|jsonl|x-jsonlines)\b#i', trim((string)$contentType));
+    }
+
+    /**
+     * Détermine le format d'un contenu à importer
+     * Extension .ndjson / .jsonl ou Content-Type NDJSON, sinon premier caractère:
+     * '<' XML, '[' JSON, '{' JSON s'il s'agit d'un document unique, NDJSON sinon
+     *
+     * @param string $content Contenu brut
+     * @param string $fileName Nom du fichier téléversé ('' pour un corps de requête)
+     * @param string $contentType Content-Type de la requête
+     * @return string 'xml', 'json' ou 'ndjson'
+     * @throws Exception Si le contenu est vide ou dans un format non supporté
+     */
+    public static function detectFormat($content, $fileName = '', $contentType = '') {
+        $extension = strtolower(pathinfo((string)$fileName, PATHINFO_EXTENSION));
+        if (in_array($extension, ['ndjson', 'jsonl'], true) || preg_match('#ndjson|jsonl|jsonlines#i', (string)$contentType)) {
+            return 'ndjson';
+        }
+
+        $trimmed = ltrim(self::stripBom($content));
+        if ($trimmed === '') {
+            throw new Exception("Empty content");
+        }
+        switch ($trimmed[0]) {
+            case '<':
+                return 'xml';
+            case '[':
+                return 'json';
+            case '{':
+                json_decode($trimmed);
+                return json_last_error() === JSON_ERROR_NONE ? 'json' : 'ndjson';
+            default:
+                throw new Exception("Unsupported format (XML, JSON or NDJSON expected)");
+        }
+    }
+
+    // ========================================================================
+    // DÉCOUPAGE EN MESSAGES
+    // ========================================================================
+
+    /**
+     * Découpe un contenu en messages
+     *
+     * @param string $content Contenu brut
+     * @param string $format 'xml', 'json' ou 'ndjson' (voir detectFormat())
+     * @return array Liste de [index, line (NDJSON uniquement), fields, header, error]
+     *               fields vaut null et error décrit le problème si le message est illisible
+     * @throws Exception Si le fichier est illisible, vide ou contient trop de messages
+     */
+    public static function readMessages($content, $format) {
+        $content = self::stripBom($content);
+        switch ($format) {
+            case 'xml':
+                $messages = self::readXml($content);
+                break;
+            case 'json':
+                $messages = self::readJson($content);
+                break;
+            case 'ndjson':
+                $messages = self::readNdjson($content);
+                break;
+            default:
+                throw new Exception("Unsupported format: $format");
+        }
+
+        if (empty($messages)) {
+            throw new Exception("No ISO 8583 message found");
+        }
+        if (count($messages) > self::MAX_MESSAGES) {
+            throw new Exception("Too many messages (" . count($messages) . ", maximum " . self::MAX_MESSAGES . ")");
+        }
+
+        foreach ($messages as $position => &$message) {
+            $message = array_merge(['index' => $position + 1, 'fields' => null, 'header' => '', 'error' => null], $message);
+        }
+        unset($message);
+        return $messages;
+    }
+
+    /**
+     * Messages d'un fichier XML
+     *
+     * @param string $content Contenu XML
+     * @return array Liste de [fields, header]
+     * @throws Exception Si le XML est invalide ou ne contient aucun message
+     */
+    private static function readXml($content) {
+        return XmlParser::extractMessages($content);
+    }
+
+    /**
+     * Messages d'un document JSON (objet unique ou tableau d'objets)
+     *
+     * @param string $content Contenu JSON
+     * @return array Liste de [fields] ou [error]
+     * @throws Exception Si le JSON est invalide ou n'est ni un objet ni un tableau
+     */
+    private static function readJson($content) {
+        $decoded = json_decode($content);
+        if (json_last_error() !== JSON_ERROR_NONE) {
+            throw new Exception("Invalid JSON format: " . json_last_error_msg());
+        }
+        if (is_object($decoded)) {
+            $decoded = [$decoded];
+        }
+        if (!is_array($decoded)) {
+            throw new Exception("A JSON object or an array of objects is expected");
+        }
+
+        $messages = [];
+        foreach ($decoded as $item) {
+            $messages[] = self::readJsonMessage($item);
+        }
+        return $messages;
+    }
+
+    /**
+     * Messages d'un contenu NDJSON (un objet par ligne)
+     *
+     * @param string $content Contenu NDJSON
+     * @return array Liste de [line, fields] ou [line, error]
+     */
+    private static function readNdjson($content) {
+        $messages = [];
+        foreach (preg_split('/\r\n|\n|\r/', $content) as $number => $line) {
+            if (trim($line) === '') {
+                continue;
+            }
+            $item = json_decode($line);
+            $message = json_last_error() === JSON_ERROR_NONE
+                ? self::readJsonMessage($item)
+                : ['error' => "Invalid JSON: " . json_last_error_msg()];
+            $messages[] = ['line' => $number + 1] + $message;
+        }
+        return $messages;
+    }
+
+    /**
+     * Champs d'un objet JSON {numéro de champ: valeur}
+     * Valeurs texte ou nombres entiers (convertis en texte)
+     *
+     * @param mixed $item Objet JSON décodé
+     * @return array [fields] ou [error]
+     */
+    private static function readJsonMessage($item) {
+        if (!is_object($item)) {
+            return ['error' => "A JSON object of ISO 8583 fields is expected"];
+        }
+
+        $fields = [];
+        foreach (get_object_vars($item) as $fieldId => $value) {
+            $fieldId = (string)$fieldId;
+            if (!preg_match(self::FIELD_ID_PATTERN, $fieldId)) {
+                return ['error' => "Invalid field number: $fieldId"];
+            }
+            if (is_int($value)) {
+                $value = (string)$value;
+            }
+            if (!is_string($value)) {
+                return ['error' => "Field $fieldId must be a string"];
+            }
+            $fields[$fieldId] = $value;
+        }
+        return ['fields' => $fields];
+    }
+
+    /**
+     * Retire la marque d'ordre des octets UTF-8 en tête de contenu
+     *
+     * @param string $content Contenu brut
+     * @return string Contenu sans BOM
+     */
+    private static function stripBom($content) {
+        return strncmp((string)$content, "\xEF\xBB\xBF", 3) === 0 ? substr($content, 3) : (string)$content;
+    }
+}
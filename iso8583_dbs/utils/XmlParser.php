@@ -16,18 +16,38 @@
  * 
  * FONCTIONNALITÉS:
  * - Parse le contenu XML des messages ISO 8583
+ * - Lit les fichiers contenant plusieurs messages (<isomsg> sous une même racine)
  * - Extrait les champs obligatoires et optionnels
  * - Valide la structure et les données
  * - Gère les différents formats de MTI (header vs field 0)
  * - Formate les données pour insertion en base
  */
 class XmlParser {
+
+    /**
+     * Champs stockés dans des colonnes dédiées de la table iso_messages
+     * @var array
+     */
+    private static $mappedFields = ['0', '2', '3', '4', '12', '13', '37', '39', '41', '49'];
+
+    /**
+     * Champs sensibles jamais conservés (PCI-DSS: pistes magnétiques et bloc PIN)
+     * @var array
+     */
+    private static $sensitiveFields = ['35', '36', '45', '52'];
+
+    /**
+     * Champ des données carte à puce (ICC / EMV, BER-TLV en hexadécimal)
+     * @var string
+     */
+    private static $iccField = '55';
+
 // ========================================================================
     // MÉTHODE PRINCIPALE DE PARSING
     // ========================================================================
     
     /**
-     * Parse un fichier XML ISO 8583 et extrait les données structurées
+     * Parse un fichier XML ISO 8583 contenant un seul message et extrait les données structurées
      * 
      * Structure XML attendue:
      * <iso8583>
@@ -35,6 +55,10 @@ class XmlParser {
      *   <field id="0" value="0200"/>  <!-- MTI alternatif dans field 0 -->
      *   <field id="2" value="1234567890123456"/>  <!-- PAN -->
      *   <field id="3" value="000000"/>  <!-- Processing code -->
+     *   <field id="55" value="9F2608..."/>  <!-- Données puce EMV (hexadécimal) -->
+     *   <isomsg id="55">  <!-- ou un tag EMV par sous-champ (format jPOS) -->
+     *     <field id="9F26" value="1A2B3C4D5E6F7081"/>
+     *   </isomsg>
      *   <!-- Autres champs... -->
      * </iso8583>
      * 
@@ -43,8 +67,51 @@ class XmlParser {
      * @throws Exception Si le XML est invalide ou des champs obligatoires manquent
      */
     public static function parseIso8583Xml($xmlContent) {
-        // === PARSING XML DE BASE ===
+        $message = self::readMessageElement(self::loadXml($xmlContent));
+        return self::buildMessageData($message['fields'], $message['header']);
+    }
+
+    // ========================================================================
+    // FICHIERS MULTI-MESSAGES
+    // ========================================================================
+
+    /**
+     * Lit tous les messages d'un fichier XML
+     * 
+     * - racine contenant des éléments <field>: un seul message (format ci-dessus)
+     * - sinon, chaque <isomsg> qui n'est pas lui-même dans un <isomsg> est un
+     *   message, quelle que soit sa profondeur (export <isomsgs>, journaux jPOS
+     *   <log><receive><isomsg>...)
+     * 
+     * @param string $xmlContent Contenu XML brut
+     * @return array Liste de [fields => [id => valeur], header => MTI de l'en-tête]
+     * @throws Exception Si le XML est invalide ou ne contient aucun message
+     */
+    public static function extractMessages($xmlContent) {
+        $xml = self::loadXml($xmlContent);
+        if (count($xml->field) > 0) {
+            return [self::readMessageElement($xml)];
+        }
         
+        $elements = $xml->xpath('//isomsg[not(ancestor::isomsg)]');
+        if (empty($elements)) {
+            throw new Exception("No ISO 8583 message found");
+        }
+        $messages = [];
+        foreach ($elements as $element) {
+            $messages[] = self::readMessageElement($element);
+        }
+        return $messages;
+    }
+
+    /**
+     * Charge un document XML
+     * 
+     * @param string $xmlContent Contenu XML brut
+     * @return SimpleXMLElement Élément racine
+     * @throws Exception Si le XML est invalide
+     */
+    private static function loadXml($xmlContent) {
         // Conversion du XML string en objet SimpleXML pour manipulation facile
         // SimpleXML est adapté pour des structures XML relativement simples
         $xml = simplexml_load_string($xmlContent);
@@ -52,7 +119,16 @@ class XmlParser {
         if ($xml === false) {
             throw new Exception("Invalid XML format");
         }
-        
+        return $xml;
+    }
+
+    /**
+     * Lit les champs d'un élément message (<iso8583>, <isomsg>...)
+     * 
+     * @param SimpleXMLElement $xml Élément contenant les <field> du message
+     * @return array [fields => [id => valeur], header => MTI de l'en-tête ou '']
+     */
+    private static function readMessageElement($xml) {
         // === EXTRACTION DES CHAMPS (FIELDS) ===
         
         // Les messages ISO 8583 en XML contiennent des éléments <field> avec des attributs
@@ -70,6 +146,47 @@ class XmlParser {
             // Stockage dans le tableau associatif [id_champ => valeur]
             $fields[$fieldId] = $fieldValue;
         }
+        
+        // Données puce transmises tag par tag (<isomsg id="55">): reconstitution du BER-TLV
+        foreach ($xml->isomsg as $subMessage) {
+            if ((string) $subMessage['id'] !== self::$iccField) {
+                continue;
+            }
+            $nodes = [];
+            foreach ($subMessage->field as $tlv) {
+                $nodes[] = ['tag' => (string) $tlv['id'], 'value' => (string) $tlv['value'], 'children' => null];
+            }
+            $fields[self::$iccField] = EmvTlv::encode($nodes);
+        }
+        
+        return ['fields' => $fields, 'header' => trim((string) ($xml->header ?? ''))];
+    }
+
+    // ========================================================================
+    // CONVERSION DES CHAMPS EN DONNÉES STOCKABLES
+    // ========================================================================
+
+    /**
+     * Valide les champs d'un message et les convertit au format du modèle
+     * Commun à tous les formats d'import (XML, JSON, NDJSON)
+     * 
+     * @param array $fields Champs du message [numéro de champ => valeur]
+     * @param string $header MTI de l'en-tête, utilisé si le champ 0 est absent
+     * @return array Tableau associatif contenant les données extraites
+     * @throws Exception Si des champs obligatoires manquent
+     */
+    public static function buildMessageData($fields, $header = '') {
+        // Données puce: tags sensibles retirés (pistes, PAN, porteur); données illisibles
+        // non conservées, faute de pouvoir garantir ce retrait
+        if (isset($fields[self::$iccField]) && $fields[self::$iccField] !== '') {
+            try {
+                $fields[self::$iccField] = EmvTlv::scrub($fields[self::$iccField]);
+            } catch (InvalidArgumentException $e) {
+                error_log("ICC data (field 55) dropped: " . $e->getMessage());
+                unset($fields[self::$iccField]);
+            }
+        }
+        
         // === EXTRACTION DU MTI (MESSAGE TYPE INDICATOR) ===
         
         /*
@@ -79,7 +196,7 @@ class XmlParser {
          * 
          * Cette section gère les deux cas avec priorité au field 0
          */
-        $mti = isset($fields['0']) ? $fields['0'] : (string) ($xml->header ?? '');
+        $mti = isset($fields['0']) ? $fields['0'] : $header;
 
         // Valider les champs obligatoires
         $requiredFields = ['2', '3', '4', '12', '13', '37', '41', '49'];
@@ -96,6 +213,19 @@ class XmlParser {
             $transactionDate = $transactionDate; // Conserver le format MMJJ tel que spécifié
         }
 
+        // === CHAMPS ADDITIONNELS ===
+        
+        // Tous les autres champs du message original sont conservés pour l'affichage
+        // détaillé, à l'exception des données sensibles interdites de stockage
+        $additionalFields = [];
+        foreach ($fields as $fieldId => $fieldValue) {
+            if (in_array((string) $fieldId, self::$mappedFields, true)
+                || in_array((string) $fieldId, self::$sensitiveFields, true)) {
+                continue;
+            }
+            $additionalFields[(string) $fieldId] = $fieldValue;
+        }
+
         return [
             'mti' => $mti,
             'pan' => $fields['2'], // Sera crypté dans le modèle
@@ -106,7 +236,8 @@ class XmlParser {
             'rrn' => $fields['37'],
             'response_code' => $fields['39'] ?? '',
             'terminal_id' => $fields['41'],
-            'currency' => $fields['49']
+            'currency' => $fields['49'],
+            'additional_fields' => $additionalFields
         ];
     }
 }